@@ -1,4 +1,18 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import {
+  MPS_TO_KT, KMH_TO_KT, SM_TO_M,
+  decodeMetar, isSpeci, emptyWxConditions, mergeWxConditions, decodeTaf,
+  FLIGHT_CATEGORY_RULESETS, FLIGHT_CATEGORY_ORDER, classifyCategory, conditionsCategory, worseCategory,
+  tafConditionsAt, tafHourlyTimeline,
+  splitMetarsByStation, splitTafsByStation,
+  decodeSigmet, SIGMET_HAZARDS,
+  decodePirep, pirepIntensity, PIREP_INTENSITY_ORDER,
+  decodeRaob,
+} from "./wxDecode.js";
+import {
+  KAPPA, EPS_RATIO, dewpointFromVapor, pressureAltitudeFt, moistAdiabat, interpAtPressure,
+  analyzeSounding, windComponents, stabilityIndices,
+} from "./wxThermo.js";
 
 /* ============================================================
    AWC API BASE URL
@@ -10,7 +24,8 @@ const AWC_BASE = import.meta.env.DEV
   : "https://api.allorigins.win/raw?url=" + encodeURIComponent("https://aviationweather.gov");
 
 // AWC proxy URL — CF Worker 優先、allorigins フォールバック
-const CF_WORKER = "https://wx-awc-proxy.trinity-funkyboy.workers.dev";
+// 拠点用の private instance は VITE_WX_PROXY_URL でビルド時に差し替え
+const CF_WORKER = import.meta.env.VITE_WX_PROXY_URL || "https://wx-awc-proxy.trinity-funkyboy.workers.dev";
 
 function awcProxyUrls(path) {
   if (import.meta.env.DEV) return [`/awc-api${path}`];
@@ -22,10 +37,44 @@ function awcProxyUrls(path) {
   ];
 }
 
+// CF Worker のエッジキャッシュ鮮度（X-Data-Age / X-Upstream / X-Cache）をエンドポイント別に保持
+// 例: proxyFreshness["/api/data/taf"] = { age: 45, upstream: "AWC", cache: "STALE", at: Date }
+const proxyFreshness = {};
+
+function recordProxyFreshness(path, r) {
+  const age = r.headers.get("X-Data-Age");
+  if (age == null) return;
+  proxyFreshness[path.split("?")[0]] = {
+    age: parseInt(age, 10) || 0,
+    upstream: r.headers.get("X-Upstream") || "",
+    cache: r.headers.get("X-Cache") || "",
+    at: new Date(),
+  };
+}
+
+// 直近に応答を返したプロキシ（SystemStatusIndicator で表示）
+// lastProxyServed = { proxy: "CF WORKER" | "ALLORIGINS RAW" | "ALLORIGINS GET" | "VITE DEV" | "NONE", path, latencyMs, at }
+let lastProxyServed = null;
+
+function proxyLabel(url) {
+  if (url.startsWith("/awc-api")) return "VITE DEV";
+  if (url.startsWith(CF_WORKER)) return "CF WORKER";
+  if (url.includes("allorigins.win/raw")) return "ALLORIGINS RAW";
+  if (url.includes("allorigins.win/get")) return "ALLORIGINS GET";
+  return "UNKNOWN";
+}
+
+// 表示時点でのデータ経過秒（取得時の X-Data-Age + 取得からの経過）
+function proxyDataAgeSec(path) {
+  const f = proxyFreshness[path];
+  return f ? f.age + Math.round((Date.now() - f.at.getTime()) / 1000) : null;
+}
+
 // 順番にプロキシを試す共通ヘルパー
 async function fetchViaProxy(path, signal, timeoutMs = 8000) {
   const urls = awcProxyUrls(path);
   for (const url of urls) {
+    const t0 = Date.now();
     try {
       const ctrl = new AbortController();
       const timer = setTimeout(() => ctrl.abort(), timeoutMs);
@@ -37,13 +86,17 @@ async function fetchViaProxy(path, signal, timeoutMs = 8000) {
       if (!r.ok) continue;
       const text = await r.text();
       if (!text.trim()) continue;
+      if (url.startsWith(CF_WORKER)) recordProxyFreshness(path, r);
       // /get endpoint returns JSON with "contents" field
+      let body = text.trim();
       if (url.includes("/get?")) {
-        try { const j = JSON.parse(text); return (j.contents || "").trim(); } catch { continue; }
+        try { body = (JSON.parse(text).contents || "").trim(); } catch { continue; }
       }
-      return text.trim();
+      lastProxyServed = { proxy: proxyLabel(url), path: path.split("?")[0], latencyMs: Date.now() - t0, at: new Date() };
+      return body;
     } catch { /* try next */ }
   }
+  lastProxyServed = { proxy: "NONE", path: path.split("?")[0], latencyMs: null, at: new Date() };
   throw new Error("All proxies failed");
 }
 
@@ -65,14 +118,199 @@ async function fetchMetarRaw(icaos, signal) {
   return fetchViaProxy(`/api/data/metar?ids=${icaos}&format=raw&taf=false&hours=3`, signal);
 }
 
+// METAR履歴取得: AWC via proxy（VATSIMは最新1通のみのため）
+// 複数局を1リクエストで取得し、局ごとに解析済みMETARを観測時刻の古い順で返す → { ICAO: decoded[] }
+async function fetchMetarHistory(icaos, signal, hours = 24) {
+  const text = await fetchViaProxy(`/api/data/metar?ids=${icaos.join(",")}&format=raw&taf=false&hours=${hours}`, signal, 12000);
+  const byStation = Object.fromEntries(icaos.map(icao => [icao, []]));
+  for (const line of text.split("\n")) {
+    const m = decodeMetar(line);
+    if (m?.obsTime && byStation[m.station]) byStation[m.station].push(m);
+  }
+  for (const list of Object.values(byStation)) list.sort((a, b) => a.obsTime - b.obsTime);
+  return byStation;
+}
+
 // TAF取得: AWC via proxy (多段フォールバック)
-// TAFデータがない空港（地方空港等）では空文字を返す
+// TAFデータがない空港（地方空港等）でも空応答で例外になるため、呼び出し側で一括取得の成否と合わせて判定する
 async function fetchTafRaw(icao, signal) {
+  return fetchViaProxy(`/api/data/taf?ids=${icao}&format=raw`, signal, 12000);
+}
+
+/* ---------- 複数局一括取得 ---------- */
+// AWC/VATSIM は ids のカンマ区切りに対応 → 1リクエストで取得し、局ごとに分割（splitMetarsByStation/splitTafsByStation）
+// 一括応答に含まれない局だけ個別取得にフォールバックする
+// 上流は空応答でも例外になるため、個別取得の失敗は「一括取得も失敗していた」場合だけ取得障害（failed）として扱う
+// （一括が成功して応答に無い局の失敗は、その局に電文が無いだけとみなす）
+
+// 個別取得でもTAFが無かった局（地方空港等）は一定時間フォールバック対象から外す
+const TAF_MISSING_TTL_MS = 60 * 60000;
+const tafMissingSince = new Map();
+
+/** METAR一括取得 → { data: { ICAO: raw }, failed: ICAO[] }（data は取得できた局のみ） */
+async function fetchMetarBatch(icaos, signal) {
+  let data = {};
+  let batchOk = true;
+  try { data = splitMetarsByStation(await fetchMetarRaw(icaos.join(","), signal)); } catch { batchOk = false; }
+  const failed = [];
+  await Promise.all(icaos.filter(icao => !data[icao]).map(async (icao) => {
+    try {
+      const raw = splitMetarsByStation(await fetchMetarRaw(icao, signal))[icao];
+      if (raw) data[icao] = raw;
+    } catch {
+      if (!batchOk) failed.push(icao);
+    }
+  }));
+  return { data, failed };
+}
+
+/** TAF一括取得 → { data: { ICAO: raw }, failed: ICAO[] }（data はTAFのある局のみ） */
+async function fetchTafBatch(icaos, signal) {
+  let data = {};
+  let batchOk = true;
   try {
-    return await fetchViaProxy(`/api/data/taf?ids=${icao}&format=raw`, signal, 12000);
-  } catch {
-    return "";
+    data = splitTafsByStation(await fetchViaProxy(`/api/data/taf?ids=${icaos.join(",")}&format=raw`, signal, 12000));
+  } catch { batchOk = false; }
+  const now = Date.now();
+  const missing = icaos.filter(icao => !data[icao] && !(now - (tafMissingSince.get(icao) ?? -Infinity) < TAF_MISSING_TTL_MS));
+  const failed = [];
+  await Promise.all(missing.map(async (icao) => {
+    try {
+      const raw = splitTafsByStation(await fetchTafRaw(icao, signal))[icao];
+      if (raw) { data[icao] = raw; tafMissingSince.delete(icao); }
+      else tafMissingSince.set(icao, now);
+    } catch {
+      if (batchOk) tafMissingSince.set(icao, now);
+      else failed.push(icao);
+    }
+  }));
+  for (const icao of icaos) if (data[icao]) tafMissingSince.delete(icao);
+  return { data, failed };
+}
+
+/* ---------- SIGMET（国際SIGMET + 米国 AIRMET/SIGMET） ---------- */
+
+// 福岡FIRと隣接FIR。area 座標がこの範囲にかかる SIGMET も表示対象
+const SIGMET_FIRS = [
+  { id: "RJJJ", name: "FUKUOKA", home: true },
+  { id: "RKRR", name: "INCHEON" },
+  { id: "ZKKP", name: "PYONGYANG" },
+  { id: "ZSHA", name: "SHANGHAI" },
+  { id: "RCAA", name: "TAIPEI" },
+  { id: "RPHI", name: "MANILA" },
+  { id: "KZAK", name: "OAKLAND OCEANIC" },
+  { id: "PAZA", name: "ANCHORAGE OCEANIC" },
+  { id: "UHHH", name: "KHABAROVSK" },
+  { id: "UHSH", name: "SAKHALIN" },
+];
+const SIGMET_REGION = { latMin: 15, latMax: 55, lonMin: 115, lonMax: 165 };
+
+// AWC JSON の時刻は epoch 秒または ISO 文字列
+function awcTime(v) {
+  if (v == null || v === "") return null;
+  const d = typeof v === "number" ? new Date(v * 1000) : new Date(v);
+  return isNaN(d) ? null : d;
+}
+
+const AWC_HAZARD_ALIASES = { CONVECTIVE: "TS", TS: "TS", TURB: "TURB", ICE: "ICE", ICING: "ICE", VA: "VA", ASH: "VA", TC: "TC", MTW: "MTW", DS: "DS", SS: "DS", RDOACT: "RDOACT" };
+
+// 電文デコード結果を正とし、取れなかった項目だけ JSON フィールドで補う
+function sigmetFromAwcJson(j) {
+  const raw = j.rawSigmet || j.rawAirSigmet || "";
+  if (j.airSigmetType && j.airSigmetType !== "SIGMET") return null; // AIRMET は対象外
+  const d = decodeSigmet(raw);
+  d.fir = d.fir || j.firId || j.icaoId || null;
+  d.firName = d.firName || j.firName || null;
+  d.series = d.series || j.seriesId || null;
+  d.validFrom = d.validFrom || awcTime(j.validTimeFrom);
+  d.validTo = d.validTo || awcTime(j.validTimeTo);
+  d.hazard = d.hazard || AWC_HAZARD_ALIASES[String(j.hazard || "").toUpperCase()] || null;
+  const ftToFl = (v) => (v == null || v === "" ? null : Math.round(+v / 100));
+  if (d.base == null) d.base = ftToFl(j.base ?? j.altitudeLow1);
+  if (d.top == null) d.top = ftToFl(j.top ?? j.altitudeHi1);
+  if (!d.area && Array.isArray(j.coords) && j.coords.length >= 3) {
+    d.area = { type: "polygon", points: j.coords.map(c => [+c.lat, +c.lon]) };
+  }
+  return d;
+}
+
+function sigmetInRegion(s) {
+  if (SIGMET_FIRS.some(f => f.id === s.fir)) return true;
+  const pts = s.area?.points ?? (s.area?.center ? [s.area.center] : []);
+  const r = SIGMET_REGION;
+  return pts.some(([lat, lon]) => lat >= r.latMin && lat <= r.latMax && lon >= r.lonMin && lon <= r.lonMax);
+}
+
+/** 有効な SIGMET 一覧（取消済み・失効済み・範囲外を除外、失効の早い順） */
+async function fetchSigmets(signal) {
+  const sources = await Promise.allSettled([
+    fetchViaProxy("/api/data/isigmet?format=json", signal, 12000),
+    fetchViaProxy("/api/data/airsigmet?format=json", signal, 12000),
+  ]);
+  if (sources.every(s => s.status === "rejected")) throw new Error("SIGMET fetch failed");
+  const all = [];
+  for (const s of sources) {
+    if (s.status !== "fulfilled") continue;
+    let json = [];
+    try { json = JSON.parse(s.value); } catch { continue; }
+    for (const j of Array.isArray(json) ? json : []) {
+      const d = sigmetFromAwcJson(j);
+      if (d) all.push(d);
+    }
+  }
+  const now = new Date();
+  const cancelled = new Set(all.filter(s => s.cancels).map(s => `${s.fir}-${s.cancels}`));
+  return all
+    .filter(s => !s.cancels && !cancelled.has(`${s.fir}-${s.series}`))
+    .filter(s => !s.validTo || s.validTo > now)
+    .filter(sigmetInRegion)
+    .sort((a, b) => (a.validTo ?? Infinity) - (b.validTo ?? Infinity));
+}
+
+/* ---------- PIREP / AIREP ---------- */
+
+// 日本周辺を半径 400NM の円で被覆（北海道・本州・九州・南西諸島）
+const PIREP_CENTERS = ["RJCC", "RJTT", "RJFF", "ROAH"];
+const PIREP_RADIUS_NM = 400;
+const PIREP_MAX_AGE_H = 12;
+
+// 電文デコード結果を正とし、取れなかった項目だけ JSON フィールドで補う
+function pirepFromAwcJson(j) {
+  const d = decodePirep(j.rawOb || "");
+  d.kind = d.kind || (j.pirepType === "AIREP" ? "AIREP" : "PIREP");
+  d.time = d.time || awcTime(j.obsTime);
+  if (d.fl == null && j.fltLvl != null && j.fltLvl !== "" && Number.isFinite(+j.fltLvl)) d.fl = +j.fltLvl;
+  d.acType = d.acType || j.acType || null;
+  if (d.lat == null && j.lat != null) { d.lat = +j.lat; d.lon = +j.lon; }
+  const group = (inten, kind, base, top) => {
+    const i = pirepIntensity(inten || "");
+    return i ? { ...i, kind: kind || null, base: base != null ? Math.round(+base / 100) : null, top: top != null ? Math.round(+top / 100) : null } : null;
+  };
+  d.turb = d.turb || group(j.tbInt1, j.tbType1, j.tbBas1, j.tbTop1);
+  d.ice = d.ice || group(j.icgInt1, j.icgType1, j.icgBas1, j.icgTop1);
+  return d;
+}
+
+/** 日本周辺の PIREP/AIREP（新しい順、重複除去） */
+async function fetchPireps(signal) {
+  const results = await Promise.allSettled(PIREP_CENTERS.map(id =>
+    fetchViaProxy(`/api/data/pirep?id=${id}&distance=${PIREP_RADIUS_NM}&age=${PIREP_MAX_AGE_H}&format=json`, signal, 12000)));
+  if (results.every(r => r.status === "rejected")) throw new Error("PIREP fetch failed");
+  const seen = new Set();
+  const out = [];
+  for (const r of results) {
+    if (r.status !== "fulfilled") continue;
+    let json = [];
+    try { json = JSON.parse(r.value); } catch { continue; }
+    for (const j of Array.isArray(json) ? json : []) {
+      const d = pirepFromAwcJson(j);
+      const key = `${d.time?.getTime()}|${d.raw}`;
+      if (!d.time || seen.has(key)) continue;
+      seen.add(key);
+      out.push(d);
+    }
   }
+  return out.sort((a, b) => b.time - a.time);
 }
 
 /* ============================================================
@@ -778,36 +1016,54 @@ function JmaWeatherOverview() {
 }
 
 
+// lat/lon: ARP (WGS84)、elev: 飛行場標高 ft (AIP)
 const AIRPORT_GROUPS = [
   { region: "北海道・東北", airports: [
-    { icao: "RJCC", name: "新千歳" }, { icao: "RJCB", name: "帯広" }, { icao: "RJCK", name: "釧路" },
-    { icao: "RJCM", name: "女満別" }, { icao: "RJEC", name: "旭川" },
-    { icao: "RJSA", name: "青森" }, { icao: "RJSS", name: "仙台" },
+    { icao: "RJCC", name: "新千歳", lat: 42.775, lon: 141.692, elev: 82 },
+    { icao: "RJCB", name: "帯広", lat: 42.733, lon: 143.217, elev: 505 },
+    { icao: "RJCK", name: "釧路", lat: 43.041, lon: 144.193, elev: 327 },
+    { icao: "RJCM", name: "女満別", lat: 43.881, lon: 144.164, elev: 110 },
+    { icao: "RJEC", name: "旭川", lat: 43.671, lon: 142.447, elev: 721 },
+    { icao: "RJSA", name: "青森", lat: 40.734, lon: 140.691, elev: 664 },
+    { icao: "RJSS", name: "仙台", lat: 38.140, lon: 140.917, elev: 6 },
   ]},
   { region: "関東", airports: [
-    { icao: "RJTT", name: "東京/羽田" }, { icao: "RJAA", name: "成田" },
+    { icao: "RJTT", name: "東京/羽田", lat: 35.552, lon: 139.780, elev: 21 },
+    { icao: "RJAA", name: "成田", lat: 35.765, lon: 140.386, elev: 141 },
   ]},
   { region: "中部・北陸", airports: [
-    { icao: "RJGG", name: "中部" }, { icao: "RJNK", name: "小松" },
+    { icao: "RJGG", name: "中部", lat: 34.858, lon: 136.805, elev: 15 },
+    { icao: "RJNK", name: "小松", lat: 36.395, lon: 136.407, elev: 36 },
   ]},
   { region: "関西", airports: [
-    { icao: "RJOO", name: "伊丹" }, { icao: "RJBB", name: "関西" }, { icao: "RJBD", name: "南紀白浜" },
+    { icao: "RJOO", name: "伊丹", lat: 34.785, lon: 135.438, elev: 42 },
+    { icao: "RJBB", name: "関西", lat: 34.427, lon: 135.244, elev: 26 },
+    { icao: "RJBD", name: "南紀白浜", lat: 33.662, lon: 135.364, elev: 298 },
   ]},
   { region: "中国・四国", airports: [
-    { icao: "RJOB", name: "岡山" }, { icao: "RJOA", name: "広島" }, { icao: "RJDC", name: "山口宇部" },
-    { icao: "RJOT", name: "高松" },
-    { icao: "RJOS", name: "徳島" }, { icao: "RJOM", name: "松山" }, { icao: "RJOK", name: "高知" },
+    { icao: "RJOB", name: "岡山", lat: 34.757, lon: 133.855, elev: 806 },
+    { icao: "RJOA", name: "広島", lat: 34.436, lon: 132.919, elev: 1088 },
+    { icao: "RJDC", name: "山口宇部", lat: 33.930, lon: 131.279, elev: 23 },
+    { icao: "RJOT", name: "高松", lat: 34.214, lon: 134.016, elev: 607 },
+    { icao: "RJOS", name: "徳島", lat: 34.133, lon: 134.607, elev: 26 },
+    { icao: "RJOM", name: "松山", lat: 33.827, lon: 132.700, elev: 25 },
+    { icao: "RJOK", name: "高知", lat: 33.546, lon: 133.669, elev: 42 },
   ]},
   { region: "九州", airports: [
-    { icao: "RJFF", name: "福岡" }, { icao: "RJFR", name: "北九州" }, { icao: "RJFO", name: "大分" }, { icao: "RJFU", name: "長崎" },
-    { icao: "RJFT", name: "熊本" }, { icao: "RJFM", name: "宮崎" }, { icao: "RJFK", name: "鹿児島" },
-    { icao: "RJKA", name: "奄美大島" },
+    { icao: "RJFF", name: "福岡", lat: 33.586, lon: 130.451, elev: 30 },
+    { icao: "RJFR", name: "北九州", lat: 33.846, lon: 131.035, elev: 21 },
+    { icao: "RJFO", name: "大分", lat: 33.479, lon: 131.737, elev: 19 },
+    { icao: "RJFU", name: "長崎", lat: 32.917, lon: 129.914, elev: 15 },
+    { icao: "RJFT", name: "熊本", lat: 32.837, lon: 130.855, elev: 642 },
+    { icao: "RJFM", name: "宮崎", lat: 31.877, lon: 131.449, elev: 20 },
+    { icao: "RJFK", name: "鹿児島", lat: 31.803, lon: 130.719, elev: 906 },
+    { icao: "RJKA", name: "奄美大島", lat: 28.431, lon: 129.713, elev: 27 },
   ]},
   { region: "沖縄", airports: [
-    { icao: "ROAH", name: "那覇" },
+    { icao: "ROAH", name: "那覇", lat: 26.196, lon: 127.646, elev: 12 },
   ]},
   { region: "海外", airports: [
-    { icao: "RCTP", name: "台北桃園" },
+    { icao: "RCTP", name: "台北桃園", lat: 25.078, lon: 121.233, elev: 106 },
   ]},
 ];
 const AIRPORTS = AIRPORT_GROUPS.flatMap(g => g.airports);
@@ -925,18 +1181,382 @@ const WX_SUMMARY = {
   },
 };
 
-// Parse METAR wind token → { dir, speed, gust, isCalm, isVrb }
+/* ========== SETTINGS — 表示・運航設定（localStorage 永続化） ========== */
+const SETTINGS_KEY = "wx-dashboard-settings";
+const DEFAULT_SETTINGS = {
+  categoryRuleset: "JCAB",
+  aircraftProfile: "B737",
+  // 代替空港 計画ミニマ
+  altApproach: "CAT1",
+  altCeilingAdd: 200,
+  altVisAdd: 800,
+  altTempoRule: "STRICT",
+  // 表示単位
+  unitWind: "KT",
+  unitPressure: "HPA",
+  unitVis: "M",
+  unitTemp: "C",
+  unitAlt: "FT",
+  // 安定度指数の色分け基準 { [key]: [注意, 警戒, 危険] }（未設定は既定値）
+  stabilityThresholds: {},
+};
+
+let currentSettings = (() => {
+  try { return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? "{}") }; }
+  catch { return { ...DEFAULT_SETTINGS }; }
+})();
+const settingsListeners = new Set();
+
+function getSettings() { return currentSettings; }
+
+function updateSettings(patch) {
+  currentSettings = { ...currentSettings, ...patch };
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(currentSettings)); } catch { /* silent */ }
+  settingsListeners.forEach(fn => fn(currentSettings));
+}
+
+/** 設定変更で再描画されるフック */
+function useSettings() {
+  const [settings, setSettings] = useState(currentSettings);
+  useEffect(() => {
+    settingsListeners.add(setSettings);
+    return () => { settingsListeners.delete(setSettings); };
+  }, []);
+  return settings;
+}
+
+/* ========== UNITS — 表示単位 ========== */
+// 内部値は kt / hPa / m / °C / ft に統一し、表示時だけ設定単位へ変換する
+const UNIT_OPTIONS = {
+  unitWind: { label: "WIND", options: { KT: "kt", MPS: "m/s" } },
+  unitPressure: { label: "PRESSURE", options: { HPA: "hPa", INHG: "inHg" } },
+  unitVis: { label: "VISIBILITY", options: { M: "m", SM: "SM" } },
+  unitTemp: { label: "TEMPERATURE", options: { C: "°C", F: "°F" } },
+  unitAlt: { label: "ALTITUDE", options: { FT: "ft", M: "m" } },
+};
+const HPA_PER_INHG = 33.8639;
+const FT_TO_M = 0.3048;
+
+/** 通報 QNH → hPa（A 群は整数丸め前の inHg から換算） */
+const qnhHpa = (qnh) => (qnh.unit === "INHG" ? qnh.inHg * HPA_PER_INHG : qnh.hpa);
+
+function unitLabel(kind) {
+  const u = UNIT_OPTIONS[kind];
+  return u.options[getSettings()[kind]] ?? Object.values(u.options)[0];
+}
+
+function convSpeed(kt) {
+  if (kt == null) return null;
+  return getSettings().unitWind === "MPS" ? Math.round(kt / MPS_TO_KT) : Math.round(kt);
+}
+function convPressure(hpa) {
+  if (hpa == null) return null;
+  return getSettings().unitPressure === "INHG" ? (hpa / HPA_PER_INHG).toFixed(2) : Math.round(hpa);
+}
+function convTemp(c) {
+  if (c == null) return null;
+  return getSettings().unitTemp === "F" ? Math.round(c * 9 / 5 + 32) : Math.round(c);
+}
+function convAlt(ft) {
+  if (ft == null) return null;
+  return getSettings().unitAlt === "M" ? Math.round(ft * FT_TO_M) : Math.round(ft);
+}
+
+function fmtSpeed(kt) { return kt == null ? "---" : `${convSpeed(kt)}${unitLabel("unitWind")}`; }
+function fmtPressure(hpa) { return hpa == null ? "---" : `${convPressure(hpa)}${unitLabel("unitPressure")}`; }
+function fmtTemp(c) { return c == null ? "---" : `${convTemp(c)}${unitLabel("unitTemp")}`; }
+function fmtAlt(ft) { return ft == null ? "---" : `${convAlt(ft)}${unitLabel("unitAlt")}`; }
+
+/** 視程（m）→ 設定単位。10km以上は "10km+" / "P6SM"、SMは1/4単位の分数表記 */
+function fmtVis(m, withUnit = true) {
+  if (m == null) return "---";
+  const sm = getSettings().unitVis === "SM";
+  if (m >= 9999) return sm ? "P6SM" : "10km+";
+  if (!sm) return `${m}${withUnit ? "m" : ""}`;
+  const q = Math.round(m / SM_TO_M * 4);
+  if (q === 0) return `M1/4${withUnit ? "SM" : ""}`;
+  const whole = Math.floor(q / 4), frac = ["", "1/4", "1/2", "3/4"][q % 4];
+  return `${[whole || null, frac || null].filter(Boolean).join(" ")}${withUnit ? "SM" : ""}`;
+}
+
+/** デコード済み風 → "340/12G22kt"（unit=false で単位省略） */
+function fmtWindGroup(w, withUnit = true) {
+  if (!w) return "---";
+  if (w.isCalm) return "CALM";
+  const dir = w.isVrb || w.dir == null ? "VRB" : String(w.dir).padStart(3, "0");
+  const spd = w.speedKt != null ? String(convSpeed(w.speedKt)).padStart(2, "0") : "--";
+  return `${dir}/${spd}${w.gustKt ? `G${convSpeed(w.gustKt)}` : ""}${withUnit ? unitLabel("unitWind") : ""}`;
+}
+
+/** 上層風（kt）→ "250/120KT"（3桁ゼロ埋め、単位は設定に従い大文字） */
+function fmtUpperWind(dir, spd) {
+  const unit = unitLabel("unitWind").toUpperCase();
+  if (dir == null || spd == null) return `---/---${unit}`;
+  return `${String(dir).padStart(3, "0")}/${String(convSpeed(spd)).padStart(3, "0")}${unit}`;
+}
+
+/** 上層気温（℃）→ 符号付き "+3" / "-12"（単位記号なし） */
+function fmtUpperTemp(c) {
+  if (c == null) return "---";
+  const v = getSettings().unitTemp === "F" ? convTemp(c) : c;
+  return `${v > 0 ? "+" : ""}${v}`;
+}
+
+/* ========== METAR DECODER — METAR/SPECI 構造化デコーダ ========== */
+// 全パネル共通。生METARを1回だけ解析し、各表示はこの結果を参照する
+// デコーダ本体は wxDecode.js（Worker の /v2 ルートと共用）
+
+/** 風のみ取得 → { dir, speed, gust, isCalm, isVrb } (kt換算済) */
 function parseMetarWind(metarRaw) {
-  if (!metarRaw) return null;
-  const m = metarRaw.match(/\b(\d{3}|VRB)(P?\d{2,3})(G(P?\d{2,3}))?KT\b/);
-  if (!m) return null;
-  const dirStr = m[1];
-  const speed = parseInt(m[2].replace("P", ""), 10);
-  const gust = m[4] ? parseInt(m[4].replace("P", ""), 10) : null;
-  if (dirStr === "VRB") return { dir: 0, speed, gust, isCalm: false, isVrb: true };
-  const dir = parseInt(dirStr, 10);
-  if (dir === 0 && speed === 0) return { dir: 0, speed: 0, gust: null, isCalm: true, isVrb: false };
-  return { dir, speed, gust, isCalm: false, isVrb: false };
+  const w = decodeMetar(metarRaw)?.wind;
+  if (!w || w.speedKt == null) return null;
+  if (w.isVrb || w.dir == null) return { dir: 0, speed: w.speedKt, gust: w.gustKt, isCalm: false, isVrb: true };
+  if (w.isCalm) return { dir: 0, speed: 0, gust: null, isCalm: true, isVrb: false };
+  return { dir: w.dir, speed: w.speedKt, gust: w.gustKt, isCalm: false, isVrb: false };
+}
+
+const FLIGHT_CATEGORY_COLORS = { VFR: "#6ee7b7", MVFR: "#60a5fa", IFR: "#f87171", LIFR: "#c084fc" };
+
+function activeCategoryRuleset() {
+  return FLIGHT_CATEGORY_RULESETS[getSettings().categoryRuleset] ?? FLIGHT_CATEGORY_RULESETS.FAA;
+}
+
+/** 視程(m)・シーリング(ft)単独でのカテゴリ（色分け用、null は制限なし扱い） */
+function categoryForValues(visM, ceilFt, ruleset = activeCategoryRuleset()) {
+  return classifyCategory(visM, ceilFt, ruleset);
+}
+
+// METAR・TAF予報値の双方に適用（判定本体は wxDecode.js の conditionsCategory）
+function flightCategory(m, ruleset = activeCategoryRuleset()) {
+  return conditionsCategory(m, ruleset);
+}
+
+/* ========== TAF VERIFICATION — METAR実況とTAFの照合 ========== */
+// 判定は ICAO Annex 3 の TAF 修正基準を目安にした閾値
+const TAF_VIS_BANDS = [800, 1500, 3000, 5000];
+const TAF_CEIL_BANDS = [100, 200, 500, 1000, 1500];
+const TAF_WIND_DIR_DIFF = 60;   // 60°以上の風向差
+const TAF_WIND_DIR_MIN_SPD = 10; // 風向差は平均風速10kt以上のときのみ評価
+const TAF_WIND_SPD_DIFF = 10;   // 平均風速10kt以上の差
+const TAF_GUST_DIFF = 10;       // 予報最大値+10kt以上のガスト
+
+/** 閾値リストのうち値以下のものの数（大きいほど良い） */
+const bandIndex = (v, bands) => v == null ? bands.length : bands.filter(b => v >= b).length;
+
+/** 重要現象キー（TS/FZ/GR/SQ/FC/FG/SN/PL/GS と強い降水） */
+function significantWxKeys(weather) {
+  const keys = new Set();
+  for (const w of weather) {
+    if (w.vicinity) continue;
+    if (w.descriptor === "TS" || w.descriptor === "FZ") keys.add(w.descriptor);
+    w.phenomena.forEach(p => {
+      if (["GR", "GS", "SQ", "FC", "FG", "SN", "PL"].includes(p)) keys.add(p);
+      if (w.intensity === "+") keys.add(`+${p}`);
+    });
+  }
+  return keys;
+}
+
+/**
+ * METAR を観測時刻に有効な TAF と照合
+ * 予報（prevailing / BECMG変化後 / TEMPO・PROB）のいずれにも収まらない要素を bust として返す
+ * → { period, busts: [{ kind, message }] }、有効なTAFがなければ null
+ */
+function verifyMetarAgainstTaf(metar, taf) {
+  if (!metar?.obsTime || !taf) return null;
+  const fc = tafConditionsAt(taf, metar.obsTime, activeCategoryRuleset());
+  if (!fc) return null;
+  const candidates = [fc.prevailing, fc.becoming, ...fc.temporary.map(t => t.cond)].filter(Boolean);
+  const busts = [];
+
+  // 風
+  const w = metar.wind;
+  const fcWinds = candidates.map(c => c.wind).filter(x => x?.speedKt != null);
+  const fcWindText = [...new Set(fcWinds.map(f => f.raw))].join("/");
+  if (w?.speedKt != null && fcWinds.length > 0) {
+    const angDiff = (a, b) => { const d = Math.abs(a - b) % 360; return d > 180 ? 360 - d : d; };
+    const dirOk = w.dir == null || w.isVrb || w.speedKt < TAF_WIND_DIR_MIN_SPD || fcWinds.some(f =>
+      f.dir == null || f.isVrb || angDiff(f.dir, w.dir) < TAF_WIND_DIR_DIFF);
+    if (!dirOk) busts.push({ kind: "WIND", message: `DIR ${String(w.dir).padStart(3, "0")}° vs FCST ${fcWindText}` });
+    const spdOk = fcWinds.some(f => Math.abs(f.speedKt - w.speedKt) < TAF_WIND_SPD_DIFF);
+    if (!spdOk) busts.push({ kind: "WIND", message: `SPD ${w.speedKt}kt vs FCST ${fcWindText}` });
+    const maxFcGust = Math.max(...fcWinds.map(f => f.gustKt ?? f.speedKt));
+    if (w.gustKt != null && w.gustKt >= maxFcGust + TAF_GUST_DIFF) busts.push({ kind: "GUST", message: `G${w.gustKt}kt vs FCST MAX ${maxFcGust}kt` });
+  }
+
+  // 視程・シーリング（予報の最悪値より下のバンドに入ったら bust）
+  const obsVis = metar.cavok ? 10000 : metar.visibility?.m;
+  if (obsVis != null) {
+    const fcVis = candidates.map(c => c.cavok ? 10000 : c.visibility?.m).filter(v => v != null);
+    if (fcVis.length > 0 && bandIndex(obsVis, TAF_VIS_BANDS) < Math.min(...fcVis.map(v => bandIndex(v, TAF_VIS_BANDS)))) {
+      busts.push({ kind: "VIS", message: `VIS ${obsVis}m vs FCST MIN ${Math.min(...fcVis)}m` });
+    }
+  }
+  const fcCeil = candidates.map(c => c.ceiling);
+  if (bandIndex(metar.ceiling, TAF_CEIL_BANDS) < Math.min(...fcCeil.map(c => bandIndex(c, TAF_CEIL_BANDS)))) {
+    const minFc = Math.min(...fcCeil.map(c => c ?? Infinity));
+    busts.push({ kind: "CIG", message: `CIG ${metar.ceiling}ft vs FCST MIN ${Number.isFinite(minFc) ? `${minFc}ft` : "NIL"}` });
+  }
+
+  // 予報されていない重要現象
+  const fcKeys = new Set(candidates.flatMap(c => [...significantWxKeys(c.weather)]));
+  const unforecast = [...significantWxKeys(metar.weather)].filter(k => !fcKeys.has(k));
+  if (unforecast.length > 0) busts.push({ kind: "WX", message: `UNFCST ${unforecast.join(" ")}` });
+
+  const inForce = [fc.becoming ? "BECMG" : null, ...fc.temporary.map(t => t.label)].filter(Boolean);
+  return { period: inForce.length > 0 ? inForce.join(" + ") : "PREVAILING", busts };
+}
+
+/* ========== ALTERNATE MINIMA — 代替空港 計画ミニマ判定 ========== */
+// 進入方式ごとの基準ミニマ（DA/MDA相当 ft, 視程 m）
+const APPROACH_MINIMA_TYPES = {
+  CAT1: { label: "CAT I ILS", ceiling: 200, vis: 550 },
+  RNP: { label: "RNP APCH", ceiling: 400, vis: 1200 },
+  NPA: { label: "NPA (VOR)", ceiling: 600, vis: 1600 },
+};
+// TEMPO/PROB 群の扱い
+const ALTERNATE_TEMPO_RULES = {
+  STRICT: { label: "ALL", note: "TEMPO・PROB30/40 すべてミニマを満たすこと", ignoreProb: [] },
+  IGNORE_PROB30: { label: "NO PROB30", note: "PROB30 は除外、TEMPO・PROB40 は適用", ignoreProb: [30] },
+  IGNORE_PROB: { label: "NO PROB", note: "PROB30/40 は除外、TEMPO のみ適用", ignoreProb: [30, 40] },
+};
+const ALTERNATE_WINDOW_MS = 3600000; // ETA ±1h
+
+/** 設定から計画ミニマ（要求シーリング・視程）を算出 */
+function alternatePlanningMinima(settings = getSettings()) {
+  const base = APPROACH_MINIMA_TYPES[settings.altApproach] ?? APPROACH_MINIMA_TYPES.CAT1;
+  return { ceiling: base.ceiling + settings.altCeilingAdd, vis: base.vis + settings.altVisAdd, approach: base.label };
+}
+
+/**
+ * ETA±1h の TAF を計画ミニマと照合
+ * 15分刻みで有効な群（prevailing / BECMG / TEMPO・PROB）を拾い、最も低いシーリング・視程を与えた群を governing とする
+ * → { status: "PASS"|"FAIL"|"NO TAF"|"NOT VALID", worstCeil, worstVis, governing: { ceiling, vis }, ... }
+ */
+function checkAlternateMinima(taf, eta, settings = getSettings()) {
+  const req = alternatePlanningMinima(settings);
+  if (!taf?.base) return { status: "NO TAF", req };
+  const from = new Date(eta.getTime() - ALTERNATE_WINDOW_MS);
+  const to = new Date(eta.getTime() + ALTERNATE_WINDOW_MS);
+  if (from < taf.validFrom || to > taf.validTo) return { status: "NOT VALID", req };
+
+  const ignoreProb = ALTERNATE_TEMPO_RULES[settings.altTempoRule]?.ignoreProb ?? [];
+  let worstCeil = { v: Infinity, label: null }, worstVis = { v: Infinity, label: null };
+  for (let t = from.getTime(); t < to.getTime(); t += 900000) {
+    const fc = tafConditionsAt(taf, new Date(t), activeCategoryRuleset());
+    if (!fc) continue;
+    const groups = [
+      { cond: fc.prevailing, label: fc.prevailingLabel },
+      fc.becoming && { cond: fc.becoming, label: fc.becomingLabel },
+      ...fc.temporary.filter(x => !(x.prob && ignoreProb.includes(x.prob))).map(x => ({ cond: x.cond, label: x.label })),
+    ].filter(Boolean);
+    for (const g of groups) {
+      const ceil = g.cond.ceiling ?? Infinity;
+      const vis = g.cond.cavok ? 10000 : g.cond.visibility?.m ?? Infinity;
+      if (ceil < worstCeil.v) worstCeil = { v: ceil, label: g.label };
+      if (vis < worstVis.v) worstVis = { v: vis, label: g.label };
+    }
+  }
+  const ceilOk = worstCeil.v >= req.ceiling;
+  const visOk = worstVis.v >= req.vis;
+  return {
+    status: ceilOk && visOk ? "PASS" : "FAIL",
+    req,
+    ceilOk, visOk,
+    worstCeil: Number.isFinite(worstCeil.v) ? worstCeil.v : null,
+    worstVis: Number.isFinite(worstVis.v) ? worstVis.v : null,
+    // 不合格ならその原因となった群、合格なら余裕が最も小さい側の群
+    governing: !ceilOk ? worstCeil.label : !visOk ? worstVis.label
+      : ((worstCeil.v - req.ceiling) / req.ceiling <= (worstVis.v - req.vis) / req.vis ? worstCeil.label : worstVis.label),
+  };
+}
+
+/* ========== METAR CHANGE ALERTS — SPECI・顕著な変化の検知 ========== */
+const ALERT_PREFS_KEY = "wx-dashboard-alert-prefs";
+const ALERT_QNH_JUMP = 2;       // hPa — 連続する通報間のQNH変化
+const ALERT_ONSET_WX = ["TS", "FZ", "FG", "SN", "GR", "SQ", "FC", "PL"];
+
+/** 全滑走路が機種の横風/背風制限を超えているか（使える滑走路がない状態） */
+function runwayWindExceeded(metar, icao) {
+  const runways = RUNWAY_DATA[icao];
+  const w = metar?.wind;
+  if (!runways || !w || w.dir == null || w.isVrb || w.isCalm || w.speedKt == null) return null;
+  const profile = activeAircraftProfile();
+  const rwyCond = runwayConditionFromMetar(metar);
+  const comps = calcWindComponents(trueToMagnetic(w.dir, airportDeclination(icao)), w.speedKt, w.gustKt, runways);
+  const rwycc = (c) => {
+    const rcr = runwayConditionFor(icao, c.rwyName);
+    return rcr && !rcr.stale ? rcr.minCode : null;
+  };
+  if (comps.some(c => evaluateWindLimits(c, profile, rwyCond, rwycc(c)).within)) return null;
+  const best = comps[0];
+  const e = evaluateWindLimits(best, profile, rwyCond, rwycc(best));
+  const cond = rwycc(best) != null ? `RWYCC ${rwycc(best)}` : rwyCond;
+  return `RWY ${best.rwyName} XW ${e.xwKt}kt${e.twKt > 0 ? ` TW ${e.twKt}kt` : ""} ${profile.label} ${cond}`;
+}
+
+/**
+ * 前回 → 今回の METAR 変化を分類（history: 同局の履歴、SPECI 判定で定時の分を推定）
+ * → [{ kind: "SPECI"|"CAT"|"WIND"|"WX"|"QNH", message }]（該当なしは空配列）
+ */
+function classifyMetarChange(prev, next, icao, history) {
+  if (!next) return [];
+  const alerts = [];
+  if (isSpeci(next, history)) alerts.push({ kind: "SPECI", message: `SPECI ${next.obsTimeRaw}` });
+  if (!prev) return alerts;
+
+  const pc = flightCategory(prev), nc = flightCategory(next);
+  if (pc && nc && FLIGHT_CATEGORY_ORDER.indexOf(nc) > FLIGHT_CATEGORY_ORDER.indexOf(pc)) {
+    alerts.push({ kind: "CAT", message: `${pc} → ${nc}` });
+  }
+
+  const exceeded = runwayWindExceeded(next, icao);
+  if (exceeded && !runwayWindExceeded(prev, icao)) {
+    alerts.push({ kind: "WIND", message: `${next.wind.raw} 全RWY制限超過 (${exceeded})` });
+  }
+
+  const keys = (m) => new Set(m.weather.flatMap(w => [w.descriptor, ...w.phenomena]).filter(k => ALERT_ONSET_WX.includes(k)));
+  const before = keys(prev);
+  const onset = [...keys(next)].filter(k => !before.has(k));
+  if (onset.length > 0) {
+    alerts.push({ kind: "WX", message: `ONSET ${onset.join(" ")} (${next.weather.map(w => w.raw).join(" ")})` });
+  }
+
+  if (prev.qnh && next.qnh && Math.abs(next.qnh.hpa - prev.qnh.hpa) >= ALERT_QNH_JUMP) {
+    const d = next.qnh.hpa - prev.qnh.hpa;
+    alerts.push({ kind: "QNH", message: `Q${prev.qnh.hpa} → Q${next.qnh.hpa} (${d > 0 ? "+" : ""}${d})` });
+  }
+  return alerts;
+}
+
+/** アラート音（WebAudio 2音チャイム） */
+function playAlertChime() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    const ctx = new Ctx();
+    [880, 660].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const t = ctx.currentTime + i * 0.25;
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, t);
+      gain.gain.exponentialRampToValueAtTime(0.2, t + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.22);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(t);
+      osc.stop(t + 0.24);
+    });
+    setTimeout(() => ctx.close(), 800);
+  } catch { /* silent */ }
+}
+
+/** ブラウザ通知（許可済みの場合のみ） */
+function showAlertNotification(title, body, tag) {
+  try {
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    new Notification(title, { body, tag, renotify: true });
+  } catch { /* silent */ }
 }
 
 // Calculate crosswind & tailwind components for each unique runway heading
@@ -997,15 +1617,308 @@ function calcWindComponents(windDir, windSpeed, gustSpeed, runways) {
   return results;
 }
 
-// Crosswind severity color
-function crosswindSeverity(xwKt) {
+// Crosswind severity color — 制限値に対する余裕で判定（制限値なしは従来の10/15/20kt区分）
+function crosswindSeverity(xwKt, limitKt) {
   const abs = Math.abs(xwKt);
+  if (limitKt != null) {
+    if (abs > limitKt) return "#f87171";
+    if (abs > limitKt - 5) return "#fbbf24";
+    if (abs > limitKt - 10) return "#60a5fa";
+    return "#6ee7b7";
+  }
   if (abs < 10) return "#6ee7b7";
   if (abs < 15) return "#60a5fa";
   if (abs < 20) return "#fbbf24";
   return "#f87171";
 }
 
+/* ========== AIRCRAFT WIND LIMITS — 機種別 横風・背風制限 ========== */
+// 横風はガスト込み、背風は平均風で評価。値は社内規定に合わせて調整すること
+// xwRwycc: GRF 滑走路状態コード別の横風制限（index = RWYCC 0〜6、RWYCC 0 は運航不可）
+const AIRCRAFT_WIND_PROFILES = {
+  B737: { label: "B737-800", xw: { DRY: 33, WET: 25, CONTAMINATED: 15 }, xwRwycc: [0, 13, 17, 20, 22, 25, 33], tailwind: 15 },
+  B767: { label: "B767-300ER", xw: { DRY: 40, WET: 25, CONTAMINATED: 15 }, xwRwycc: [0, 12, 17, 20, 22, 25, 40], tailwind: 10 },
+  A320: { label: "A320", xw: { DRY: 38, WET: 33, CONTAMINATED: 15 }, xwRwycc: [0, 15, 20, 25, 29, 29, 38], tailwind: 15 },
+};
+const RUNWAY_CONDITIONS = ["DRY", "WET", "CONTAMINATED"];
+
+function activeAircraftProfile() {
+  return AIRCRAFT_WIND_PROFILES[getSettings().aircraftProfile] ?? AIRCRAFT_WIND_PROFILES.B737;
+}
+
+/** METAR の現在天気から滑走路状態を推定（雪・凍結性降水→CONTAMINATED、降水→WET） */
+function runwayConditionFromMetar(m) {
+  if (!m) return "DRY";
+  const wx = m.weather.filter(w => !w.vicinity);
+  if (wx.some(w => w.descriptor === "FZ" || w.phenomena.some(p => ["SN", "SG", "PL", "GR", "GS", "IC"].includes(p)))) return "CONTAMINATED";
+  if (wx.some(w => w.phenomena.some(p => ["RA", "DZ", "UP"].includes(p)))) return "WET";
+  return "DRY";
+}
+
+/**
+ * calcWindComponents の1滑走路分を機種制限と照合
+ * rwycc（有効なRCRの最低コード）があれば RWYCC 別制限を優先
+ */
+function evaluateWindLimits(comp, profile, rwyCond, rwycc = null) {
+  const xwKt = Math.round(Math.max(Math.abs(comp.xw), Math.abs(comp.gustXw ?? 0)));
+  const twKt = Math.round(comp.tailwind);
+  const xwLimit = rwycc != null ? profile.xwRwycc[rwycc] : profile.xw[rwyCond] ?? profile.xw.DRY;
+  const twLimit = profile.tailwind;
+  const xwExceed = xwKt - xwLimit;
+  const twExceed = twKt - twLimit;
+  const noOps = rwycc === 0;
+  return { xwKt, xwLimit, xwExceed, twKt, twLimit, twExceed, noOps, within: !noOps && xwExceed <= 0 && twExceed <= 0 };
+}
+
+/* ========== RUNWAY CONDITION REPORT — GRF (RCR/SNOWTAM) ========== */
+// ICAO GRF 形式: "RJCC 12210630 01L 5/5/2 100/100/75 NR/NR/06 WET/WET/SLUSH"
+// 位置/評価時刻(MMDDhhmm)/低番号側の滑走路/三分割ごとのRWYCC/被覆率/深さ/状態
+const RCR_KEY = "wx-dashboard-rcr";
+const RCR_VALID_MS = 8 * 3600000; // SNOWTAM 有効期間（評価から8h）
+const RCR_HEADER_RE = /\b([A-Z]{4})\s+(\d{2})(\d{2})(\d{2})(\d{2})\s+(\d{2}[LCR]?)\s+([0-6])\/([0-6])\/([0-6])\b/g;
+// 状態記述（G項）に現れる語。これ以外の語（状況認識欄など）で記述の終端とみなす
+const RCR_CONTAMINANT_WORDS = new Set([
+  "DRY", "WET", "SNOW", "COMPACTED", "ON", "TOP", "OF", "ICE", "FROST", "SLUSH",
+  "STANDING", "WATER", "CHEMICALLY", "TREATED", "SPECIALLY", "PREPARED", "WINTER", "RUNWAY", "NR",
+]);
+const RWYCC_LABELS = ["NIL", "POOR", "MED-POOR", "MEDIUM", "GOOD-MED", "GOOD", "DRY"];
+
+/** 逆方向の滑走路名（01L ↔ 19R） */
+function reciprocalRunway(rwy) {
+  const m = rwy.match(/^(\d{2})([LCR]?)$/);
+  if (!m) return null;
+  const num = (+m[1] + 18 - 1) % 36 + 1;
+  return String(num).padStart(2, "0") + ({ L: "R", R: "L", C: "C" }[m[2]] ?? "");
+}
+
+/**
+ * RCR/SNOWTAM 本文を解析（A)〜H) 項目ラベル付きでも1行形式でも可）
+ * → [{ icao, rwy, assessed(Date), rwycc[3], coverage[3], depth[3], contaminants[3], raw }]
+ */
+function parseRunwayConditionReport(text, ref = new Date()) {
+  const body = text.toUpperCase().replace(/\b[A-H]\)\s*/g, " ").replace(/[()]/g, " ").replace(/\s+/g, " ");
+  const heads = [...body.matchAll(RCR_HEADER_RE)];
+  return heads.map((h, i) => {
+    const [, icao, mo, dd, hh, mi, rwy, c1, c2, c3] = h;
+    // 年はまたぎを考慮（参照時刻より1日以上未来なら前年）
+    let assessed = new Date(Date.UTC(ref.getUTCFullYear(), +mo - 1, +dd, +hh, +mi));
+    if (assessed.getTime() > ref.getTime() + 86400000) assessed = new Date(Date.UTC(ref.getUTCFullYear() - 1, +mo - 1, +dd, +hh, +mi));
+
+    // ヘッダ以降〜次の滑走路ヘッダまでから 被覆率/深さ/状態 の三つ組を順に拾う
+    const rest = body.slice(h.index + h[0].length, heads[i + 1]?.index ?? body.length).trim().split(" ");
+    const triplet = (tok) => /^(NR|\d{1,3})\/(NR|\d{1,3})\/(NR|\d{1,3})$/.test(tok) ? tok.split("/").map(v => v === "NR" ? null : +v) : null;
+    let k = 0;
+    const coverage = triplet(rest[k] ?? "") ? triplet(rest[k++]) : [null, null, null];
+    const depth = triplet(rest[k] ?? "") ? triplet(rest[k++]) : [null, null, null];
+    let cont = "";
+    while (k < rest.length && rest[k].split("/").every(w => w === "" || RCR_CONTAMINANT_WORDS.has(w))) {
+      cont += (cont ? " " : "") + rest[k++];
+    }
+    const parts = cont.split("/").map(s => s.trim());
+    const contaminants = parts.length === 3 ? parts : [null, null, null];
+
+    return {
+      icao, rwy, assessed,
+      rwycc: [+c1, +c2, +c3],
+      coverage, depth, contaminants,
+      raw: h[0],
+    };
+  });
+}
+
+let currentRcr = (() => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RCR_KEY) ?? "[]");
+    return stored.map(r => ({ ...r, assessed: new Date(r.assessed) }));
+  } catch { return []; }
+})();
+const rcrListeners = new Set();
+
+function getRunwayConditionReports() { return currentRcr; }
+
+/** 同一空港・滑走路は評価時刻の新しい方で置き換え */
+function storeRunwayConditionReports(reports) {
+  const key = (r) => `${r.icao}/${r.rwy}`;
+  const merged = new Map(currentRcr.map(r => [key(r), r]));
+  for (const r of reports) {
+    const prev = merged.get(key(r));
+    if (!prev || prev.assessed.getTime() <= r.assessed.getTime()) merged.set(key(r), r);
+  }
+  currentRcr = [...merged.values()].sort((a, b) => key(a).localeCompare(key(b)));
+  try { localStorage.setItem(RCR_KEY, JSON.stringify(currentRcr)); } catch { /* silent */ }
+  rcrListeners.forEach(fn => fn(currentRcr));
+}
+
+function clearRunwayConditionReports(icao) {
+  currentRcr = icao ? currentRcr.filter(r => r.icao !== icao) : [];
+  try { localStorage.setItem(RCR_KEY, JSON.stringify(currentRcr)); } catch { /* silent */ }
+  rcrListeners.forEach(fn => fn(currentRcr));
+}
+
+function useRunwayConditionReports() {
+  const [reports, setReports] = useState(currentRcr);
+  useEffect(() => {
+    rcrListeners.add(setReports);
+    return () => { rcrListeners.delete(setReports); };
+  }, []);
+  return reports;
+}
+
+/**
+ * 滑走路端（例 "19R"）に対応する有効なRCR
+ * RCRは低番号側から見た三分割のため、逆方向なら並びを反転して返す
+ * → { ...report, thirds[3], minCode, stale } | null
+ */
+function runwayConditionFor(icao, rwyEnd, now = new Date()) {
+  const recip = reciprocalRunway(rwyEnd);
+  const r = currentRcr.find(x => x.icao === icao && x.rwy === rwyEnd)
+    ?? currentRcr.find(x => x.icao === icao && x.rwy === recip);
+  if (!r) return null;
+  const thirds = r.rwy === rwyEnd ? r.rwycc : [...r.rwycc].reverse();
+  return {
+    ...r, thirds,
+    minCode: Math.min(...r.rwycc),
+    stale: now.getTime() - r.assessed.getTime() > RCR_VALID_MS,
+  };
+}
+
+function rwyccColor(code) {
+  if (code >= 5) return "#6ee7b7";
+  if (code >= 3) return "#fbbf24";
+  if (code >= 1) return "#fb923c";
+  return "#f87171";
+}
+
+/* ========== GEOMAGNETIC — WMM2025 磁気偏差 ========== */
+// World Magnetic Model 2025 (NOAA/BGS) 係数 — 有効期間 2024-11 〜 2029-11
+// [n, m, g, h, ġ, ḣ]  単位 nT, nT/yr
+const WMM_EPOCH = 2025.0;
+const WMM_COEFFS = [
+  [1, 0, -29351.8, 0, 12, 0], [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0, -11.6, 0], [2, 1, 2951.1, -3133.6, -5.2, -27.7], [2, 2, 1649.3, -815.1, -8, -12.1],
+  [3, 0, 1361, 0, -1.3, 0], [3, 1, -2404.1, -56.6, -4.2, 4], [3, 2, 1243.8, 237.5, 0.4, -0.3], [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895, 0, -1.6, 0], [4, 1, 799.5, 278.6, -2.4, -1.1], [4, 2, 55.7, -133.9, -6, 4.1], [4, 3, -281.1, 212, 5.6, 1.6], [4, 4, 12.1, -375.6, -7, -4.4],
+  [5, 0, -233.2, 0, 0.6, 0], [5, 1, 368.9, 45.4, 1.4, -0.5], [5, 2, 187.2, 220.2, 0, 2.2], [5, 3, -138.7, -122.9, 0.6, 0.4], [5, 4, -142, 43, 2.2, 1.7], [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0, -0.2, 0], [6, 1, 63.8, -18.4, -0.4, 0.3], [6, 2, 76.9, 16.8, 0.9, -1.6], [6, 3, -115.7, 48.8, 1.2, -0.4], [6, 4, -40.9, -59.8, -0.9, 0.9], [6, 5, 14.9, 10.9, 0.3, 0.7], [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0, 0, 0], [7, 1, -77, -48.9, -0.1, 0.6], [7, 2, -8.8, -14.4, -0.1, 0.5], [7, 3, 59.3, -1, 0.5, -0.8], [7, 4, 15.8, 23.4, -0.1, 0], [7, 5, 2.5, -7.4, -0.8, -1], [7, 6, -11.1, -25.1, -0.8, 0.6], [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0, -0.1, 0], [8, 1, 10.8, 7.1, 0.2, -0.2], [8, 2, -17.5, -12.6, 0, 0.5], [8, 3, 2, 11.4, 0.5, -0.4], [8, 4, -21.7, -9.7, -0.1, 0.4], [8, 5, 16.9, 12.7, 0.3, -0.5], [8, 6, 15, 0.7, 0.2, -0.6], [8, 7, -16.8, -5.2, 0, 0.3], [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0, 0, 0], [9, 1, 7.8, -24.8, -0.1, -0.3], [9, 2, 3, 12.2, 0.1, 0.3], [9, 3, -0.2, 8.3, 0.3, -0.3], [9, 4, -2.5, -3.3, -0.3, 0.3], [9, 5, -13.1, -5.2, 0, 0.2], [9, 6, 2.4, 7.2, 0.3, -0.1], [9, 7, 8.6, -0.6, -0.1, -0.2], [9, 8, -8.7, 0.8, 0.1, 0.4], [9, 9, -12.9, 10, -0.1, 0.1],
+  [10, 0, -1.3, 0, 0.1, 0], [10, 1, -6.4, 3.3, 0, 0], [10, 2, 0.2, 0, 0.1, 0], [10, 3, 2, 2.4, 0.1, -0.2], [10, 4, -1, 5.3, 0, 0.1], [10, 5, -0.6, -9.1, -0.3, -0.1], [10, 6, -0.9, 0.4, 0, 0.1], [10, 7, 1.5, -4.2, -0.1, 0], [10, 8, 0.9, -3.8, -0.1, -0.1], [10, 9, -2.7, 0.9, 0, 0.2], [10, 10, -3.9, -9.1, 0, 0],
+  [11, 0, 2.9, 0, 0, 0], [11, 1, -1.5, 0, 0, 0], [11, 2, -2.5, 2.9, 0, 0.1], [11, 3, 2.4, -0.6, 0, 0], [11, 4, -0.6, 0.2, 0, 0.1], [11, 5, -0.1, 0.5, -0.1, 0], [11, 6, -0.6, -0.3, 0, 0], [11, 7, -0.1, -1.2, 0, 0.1], [11, 8, 1.1, -1.7, -0.1, 0], [11, 9, -1, -2.9, -0.1, 0], [11, 10, -0.2, -1.8, -0.1, 0], [11, 11, 2.6, -2.3, -0.1, 0],
+  [12, 0, -2, 0, 0, 0], [12, 1, -0.2, -1.3, 0, 0], [12, 2, 0.3, 0.7, 0, 0], [12, 3, 1.2, 1, 0, -0.1], [12, 4, -1.3, -1.4, 0, 0.1], [12, 5, 0.6, 0, 0, 0], [12, 6, 0.6, 0.6, 0.1, 0], [12, 7, 0.5, -0.1, 0, 0], [12, 8, -0.1, 0.8, 0, 0], [12, 9, -0.4, 0.1, 0, 0], [12, 10, -0.2, -1, -0.1, 0], [12, 11, -1.3, 0.1, 0, 0], [12, 12, -0.7, 0.2, -0.1, -0.1],
+];
+
+/**
+ * 磁気偏差（°、東偏が正）
+ * WGS84 測地座標 → 地心球座標に変換し、Schmidt 準正規化ルジャンドル関数で主磁場を展開
+ */
+function magneticDeclination(lat, lon, date = new Date(), altKm = 0) {
+  const deg = Math.PI / 180;
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const yearLen = Date.UTC(date.getUTCFullYear() + 1, 0, 1) - yearStart;
+  const dt = date.getUTCFullYear() + (date.getTime() - yearStart) / yearLen - WMM_EPOCH;
+
+  // 測地 → 地心
+  const A = 6378.137, F = 1 / 298.257223563, E2 = F * (2 - F), RE = 6371.2;
+  const phi = lat * deg, lam = lon * deg;
+  const rc = A / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+  const p = (rc + altKm) * Math.cos(phi);
+  const z = (rc * (1 - E2) + altKm) * Math.sin(phi);
+  const r = Math.hypot(p, z);
+  const phiC = Math.asin(z / r);
+  const cosT = Math.sin(phiC), sinT = Math.cos(phiC); // θ = 余緯度
+
+  // 非正規化ルジャンドル P[n][m](cosθ) と dP/dθ
+  const N = 12;
+  const P = Array.from({ length: N + 1 }, () => new Array(N + 1).fill(0));
+  const dP = Array.from({ length: N + 1 }, () => new Array(N + 1).fill(0));
+  P[0][0] = 1;
+  for (let n = 1; n <= N; n++) {
+    for (let m = 0; m <= n; m++) {
+      if (m === n) P[n][m] = (2 * n - 1) * sinT * P[n - 1][m - 1];
+      else P[n][m] = ((2 * n - 1) * cosT * P[n - 1][m] - (n + m - 1) * (n >= 2 ? P[n - 2][m] : 0)) / (n - m);
+      dP[n][m] = (n * cosT * P[n][m] - (n + m) * (m <= n - 1 ? P[n - 1][m] : 0)) / sinT;
+    }
+  }
+  const fact = (k) => { let f = 1; for (let i = 2; i <= k; i++) f *= i; return f; };
+
+  let X = 0, Y = 0, Z = 0;
+  for (const [n, m, g0, h0, gd, hd] of WMM_COEFFS) {
+    const g = g0 + dt * gd, h = h0 + dt * hd;
+    const schmidt = Math.sqrt((m === 0 ? 1 : 2) * fact(n - m) / fact(n + m));
+    const pnm = P[n][m] * schmidt, dpnm = dP[n][m] * schmidt;
+    const rr = (RE / r) ** (n + 2);
+    const cm = Math.cos(m * lam), sm = Math.sin(m * lam);
+    X += rr * (g * cm + h * sm) * dpnm;
+    Y += rr * m * (g * sm - h * cm) * pnm / sinT;
+    Z -= rr * (n + 1) * (g * cm + h * sm) * pnm;
+  }
+  // 地心 → 測地の北向き成分に回転
+  const psi = phiC - phi;
+  const Xg = X * Math.cos(psi) - Z * Math.sin(psi);
+  return Math.atan2(Y, Xg) / deg;
+}
+
+/** 空港の磁気偏差（座標がなければ null） */
+function airportDeclination(icao, date = new Date()) {
+  const ap = AIRPORTS.find(a => a.icao === icao);
+  if (ap?.lat == null) return null;
+  return magneticDeclination(ap.lat, ap.lon, date);
+}
+
+/** 真方位 → 磁方位（偏差不明ならそのまま） */
+function trueToMagnetic(dirTrue, decl) {
+  if (decl == null) return dirTrue;
+  return Math.round((dirTrue - decl + 360) % 360);
+}
+
+/** 偏差表記 "8°W" / "3°E" */
+function formatVariation(decl) {
+  if (decl == null) return "N/A";
+  return `${Math.abs(decl).toFixed(0)}°${decl < 0 ? "W" : "E"}`;
+}
+
+/* ========== ALTITUDE — 気圧高度・密度高度・低温補正 ========== */
+const ISA_LAPSE_FT = 0.00198; // °C/ft
+const COLD_TEMP_HAA_FT = [200, 300, 500, 1000, 1500, 2000, 3000, 4000, 5000];
+
+function airportElevation(icao) {
+  return AIRPORTS.find(a => a.icao === icao)?.elev ?? null;
+}
+
+/**
+ * 飛行場の高度諸元（ISA 標準大気）
+ * → { elev, stationHpa, pressureAlt, isaTemp, isaDev, densityAlt } | null
+ */
+function altitudeFigures(elevFt, tempC, dewpointC, qnhHpa) {
+  if (elevFt == null || tempC == null || qnhHpa == null) return null;
+  // QNH → 飛行場気圧（ISA 逆算）→ 気圧高度
+  const stationHpa = qnhHpa * (1 - 6.8756e-6 * elevFt) ** 5.2559;
+  const pressureAlt = 145366.45 * (1 - (stationHpa / 1013.25) ** 0.190284);
+  const isaTemp = 15 - ISA_LAPSE_FT * pressureAlt;
+  // 密度高度 — 露点があれば水蒸気分圧を考慮
+  const T = tempC + 273.15;
+  const e = dewpointC != null ? 6.1078 * 10 ** (7.5 * dewpointC / (237.3 + dewpointC)) : 0;
+  const rho = ((stationHpa - e) * 100) / (287.058 * T) + (e * 100) / (461.495 * T);
+  const densityAlt = 145442.16 * (1 - (rho / 1.225) ** 0.234969);
+  return {
+    elev: elevFt, stationHpa,
+    pressureAlt: Math.round(pressureAlt),
+    isaTemp, isaDev: tempC - isaTemp,
+    densityAlt: Math.round(densityAlt),
+  };
+}
+
+/**
+ * 低温補正量 ft（ICAO PANS-OPS Doc 8168 近似式、10ft 単位で切り上げ）
+ * haaFt: 高度規正値発表地点からの高さ、elevFt: 同地点標高、tempC: 同地点気温
+ */
+function coldTemperatureCorrection(haaFt, elevFt, tempC) {
+  const t0 = tempC + ISA_LAPSE_FT * elevFt; // 海面換算気温
+  const corr = haaFt * (15 - t0) / (273 + t0 - 0.5 * ISA_LAPSE_FT * (haaFt + elevFt));
+  return Math.max(0, Math.ceil(corr / 10) * 10);
+}
+
 const IATA_TO_ICAO = {
   HND: "RJTT", NRT: "RJAA", CTS: "RJCC", OBO: "RJCB", AKJ: "RJEC",
   AOJ: "RJSA", OKJ: "RJOB", MYJ: "RJOM", FUK: "RJFF", ITM: "RJOO",
@@ -1278,6 +2191,8 @@ const QUICK_AIRPORTS = [
 
 function MetarQuickStatus() {
   const [data, setData] = useState({});
+  useSettings();
+  const ruleset = activeCategoryRuleset();
 
   useEffect(() => {
     const fetchAll = async () => {
@@ -1286,35 +2201,18 @@ function MetarQuickStatus() {
         const text = await fetchMetarRaw(icaos);
         const lines = text.split("\n").filter(Boolean);
         const parsed = {};
-        for (let line of lines) {
-          // AWC形式 "METAR RJTT..." / "SPECI RJTT..." のプレフィックス除去
-          line = line.replace(/^(METAR|SPECI)\s+/, "");
-          const icao = line.slice(0, 4);
-          // 風抽出
-          const windMatch = line.match(/\b(\d{3}|VRB)(\d{2,3})(G\d{2,3})?KT\b/);
-          const wind = windMatch ? windMatch[0] : "---";
-          // 視程抽出 — 風の後の最初の独立4桁数字が視程(m)
-          const afterWind = line.replace(/.*?\d{3,5}(G\d{2,3})?KT\b/, "");
-          const visMatch = afterWind.match(/\b(\d{4})\b/);
-          const vis = visMatch ? visMatch[1] : "----";
-          // 雲抽出（表示用=最低雲底、ceiling判定=BKN/OVC/VVのみ）
-          const cloudMatches = [...line.matchAll(/(FEW|SCT|BKN|OVC|VV)(\d{3})/g)];
-          const clouds = cloudMatches.length > 0 ? cloudMatches[0][0] : (line.includes("CAVOK") ? "CAVOK" : "---");
-          const ceilingMatch = cloudMatches.find(m => /^(BKN|OVC|VV)/.test(m[0]));
+        for (const line of lines) {
+          const m = decodeMetar(line);
+          if (!m) continue;
+          const icao = m.station;
+          const vis = m.visibility ? String(m.visibility.m) : "----";
+          // 雲（表示用=最低雲底）
+          const lowest = [...m.clouds].sort((a, b) => (a.base ?? 99999) - (b.base ?? 99999))[0];
+          const clouds = m.vv != null ? `VV${String(m.vv / 100).padStart(3, "0")}` : lowest ? lowest.raw : (m.cavok ? "CAVOK" : "---");
           // 現象
-          const wxMatch = line.match(/\b(\+?-?)(TS|TSRA|RA|SN|FG|BR|HZ|DZ|GR|SQ|FC|SS|DS|FZRA|FZDZ|SHRA|SHSN)\b/);
-          const wx = wxMatch ? wxMatch[0] : "";
-          // ステータス判定 — FAA基準: LIFR <500ft/<1SM, IFR <1000ft/<3SM, MVFR <3000ft/<5SM
-          const visNum = parseInt(vis, 10);
-          const ceilFt = ceilingMatch ? parseInt(ceilingMatch[2], 10) * 100 : 99999;
-          let status = "VFR";
-          let statusColor = "#6ee7b7";
-          if (visNum < 1600 || ceilFt < 500) { status = "LIFR"; statusColor = "#c084fc"; }
-          else if (visNum < 4800 || ceilFt < 1000) { status = "IFR"; statusColor = "#f87171"; }
-          else if (visNum < 8000 || ceilFt < 3000) { status = "MVFR"; statusColor = "#60a5fa"; }
-          if (line.includes("CAVOK")) { status = "VFR"; statusColor = "#6ee7b7"; }
-
-          parsed[icao] = { wind, vis, clouds, wx, status, statusColor, raw: line };
+          const wx = m.weather.map(w => w.raw).join(" ");
+
+          parsed[icao] = { vis, clouds, wx, decoded: m, raw: m.raw };
         }
         setData(parsed);
       } catch { /* silent */ }
@@ -1328,7 +2226,10 @@ function MetarQuickStatus() {
     <PanelFrame title="METAR STATUS" code="QCK" style={{ padding: "0" }}>
       <div style={{ padding: "14px 10px 6px" }}>
         {QUICK_AIRPORTS.map(ap => {
-          const d = data[ap.icao];
+          const q = data[ap.icao];
+          // カテゴリは設定変更に追従するよう描画時に判定
+          const d = q && { ...q, wind: fmtWindGroup(q.decoded.wind), status: flightCategory(q.decoded, ruleset) };
+          if (d) d.statusColor = FLIGHT_CATEGORY_COLORS[d.status];
           return (
             <div key={ap.icao} style={{
               display: "flex", alignItems: "center", gap: "6px",
@@ -1377,12 +2278,7 @@ function MetarQuickStatus() {
         display: "flex", gap: "8px", padding: "4px 10px 8px", flexWrap: "wrap",
         borderTop: "1px solid rgba(110,231,183,0.05)",
       }}>
-        {[
-          { label: "VFR", color: "#6ee7b7" },
-          { label: "MVFR", color: "#60a5fa" },
-          { label: "IFR", color: "#f87171" },
-          { label: "LIFR", color: "#c084fc" },
-        ].map(c => (
+        {["VFR", ...ruleset.categories.map(c => c.cat).reverse()].map(label => ({ label, color: FLIGHT_CATEGORY_COLORS[label] })).map(c => (
           <div key={c.label} style={{ display: "flex", alignItems: "center", gap: "3px" }}>
             <div style={{ width: "4px", height: "4px", borderRadius: "50%", background: c.color }} />
             <span style={{ fontSize: "7px", color: "#334155", fontFamily: "'JetBrains Mono', monospace", letterSpacing: "0.5px" }}>{c.label}</span>
@@ -1395,6 +2291,7 @@ function MetarQuickStatus() {
 
 /* ========== UPPER-AIR DATA TABLE — PRIMARY DISPLAY下 ========== */
 function UpperAirTable() {
+  useSettings();
   const [airportData, setAirportData] = useState({});
   const [dataLoading, setDataLoading] = useState(true);
   const [dataError, setDataError] = useState(null);
@@ -1421,7 +2318,7 @@ function UpperAirTable() {
         if (!res.ok) throw new Error(`${ap.icao}: HTTP ${res.status}`);
         const json = await res.json();
         const idx = Math.min(new Date().getUTCHours(), (json.hourly?.time?.length ?? 1) - 1);
-        const toKt = (v) => v != null ? Math.round(v * 0.539957) : null;
+        const toKt = (v) => v != null ? Math.round(v * KMH_TO_KT) : null;
         results[ap.icao] = {
           wind300spd: toKt(json.hourly?.windspeed_300hPa?.[idx]),
           wind300dir: json.hourly?.winddirection_300hPa?.[idx] != null ? Math.round(json.hourly.winddirection_300hPa[idx]) : null,
@@ -1448,10 +2345,6 @@ function UpperAirTable() {
     return () => clearInterval(iv);
   }, []);
 
-  const fmtWind = (dir, spd) => {
-    if (dir == null || spd == null) return "---/---KT";
-    return `${String(dir).padStart(3, "0")}/${String(spd).padStart(3, "0")}KT`;
-  };
   const jetColor = (spd) => {
     if (spd == null) return "#475569";
     if (spd >= 120) return "#f87171";
@@ -1530,14 +2423,14 @@ function UpperAirTable() {
                   <td style={{ padding: "4px 8px", fontSize: "9px", fontWeight: 700, color: "#6ee7b7" }}>
                     {ap.icao}<span style={{ marginLeft: "4px", fontSize: "7px", color: "#334155", fontWeight: 400 }}>{ap.name}</span>
                   </td>
-                  <td style={{ padding: "4px 8px", textAlign: "right", fontSize: "9px", color: jetColor(d.wind300spd) }}>{fmtWind(d.wind300dir, d.wind300spd)}</td>
-                  <td style={{ padding: "4px 8px", textAlign: "right", fontSize: "9px", color: jetColor(d.wind250spd) }}>{fmtWind(d.wind250dir, d.wind250spd)}</td>
+                  <td style={{ padding: "4px 8px", textAlign: "right", fontSize: "9px", color: jetColor(d.wind300spd) }}>{fmtUpperWind(d.wind300dir, d.wind300spd)}</td>
+                  <td style={{ padding: "4px 8px", textAlign: "right", fontSize: "9px", color: jetColor(d.wind250spd) }}>{fmtUpperWind(d.wind250dir, d.wind250spd)}</td>
                   <td style={{
                     padding: "4px 8px", textAlign: "right", fontSize: "9px",
                     fontWeight: isWinter ? 700 : 400, color: temp850Color(d.temp850),
                     background: isWinter ? "rgba(96,165,250,0.04)" : "transparent",
                   }}>
-                    {d.temp850 != null ? `${d.temp850 > 0 ? "+" : ""}${d.temp850}` : "---"}
+                    {fmtUpperTemp(d.temp850)}
                   </td>
                   <td style={{
                     padding: "4px 8px", textAlign: "right", fontSize: "9px",
@@ -1885,13 +2778,51 @@ function TodayDutyBar() {
   );
 }
 
+/* ========== DECODED METAR — 設定単位でのデコード表示 ========== */
+// 生電文の単位（KT/MPS、m/SM、Q/A）によらず同じ単位で並べる
+function DecodedMetarLine({ metarRaw }) {
+  useSettings();
+  const m = decodeMetar(metarRaw);
+  if (!m) return null;
+  const lowest = [...m.clouds].sort((a, b) => (a.base ?? 99999) - (b.base ?? 99999))[0];
+  const items = [
+    ["WIND", fmtWindGroup(m.wind)],
+    ["VIS", m.cavok ? "CAVOK" : m.visibility ? fmtVis(m.visibility.m) : null],
+    ["CIG", m.ceiling != null ? fmtAlt(m.ceiling) : m.cavok || m.skyClear || lowest ? "NIL" : null],
+    ["CLD", !m.cavok && lowest && m.ceiling !== lowest.base ? `${lowest.cover} ${fmtAlt(lowest.base)}` : null],
+    ["T/DP", m.temp != null ? `${fmtTemp(m.temp)} / ${fmtTemp(m.dewpoint)}` : null],
+    ["QNH", m.qnh ? fmtPressure(qnhHpa(m.qnh)) : null],
+  ].filter(([, v]) => v != null);
+  return (
+    <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", marginTop: "4px", padding: "0 14px", fontFamily: "'JetBrains Mono', monospace", fontSize: "10px" }}>
+      {items.map(([k, v]) => (
+        <span key={k}><span style={{ color: "#475569" }}>{k} </span><span style={{ color: "#cbd5e1" }}>{v}</span></span>
+      ))}
+    </div>
+  );
+}
+
 /* ========== WIND COMPONENT DISPLAY ========== */
 function CrosswindDisplay({ icao, metarRaw }) {
+  const settings = useSettings();
+  const [rwyCondOverride, setRwyCondOverride] = useState(null); // null = METARから自動推定
+  const [rcrInput, setRcrInput] = useState(null); // null = 入力欄を閉じる
+  const rcrReports = useRunwayConditionReports().filter(r => r.icao === icao);
   const runways = RUNWAY_DATA[icao];
   if (!runways) return null;
+  const metar = decodeMetar(metarRaw);
   const wind = parseMetarWind(metarRaw);
   if (!wind) return null;
 
+  const profile = AIRCRAFT_WIND_PROFILES[settings.aircraftProfile] ?? activeAircraftProfile();
+  // METAR風向は真方位、RUNWAY_DATA は磁方位 → 風を磁方位に換算して成分計算
+  const decl = airportDeclination(icao);
+  const magDir = wind.isVrb || wind.isCalm ? null : trueToMagnetic(wind.dir, decl);
+  const pad3 = (d) => String(Math.round(d + 360) % 360 || 360).padStart(3, "0");
+  const autoCond = runwayConditionFromMetar(metar);
+  const rwyCond = rwyCondOverride ?? autoCond;
+  const xwLimit = profile.xw[rwyCond];
+
   const mono = "'JetBrains Mono', monospace";
   const boxStyle = {
     marginBottom: "12px", padding: "8px 10px",
@@ -1901,52 +2832,161 @@ function CrosswindDisplay({ icao, metarRaw }) {
   const titleStyle = {
     color: "#fbbf24", fontSize: "10px", fontWeight: 600,
     letterSpacing: "2px", marginBottom: "4px", fontFamily: mono,
+    display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap",
   };
+  const title = (
+    <div style={titleStyle}>
+      WIND COMPONENT
+      <span style={{ color: "#94a3b8", fontSize: "9px", fontWeight: 400, letterSpacing: "0.5px" }}>
+        {profile.label} · XW LIM {fmtSpeed(xwLimit)} · TW LIM {fmtSpeed(profile.tailwind)}
+      </span>
+      <span style={{ color: "#64748b", fontSize: "9px", fontWeight: 400, letterSpacing: "0.5px" }}>
+        VAR {formatVariation(decl)}
+      </span>
+      <span style={{ display: "flex", gap: "3px", marginLeft: "auto" }}>
+        {RUNWAY_CONDITIONS.map(c => (
+          <button key={c} onClick={() => setRwyCondOverride(c === autoCond ? null : c)} title={c === autoCond ? "METARから推定" : "手動指定"} style={{
+            background: rwyCond === c ? "rgba(251,191,36,0.12)" : "none",
+            border: `1px solid ${rwyCond === c ? "rgba(251,191,36,0.4)" : "rgba(148,163,184,0.12)"}`,
+            color: rwyCond === c ? "#fbbf24" : "#475569",
+            cursor: "pointer", fontSize: "8px", padding: "0 5px", borderRadius: "2px", fontFamily: mono, letterSpacing: "0.5px",
+          }}>{c === "CONTAMINATED" ? "CONTAM" : c}{c === autoCond ? "*" : ""}</button>
+        ))}
+        <button onClick={() => setRcrInput(v => v == null ? "" : null)} title="RCR/SNOWTAM 貼り付け" style={{
+          background: rcrReports.length ? "rgba(96,165,250,0.12)" : "none",
+          border: `1px solid ${rcrReports.length ? "rgba(96,165,250,0.4)" : "rgba(148,163,184,0.12)"}`,
+          color: rcrReports.length ? "#60a5fa" : "#475569",
+          cursor: "pointer", fontSize: "8px", padding: "0 5px", borderRadius: "2px", fontFamily: mono, letterSpacing: "0.5px",
+        }}>RCR{rcrReports.length ? ` ${rcrReports.length}` : ""}</button>
+      </span>
+    </div>
+  );
+  // RCR 貼り付け欄 — 解析した滑走路はストアに保存（他空港分が混在していてもそのまま保存）
+  const rcrEditor = rcrInput != null && (
+    <div style={{ margin: "4px 0 6px", display: "flex", flexDirection: "column", gap: "4px" }}>
+      <textarea value={rcrInput} onChange={(e) => setRcrInput(e.target.value)} rows={3}
+        placeholder={`${icao} 12210630 ${runways[0].rwy.split("/")[0]} 5/5/3 100/100/50 NR/NR/03 WET/WET/SLUSH`} style={{
+          background: "rgba(15,23,42,0.6)", border: "1px solid rgba(148,163,184,0.2)", borderRadius: "3px",
+          color: "#e2e8f0", fontSize: "10px", fontFamily: mono, padding: "4px 6px", outline: "none", resize: "vertical",
+        }} />
+      <div style={{ display: "flex", gap: "6px", alignItems: "center", fontFamily: mono, fontSize: "9px" }}>
+        {(() => {
+          const parsed = parseRunwayConditionReport(rcrInput);
+          return (
+            <>
+              <button disabled={!parsed.length} onClick={() => { storeRunwayConditionReports(parsed); setRcrInput(null); }} style={{
+                background: "rgba(96,165,250,0.12)", border: "1px solid rgba(96,165,250,0.4)", color: "#60a5fa",
+                cursor: parsed.length ? "pointer" : "default", opacity: parsed.length ? 1 : 0.4,
+                fontSize: "9px", padding: "1px 8px", borderRadius: "2px", fontFamily: mono,
+              }}>STORE</button>
+              <span style={{ color: "#64748b" }}>
+                {parsed.length ? parsed.map(r => `${r.icao} ${r.rwy} ${r.rwycc.join("/")}`).join(" · ") : "RWYCC 行が見つかりません"}
+              </span>
+            </>
+          );
+        })()}
+        {rcrReports.length > 0 && (
+          <button onClick={() => clearRunwayConditionReports(icao)} style={{
+            marginLeft: "auto", background: "none", border: "1px solid rgba(248,113,113,0.3)", color: "#f87171",
+            cursor: "pointer", fontSize: "9px", padding: "1px 8px", borderRadius: "2px", fontFamily: mono,
+          }}>CLEAR {icao}</button>
+        )}
+      </div>
+    </div>
+  );
+  // 滑走路端ごとの RWYCC 三つ組（期限切れは参考表示のみで制限には使わない）
+  const rcrCell = (rwyName) => {
+    const rcr = runwayConditionFor(icao, rwyName);
+    if (!rcr) return null;
+    const tip = `${rcr.raw}\n評価 ${rcr.assessed.toISOString().slice(5, 16).replace("T", " ")}Z` +
+      `\n${rcr.contaminants.map((c, i) => `${c ?? "NR"} ${rcr.coverage[i] ?? "NR"}% ${rcr.depth[i] ?? "NR"}mm`).join(" / ")}`;
+    return (
+      <span title={tip} style={{ fontSize: "10px", opacity: rcr.stale ? 0.4 : 1, textDecoration: rcr.stale ? "line-through" : "none" }}>
+        <span style={{ color: "#64748b" }}>RWYCC </span>
+        {rcr.thirds.map((c, i) => (
+          <span key={i}>{i > 0 && <span style={{ color: "#475569" }}>/</span>}<span style={{ color: rwyccColor(c), fontWeight: 700 }}>{c}</span></span>
+        ))}
+      </span>
+    );
+  };
+  const rwyccFor = (rwyName) => {
+    const rcr = runwayConditionFor(icao, rwyName);
+    return rcr && !rcr.stale && rwyCondOverride == null ? rcr.minCode : null;
+  };
+  const verdict = (e) => e.within
+    ? <span style={{ color: "#6ee7b7", fontSize: "10px" }}>WITHIN LIMITS</span>
+    : e.noOps
+    ? <span style={{ color: "#f87171", fontSize: "10px", fontWeight: 700 }}>NO OPS (RWYCC 0)</span>
+    : <span style={{ color: "#f87171", fontSize: "10px", fontWeight: 700 }}>
+        EXCEEDS {[e.xwExceed > 0 && `XW by ${fmtSpeed(e.xwExceed)}`, e.twExceed > 0 && `TW by ${fmtSpeed(e.twExceed)}`].filter(Boolean).join(", ")}
+      </span>;
 
   // CALM
   if (wind.isCalm) {
     return (
       <div style={boxStyle}>
-        <div style={titleStyle}>WIND COMPONENT</div>
+        {title}
+        {rcrEditor}
         <div style={{ fontFamily: mono, fontSize: "12px", color: "#6ee7b7" }}>CALM</div>
       </div>
     );
   }
 
-  // VRB
+  // VRB — 全方向から吹きうるため、風速（ガスト）をそのまま横風・背風として評価
   if (wind.isVrb) {
+    const peak = Math.max(wind.speed, wind.gust ?? 0);
+    // RCRがあれば最も条件の良い滑走路のRWYCCで評価
+    const codes = runways.map(r => rwyccFor(r.rwy.split("/")[0]));
+    const rwycc = codes.some(c => c == null) ? null : Math.max(...codes);
+    const e = evaluateWindLimits({ xw: peak, gustXw: null, tailwind: peak }, profile, rwyCond, rwycc);
     return (
       <div style={boxStyle}>
-        <div style={titleStyle}>WIND COMPONENT</div>
-        <div style={{ fontFamily: mono, fontSize: "12px", color: "#94a3b8" }}>
-          VRB {wind.speed}kt <span style={{ color: "#64748b", fontSize: "10px" }}>(max XW any rwy)</span>
+        {title}
+        {rcrEditor}
+        <div style={{ fontFamily: mono, fontSize: "12px", color: "#94a3b8", display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
+          VRB {fmtSpeed(wind.speed)}{wind.gust ? ` G${fmtSpeed(wind.gust)}` : ""} <span style={{ color: "#64748b", fontSize: "10px" }}>(max XW/TW any rwy)</span>
+          {verdict(e)}
         </div>
       </div>
     );
   }
 
   // Normal wind — calculate components
-  const comps = calcWindComponents(wind.dir, wind.speed, wind.gust, runways);
+  const comps = calcWindComponents(magDir, wind.speed, wind.gust, runways);
   return (
     <div style={boxStyle}>
-      <div style={titleStyle}>WIND COMPONENT</div>
+      {title}
+      {rcrEditor}
+      <div style={{ fontFamily: mono, fontSize: "10px", color: "#60a5fa", marginBottom: "2px" }}>
+        WIND {pad3(wind.dir)}°T{decl != null && <> / {pad3(magDir)}°M <span style={{ color: "#64748b" }}>(ATIS)</span></>} {fmtSpeed(wind.speed)}{wind.gust ? ` G${fmtSpeed(wind.gust)}` : ""}
+      </div>
       {comps.map((c, i) => {
         const absXw = Math.round(Math.abs(c.xw));
         const side = c.xw >= 0 ? "R" : "L";
-        const xwColor = crosswindSeverity(c.xw);
+        const rwycc = rwyccFor(c.rwyName);
+        const e = evaluateWindLimits(c, profile, rwyCond, rwycc);
+        const xwColor = crosswindSeverity(e.xwKt, e.xwLimit);
         const tw = Math.round(c.tailwind);
         const gustAbsXw = c.gustXw != null ? Math.round(Math.abs(c.gustXw)) : null;
 
         return (
           <div key={i} style={{ fontFamily: mono, fontSize: "11px", lineHeight: "1.6", display: "flex", alignItems: "center", gap: "6px", flexWrap: "wrap" }}>
             <span style={{ color: "#94a3b8", minWidth: "58px" }}>RWY {c.rwyName.padEnd(3)}</span>
-            <span style={{ color: xwColor, fontWeight: 600 }}>XW {String(absXw).padStart(2)}kt {side}</span>
+            <span style={{ color: "#475569", fontSize: "9px" }}>
+              {pad3(c.hdg)}°M{decl != null && ` ${pad3(c.hdg + decl)}°T`}
+            </span>
+            <span style={{ color: xwColor, fontWeight: 600 }}>XW {String(convSpeed(absXw)).padStart(2)}{unitLabel("unitWind")} {side}</span>
             {tw > 0 && (
-              <span style={{ color: "#f87171", fontWeight: 600 }}>TW {tw}kt</span>
+              <span style={{ color: e.twExceed > 0 ? "#f87171" : "#fbbf24", fontWeight: 600 }}>TW {fmtSpeed(tw)}</span>
             )}
             {gustAbsXw != null && (
-              <span style={{ color: "#64748b", fontSize: "10px" }}>(G: XW {gustAbsXw}kt)</span>
+              <span style={{ color: "#64748b", fontSize: "10px" }}>(G: XW {fmtSpeed(gustAbsXw)})</span>
             )}
+            {rcrCell(c.rwyName)}
+            {rwycc != null && (
+              <span style={{ color: "#64748b", fontSize: "9px" }}>LIM {fmtSpeed(e.xwLimit)}</span>
+            )}
+            {verdict(e)}
           </div>
         );
       })}
@@ -1954,65 +2994,441 @@ function CrosswindDisplay({ icao, metarRaw }) {
   );
 }
 
-/* ========== METAR/TAF ========== */
-function MetarTafPanel() {
-  const [selectedAirports, setSelectedAirports] = useState(() => {
-    const todayEvents = getTodayDutyEvents();
-    const dutyIcaos = getDutyRouteIcaoCodes(todayEvents);
-    if (dutyIcaos.length > 0) {
-      const base = new Set(["RJTT", ...dutyIcaos]);
-      return [...base];
-    }
-    return ["RJTT", "RJAA"];
-  });
-  const [customIcao, setCustomIcao] = useState("");
-  const [metarData, setMetarData] = useState({});
-  const [tafData, setTafData] = useState({});
-  const [prevMetarData, setPrevMetarData] = useState({}); // 前回のMETARデータ（変化検知用）
-  const [changedFields, setChangedFields] = useState({}); // 変化があったICAOコード
-  const [loading, setLoading] = useState({});
-  const [lastUpdate, setLastUpdate] = useState(null);
-  const [autoRefresh, setAutoRefresh] = useState(true);
-
-  const fetchMetar = useCallback(async (icao) => {
-    setLoading((prev) => ({ ...prev, [icao]: true }));
-    try {
-      const [mText, tText] = await Promise.all([
-        fetchMetarRaw(icao),
-        fetchTafRaw(icao),
-      ]);
-      const newMetar = mText || "No METAR available";
-
-      // 変化検知: 前回と異なる場合にフラグ
-      setMetarData((prev) => {
-        if (prev[icao] && prev[icao] !== newMetar && !newMetar.includes("error") && !newMetar.includes("No METAR")) {
-          setPrevMetarData(p => ({ ...p, [icao]: prev[icao] }));
-          setChangedFields(p => ({ ...p, [icao]: Date.now() }));
-        }
-        return { ...prev, [icao]: newMetar };
-      });
-      setTafData((prev) => ({ ...prev, [icao]: tText.trim() || "No TAF available" }));
-    } catch (e) {
-      console.error(`[fetchMetar] ${icao}:`, e);
-      setMetarData((prev) => ({ ...prev, [icao]: "Fetch error — open AWC link" }));
-      setTafData((prev) => ({ ...prev, [icao]: "Fetch error — open AWC link" }));
-    } finally {
-      setLoading((prev) => ({ ...prev, [icao]: false }));
-    }
-  }, []);
-
-  const fetchAll = useCallback(() => {
-    selectedAirports.forEach((icao) => fetchMetar(icao));
-    setLastUpdate(new Date());
-  }, [selectedAirports, fetchMetar]);
+/* ========== ALTITUDE PANEL — 気圧高度・密度高度・低温補正（折りたたみ） ========== */
+function AltitudePanel({ icao, metarRaw }) {
+  const settings = useSettings();
+  const [open, setOpen] = useState(false);
+  const m = decodeMetar(metarRaw);
+  const elev = airportElevation(icao);
+  if (!m || elev == null || m.temp == null || m.qnh == null) return null;
+  const fig = altitudeFigures(elev, m.temp, m.dewpoint, qnhHpa(m.qnh));
+  const cold = m.temp < 0;
 
-  // Refで最新のfetchAllを保持し、stale closureを防ぐ
-  const fetchAllRef = useRef(fetchAll);
-  useEffect(() => { fetchAllRef.current = fetchAll; }, [fetchAll]);
+  const mono = "'JetBrains Mono', monospace";
+  const signed = (v) => `${v > 0 ? "+" : ""}${Math.round(v)}`;
+  const isaDev = settings.unitTemp === "F" ? fig.isaDev * 9 / 5 : fig.isaDev; // 温度差なので換算は係数のみ
+  const daColor = fig.densityAlt - elev > 2000 ? "#f87171" : fig.densityAlt - elev > 1000 ? "#fbbf24" : "#cbd5e1";
+  const th = { color: "#475569", fontSize: "8px", letterSpacing: "1px", textAlign: "right", padding: "2px 10px 2px 0", fontWeight: 400 };
+  const td = { fontSize: "10px", padding: "1px 10px 1px 0", textAlign: "right", whiteSpace: "nowrap" };
 
-  // マウント時に一度だけ自動フェッチ
-  useEffect(() => {
-    fetchAllRef.current();
+  return (
+    <div style={{
+      marginBottom: "12px", padding: "6px 10px",
+      background: "rgba(0,0,0,0.25)", borderRadius: "6px",
+      borderLeft: `3px solid ${cold ? "rgba(96,165,250,0.4)" : "rgba(148,163,184,0.25)"}`,
+      fontFamily: mono,
+    }}>
+      <div onClick={() => setOpen(v => !v)} style={{ display: "flex", alignItems: "center", gap: "10px", cursor: "pointer", flexWrap: "wrap", fontSize: "10px" }}>
+        <span style={{ color: "#94a3b8", fontWeight: 600, letterSpacing: "2px" }}>{open ? "▾" : "▸"} ALTITUDE</span>
+        <span style={{ color: "#cbd5e1" }}>PA {fmtAlt(fig.pressureAlt)}</span>
+        <span style={{ color: daColor }}>DA {fmtAlt(fig.densityAlt)}</span>
+        <span style={{ color: "#94a3b8" }}>ISA {signed(isaDev)}{unitLabel("unitTemp")}</span>
+        {cold && (
+          <span style={{ color: "#60a5fa", fontSize: "9px", fontWeight: 700, padding: "0 6px", border: "1px solid rgba(96,165,250,0.4)", borderRadius: "2px" }}>
+            COLD TEMP CORR
+          </span>
+        )}
+      </div>
+      {open && (
+        <div style={{ marginTop: "6px" }}>
+          <div style={{ fontSize: "10px", color: "#64748b", lineHeight: "1.7" }}>
+            ELEV {fmtAlt(elev)} · OAT {fmtTemp(m.temp)}{m.dewpoint != null && ` / DP ${fmtTemp(m.dewpoint)}`} · QNH {fmtPressure(qnhHpa(m.qnh))}
+            · QFE {fmtPressure(fig.stationHpa)} · ISA TEMP {fmtTemp(fig.isaTemp)}
+          </div>
+          {cold ? (
+            <table style={{ borderCollapse: "collapse", marginTop: "4px" }}>
+              <thead>
+                <tr>
+                  {["HAA", "IND ALT", "CORR", "CORRECTED"].map(h => <th key={h} style={th}>{h} {unitLabel("unitAlt")}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {COLD_TEMP_HAA_FT.map(haa => {
+                  const corr = coldTemperatureCorrection(haa, elev, m.temp);
+                  return (
+                    <tr key={haa}>
+                      <td style={{ ...td, color: "#94a3b8" }}>{convAlt(haa)}</td>
+                      <td style={{ ...td, color: "#cbd5e1" }}>{convAlt(haa + elev)}</td>
+                      <td style={{ ...td, color: "#60a5fa", fontWeight: 600 }}>+{convAlt(corr)}</td>
+                      <td style={{ ...td, color: "#e2e8f0" }}>{convAlt(haa + elev + corr)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <div style={{ fontSize: "9px", color: "#475569", marginTop: "2px" }}>OAT ≥ {fmtTemp(0)} — 低温補正不要</div>
+          )}
+          {cold && (
+            <div style={{ fontSize: "9px", color: "#475569", marginTop: "2px" }}>
+              ICAO Doc 8168 近似式 · 飛行場QNH基準 · 10ft単位切り上げ · 手順上の規定と照合のこと
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ========== METAR HISTORY — 24h トレンド (small multiples) ========== */
+const HISTORY_HOURS = 24;
+
+// 1系列のスパークライン。points: [{ t(ms), v }]、v=null は欠測として線を切る
+function Sparkline({ label, unit, points, color, min, max, refLines = [], dots = [], format = (v) => v, latestColor }) {
+  const W = 240, H = 36;
+  const now = Date.now();
+  const t0 = now - HISTORY_HOURS * 3600000;
+  const x = (t) => ((t - t0) / (now - t0)) * W;
+  const y = (v) => H - 2 - ((Math.min(Math.max(v, min), max) - min) / (max - min || 1)) * (H - 4);
+
+  // 欠測で分割したポリライン
+  const segments = [];
+  let cur = [];
+  for (const p of points) {
+    if (p.v == null) { if (cur.length) segments.push(cur); cur = []; continue; }
+    cur.push(`${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`);
+  }
+  if (cur.length) segments.push(cur);
+
+  const valid = points.filter(p => p.v != null);
+  const latest = valid[valid.length - 1];
+  const lo = valid.length ? Math.min(...valid.map(p => p.v)) : null;
+  const hi = valid.length ? Math.max(...valid.map(p => p.v)) : null;
+  const mono = "'JetBrains Mono', monospace";
+
+  return (
+    <div style={{ minWidth: 0 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", fontFamily: mono }}>
+        <span style={{ color: "#475569", fontSize: "8px", letterSpacing: "1px" }}>{label}</span>
+        <span style={{ color: latestColor ?? color, fontSize: "10px", fontWeight: 700 }}>
+          {latest ? format(latest.v) : "---"}<span style={{ fontSize: "8px", fontWeight: 400, color: "#64748b" }}>{unit}</span>
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" style={{ width: "100%", height: `${H}px`, display: "block", background: "rgba(0,0,0,0.2)", borderRadius: "2px" }}>
+        {/* 6時間毎のグリッド */}
+        {[6, 12, 18].map(h => (
+          <line key={h} x1={x(now - h * 3600000)} x2={x(now - h * 3600000)} y1={0} y2={H} stroke="rgba(148,163,184,0.08)" vectorEffect="non-scaling-stroke" />
+        ))}
+        {refLines.map(r => (
+          <line key={r.v} x1={0} x2={W} y1={y(r.v)} y2={y(r.v)} stroke={r.color} strokeDasharray="3 3" strokeOpacity="0.5" vectorEffect="non-scaling-stroke" />
+        ))}
+        {segments.map((s, i) => (
+          s.length === 1
+            ? <circle key={i} cx={s[0].split(",")[0]} cy={s[0].split(",")[1]} r="1.5" fill={color} />
+            : <polyline key={i} points={s.join(" ")} fill="none" stroke={color} strokeWidth="1.2" vectorEffect="non-scaling-stroke" />
+        ))}
+        {dots.map((d, i) => (
+          <circle key={i} cx={x(d.t)} cy={y(d.v)} r="1.8" fill={d.color} />
+        ))}
+      </svg>
+      <div style={{ display: "flex", justifyContent: "space-between", fontFamily: mono, fontSize: "7px", color: "#334155" }}>
+        <span>-{HISTORY_HOURS}h</span>
+        {lo != null && <span>{format(lo)}–{format(hi)}</span>}
+        <span>NOW</span>
+      </div>
+    </div>
+  );
+}
+
+function MetarHistoryCharts({ history }) {
+  const settings = useSettings();
+  if (!history || history.length < 2) return null;
+  const ruleset = activeCategoryRuleset();
+  const visRefs = ruleset.categories.map(c => ({ v: c.vis, color: FLIGHT_CATEGORY_COLORS[c.cat] }));
+  const ceilRefs = ruleset.categories.map(c => ({ v: c.ceiling, color: FLIGHT_CATEGORY_COLORS[c.cat] }));
+  const pts = (fn) => history.map(m => ({ t: m.obsTime.getTime(), v: fn(m) }));
+
+  const wind = pts(m => m.wind?.speedKt ?? null);
+  const gusts = history.filter(m => m.wind?.gustKt != null).map(m => ({ t: m.obsTime.getTime(), v: m.wind.gustKt, color: "#fbbf24" }));
+  const windMax = Math.max(25, ...wind.map(p => p.v ?? 0), ...gusts.map(g => g.v));
+  const vis = pts(m => m.cavok ? 10000 : m.visibility?.m ?? null);
+  const CEIL_CAP = 5000; // シーリングなし・5000ft超は上限に張り付け
+  const ceil = pts(m => m.ceiling != null ? Math.min(m.ceiling, CEIL_CAP) : (m.visibility || m.cavok ? CEIL_CAP : null));
+  const spread = pts(m => m.temp != null && m.dewpoint != null ? m.temp - m.dewpoint : null);
+  const qnh = pts(m => m.qnh?.hpa ?? null);
+  const qnhVals = qnh.filter(p => p.v != null).map(p => p.v);
+
+  const last = history[history.length - 1];
+  const lastVis = last.cavok ? 10000 : last.visibility?.m;
+  const lastSpread = last.temp != null && last.dewpoint != null ? last.temp - last.dewpoint : null;
+
+  return (
+    <div style={{ marginBottom: "12px" }}>
+      <div style={{ color: "#60a5fa", fontSize: "9px", fontWeight: 600, letterSpacing: "2px", marginBottom: "4px", fontFamily: "'JetBrains Mono', monospace" }}>
+        {HISTORY_HOURS}H TREND <span style={{ color: "#475569", fontWeight: 400, letterSpacing: "0.5px" }}>{history.length} reports</span>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: "8px" }}>
+        <Sparkline label="WIND/GUST" unit={unitLabel("unitWind")} points={wind} dots={gusts} color="#60a5fa" min={0} max={windMax}
+          format={convSpeed} />
+        <Sparkline label="VIS" unit={settings.unitVis === "SM" ? "SM" : "m"} points={vis} color="#6ee7b7" min={0} max={10000}
+          refLines={visRefs}
+          format={(v) => v >= 9999 ? (settings.unitVis === "SM" ? "P6" : "10k+") : fmtVis(v, false)}
+          latestColor={lastVis == null ? undefined : FLIGHT_CATEGORY_COLORS[categoryForValues(lastVis, null, ruleset)]} />
+        <Sparkline label="CEILING" unit={unitLabel("unitAlt")} points={ceil} color="#94a3b8" min={0} max={CEIL_CAP}
+          refLines={ceilRefs.filter(r => r.v <= CEIL_CAP)}
+          format={(v) => v >= CEIL_CAP ? "NIL" : convAlt(v)}
+          latestColor={FLIGHT_CATEGORY_COLORS[categoryForValues(null, last.ceiling, ruleset)]} />
+        <Sparkline label="T-Td SPREAD" unit={unitLabel("unitTemp")} points={spread}
+          format={(v) => settings.unitTemp === "F" ? Math.round(v * 9 / 5) : v} color="#c084fc" min={0} max={Math.max(10, ...spread.map(p => p.v ?? 0))}
+          refLines={[{ v: 2, color: "#f87171" }]}
+          latestColor={lastSpread != null && lastSpread <= 2 ? "#f87171" : undefined} />
+        <Sparkline label="QNH" unit={unitLabel("unitPressure")} points={qnh} color="#94a3b8" format={convPressure}
+          min={qnhVals.length ? Math.min(...qnhVals) - 2 : 1000} max={qnhVals.length ? Math.max(...qnhVals) + 2 : 1030} />
+      </div>
+    </div>
+  );
+}
+
+/* ========== TAF TIMELINE — 1時間毎の予報タイムライン ========== */
+function TafTimeline({ icao, tafRaw }) {
+  const settings = useSettings();
+  const taf = decodeTaf(tafRaw);
+  const hours = tafHourlyTimeline(taf, activeCategoryRuleset());
+  if (hours.length === 0) return null;
+
+  const mono = "'JetBrains Mono', monospace";
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600000;
+  // 本日の乗務でこの空港を含む FLY 区間（ETA帯の目安）
+  const dutyWindows = getTodayDutyEvents()
+    .filter(e => e.type === "FLY" && e.route?.some(c => iataToIcao(c) === icao))
+    .map(e => [e.start.getTime(), e.end.getTime()]);
+  const inDuty = (t) => dutyWindows.some(([s, e]) => t + 3600000 > s && t < e);
+
+  // セル幅が狭いため単位は行ラベル側に表示
+  const fmtWind = (w) => fmtWindGroup(w, false);
+  const fmtCondVis = (c) => c.cavok ? "CAVOK" : c.visibility ? fmtVis(c.visibility.m, false) : "---";
+  const fmtCeil = (c) => c.ceiling != null ? `${convAlt(c.ceiling)}` : "---";
+  const fmtWx = (c) => c.weather.map(w => w.raw).join(" ");
+
+  const cellW = 58;
+  const labelStyle = { color: "#475569", fontSize: "8px", letterSpacing: "1px", height: "16px", lineHeight: "16px" };
+  const rows = ["UTC", "JST", "CAT", "TEMPO", `WIND ${unitLabel("unitWind")}`, `VIS ${settings.unitVis === "SM" ? "SM" : "m"}`, `CIG ${unitLabel("unitAlt")}`, "WX"];
+
+  return (
+    <div style={{ marginTop: "8px" }}>
+      <div style={{ color: "#c084fc", fontSize: "9px", fontWeight: 600, letterSpacing: "2px", marginBottom: "4px", fontFamily: mono }}>
+        TIMELINE <span style={{ color: "#475569", fontWeight: 400, letterSpacing: "0.5px" }}>{taf.validFrom.toISOString().slice(8, 13).replace("T", "/")}Z – {taf.validTo.toISOString().slice(8, 13).replace("T", "/")}Z</span>
+      </div>
+      <div style={{ display: "flex", fontFamily: mono, background: "rgba(0,0,0,0.25)", borderRadius: "6px", padding: "6px 0" }}>
+        <div style={{ flexShrink: 0, padding: "0 8px", borderRight: "1px solid rgba(148,163,184,0.1)" }}>
+          {rows.map(r => <div key={r} style={labelStyle}>{r}</div>)}
+        </div>
+        <div style={{ display: "flex", overflowX: "auto" }}>
+          {hours.map(h => {
+            const t = h.time.getTime();
+            const isNow = t === nowHour;
+            const duty = inDuty(t);
+            const p = h.prevailing;
+            const tempo = h.temporary[h.temporary.length - 1];
+            const catColor = FLIGHT_CATEGORY_COLORS[h.category];
+            const worstColor = FLIGHT_CATEGORY_COLORS[h.worstCategory];
+            const cell = { height: "16px", lineHeight: "16px", fontSize: "9px", textAlign: "center", whiteSpace: "nowrap", overflow: "hidden" };
+            return (
+              <div key={t} title={[p && `${fmtWindGroup(p.wind)} ${fmtCondVis(p)} CIG ${fmtCeil(p)} ${fmtWx(p)}`, ...h.temporary.map(x => x.raw)].filter(Boolean).join("\n")} style={{
+                width: `${cellW}px`, flexShrink: 0,
+                borderLeft: isNow ? "1px solid #fbbf24" : "1px solid rgba(148,163,184,0.05)",
+                background: isNow ? "rgba(251,191,36,0.08)" : duty ? "rgba(251,191,36,0.03)" : "transparent",
+              }}>
+                <div style={{ ...cell, color: isNow ? "#fbbf24" : "#94a3b8", fontWeight: isNow ? 700 : 400 }}>{h.time.toISOString().slice(11, 13)}Z</div>
+                <div style={{ ...cell, color: duty ? "#fbbf24" : "#475569" }}>{String((h.time.getUTCHours() + 9) % 24).padStart(2, "0")}L</div>
+                <div style={{ ...cell, padding: "0 3px" }}>
+                  <div style={{ background: `${catColor}30`, border: `1px solid ${catColor}60`, color: catColor, fontWeight: 700, fontSize: "8px", borderRadius: "1px" }}>
+                    {h.category}{h.becoming ? "→" : ""}
+                  </div>
+                </div>
+                <div style={{ ...cell, padding: "0 3px" }}>
+                  {tempo && (
+                    <div style={{ background: `${worstColor}18`, border: `1px dashed ${worstColor}60`, color: worstColor, fontSize: "8px", borderRadius: "1px" }}>
+                      {tempo.prob ? `P${tempo.prob}` : "TM"} {flightCategory(tempo.cond)}
+                    </div>
+                  )}
+                </div>
+                <div style={{ ...cell, color: "#60a5fa" }}>{fmtWind(p.wind)}</div>
+                <div style={{ ...cell, color: "#cbd5e1" }}>{fmtCondVis(p)}</div>
+                <div style={{ ...cell, color: "#cbd5e1" }}>{fmtCeil(p)}</div>
+                <div style={{ ...cell, color: "#f87171", fontWeight: 700, opacity: fmtWx(p) ? 1 : 0.6 }}>{fmtWx(p) || (tempo ? fmtWx(tempo.cond) : "")}</div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ========== ALTERNATE CHECK — 代替空港ミニマ判定テーブル ========== */
+function AlternateMinimaTable({ airports, tafData }) {
+  const settings = useSettings();
+  // ETA (UTC HH:MM) — 既定は現在+2h
+  const [etaStr, setEtaStr] = useState(() => new Date(Date.now() + 2 * 3600000).toISOString().slice(11, 16));
+  const mono = "'JetBrains Mono', monospace";
+
+  // HH:MM → 直近の該当時刻（6h以上過去なら翌日扱い）
+  const eta = (() => {
+    const m = etaStr.match(/^(\d{1,2}):?(\d{2})$/);
+    if (!m) return null;
+    const now = new Date();
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), +m[1], +m[2]));
+    if (d.getTime() < now.getTime() - 6 * 3600000) d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+  })();
+  const req = alternatePlanningMinima(settings);
+  const statusColor = { PASS: "#6ee7b7", FAIL: "#f87171", "NO TAF": "#64748b", "NOT VALID": "#fbbf24" };
+  const th = { color: "#475569", fontSize: "8px", letterSpacing: "1px", textAlign: "left", padding: "3px 10px 3px 0", fontWeight: 400 };
+  const td = { fontSize: "10px", padding: "3px 10px 3px 0", whiteSpace: "nowrap" };
+
+  return (
+    <div style={{
+      marginTop: "6px", padding: "8px 12px",
+      background: "rgba(15,23,42,0.4)", border: "1px solid rgba(192,132,252,0.2)",
+      borderRadius: "4px", fontFamily: mono,
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "10px", flexWrap: "wrap", marginBottom: "6px" }}>
+        <span style={{ color: "#c084fc", fontSize: "9px", fontWeight: 700, letterSpacing: "1px" }}>ALTN MINIMA CHECK</span>
+        <span style={{ color: "#64748b", fontSize: "9px" }}>ETA</span>
+        <input value={etaStr} onChange={(e) => setEtaStr(e.target.value)} maxLength={5} style={{
+          width: "52px", padding: "2px 6px", background: "rgba(15,23,42,0.6)",
+          border: `1px solid ${eta ? "rgba(148,163,184,0.2)" : "rgba(248,113,113,0.5)"}`, borderRadius: "3px",
+          color: "#e2e8f0", fontSize: "11px", fontFamily: mono, outline: "none",
+        }} />
+        <span style={{ color: "#64748b", fontSize: "9px" }}>
+          Z ±1h{eta && ` (${eta.toISOString().slice(8, 10)}日 ${String((eta.getUTCHours() + 9) % 24).padStart(2, "0")}:${eta.toISOString().slice(14, 16)}L)`}
+        </span>
+        <span style={{ color: "#94a3b8", fontSize: "9px", marginLeft: "auto" }}>
+          REQ {req.approach} → CIG {fmtAlt(req.ceiling)} / VIS {fmtVis(req.vis)} · {ALTERNATE_TEMPO_RULES[settings.altTempoRule]?.label}
+        </span>
+      </div>
+      {eta && (
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <thead>
+            <tr>
+              {["ICAO", "RESULT", "WORST CIG", "WORST VIS", "GOVERNING GROUP"].map(h => <th key={h} style={th}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {airports.map(icao => {
+              const r = checkAlternateMinima(decodeTaf(tafData[icao]), eta, settings);
+              const color = statusColor[r.status];
+              return (
+                <tr key={icao} style={{ borderTop: "1px solid rgba(148,163,184,0.06)" }}>
+                  <td style={{ ...td, color: "#6ee7b7", fontWeight: 700 }}>{icao}</td>
+                  <td style={td}>
+                    <span style={{ color, fontWeight: 700, padding: "0 6px", border: `1px solid ${color}60`, background: `${color}14`, borderRadius: "2px" }}>{r.status}</span>
+                  </td>
+                  <td style={{ ...td, color: r.ceilOk === false ? "#f87171" : "#cbd5e1" }}>{r.status === "PASS" || r.status === "FAIL" ? (r.worstCeil != null ? fmtAlt(r.worstCeil) : "NIL") : "---"}</td>
+                  <td style={{ ...td, color: r.visOk === false ? "#f87171" : "#cbd5e1" }}>{r.status === "PASS" || r.status === "FAIL" ? (r.worstVis != null ? fmtVis(r.worstVis) : "---") : "---"}</td>
+                  <td style={td}>
+                    {r.governing && (
+                      <span style={{
+                        color: r.status === "FAIL" ? "#f87171" : "#c084fc",
+                        background: r.status === "FAIL" ? "rgba(248,113,113,0.1)" : "rgba(192,132,252,0.1)",
+                        padding: "0 6px", borderRadius: "2px",
+                      }}>{r.governing}</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/* ========== METAR/TAF ========== */
+function MetarTafPanel() {
+  const settings = useSettings();
+  const [selectedAirports, setSelectedAirports] = useState(() => {
+    const todayEvents = getTodayDutyEvents();
+    const dutyIcaos = getDutyRouteIcaoCodes(todayEvents);
+    if (dutyIcaos.length > 0) {
+      const base = new Set(["RJTT", ...dutyIcaos]);
+      return [...base];
+    }
+    return ["RJTT", "RJAA"];
+  });
+  const [customIcao, setCustomIcao] = useState("");
+  const [metarData, setMetarData] = useState({});
+  const [tafData, setTafData] = useState({});
+  const [prevMetarData, setPrevMetarData] = useState({}); // 前回のMETARデータ（変化検知用）
+  const [changedFields, setChangedFields] = useState({}); // 変化があったICAOコード
+  const [loading, setLoading] = useState({});
+  const [fetchFailed, setFetchFailed] = useState({}); // { [icao]: true } 直近の取得が障害で失敗（表示は前回の電文）
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [autoRefresh, setAutoRefresh] = useState(true);
+  const [verifyMode, setVerifyMode] = useState(false);
+  const [altnCheck, setAltnCheck] = useState(false);
+  const [verification, setVerification] = useState({}); // { [icao]: { [obsTimeRaw]: { obsTime, period, busts } } }
+  const verifiedRef = useRef(new Set()); // 判定確定済み "ICAO obsTimeRaw"
+  const [historyData, setHistoryData] = useState({}); // { [icao]: decoded METAR[] } 直近24h
+  const [alerts, setAlerts] = useState([]); // { id, icao, kind, message, obsTimeRaw, ts, acked }
+  const [alertPrefs, setAlertPrefs] = useState(() => {
+    try { return { notify: false, sound: true, ...JSON.parse(localStorage.getItem(ALERT_PREFS_KEY) ?? "{}") }; }
+    catch { return { notify: false, sound: true }; }
+  });
+  const lastSeenRef = useRef({}); // { [icao]: 前回の decoded METAR }
+
+  // 選択局の METAR/TAF を一括取得（欠けた局のみ個別フォールバック）
+  // 取得障害の局は前回の電文を残し、fetchFailed で障害中であることを表示する
+  const fetchStations = useCallback(async (icaos) => {
+    if (icaos.length === 0) return;
+    const flag = (v) => Object.fromEntries(icaos.map(icao => [icao, v]));
+    const FETCH_ERROR = "Fetch error — open AWC link";
+    // 取得失敗時: 前回の正常な電文があれば保持、無ければエラー表示
+    const keepOrError = (prev, icao) => (prev[icao] && !prev[icao].startsWith("Fetch error") ? prev[icao] : FETCH_ERROR);
+    setLoading((prev) => ({ ...prev, ...flag(true) }));
+    try {
+      const [metars, tafs] = await Promise.all([
+        fetchMetarBatch(icaos),
+        fetchTafBatch(icaos),
+      ]);
+
+      // 変化検知: 前回と異なる場合にフラグ
+      setMetarData((prev) => {
+        const next = { ...prev };
+        for (const icao of icaos) {
+          if (metars.failed.includes(icao)) { next[icao] = keepOrError(prev, icao); continue; }
+          const newMetar = metars.data[icao] || "No METAR available";
+          if (prev[icao] && prev[icao] !== newMetar && metars.data[icao]) {
+            setPrevMetarData(p => ({ ...p, [icao]: prev[icao] }));
+            setChangedFields(p => ({ ...p, [icao]: Date.now() }));
+          }
+          next[icao] = newMetar;
+        }
+        return next;
+      });
+      setTafData((prev) => ({
+        ...prev,
+        ...Object.fromEntries(icaos.map(icao => [icao,
+          tafs.failed.includes(icao) ? keepOrError(prev, icao) : tafs.data[icao] || "No TAF available"])),
+      }));
+      setFetchFailed((prev) => ({
+        ...prev,
+        ...Object.fromEntries(icaos.map(icao => [icao, metars.failed.includes(icao) || tafs.failed.includes(icao)])),
+      }));
+    } catch (e) {
+      console.error(`[fetchStations] ${icaos.join(",")}:`, e);
+      setMetarData((prev) => ({ ...prev, ...Object.fromEntries(icaos.map(icao => [icao, keepOrError(prev, icao)])) }));
+      setTafData((prev) => ({ ...prev, ...Object.fromEntries(icaos.map(icao => [icao, keepOrError(prev, icao)])) }));
+      setFetchFailed((prev) => ({ ...prev, ...flag(true) }));
+    } finally {
+      setLoading((prev) => ({ ...prev, ...flag(false) }));
+    }
+  }, []);
+
+  const fetchAll = useCallback(() => {
+    fetchStations(selectedAirports);
+    setLastUpdate(new Date());
+  }, [selectedAirports, fetchStations]);
+
+  // Refで最新のfetchAllを保持し、stale closureを防ぐ
+  const fetchAllRef = useRef(fetchAll);
+  useEffect(() => { fetchAllRef.current = fetchAll; }, [fetchAll]);
+
+  // マウント時に一度だけ自動フェッチ
+  useEffect(() => {
+    fetchAllRef.current();
   }, []);
 
   // 自動更新: 90秒ごとにリフレッシュ
@@ -2022,6 +3438,78 @@ function MetarTafPanel() {
     return () => clearInterval(iv);
   }, [autoRefresh]);
 
+  useEffect(() => {
+    try { localStorage.setItem(ALERT_PREFS_KEY, JSON.stringify(alertPrefs)); } catch { /* silent */ }
+  }, [alertPrefs]);
+
+  // SPECI・顕著な変化の検知（初回取得分はベースラインとして記録のみ）
+  useEffect(() => {
+    const raised = [];
+    for (const [icao, text] of Object.entries(metarData)) {
+      const next = decodeMetar(text);
+      if (!next?.obsTimeRaw) continue;
+      const prev = lastSeenRef.current[icao];
+      if (prev?.obsTimeRaw === next.obsTimeRaw) continue;
+      lastSeenRef.current[icao] = next;
+      if (!prev) continue;
+      classifyMetarChange(prev, next, icao, historyData[icao]).forEach(a => raised.push({
+        ...a, icao, obsTimeRaw: next.obsTimeRaw, ts: new Date(), acked: false,
+        id: `${icao}-${next.obsTimeRaw}-${a.kind}`,
+      }));
+    }
+    if (raised.length === 0) return;
+    setAlerts(prev => [...raised, ...prev.filter(a => !raised.some(r => r.id === a.id))].slice(0, 50));
+    raised.forEach(a => logEvent("WARN", `${a.icao} ${a.kind} ${a.message}`));
+    if (alertPrefs.sound) playAlertChime();
+    if (alertPrefs.notify) {
+      const byIcao = {};
+      raised.forEach(a => (byIcao[a.icao] ??= []).push(a));
+      Object.entries(byIcao).forEach(([icao, list]) =>
+        showAlertNotification(`${icao} WX ALERT`, list.map(a => `${a.kind}: ${a.message}`).join("\n"), `wx-alert-${icao}`));
+    }
+  }, [metarData]); // eslint-disable-line
+
+  const ackAlert = (id) => setAlerts(prev => prev.map(a => a.id === id ? { ...a, acked: true } : a));
+  const ackAll = () => setAlerts(prev => prev.map(a => ({ ...a, acked: true })));
+  const toggleNotify = async () => {
+    if (alertPrefs.notify) { setAlertPrefs(p => ({ ...p, notify: false })); return; }
+    if (typeof Notification === "undefined") return;
+    const perm = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+    if (perm === "granted") setAlertPrefs(p => ({ ...p, notify: true }));
+  };
+
+  // 24h履歴: 未取得の空港は即時、以降は10分毎に選択局を一括で再取得
+  const fetchHistory = useCallback(async (icaos) => {
+    if (icaos.length === 0) return;
+    try {
+      const byStation = await fetchMetarHistory(icaos, undefined, HISTORY_HOURS);
+      setHistoryData((prev) => ({ ...prev, ...byStation }));
+    } catch { /* silent */ }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory(selectedAirports.filter(icao => !historyData[icao]));
+  }, [selectedAirports, historyData, fetchHistory]);
+
+  const selectedRef = useRef(selectedAirports);
+  useEffect(() => { selectedRef.current = selectedAirports; }, [selectedAirports]);
+  useEffect(() => {
+    const iv = setInterval(() => { fetchHistory(selectedRef.current); }, 600000);
+    return () => clearInterval(iv);
+  }, [fetchHistory]);
+
+  /** 履歴 + 最新取得分を観測時刻で統合（24h以内） */
+  const historyFor = (icao) => {
+    const cutoff = Date.now() - HISTORY_HOURS * 3600000;
+    const byObs = new Map();
+    for (const m of historyData[icao] ?? []) byObs.set(m.obsTimeRaw, m);
+    for (const line of (metarData[icao] ?? "").split("\n")) {
+      const m = decodeMetar(line);
+      if (m?.station === icao && m.obsTime) byObs.set(m.obsTimeRaw, m);
+    }
+    return [...byObs.values()].filter(m => m.obsTime.getTime() >= cutoff).sort((a, b) => a.obsTime - b.obsTime);
+  };
+
   // 変化ハイライトを5秒後にクリア
   useEffect(() => {
     const keys = Object.keys(changedFields);
@@ -2030,17 +3518,53 @@ function MetarTafPanel() {
     return () => clearTimeout(timer);
   }, [changedFields]);
 
+  // TAF照合: 24h履歴（+最新取得分）のうち本日(JST)のMETARを観測時刻のTAFと照合して集計
+  // ON にした時点で本日分をまとめて照合する。判定は初回照合時に確定させる（後のAMD TAFで過去のBUSTを上書きしない）
+  // 手元にあるのは現行TAFのみのため、その発表前の観測は（以前に確定済みでなければ）照合しない
+  useEffect(() => {
+    if (!verifyMode) return;
+    const jstDay = (d) => new Date(d.getTime() + 9 * 3600000).toISOString().slice(0, 10);
+    const today = jstDay(new Date());
+    const results = {};
+    for (const icao of selectedAirports) {
+      const taf = decodeTaf(tafData[icao]);
+      if (!taf) continue;
+      for (const m of historyFor(icao)) {
+        if (jstDay(m.obsTime) !== today) continue;
+        const key = `${icao} ${m.obsTimeRaw}`;
+        if (verifiedRef.current.has(key)) continue;
+        if (taf.issueTime && taf.issueTime > m.obsTime) continue;
+        const v = verifyMetarAgainstTaf(m, taf);
+        if (!v) continue;
+        verifiedRef.current.add(key);
+        (results[icao] ??= {})[m.obsTimeRaw] = { obsTime: m.obsTime, ...v };
+        v.busts.forEach(b => logEvent("TAF", `${icao} ${m.obsTimeRaw} BUST ${b.message} (${v.period})`));
+      }
+    }
+    setVerification(prev => {
+      const next = {};
+      for (const icao of Object.keys({ ...prev, ...results })) {
+        const merged = { ...results[icao], ...prev[icao] };
+        for (const k of Object.keys(merged)) if (jstDay(merged[k].obsTime) !== today) delete merged[k];
+        next[icao] = merged;
+      }
+      return next;
+    });
+  }, [verifyMode, historyData, metarData, tafData, selectedAirports]); // historyFor は historyData + metarData から算出
+
   const addAirport = (icao) => {
     const code = icao.toUpperCase().trim();
     if (code.length === 4 && !selectedAirports.includes(code)) {
       setSelectedAirports((prev) => [...prev, code]);
-      fetchMetar(code);
+      fetchStations([code]);
     }
   };
   const removeAirport = (icao) => {
     setSelectedAirports((prev) => prev.filter((a) => a !== icao));
     setMetarData((prev) => { const n = { ...prev }; delete n[icao]; return n; });
     setTafData((prev) => { const n = { ...prev }; delete n[icao]; return n; });
+    setHistoryData((prev) => { const n = { ...prev }; delete n[icao]; return n; });
+    setFetchFailed((prev) => { const n = { ...prev }; delete n[icao]; return n; });
   };
 
   const highlightMetar = (text) => {
@@ -2048,25 +3572,25 @@ function MetarTafPanel() {
     if (text.includes("error") || text.includes("No METAR")) return <span style={{ color: "#64748b" }}>{text}</span>;
     return text.split("\n").map((line, i) => {
       if (!line.trim()) return null;
+      const decoded = decodeMetar(line);
+      if (!decoded) return <div key={i} style={{ marginBottom: "4px", lineHeight: "1.6", color: "#e2e8f0" }}>{line}</div>;
       return (
         <div key={i} style={{ marginBottom: "4px", lineHeight: "1.6" }}>
-          {line.split(" ").map((token, j) => {
+          {decoded.tokens.map(({ text: token, kind, value }, j) => {
             let color = "#e2e8f0";
-            if (/^\d{5}(G\d{2,3})?KT$/.test(token) || /^\d{5}MPS$/.test(token)) color = "#60a5fa";
-            // 視程: 文字列比較ではなく数値比較に修正
-            else if (/^\d{4}$/.test(token) && j > 1 && j < 5) {
-              const vis = parseInt(token, 10);
-              color = vis < 3000 ? "#f87171" : vis < 5000 ? "#fbbf24" : "#6ee7b7";
+            if (kind === "wind" || kind === "windVar") color = "#60a5fa";
+            else if (kind === "vis" || kind === "visDir") {
+              if (value != null) color = FLIGHT_CATEGORY_COLORS[categoryForValues(value, null)];
             }
-            else if (/^(FEW|SCT|BKN|OVC|VV)\d{3}/.test(token)) {
-              // 雲高: NaN時は色変更しない（デフォルト色を維持）
-              const h = parseInt(token.replace(/^[A-Z]+/, ""), 10) * 100;
-              if (!isNaN(h)) color = h < 500 ? "#f87171" : h < 1500 ? "#fbbf24" : "#6ee7b7";
+            else if (kind === "cloud" || kind === "vv") {
+              // 雲高: 不明(///)時は色変更しない（デフォルト色を維持）
+              if (value != null) color = FLIGHT_CATEGORY_COLORS[categoryForValues(null, value)];
             }
-            else if (/^(TSRA|TS|\+RA|\+SN|FG|BR|HZ|SN|RA|DZ|GR|SQ|FC|SS|DS)/.test(token)) color = "#f87171";
-            else if (/^(CAVOK|SKC|NSC|NCD)$/.test(token)) color = "#6ee7b7";
-            else if (/^(NOSIG|BECMG|TEMPO)$/.test(token)) color = "#c084fc";
-            else if (/^(RMK|A\d{4}|Q\d{4})/.test(token)) color = "#94a3b8";
+            else if (kind === "wx" || kind === "windshear") color = "#f87171";
+            else if (kind === "rvr" || kind === "recent") color = "#fbbf24";
+            else if (kind === "cavok" || kind === "skyClear" || kind === "nsw") color = "#6ee7b7";
+            else if (kind === "trend") color = "#c084fc";
+            else if (kind === "qnh" || kind === "rmk") color = "#94a3b8";
             return <span key={j} style={{ color }}>{token} </span>;
           })}
         </div>
@@ -2154,12 +3678,52 @@ function MetarTafPanel() {
             }} />
             AUTO {autoRefresh ? "ON" : "OFF"}
           </button>
+          {/* TAF照合モード */}
+          <button onClick={() => setVerifyMode(v => !v)} style={{
+            padding: "8px 14px",
+            background: verifyMode ? "rgba(192,132,252,0.08)" : "transparent",
+            border: `1px solid ${verifyMode ? "rgba(192,132,252,0.4)" : "rgba(148,163,184,0.15)"}`,
+            borderRadius: "6px",
+            color: verifyMode ? "#c084fc" : "#64748b",
+            fontSize: "10px", cursor: "pointer",
+            fontFamily: "'JetBrains Mono', monospace",
+          }}>
+            TAF VERIFY {verifyMode ? "ON" : "OFF"}
+          </button>
+          {/* 代替空港ミニマ判定 */}
+          <button onClick={() => setAltnCheck(v => !v)} style={{
+            padding: "8px 14px",
+            background: altnCheck ? "rgba(192,132,252,0.08)" : "transparent",
+            border: `1px solid ${altnCheck ? "rgba(192,132,252,0.4)" : "rgba(148,163,184,0.15)"}`,
+            borderRadius: "6px",
+            color: altnCheck ? "#c084fc" : "#64748b",
+            fontSize: "10px", cursor: "pointer",
+            fontFamily: "'JetBrains Mono', monospace",
+          }}>
+            ALTN CHECK
+          </button>
           {/* 最終更新表示 */}
           {lastUpdate && (
             <span style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>
               LAST: {lastUpdate.toISOString().slice(11, 19)}z
             </span>
           )}
+          {/* プロキシ経由データの鮮度（AWC障害時はエッジキャッシュ/NOAA代替を表示） */}
+          {["/api/data/taf", "/api/data/metar"].map(path => {
+            const f = proxyFreshness[path];
+            if (!f) return null;
+            const age = proxyDataAgeSec(path);
+            const degraded = f.cache.startsWith("STALE") || f.upstream.includes("NOAA");
+            return (
+              <span key={path} title={`X-Cache: ${f.cache} / X-Upstream: ${f.upstream}`} style={{
+                fontSize: "9px", fontFamily: "'JetBrains Mono', monospace",
+                color: f.cache === "STALE-IF-ERROR" ? "#f87171" : degraded ? "#fbbf24" : "#334155",
+              }}>
+                {path.endsWith("taf") ? "TAF" : "METAR"} SRC {f.upstream || "?"} · AGE {age < 120 ? `${age}s` : `${Math.round(age / 60)}m`}
+                {f.cache.startsWith("STALE") ? ` · ${f.cache}` : ""}
+              </span>
+            );
+          })}
         </div>
         {/* DUTY ROUTE indicator */}
         {(() => {
@@ -2189,16 +3753,64 @@ function MetarTafPanel() {
             </div>
           );
         })()}
+        {altnCheck && <AlternateMinimaTable airports={selectedAirports} tafData={tafData} />}
+        {/* WX ALERTS — 未確認アラート一覧 */}
+        <div style={{
+          marginTop: "6px", padding: "6px 12px",
+          background: alerts.some(a => !a.acked) ? "rgba(248,113,113,0.06)" : "rgba(15,23,42,0.4)",
+          border: `1px solid ${alerts.some(a => !a.acked) ? "rgba(248,113,113,0.3)" : "rgba(148,163,184,0.1)"}`,
+          borderRadius: "4px", fontFamily: "'JetBrains Mono', monospace",
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            <span style={{ color: alerts.some(a => !a.acked) ? "#f87171" : "#64748b", fontSize: "9px", fontWeight: 700, letterSpacing: "1px" }}>
+              WX ALERTS {alerts.filter(a => !a.acked).length > 0 && `(${alerts.filter(a => !a.acked).length})`}
+            </span>
+            <div style={{ marginLeft: "auto", display: "flex", gap: "6px" }}>
+              {[
+                { label: "NOTIFY", on: alertPrefs.notify, onClick: toggleNotify },
+                { label: "CHIME", on: alertPrefs.sound, onClick: () => setAlertPrefs(p => ({ ...p, sound: !p.sound })) },
+              ].map(b => (
+                <button key={b.label} onClick={b.onClick} style={{
+                  background: b.on ? "rgba(110,231,183,0.08)" : "none",
+                  border: `1px solid ${b.on ? "rgba(110,231,183,0.3)" : "rgba(148,163,184,0.15)"}`,
+                  color: b.on ? "#6ee7b7" : "#64748b", cursor: "pointer",
+                  fontSize: "9px", padding: "1px 6px", borderRadius: "3px", fontFamily: "'JetBrains Mono', monospace",
+                }}>{b.label} {b.on ? "ON" : "OFF"}</button>
+              ))}
+              {alerts.some(a => !a.acked) && (
+                <button onClick={ackAll} style={{
+                  background: "rgba(248,113,113,0.1)", border: "1px solid rgba(248,113,113,0.4)", color: "#f87171",
+                  cursor: "pointer", fontSize: "9px", fontWeight: 700, padding: "1px 6px", borderRadius: "3px", fontFamily: "'JetBrains Mono', monospace",
+                }}>ACK ALL</button>
+              )}
+            </div>
+          </div>
+          {alerts.slice(0, 10).map(a => (
+            <div key={a.id} style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "10px", lineHeight: "1.8", opacity: a.acked ? 0.4 : 1 }}>
+              <span style={{ color: "#475569" }}>{a.ts.toISOString().slice(11, 16)}z</span>
+              <span style={{ color: "#6ee7b7", fontWeight: 700 }}>{a.icao}</span>
+              <span style={{ color: a.kind === "SPECI" ? "#fbbf24" : "#f87171", fontWeight: 700, minWidth: "40px" }}>{a.kind}</span>
+              <span style={{ color: "#cbd5e1" }}>{a.message}</span>
+              {!a.acked && (
+                <button onClick={() => ackAlert(a.id)} style={{
+                  marginLeft: "auto", background: "none", border: "1px solid rgba(148,163,184,0.2)", color: "#94a3b8",
+                  cursor: "pointer", fontSize: "9px", padding: "0 6px", borderRadius: "3px", fontFamily: "'JetBrains Mono', monospace",
+                }}>ACK</button>
+              )}
+            </div>
+          ))}
+        </div>
       </div>
 
       <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
         {selectedAirports.map((icao) => {
           const apInfo = AIRPORTS.find((a) => a.icao === icao);
           const hasChanged = !!changedFields[icao];
+          const hasAlert = alerts.some(a => a.icao === icao && !a.acked);
           return (
             <div key={icao} style={{
               background: hasChanged ? "rgba(251,191,36,0.04)" : "rgba(15, 23, 42, 0.5)",
-              border: `1px solid ${hasChanged ? "rgba(251,191,36,0.3)" : "rgba(148, 163, 184, 0.1)"}`,
+              border: `1px solid ${hasAlert ? "rgba(248,113,113,0.5)" : hasChanged ? "rgba(251,191,36,0.3)" : "rgba(148, 163, 184, 0.1)"}`,
               borderRadius: "10px", padding: "16px 20px",
               transition: "all 0.5s ease",
               boxShadow: hasChanged ? "0 0 20px rgba(251,191,36,0.08)" : "none",
@@ -2212,7 +3824,28 @@ function MetarTafPanel() {
                       {AIRPORT_OPS_HOURS[icao]}
                     </span>
                   )}
+                  {(() => {
+                    const cat = flightCategory(decodeMetar(metarData[icao]));
+                    if (!cat) return null;
+                    const color = FLIGHT_CATEGORY_COLORS[cat];
+                    return (
+                      <span title={`${settings.categoryRuleset} ruleset`} style={{
+                        padding: "1px 6px", borderRadius: "1px",
+                        background: `${color}18`, border: `1px solid ${color}40`,
+                        color, fontSize: "9px", fontWeight: 700,
+                        fontFamily: "'JetBrains Mono', monospace", letterSpacing: "1px",
+                      }}>{cat}</span>
+                    );
+                  })()}
                   {loading[icao] && <span style={{ color: "#fbbf24", fontSize: "11px" }}>loading...</span>}
+                  {fetchFailed[icao] && !loading[icao] && (
+                    <span title="AWC/プロキシから取得できませんでした。前回取得分があればそれを表示しています" style={{
+                      padding: "2px 8px", borderRadius: "2px",
+                      background: "rgba(248,113,113,0.12)", border: "1px solid rgba(248,113,113,0.4)",
+                      color: "#f87171", fontSize: "9px", fontWeight: 700,
+                      fontFamily: "'JetBrains Mono', monospace", letterSpacing: "1px",
+                    }}>FETCH ERROR</span>
+                  )}
                   {hasChanged && (
                     <span style={{
                       padding: "2px 8px", borderRadius: "2px",
@@ -2222,6 +3855,21 @@ function MetarTafPanel() {
                       animation: "statusBlink 1s ease 3",
                     }}>UPDATED</span>
                   )}
+                  {verifyMode && (() => {
+                    const checks = Object.values(verification[icao] ?? {});
+                    if (checks.length === 0) return null;
+                    const ok = checks.filter(c => c.busts.length === 0).length;
+                    const pct = Math.round(ok / checks.length * 100);
+                    const color = pct >= 90 ? "#6ee7b7" : pct >= 70 ? "#fbbf24" : "#f87171";
+                    return (
+                      <span title="本日(JST)のMETARのうちTAFの予報範囲内だった割合" style={{
+                        padding: "2px 8px", borderRadius: "2px",
+                        background: `${color}18`, border: `1px solid ${color}60`,
+                        color, fontSize: "9px", fontWeight: 700,
+                        fontFamily: "'JetBrains Mono', monospace", letterSpacing: "1px",
+                      }}>TAF REL {pct}% <span style={{ opacity: 0.6, fontWeight: 400 }}>({ok}/{checks.length})</span></span>
+                    );
+                  })()}
                 </div>
                 <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
                   {WX_SUMMARY[icao] && (
@@ -2311,15 +3959,35 @@ function MetarTafPanel() {
                   <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "12px", lineHeight: "1.7", padding: "10px 14px", background: "rgba(0,0,0,0.3)", borderRadius: "6px", borderLeft: "3px solid rgba(96, 165, 250, 0.4)" }}>
                     {highlightMetar(metarData[icao])}
                   </div>
+                  <DecodedMetarLine metarRaw={metarData[icao]} />
                 </div>
               )}
               <CrosswindDisplay icao={icao} metarRaw={metarData[icao]} />
+              <AltitudePanel icao={icao} metarRaw={metarData[icao]} />
+              <MetarHistoryCharts history={historyFor(icao)} />
               {tafData[icao] && (
                 <div>
                   <div style={{ color: "#c084fc", fontSize: "10px", fontWeight: 600, letterSpacing: "2px", marginBottom: "6px", fontFamily: "'JetBrains Mono', monospace" }}>TAF</div>
                   <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "12px", lineHeight: "1.7", color: "#cbd5e1", padding: "10px 14px", background: "rgba(0,0,0,0.3)", borderRadius: "6px", borderLeft: "3px solid rgba(192, 132, 252, 0.4)", whiteSpace: "pre-wrap" }}>
                     {tafData[icao]}
                   </div>
+                  <TafTimeline icao={icao} tafRaw={tafData[icao]} />
+                  {verifyMode && verification[icao] && (
+                    <div style={{ marginTop: "8px", fontFamily: "'JetBrains Mono', monospace", fontSize: "10px", lineHeight: "1.6" }}>
+                      <div style={{ color: "#c084fc", fontSize: "9px", fontWeight: 600, letterSpacing: "2px", marginBottom: "2px" }}>TAF VERIFY — TODAY</div>
+                      {Object.entries(verification[icao])
+                        .sort((a, b) => b[1].obsTime - a[1].obsTime)
+                        .map(([obs, v]) => (
+                          <div key={obs} style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+                            <span style={{ color: "#64748b", minWidth: "56px" }}>{obs}</span>
+                            {v.busts.length === 0
+                              ? <span style={{ color: "#6ee7b7" }}>OK</span>
+                              : v.busts.map((b, i) => <span key={i} style={{ color: "#f87171" }}>{b.message}</span>)}
+                            <span style={{ color: "#475569", marginLeft: "auto" }}>{v.period}</span>
+                          </div>
+                        ))}
+                    </div>
+                  )}
                 </div>
               )}
               {!metarData[icao] && !loading[icao] && (
@@ -2673,38 +4341,1096 @@ function RadarPanel() {
         </div>
       </PanelFrame>
 
-      {/* Hazard checklist */}
-      <div>
-        <div style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", marginBottom: "8px" }}>AVIATION HAZARD CHECKLIST</div>
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: "8px" }}>
-          {hazards.map(h => (
-            <div key={h.label} style={{ padding: "12px", background: "rgba(5,10,20,0.8)", border: "1px solid rgba(110,231,183,0.08)", borderRadius: "4px" }}>
-              <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "6px" }}>
-                <span style={{ fontSize: "16px" }}>{h.icon}</span>
-                <span style={{ color: "#e2e8f0", fontSize: "10px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{h.label}</span>
-              </div>
-              {h.steps.map((s, i) => (
-                <div key={i} style={{ display: "flex", gap: "6px", alignItems: "flex-start", marginBottom: "3px" }}>
-                  <span style={{ color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "1px" }}>{i + 1}.</span>
-                  <span style={{ color: "#64748b", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.5" }}>{s}</span>
-                </div>
-              ))}
-            </div>
+      {/* Hazard checklist */}
+      <div>
+        <div style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", marginBottom: "8px" }}>AVIATION HAZARD CHECKLIST</div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: "8px" }}>
+          {hazards.map(h => (
+            <div key={h.label} style={{ padding: "12px", background: "rgba(5,10,20,0.8)", border: "1px solid rgba(110,231,183,0.08)", borderRadius: "4px" }}>
+              <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "6px" }}>
+                <span style={{ fontSize: "16px" }}>{h.icon}</span>
+                <span style={{ color: "#e2e8f0", fontSize: "10px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{h.label}</span>
+              </div>
+              {h.steps.map((s, i) => (
+                <div key={i} style={{ display: "flex", gap: "6px", alignItems: "flex-start", marginBottom: "3px" }}>
+                  <span style={{ color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "1px" }}>{i + 1}.</span>
+                  <span style={{ color: "#64748b", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.5" }}>{s}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+/* ========== SKEW-T — Open-Meteo 気圧面データからのネイティブ描画 ========== */
+// 熱力学・安定度計算の本体は wxThermo.js（単体チェックは wxThermo.test.js）
+
+const SKEWT_LEVELS = [1000, 975, 950, 925, 900, 850, 800, 700, 600, 500, 400, 300, 250, 200, 150, 100];
+
+/**
+ * Open-Meteo 気圧面予報 → { validTime, elevation, levels: [{ p, t, td, wdir, wspd, z }] }
+ * levels は地上（surface_pressure）を先頭に p 降順、地中の気圧面は除外。z は海抜 m、wspd は kt
+ * fh < 0（過去の実況ゾンデとの比較）は past_days で取得
+ */
+async function fetchModelSounding(lat, lon, fh, signal) {
+  const perLevel = ["temperature", "dew_point", "wind_speed", "wind_direction", "geopotential_height"];
+  const hourly = [
+    ...SKEWT_LEVELS.flatMap(p => perLevel.map(v => `${v}_${p}hPa`)),
+    "temperature_2m", "dew_point_2m", "surface_pressure", "wind_speed_10m", "wind_direction_10m",
+  ];
+  const url = `https://api.open-meteo.com/v1/forecast`
+    + `?latitude=${lat}&longitude=${lon}`
+    + `&hourly=${hourly.join(",")}`
+    + `&wind_speed_unit=kn&forecast_days=4&timezone=UTC`
+    + (fh < 0 ? `&past_days=${Math.ceil(-fh / 24) + 1}` : "");
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Open-Meteo HTTP ${res.status}`);
+  const json = await res.json();
+  const h = json.hourly ?? {};
+  const valid = new Date(Math.floor(Date.now() / 3600000) * 3600000 + fh * 3600000);
+  const idx = (h.time ?? []).indexOf(valid.toISOString().slice(0, 13) + ":00");
+  if (idx < 0) throw new Error(`+${fh}h is outside the forecast range`);
+  const at = (key) => h[key]?.[idx] ?? null;
+
+  const psfc = at("surface_pressure");
+  const levels = SKEWT_LEVELS
+    .filter(p => psfc == null || p < psfc)
+    .map(p => ({
+      p, t: at(`temperature_${p}hPa`), td: at(`dew_point_${p}hPa`),
+      wdir: at(`wind_direction_${p}hPa`), wspd: at(`wind_speed_${p}hPa`), z: at(`geopotential_height_${p}hPa`),
+    }))
+    .filter(l => l.t != null);
+  if (psfc != null && at("temperature_2m") != null) {
+    levels.unshift({
+      p: psfc, t: at("temperature_2m"), td: at("dew_point_2m"),
+      wdir: at("wind_direction_10m"), wspd: at("wind_speed_10m"), z: json.elevation ?? null, surface: true,
+    });
+  }
+  if (levels.length < 3) throw new Error("Insufficient sounding data");
+  return { validTime: valid, elevation: json.elevation ?? null, levels };
+}
+
+// 描画座標系（log-p、45° スキュー）
+const SKEWT_W = 560, SKEWT_H = 560;
+const SKEWT_M = { l: 44, r: 74, t: 10, b: 24 };
+const SKEWT_PW = SKEWT_W - SKEWT_M.l - SKEWT_M.r, SKEWT_PH = SKEWT_H - SKEWT_M.t - SKEWT_M.b;
+const SKEWT_P_BOT = 1050, SKEWT_P_TOP = 100, SKEWT_T_MIN = -40, SKEWT_T_MAX = 50;
+const skewY = (p) => SKEWT_M.t + SKEWT_PH * Math.log(p / SKEWT_P_TOP) / Math.log(SKEWT_P_BOT / SKEWT_P_TOP);
+const skewX = (t, p) => SKEWT_M.l + (t - SKEWT_T_MIN) / (SKEWT_T_MAX - SKEWT_T_MIN) * SKEWT_PW + (SKEWT_M.t + SKEWT_PH - skewY(p));
+const skewPts = (pts) => pts.filter(q => q.t != null).map(q => `${skewX(q.t, q.p).toFixed(1)},${skewY(q.p).toFixed(1)}`).join(" ");
+
+/** 矢羽（風が吹いてくる方向へ軸、50kt=旗 10kt=長羽 5kt=短羽） */
+function WindBarb({ x, y, dir, spd, color = "#cbd5e1", len = 26 }) {
+  if (dir == null || spd == null) return null;
+  if (spd < 3) return <circle cx={x} cy={y} r="3" fill="none" stroke={color} strokeWidth="1" />;
+  const a = dir * Math.PI / 180;
+  const ux = Math.sin(a), uy = -Math.cos(a);      // 軸方向（風上側）
+  const vx = -uy, vy = ux;                         // 羽の方向
+  const parts = [];
+  let rest = Math.round(spd / 5) * 5, pos = len;
+  const at = (d) => [x + ux * d, y + uy * d];
+  while (rest >= 50) {
+    const [x1, y1] = at(pos), [x2, y2] = at(pos - 6), [fx, fy] = [x1 + vx * 10, y1 + vy * 10];
+    parts.push(<polygon key={`p${pos}`} points={`${x1},${y1} ${fx},${fy} ${x2},${y2}`} fill={color} />);
+    rest -= 50; pos -= 8;
+  }
+  while (rest >= 10) {
+    const [x1, y1] = at(pos);
+    parts.push(<line key={`f${pos}`} x1={x1} y1={y1} x2={x1 + vx * 10 + ux * 3} y2={y1 + vy * 10 + uy * 3} stroke={color} strokeWidth="1" />);
+    rest -= 10; pos -= 4;
+  }
+  if (rest >= 5) {
+    if (pos === len) pos -= 4;
+    const [x1, y1] = at(pos);
+    parts.push(<line key={`h${pos}`} x1={x1} y1={y1} x2={x1 + vx * 5 + ux * 1.5} y2={y1 + vy * 5 + uy * 1.5} stroke={color} strokeWidth="1" />);
+  }
+  const [ex, ey] = at(len);
+  return <g><line x1={x} y1={y} x2={ex} y2={ey} stroke={color} strokeWidth="1" />{parts}</g>;
+}
+
+const SKEWT_ISOBARS = [1000, 925, 850, 700, 600, 500, 400, 300, 250, 200, 150, 100];
+
+/**
+ * Skew-T/log-P 図（ホバーで読み取り値）
+ * compare = { levels, label } を渡すと気温・露点を破線で重ね書き（実況ゾンデ vs モデル）
+ */
+function SkewTChart({ levels, analysis, title, compare }) {
+  useSettings();
+  const [hoverP, setHoverP] = useState(null);
+  const svgRef = useRef(null);
+  const mono = "'JetBrains Mono', monospace";
+  const pSfc = levels[0].p, pMin = levels[levels.length - 1].p;
+
+  const onMove = (e) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const vy = (e.clientY - rect.top) * SKEWT_H / rect.height;
+    const p = SKEWT_P_TOP * Math.exp((vy - SKEWT_M.t) / SKEWT_PH * Math.log(SKEWT_P_BOT / SKEWT_P_TOP));
+    setHoverP(p <= pSfc && p >= pMin ? p : null);
+  };
+
+  // 背景線
+  const isotherms = [];
+  for (let t = -120; t <= 50; t += 10) isotherms.push(t);
+  const dryAdiabats = [];
+  for (let th = -30; th <= 170; th += 10) {
+    const pts = [];
+    for (let p = SKEWT_P_BOT; p >= SKEWT_P_TOP; p -= 25) pts.push({ p, t: (th + 273.15) * (p / 1000) ** KAPPA - 273.15 });
+    dryAdiabats.push(pts);
+  }
+  const moistAdiabats = [];
+  for (let t0 = -20; t0 <= 40; t0 += 5) moistAdiabats.push(moistAdiabat(1000, t0, 200, 25));
+  const mixingLines = [1, 2, 4, 8, 16, 24].map(w => ({
+    w, pts: [1050, 900, 800, 700, 600].map(p => ({ p, t: dewpointFromVapor(w / 1000 * p / (EPS_RATIO + w / 1000)) })),
+  }));
+
+  const hover = hoverP != null ? {
+    p: hoverP,
+    t: interpAtPressure(levels, hoverP, "t"),
+    td: interpAtPressure(levels, hoverP, "td"),
+    z: interpAtPressure(levels, hoverP, "z"),
+    wind: levels.filter(l => l.wdir != null).reduce((best, l) => (!best || Math.abs(Math.log(l.p / hoverP)) < Math.abs(Math.log(best.p / hoverP)) ? l : best), null),
+    ct: compare ? interpAtPressure(compare.levels, hoverP, "t") : null,
+    ctd: compare ? interpAtPressure(compare.levels, hoverP, "td") : null,
+  } : null;
+
+  // 矢羽は 12px 以上間隔を空けて間引く（実況ゾンデは層数が多い）
+  const barbs = [];
+  for (const l of levels) {
+    if (l.wdir == null || l.wspd == null) continue;
+    if (barbs.length && skewY(barbs[barbs.length - 1].p) - skewY(l.p) < 12) continue;
+    barbs.push(l);
+  }
+
+  const marker = (p, label, color) => p != null && (
+    <g key={label}>
+      <line x1={SKEWT_M.l + SKEWT_PW - 46} x2={SKEWT_M.l + SKEWT_PW} y1={skewY(p)} y2={skewY(p)} stroke={color} strokeWidth="1.5" />
+      <text x={SKEWT_M.l + SKEWT_PW - 48} y={skewY(p) + 3} fill={color} fontSize="9" textAnchor="end" fontFamily={mono}>
+        {label} {Math.round(p)}
+      </text>
+    </g>
+  );
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${SKEWT_W} ${SKEWT_H}`} onMouseMove={onMove} onMouseLeave={() => setHoverP(null)}
+      style={{ width: "100%", display: "block", background: "rgba(2,6,23,0.8)", borderRadius: "4px", cursor: "crosshair" }}>
+      <defs>
+        <clipPath id="skewt-clip"><rect x={SKEWT_M.l} y={SKEWT_M.t} width={SKEWT_PW} height={SKEWT_PH} /></clipPath>
+      </defs>
+      <g clipPath="url(#skewt-clip)">
+        {dryAdiabats.map((pts, i) => <polyline key={`d${i}`} points={skewPts(pts)} fill="none" stroke="rgba(251,146,60,0.16)" strokeWidth="0.8" />)}
+        {moistAdiabats.map((pts, i) => <polyline key={`m${i}`} points={skewPts(pts)} fill="none" stroke="rgba(96,165,250,0.18)" strokeWidth="0.8" strokeDasharray="3 3" />)}
+        {mixingLines.map(({ w, pts }) => (
+          <g key={`w${w}`}>
+            <polyline points={skewPts(pts)} fill="none" stroke="rgba(110,231,183,0.18)" strokeWidth="0.8" strokeDasharray="1 3" />
+            <text x={skewX(pts[pts.length - 1].t, 600)} y={skewY(600) - 2} fill="rgba(110,231,183,0.35)" fontSize="7" textAnchor="middle" fontFamily={mono}>{w}</text>
+          </g>
+        ))}
+        {isotherms.map(t => (
+          <line key={`t${t}`} x1={skewX(t, SKEWT_P_BOT)} y1={skewY(SKEWT_P_BOT)} x2={skewX(t, SKEWT_P_TOP)} y2={skewY(SKEWT_P_TOP)}
+            stroke={t === 0 ? "rgba(56,189,248,0.55)" : "rgba(148,163,184,0.12)"} strokeWidth={t === 0 ? 1.2 : 0.8} />
+        ))}
+        {SKEWT_ISOBARS.map(p => (
+          <line key={`p${p}`} x1={SKEWT_M.l} x2={SKEWT_M.l + SKEWT_PW} y1={skewY(p)} y2={skewY(p)} stroke="rgba(148,163,184,0.15)" strokeWidth="0.8" />
+        ))}
+        {/* 気塊・気温・露点 */}
+        {analysis.parcel && <polyline points={skewPts(analysis.parcel.path)} fill="none" stroke="#fde68a" strokeWidth="1.3" strokeDasharray="5 3" />}
+        {compare && (
+          <g opacity="0.6">
+            <polyline points={skewPts(compare.levels)} fill="none" stroke="#f87171" strokeWidth="1.3" strokeDasharray="6 3" />
+            <polyline points={skewPts(compare.levels.map(l => ({ p: l.p, t: l.td })))} fill="none" stroke="#4ade80" strokeWidth="1.3" strokeDasharray="6 3" />
+          </g>
+        )}
+        <polyline points={skewPts(levels)} fill="none" stroke="#f87171" strokeWidth="2" />
+        <polyline points={skewPts(levels.map(l => ({ p: l.p, t: l.td })))} fill="none" stroke="#4ade80" strokeWidth="2" />
+        {hover && <line x1={SKEWT_M.l} x2={SKEWT_M.l + SKEWT_PW} y1={skewY(hover.p)} y2={skewY(hover.p)} stroke="rgba(226,232,240,0.5)" strokeDasharray="2 2" />}
+      </g>
+
+      {/* 軸ラベル: hPa / FL（ISA） */}
+      {SKEWT_ISOBARS.map(p => (
+        <g key={`pl${p}`}>
+          <text x={SKEWT_M.l - 4} y={skewY(p) + 3} fill="#64748b" fontSize="9" textAnchor="end" fontFamily={mono}>{p}</text>
+          <text x={SKEWT_M.l - 4} y={skewY(p) + 11} fill="#334155" fontSize="7" textAnchor="end" fontFamily={mono}>
+            FL{String(Math.round(pressureAltitudeFt(p) / 100)).padStart(3, "0")}
+          </text>
+        </g>
+      ))}
+      {[-30, -20, -10, 0, 10, 20, 30, 40].map(t => (
+        <text key={`tl${t}`} x={skewX(t, SKEWT_P_BOT)} y={SKEWT_H - 8} fill="#475569" fontSize="8" textAnchor="middle" fontFamily={mono}>{t}</text>
+      ))}
+
+      {/* LCL / LFC / EL / 0°C */}
+      {marker(analysis.parcel?.lcl.p, "LCL", "#fde68a")}
+      {marker(analysis.lfc, "LFC", "#fb923c")}
+      {marker(analysis.el, "EL", "#f472b6")}
+      {analysis.freezing.map((f, i) => (
+        <text key={`fz${i}`} x={Math.min(skewX(0, f.p) + 4, SKEWT_M.l + SKEWT_PW - 60)} y={skewY(f.p) - 3} fill="#38bdf8" fontSize="9" fontFamily={mono}>
+          0°C FL{String(Math.max(0, f.fl)).padStart(3, "0")}
+        </text>
+      ))}
+
+      {/* 矢羽 */}
+      <line x1={SKEWT_W - SKEWT_M.r + 36} x2={SKEWT_W - SKEWT_M.r + 36} y1={skewY(pSfc)} y2={skewY(pMin)} stroke="rgba(148,163,184,0.15)" />
+      {barbs.map(l => <WindBarb key={`b${l.p}`} x={SKEWT_W - SKEWT_M.r + 36} y={skewY(l.p)} dir={l.wdir} spd={l.wspd} />)}
+
+      {title && <text x={SKEWT_M.l + 6} y={SKEWT_M.t + 12} fill="#6ee7b7" fontSize="10" fontWeight="700" fontFamily={mono}>{title}</text>}
+      {compare && (
+        <g fontFamily={mono} fontSize="8">
+          <line x1={SKEWT_M.l + SKEWT_PW - 150} x2={SKEWT_M.l + SKEWT_PW - 134} y1={SKEWT_M.t + 10} y2={SKEWT_M.t + 10} stroke="#e2e8f0" strokeWidth="2" />
+          <text x={SKEWT_M.l + SKEWT_PW - 130} y={SKEWT_M.t + 13} fill="#94a3b8">OBS</text>
+          <line x1={SKEWT_M.l + SKEWT_PW - 100} x2={SKEWT_M.l + SKEWT_PW - 84} y1={SKEWT_M.t + 10} y2={SKEWT_M.t + 10} stroke="#e2e8f0" strokeWidth="1.3" strokeDasharray="6 3" opacity="0.6" />
+          <text x={SKEWT_M.l + SKEWT_PW - 80} y={SKEWT_M.t + 13} fill="#94a3b8">{compare.label}</text>
+        </g>
+      )}
+
+      {/* ホバー読み取り */}
+      {hover && (
+        <g fontFamily={mono} fontSize="9">
+          <rect x={SKEWT_M.l + 6} y={SKEWT_M.t + 20} width="150" height={compare ? 102 : 76} fill="rgba(5,10,20,0.92)" stroke="rgba(110,231,183,0.3)" rx="3" />
+          <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 34} fill="#e2e8f0">{Math.round(hover.p)} hPa · FL{String(Math.round(pressureAltitudeFt(hover.p) / 100)).padStart(3, "0")}</text>
+          <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 47} fill="#94a3b8">HGT {hover.z != null ? fmtAlt(hover.z / FT_TO_M) : "---"}</text>
+          <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 60} fill="#f87171">T {fmtTemp(hover.t)} <tspan fill="#4ade80">Td {fmtTemp(hover.td)}</tspan></text>
+          <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 73} fill="#94a3b8">SPRD {hover.t != null && hover.td != null ? `${(hover.t - hover.td).toFixed(1)}°` : "---"}</text>
+          <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 86} fill="#cbd5e1">
+            WIND {hover.wind ? `${String(Math.round(hover.wind.wdir)).padStart(3, "0")}/${fmtSpeed(hover.wind.wspd)} (${hover.wind.surface ? "SFC" : Math.round(hover.wind.p)})` : "---"}
+          </text>
+          {compare && (
+            <>
+              <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 99} fill="#94a3b8">{compare.label} T {fmtTemp(hover.ct)} Td {fmtTemp(hover.ctd)}</text>
+              <text x={SKEWT_M.l + 12} y={SKEWT_M.t + 112} fill="#fbbf24">
+                ΔT {hover.t != null && hover.ct != null ? `${hover.ct - hover.t > 0 ? "+" : ""}${(hover.ct - hover.t).toFixed(1)}°` : "---"}
+                {" "}ΔTd {hover.td != null && hover.ctd != null ? `${hover.ctd - hover.td > 0 ? "+" : ""}${(hover.ctd - hover.td).toFixed(1)}°` : "---"}
+              </text>
+            </>
+          )}
+        </g>
+      )}
+    </svg>
+  );
+}
+
+/** 空港座標の Open-Meteo 予報サウンディング取得 → { data, error, loading } */
+function useModelSounding(lat, lon, fh) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (lat == null) return undefined;
+    const ctrl = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchModelSounding(lat, lon, fh, ctrl.signal)
+      .then(d => setData(d))
+      .catch(e => { if (e.name !== "AbortError") { setError(e.message); setData(null); } })
+      .finally(() => setLoading(false));
+    return () => ctrl.abort();
+  }, [lat, lon, fh]);
+
+  return { data, error, loading };
+}
+
+/*
+ * 安定度指数の色分け基準（PILOT_GUIDE の CAPE 帯と同じ 4 段階）
+ * bands = [注意, 警戒, 危険] の境界。worse: "high" は値が大きいほど、"low" は小さいほど不安定
+ * 設定 stabilityThresholds[key] で上書き可
+ */
+const STABILITY_INDICES = [
+  { key: "sbCape", label: "SBCAPE", unit: "J/kg", worse: "high", bands: [300, 1000, 2500], step: 100 },
+  { key: "muCape", label: "MUCAPE", unit: "J/kg", worse: "high", bands: [300, 1000, 2500], step: 100 },
+  { key: "li", label: "LI", unit: "°C", worse: "low", bands: [0, -3, -6], step: 1 },
+  { key: "ssi", label: "SSI", unit: "°C", worse: "low", bands: [3, 0, -3], step: 1 },
+  { key: "ki", label: "K-INDEX", unit: "", worse: "high", bands: [25, 30, 35], step: 1 },
+  { key: "tt", label: "TT", unit: "", worse: "high", bands: [44, 50, 55], step: 1 },
+  { key: "pw", label: "PW", unit: "mm", worse: "high", bands: [30, 50, 60], step: 5 },
+  { key: "shear06", label: "SHEAR 0-6KM", unit: "kt", worse: "high", bands: [20, 35, 50], step: 5 },
+];
+const STABILITY_BAND_COLORS = ["#94a3b8", "#fde68a", "#fbbf24", "#f87171"];
+
+function stabilityBands(key) {
+  const def = STABILITY_INDICES.find(d => d.key === key);
+  const custom = getSettings().stabilityThresholds?.[key];
+  return Array.isArray(custom) && custom.length === 3 ? custom : def.bands;
+}
+
+/** 指数値 → 0（平穏）〜 3（危険） */
+function stabilityLevel(key, v) {
+  if (v == null) return null;
+  const def = STABILITY_INDICES.find(d => d.key === key);
+  return stabilityBands(key).filter(b => (def.worse === "low" ? v <= b : v >= b)).length;
+}
+
+/** 境界値の表示（shear06 は kt で保持し、風速の表示単位に換算） */
+function fmtStabilityBands(key) {
+  const bands = stabilityBands(key);
+  return key === "shear06" ? `${bands.map(convSpeed).join(" / ")}${unitLabel("unitWind")}` : bands.join(" / ");
+}
+
+/** 安定度指数グリッド（CIN は CAPE に併記、色分けなし） */
+function StabilityIndexGrid({ indices }) {
+  useSettings();
+  const mono = "'JetBrains Mono', monospace";
+  const fmt = (key, v) => {
+    if (v == null) return "---";
+    if (key === "shear06") return fmtSpeed(v);
+    if (key === "sbCape" || key === "muCape" || key === "pw") return String(Math.round(v));
+    return `${v > 0 ? "+" : ""}${v.toFixed(1)}`;
+  };
+  const cin = (v) => (v == null ? "CIN ---" : `CIN ${Math.round(v)}`);
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))", gap: "6px", marginTop: "8px", fontFamily: mono }}>
+      {STABILITY_INDICES.map(d => {
+        const v = indices[d.key], lvl = stabilityLevel(d.key, v);
+        const color = lvl == null ? "#475569" : STABILITY_BAND_COLORS[lvl];
+        return (
+          <div key={d.key} style={{
+            padding: "6px 8px", background: "rgba(0,0,0,0.3)", borderRadius: "4px",
+            border: `1px solid ${lvl ? `${color}55` : "rgba(148,163,184,0.1)"}`,
+          }}>
+            <div style={{ fontSize: "8px", color: "#64748b", letterSpacing: "1px" }}>{d.label}</div>
+            <div style={{ fontSize: "15px", fontWeight: 700, color }}>
+              {fmt(d.key, v)}<span style={{ fontSize: "9px", fontWeight: 400, color: "#475569", marginLeft: "3px" }}>{d.key === "shear06" ? "" : d.unit}</span>
+            </div>
+            <div style={{ fontSize: "8px", color: "#334155" }}>
+              {d.key === "sbCape" ? cin(indices.sbCin)
+                : d.key === "muCape" ? `${cin(indices.muCin)}${indices.muP != null ? ` · ${Math.round(indices.muP)}hPa` : ""}`
+                : `${d.worse === "low" ? "≤" : "≥"} ${fmtStabilityBands(d.key)}`}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/** 画像表示時も指数だけは同じ予報データから出す */
+function SoundingIndices({ icao, lat, lon, fh }) {
+  const { data, error } = useModelSounding(lat, lon, fh);
+  const indices = useMemo(() => (data ? stabilityIndices(data.levels) : null), [data]);
+  const mono = "'JetBrains Mono', monospace";
+  if (lat == null || error) return null;
+  if (!indices) return <div style={{ padding: "8px", color: "#64748b", fontSize: "10px", fontFamily: mono }}>COMPUTING INDICES...</div>;
+  return (
+    <div>
+      <div style={{ fontSize: "9px", color: "#64748b", fontFamily: mono, letterSpacing: "1px", marginTop: "8px" }}>
+        {icao} STABILITY · VALID {data.validTime.toISOString().slice(8, 13).replace("T", "/")}Z (+{fh}h) · OPEN-METEO
+      </div>
+      <StabilityIndexGrid indices={indices} />
+    </div>
+  );
+}
+
+/** 空港座標の Open-Meteo 予報サウンディング（取得 + Skew-T + 解析値） */
+function NativeSkewT({ icao, lat, lon, fh }) {
+  useSettings();
+  const { data, error, loading } = useModelSounding(lat, lon, fh);
+
+  const analysis = useMemo(() => (data ? analyzeSounding(data.levels) : null), [data]);
+  const indices = useMemo(() => (data ? stabilityIndices(data.levels) : null), [data]);
+  const mono = "'JetBrains Mono', monospace";
+  const fl = (p) => (p != null ? `FL${String(Math.round(pressureAltitudeFt(p) / 100)).padStart(3, "0")}` : "---");
+
+  if (lat == null) {
+    return <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: mono }}>{icao}: 座標が登録されていません</div>;
+  }
+  if (error) {
+    return <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: mono }}>Sounding data not available for {icao} — {error}</div>;
+  }
+  if (!data || !analysis) {
+    return <div style={{ padding: "40px", textAlign: "center", color: "#64748b", fontSize: "12px", fontFamily: mono }}>LOADING SOUNDING...</div>;
+  }
+  return (
+    <div style={{ opacity: loading ? 0.6 : 1, transition: "opacity 0.15s ease" }}>
+      <SkewTChart levels={data.levels} analysis={analysis} title={`${icao}  VALID ${data.validTime.toISOString().slice(8, 13).replace("T", "/")}Z  (+${fh}h)`} />
+      <div style={{ display: "flex", gap: "14px", flexWrap: "wrap", marginTop: "6px", fontSize: "10px", fontFamily: mono }}>
+        <span style={{ color: "#fde68a" }}>LCL {analysis.parcel ? `${Math.round(analysis.parcel.lcl.p)}hPa ${fl(analysis.parcel.lcl.p)}` : "---"}</span>
+        <span style={{ color: "#fb923c" }}>LFC {analysis.lfc != null ? `${Math.round(analysis.lfc)}hPa ${fl(analysis.lfc)}` : "NONE"}</span>
+        <span style={{ color: "#f472b6" }}>EL {analysis.el != null ? `${Math.round(analysis.el)}hPa ${fl(analysis.el)}` : "---"}</span>
+        <span style={{ color: "#38bdf8" }}>
+          0°C {analysis.freezing.length ? analysis.freezing.map(f => `FL${String(Math.max(0, f.fl)).padStart(3, "0")} (${fmtAlt(Math.round(f.ft / 100) * 100)})`).join(" / ") : "---"}
+        </span>
+        <span style={{ color: "#334155", marginLeft: "auto" }}>SOURCE: open-meteo.com · {data.levels.length} LEVELS</span>
+      </div>
+      <StabilityIndexGrid indices={indices} />
+    </div>
+  );
+}
+
+/* ========== RAOB — 実況ゾンデ（00Z/12Z）とモデルの比較 ========== */
+// 気象庁の高層気象観測地点（WMO 地点番号）。lat/lon はモデルプロファイル取得用
+const RAOB_STATIONS = [
+  { stnm: "47401", name: "稚内", en: "WAKKANAI", lat: 45.42, lon: 141.68 },
+  { stnm: "47412", name: "札幌", en: "SAPPORO", lat: 43.06, lon: 141.33 },
+  { stnm: "47418", name: "釧路", en: "KUSHIRO", lat: 42.99, lon: 144.52 },
+  { stnm: "47582", name: "秋田", en: "AKITA", lat: 39.72, lon: 140.10 },
+  { stnm: "47600", name: "輪島", en: "WAJIMA", lat: 37.39, lon: 136.90 },
+  { stnm: "47646", name: "館野", en: "TATENO", lat: 36.06, lon: 140.13 },
+  { stnm: "47678", name: "八丈島", en: "HACHIJOJIMA", lat: 33.12, lon: 139.78 },
+  { stnm: "47741", name: "松江", en: "MATSUE", lat: 35.46, lon: 133.07 },
+  { stnm: "47778", name: "潮岬", en: "SHIONOMISAKI", lat: 33.45, lon: 135.76 },
+  { stnm: "47807", name: "福岡", en: "FUKUOKA", lat: 33.58, lon: 130.38 },
+  { stnm: "47827", name: "鹿児島", en: "KAGOSHIMA", lat: 31.55, lon: 130.55 },
+  { stnm: "47909", name: "名瀬", en: "NAZE", lat: 28.38, lon: 129.55 },
+  { stnm: "47918", name: "石垣島", en: "ISHIGAKIJIMA", lat: 24.34, lon: 124.16 },
+  { stnm: "47936", name: "那覇", en: "NAHA", lat: 26.21, lon: 127.69 },
+];
+const RAOB_COMPARE_LEVELS = [925, 850, 700, 500, 300, 250, 200];
+
+function nearestRaob(lat, lon) {
+  const dist = (s) => haversineNm([lat, lon], [s.lat, s.lon]);
+  return RAOB_STATIONS.reduce((best, s) => (dist(s) < dist(best) ? s : best));
+}
+
+/** 直近 n 回分の 00Z/12Z（観測時刻 +90 分で配信済みとみなす） */
+function recentRaobTimes(n = 6, now = Date.now()) {
+  const latest = Math.floor((now - 90 * 60000) / 43200000) * 43200000;
+  return Array.from({ length: n }, (_, i) => new Date(latest - i * 43200000));
+}
+const raobTimeKey = (d) => d.toISOString().slice(0, 13).replace(/[-T]/g, "");
+const raobTimeFromKey = (k) => new Date(Date.UTC(+k.slice(0, 4), +k.slice(4, 6) - 1, +k.slice(6, 8), +k.slice(8, 10)));
+
+/** CF Worker /v2/raob（Wyoming TEXT:LIST をデコード済み）→ { format, station, name, time, levels } */
+async function fetchRaob(stnm, time, signal) {
+  const res = await fetch(`${CF_WORKER}/v2/raob?stnm=${stnm}&time=${raobTimeKey(time)}`, { signal });
+  if (!res.ok) throw new Error(res.status === 502 ? "観測未着または欠測" : `HTTP ${res.status}`);
+  const json = await res.json();
+  return { ...json, time: json.time ? new Date(json.time) : null };
+}
+
+/** 実況ゾンデ（取得 / 貼り付け）を Skew-T に描き、同時刻のモデルプロファイルを破線で重ねる */
+function ObservedSounding({ nearLat, nearLon }) {
+  useSettings();
+  const mono = "'JetBrains Mono', monospace";
+  const times = recentRaobTimes();
+  const [stnm, setStnm] = useState(() => (nearLat != null ? nearestRaob(nearLat, nearLon).stnm : "47646"));
+  const [timeKey, setTimeKey] = useState(() => raobTimeKey(times[0]));
+  const [obs, setObs] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [pasteText, setPasteText] = useState("");
+  const [pasteError, setPasteError] = useState(null);
+  const [pasted, setPasted] = useState(null);
+
+  useEffect(() => {
+    if (nearLat != null) setStnm(nearestRaob(nearLat, nearLon).stnm);
+  }, [nearLat, nearLon]);
+
+  useEffect(() => {
+    if (pasted) return undefined;
+    const ctrl = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchRaob(stnm, raobTimeFromKey(timeKey), ctrl.signal)
+      .then(d => setObs(d))
+      .catch(e => { if (e.name !== "AbortError") { setError(e.message); setObs(null); } })
+      .finally(() => setLoading(false));
+    return () => ctrl.abort();
+  }, [stnm, timeKey, pasted]);
+
+  const plotPaste = () => {
+    const d = decodeRaob(pasteText);
+    if (!d || d.levels.filter(l => l.t != null).length < 3) {
+      setPasteError("解読できません（TTAA/TTBB または Wyoming TEXT:LIST を貼り付け）");
+      return;
+    }
+    setPasteError(null);
+    setPasted(d);
+  };
+
+  const sounding = pasted ?? obs;
+  const stn = RAOB_STATIONS.find(s => s.stnm === sounding?.station) ?? (pasted ? null : RAOB_STATIONS.find(s => s.stnm === stnm));
+  const fh = sounding?.time ? Math.round((sounding.time.getTime() - Math.floor(Date.now() / 3600000) * 3600000) / 3600000) : null;
+  const { data: modelData } = useModelSounding(stn && fh != null ? stn.lat : null, stn?.lon, fh);
+  const model = modelData && sounding?.time && Math.abs(modelData.validTime - sounding.time) < 3600000 ? modelData : null;
+
+  const analysis = useMemo(() => (sounding ? analyzeSounding(sounding.levels) : null), [sounding]);
+  const indices = useMemo(() => (sounding ? stabilityIndices(sounding.levels) : null), [sounding]);
+
+  const btn = (active) => ({
+    padding: "4px 10px",
+    background: active ? "rgba(110, 231, 183, 0.15)" : "rgba(15, 23, 42, 0.6)",
+    border: `1px solid ${active ? "rgba(110, 231, 183, 0.5)" : "rgba(148, 163, 184, 0.15)"}`,
+    borderRadius: "6px", color: active ? "#6ee7b7" : "#94a3b8",
+    fontSize: "11px", cursor: "pointer", fontFamily: mono,
+  });
+  // 露点は観測・モデルとも誤差が大きいので scale=2 で評価
+  const diffColor = (d, scale = 1) => (d == null ? "#475569" : Math.abs(d) >= 3 * scale ? "#f87171" : Math.abs(d) >= 1.5 * scale ? "#fbbf24" : "#94a3b8");
+  const signed = (d) => (d == null ? "---" : `${d > 0 ? "+" : ""}${d.toFixed(1)}`);
+  const windDiff = (p) => {
+    const near = (levels) => levels.find(l => l.p === p && l.wdir != null && l.wspd != null);
+    const a = near(sounding.levels), b = model && near(model.levels);
+    if (!a || !b) return null;
+    const ua = windComponents(a.wdir, a.wspd), ub = windComponents(b.wdir, b.wspd);
+    return Math.hypot(ub.u - ua.u, ub.v - ua.v);
+  };
+
+  return (
+    <div>
+      {/* 地点・時刻・貼り付け */}
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "8px", alignItems: "center" }}>
+        <select value={stnm} onChange={(e) => { setStnm(e.target.value); setPasted(null); }} style={{
+          padding: "4px 8px", background: "rgba(15, 23, 42, 0.8)", border: "1px solid rgba(148, 163, 184, 0.2)",
+          borderRadius: "6px", color: "#e2e8f0", fontSize: "11px", fontFamily: mono,
+        }}>
+          {RAOB_STATIONS.map(s => <option key={s.stnm} value={s.stnm}>{s.stnm} {s.en} {s.name}</option>)}
+        </select>
+        {times.map(t => {
+          const k = raobTimeKey(t);
+          return <button key={k} onClick={() => { setTimeKey(k); setPasted(null); }} style={btn(!pasted && timeKey === k)}>{k.slice(6, 8)}/{k.slice(8)}Z</button>;
+        })}
+        <button onClick={() => setPasteOpen(v => !v)} style={btn(pasteOpen || !!pasted)}>📋 PASTE</button>
+      </div>
+      {pasteOpen && (
+        <div style={{ marginBottom: "8px" }}>
+          <textarea value={pasteText} onChange={(e) => setPasteText(e.target.value)} rows={6} spellCheck={false}
+            placeholder={"TTAA 65001 47412 99012 04658 32010 00105 ...=\nTTBB 6500/ 47412 00012 04658 11987 ...=\nまたは Wyoming TEXT:LIST の表をそのまま貼り付け"}
+            style={{
+              width: "100%", boxSizing: "border-box", padding: "8px", background: "rgba(2,6,23,0.8)",
+              border: "1px solid rgba(148, 163, 184, 0.2)", borderRadius: "6px", color: "#e2e8f0",
+              fontSize: "11px", fontFamily: mono, resize: "vertical", outline: "none",
+            }} />
+          <div style={{ display: "flex", gap: "6px", alignItems: "center", marginTop: "4px" }}>
+            <button onClick={plotPaste} style={btn(false)}>PLOT</button>
+            {pasted && <button onClick={() => { setPasted(null); setPasteError(null); }} style={btn(false)}>CLEAR</button>}
+            {pasteError && <span style={{ color: "#f87171", fontSize: "10px", fontFamily: mono }}>{pasteError}</span>}
+          </div>
+        </div>
+      )}
+
+      {!sounding ? (
+        <div style={{ padding: "40px", textAlign: "center", color: error ? "#ef4444" : "#64748b", fontSize: "12px", fontFamily: mono }}>
+          {error ? `RAOB ${stnm} ${timeKey.slice(6, 8)}/${timeKey.slice(8)}Z: ${error}` : "LOADING RAOB..."}
+          {error && <><br /><span style={{ color: "#64748b", fontSize: "10px" }}>Wyoming のページから TEXT:LIST を貼り付けても表示できます</span></>}
+        </div>
+      ) : (
+        <div style={{ opacity: loading ? 0.6 : 1, transition: "opacity 0.15s ease" }}>
+          <SkewTChart levels={sounding.levels} analysis={analysis}
+            compare={model ? { levels: model.levels, label: "MODEL" } : null}
+            title={`${sounding.station ?? "----"} ${stn?.en ?? sounding.name ?? ""}  ${sounding.time ? `${sounding.time.toISOString().slice(8, 13).replace("T", "/")}Z` : ""}  ${pasted ? `PASTED ${sounding.format}` : "OBS"}`} />
+          <div style={{ fontSize: "9px", color: "#64748b", fontFamily: mono, letterSpacing: "1px", marginTop: "6px" }}>
+            {model ? "MODEL = open-meteo.com 同時刻プロファイル（破線）· Δ = MODEL − OBS" : stn ? "MODEL 比較データなし" : "地点番号が一覧に無いためモデル比較なし"}
+          </div>
+          {model && (
+            <table style={{ borderCollapse: "collapse", fontFamily: mono, fontSize: "10px", marginTop: "4px" }}>
+              <thead>
+                <tr style={{ color: "#475569" }}>
+                  {["hPa", "OBS T", "MDL T", "ΔT", "ΔTd", "ΔWIND"].map(h => <th key={h} style={{ padding: "2px 10px 2px 0", textAlign: "right", fontWeight: 400 }}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {RAOB_COMPARE_LEVELS.map(p => {
+                  const ot = interpAtPressure(sounding.levels, p, "t"), mt = interpAtPressure(model.levels, p, "t");
+                  const otd = interpAtPressure(sounding.levels, p, "td"), mtd = interpAtPressure(model.levels, p, "td");
+                  const dt = ot != null && mt != null ? mt - ot : null, dtd = otd != null && mtd != null ? mtd - otd : null;
+                  const dw = windDiff(p);
+                  return (
+                    <tr key={p}>
+                      <td style={{ padding: "1px 10px 1px 0", textAlign: "right", color: "#64748b" }}>{p}</td>
+                      <td style={{ padding: "1px 10px 1px 0", textAlign: "right", color: "#f87171" }}>{fmtTemp(ot)}</td>
+                      <td style={{ padding: "1px 10px 1px 0", textAlign: "right", color: "#94a3b8" }}>{fmtTemp(mt)}</td>
+                      <td style={{ padding: "1px 10px 1px 0", textAlign: "right", color: diffColor(dt), fontWeight: 700 }}>{signed(dt)}</td>
+                      <td style={{ padding: "1px 10px 1px 0", textAlign: "right", color: diffColor(dtd, 2) }}>{signed(dtd)}</td>
+                      <td style={{ padding: "1px 0", textAlign: "right", color: dw == null ? "#475569" : dw >= 20 ? "#f87171" : dw >= 10 ? "#fbbf24" : "#94a3b8" }}>{dw == null ? "---" : fmtSpeed(dw)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <StabilityIndexGrid indices={indices} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ========== SOUNDING LOOP — TT 画像の予報時間アニメーション ========== */
+// Worker /sounding/ の model パラメータ（全球モデルのみ）
+const SOUNDING_MODELS = [
+  { key: "gfs", label: "GFS" },
+  { key: "ecmwf", label: "ECMWF" },
+  { key: "icon", label: "ICON" },
+  { key: "gem", label: "GEM" },
+];
+const SOUNDING_LOOP_HOURS = [0, 6, 12, 18, 24, 30, 36, 42, 48];
+const SOUNDING_LOOP_MS = 900;
+const SOUNDING_LOOP_CONCURRENCY = 3; // Worker 側のページ解決を詰まらせない
+
+/**
+ * fh 0–48 の Skew-T 画像を先読みしてコマ送り（blob URL で保持、初期時刻は X-Model-Run）
+ * 地点・モデルの変更は urlFor の返す URL の変化で検知し、先読みをやり直す
+ */
+function SoundingLoop({ urlFor, label, onZoom }) {
+  const [frames, setFrames] = useState({}); // fh → { status: "ok" | "error", src?, run? }
+  const [idx, setIdx] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const mono = "'JetBrains Mono', monospace";
+  // urlFor は親の描画ごとに作り直されるため、URL 一覧の文字列を依存に使う
+  const urlList = SOUNDING_LOOP_HOURS.map(urlFor).join("\n");
+
+  useEffect(() => {
+    const urls = urlList.split("\n");
+    const ctrl = new AbortController();
+    const blobUrls = [];
+    let next = 0;
+    setFrames({});
+    setIdx(0);
+    setPlaying(false);
+    const pump = async () => {
+      while (next < SOUNDING_LOOP_HOURS.length && !ctrl.signal.aborted) {
+        const i = next++;
+        const fh = SOUNDING_LOOP_HOURS[i];
+        try {
+          const res = await fetch(urls[i], { signal: ctrl.signal });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const blob = await res.blob();
+          if (ctrl.signal.aborted) return;
+          const src = URL.createObjectURL(blob);
+          blobUrls.push(src);
+          setFrames(f => ({ ...f, [fh]: { status: "ok", src, run: res.headers.get("X-Model-Run") || null } }));
+        } catch (e) {
+          if (e.name !== "AbortError") setFrames(f => ({ ...f, [fh]: { status: "error" } }));
+        }
+      }
+    };
+    for (let i = 0; i < SOUNDING_LOOP_CONCURRENCY; i++) pump();
+    return () => { ctrl.abort(); blobUrls.forEach(u => URL.revokeObjectURL(u)); };
+  }, [urlList]);
+
+  // 読み込み済みのコマだけを巡回
+  const step = useCallback((dir) => {
+    setIdx(i => {
+      for (let k = 1; k <= SOUNDING_LOOP_HOURS.length; k++) {
+        const j = (i + dir * k + SOUNDING_LOOP_HOURS.length) % SOUNDING_LOOP_HOURS.length;
+        if (frames[SOUNDING_LOOP_HOURS[j]]?.status === "ok") return j;
+      }
+      return i;
+    });
+  }, [frames]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const iv = setInterval(() => step(1), SOUNDING_LOOP_MS);
+    return () => clearInterval(iv);
+  }, [playing, step]);
+
+  const fh = SOUNDING_LOOP_HOURS[idx];
+  const frame = frames[fh];
+  const loaded = SOUNDING_LOOP_HOURS.filter(h => frames[h]?.status === "ok").length;
+  const done = Object.keys(frames).length;
+  const runs = [...new Set(Object.values(frames).map(f => f.run).filter(Boolean))];
+  const runLabel = (r) => `${r.slice(6, 8)}/${r.slice(8, 10)}Z`;
+  const ctl = {
+    padding: "3px 10px", background: "rgba(15, 23, 42, 0.6)", border: "1px solid rgba(148, 163, 184, 0.2)",
+    borderRadius: "4px", color: "#e2e8f0", fontSize: "11px", cursor: "pointer", fontFamily: mono,
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", flexWrap: "wrap", marginBottom: "6px", fontFamily: mono }}>
+        <button onClick={() => { setPlaying(false); step(-1); }} style={ctl}>◀</button>
+        <button onClick={() => setPlaying(p => !p)} disabled={loaded < 2} style={{ ...ctl, color: playing ? "#fbbf24" : "#6ee7b7", opacity: loaded < 2 ? 0.4 : 1 }}>
+          {playing ? "❚❚ PAUSE" : "▶ PLAY"}
+        </button>
+        <button onClick={() => { setPlaying(false); step(1); }} style={ctl}>▶</button>
+        <input type="range" min={0} max={SOUNDING_LOOP_HOURS.length - 1} value={idx}
+          onChange={(e) => { setPlaying(false); setIdx(Number(e.target.value)); }}
+          style={{ flex: "1 1 160px", accentColor: "#6ee7b7" }} />
+        <span style={{ color: "#6ee7b7", fontSize: "12px", fontWeight: 700, minWidth: "44px" }}>+{fh}h</span>
+        <span style={{ color: "#64748b", fontSize: "10px" }}>
+          {done < SOUNDING_LOOP_HOURS.length ? `LOADING ${done}/${SOUNDING_LOOP_HOURS.length}` : `${loaded}/${SOUNDING_LOOP_HOURS.length} FRAMES`}
+          {runs.length === 1 && ` · RUN ${runLabel(runs[0])}`}
+        </span>
+        {runs.length > 1 && <span style={{ color: "#fbbf24", fontSize: "10px" }}>⚠ MIXED RUNS {runs.map(runLabel).join(" / ")}</span>}
+      </div>
+      {/* コマごとの取得状況 */}
+      <div style={{ display: "flex", gap: "2px", marginBottom: "6px" }}>
+        {SOUNDING_LOOP_HOURS.map((h, i) => {
+          const st = frames[h]?.status;
+          return (
+            <div key={h} onClick={() => { setPlaying(false); setIdx(i); }} title={`+${h}h`} style={{
+              flex: 1, height: "4px", borderRadius: "2px", cursor: "pointer",
+              background: i === idx ? "#6ee7b7" : st === "ok" ? "rgba(110,231,183,0.35)" : st === "error" ? "rgba(248,113,113,0.5)" : "rgba(148,163,184,0.15)",
+            }} />
+          );
+        })}
+      </div>
+      <div style={{ background: "#ffffff", borderRadius: "8px", padding: "4px", minHeight: "200px" }}>
+        {frame?.status === "ok" ? (
+          <img src={frame.src} alt={`${label} +${fh}h`} onClick={() => onZoom({ src: frame.src, label: `${label}  +${fh}h` })}
+            style={{ width: "100%", display: "block", cursor: "pointer", borderRadius: "4px" }} />
+        ) : (
+          <div style={{ padding: "40px", textAlign: "center", color: frame ? "#ef4444" : "#64748b", fontSize: "12px", fontFamily: mono }}>
+            {frame ? `+${fh}h not available` : `LOADING +${fh}h...`}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ========== ROUTE CROSS-SECTION — 大圏航路沿いの鉛直断面（Open-Meteo 気圧面） ========== */
+const XSEC_SAMPLES = 24;   // 区間の分割数（n+1 点を一括取得）
+const XSEC_FL_TOP = 450;
+const XSEC_W = 720, XSEC_H = 340;
+const XSEC_M = { l: 46, r: 14, t: 12, b: 34 };
+const XSEC_ISOTACHS = [40, 60, 80, 100, 120, 140, 160];
+const XSEC_ISOTHERMS = [-60, -50, -40, -30, -20, -10, 0, 10, 20, 30];
+
+/** 初期方位（度） */
+function bearingDeg([lat1, lon1], [lat2, lon2]) {
+  const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * 航路上 XSEC_SAMPLES+1 点の気圧面予報を一括取得
+ * → { validTime, distNm, cols: [{ lat, lon, dist, track, psfc, cells: [{ p, t, rh, wdir, wspd, z }] }] }（cells は SKEWT_LEVELS 順）
+ */
+async function fetchRouteSection(a, b, validTime, signal) {
+  const pts = greatCirclePoints(a, b, XSEC_SAMPLES);
+  const distNm = haversineNm(a, b);
+  const perLevel = ["temperature", "relative_humidity", "wind_speed", "wind_direction", "geopotential_height"];
+  const hourly = [...SKEWT_LEVELS.flatMap(p => perLevel.map(v => `${v}_${p}hPa`)), "surface_pressure"];
+  const hour = validTime.toISOString().slice(0, 13) + ":00";
+  // 予報の取得範囲は本日 00Z から — それより前のレグは past_days で遡る
+  const todayUtc = new Date(new Date().toISOString().slice(0, 10) + "T00:00:00Z");
+  const pastDays = Math.max(0, Math.ceil((todayUtc - validTime) / 86400000));
+  const url = `https://api.open-meteo.com/v1/forecast`
+    + `?latitude=${pts.map(p => p[0].toFixed(3)).join(",")}&longitude=${pts.map(p => p[1].toFixed(3)).join(",")}`
+    + `&hourly=${hourly.join(",")}`
+    + `&wind_speed_unit=kn&timezone=UTC&start_hour=${hour}&end_hour=${hour}`
+    + (pastDays > 0 ? `&past_days=${pastDays}` : "");
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Open-Meteo HTTP ${res.status}`);
+  const json = await res.json();
+  const list = Array.isArray(json) ? json : [json];
+  const cols = pts.map((pt, i) => {
+    const h = list[i]?.hourly ?? {};
+    const idx = (h.time ?? []).indexOf(hour);
+    if (idx < 0) throw new Error(`No model data for ${hour.replace("T", " ")}Z`);
+    const at = (key) => h[key]?.[idx] ?? null;
+    return {
+      lat: pt[0], lon: pt[1], dist: distNm * i / XSEC_SAMPLES,
+      track: bearingDeg(pts[Math.max(0, i - 1)], pts[Math.max(1, i)]),
+      psfc: at("surface_pressure"),
+      cells: SKEWT_LEVELS.map(p => ({
+        p, t: at(`temperature_${p}hPa`), rh: at(`relative_humidity_${p}hPa`),
+        wdir: at(`wind_direction_${p}hPa`), wspd: at(`wind_speed_${p}hPa`), z: at(`geopotential_height_${p}hPa`),
+      })),
+    };
+  });
+  if (cols.every(c => c.cells.every(x => x.t == null))) throw new Error("No model data for this time");
+  return { validTime, distNm, cols };
+}
+
+/**
+ * WMO 第一圏界面: 500hPa より上で気温減率が 2K/km 以下になる最下層
+ * （その層から 2km 上までの平均減率も 2K/km 以下）→ FL | null
+ */
+function tropopauseFl(cells) {
+  for (let i = 0; i < cells.length - 1; i++) {
+    const a = cells[i], b = cells[i + 1];
+    if (a.p > 500 || a.t == null || b.t == null || a.z == null || b.z == null) continue;
+    if ((a.t - b.t) / ((b.z - a.z) / 1000) > 2) continue;
+    const above = cells.find((c, k) => k > i && c.t != null && c.z != null && c.z - a.z >= 2000);
+    if (above && (a.t - above.t) / ((above.z - a.z) / 1000) > 2) continue;
+    return pressureAltitudeFt(a.p) / 100;
+  }
+  return null;
+}
+
+/** 格子 v[i][j] の等値線 → 線分 [[x1, y1, x2, y2]]（マーチングスクエア、鞍点は固定の組み合わせ） */
+function contourSegments(v, xs, ys, level) {
+  const segs = [];
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = 0; j < ys.length - 1; j++) {
+      const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+      const vals = corners.map(([a, b]) => v[a][b]);
+      if (vals.some(x => x == null)) continue;
+      const cross = [];
+      for (let k = 0; k < 4; k++) {
+        const [a1, b1] = corners[k], [a2, b2] = corners[(k + 1) % 4];
+        const v1 = vals[k], v2 = vals[(k + 1) % 4];
+        if ((v1 < level) === (v2 < level)) continue;
+        const f = (level - v1) / (v2 - v1);
+        cross.push([xs[a1] + (xs[a2] - xs[a1]) * f, ys[b1] + (ys[b2] - ys[b1]) * f]);
+      }
+      if (cross.length >= 2) segs.push([...cross[0], ...cross[1]]);
+      if (cross.length === 4) segs.push([...cross[2], ...cross[3]]);
+    }
+  }
+  return segs;
+}
+
+/** 距離 × 高度の断面図（RH 陰影・等風速線・等温線・0°C・圏界面・地形・3:1 巡航プロファイル） */
+function CrossSectionChart({ section, title, cruiseFl }) {
+  useSettings();
+  const [hover, setHover] = useState(null); // { i, j }
+  const svgRef = useRef(null);
+  const mono = "'JetBrains Mono', monospace";
+  const { cols, distNm } = section;
+  const pw = XSEC_W - XSEC_M.l - XSEC_M.r, ph = XSEC_H - XSEC_M.t - XSEC_M.b;
+  const X = (nm) => XSEC_M.l + nm / distNm * pw;
+  const Y = (fl) => XSEC_M.t + ph * (1 - fl / XSEC_FL_TOP);
+  const levelFl = SKEWT_LEVELS.map(p => pressureAltitudeFt(p) / 100);
+  const xs = cols.map(c => X(c.dist)), ys = levelFl.map(Y);
+  const grid = (key) => cols.map(c => c.cells.map(x => x[key]));
+
+  // 格子点ごとのセル境界（隣接点との中点）
+  const mid = (arr, k) => [k > 0 ? (arr[k - 1] + arr[k]) / 2 : arr[k], k < arr.length - 1 ? (arr[k] + arr[k + 1]) / 2 : arr[k]];
+  const rhFill = (rh) => (rh >= 95 ? 0.42 : rh >= 85 ? 0.28 : rh >= 70 ? 0.14 : 0);
+  const segPath = (segs) => segs.map(([x1, y1, x2, y2]) => `M${x1.toFixed(1)},${y1.toFixed(1)}L${x2.toFixed(1)},${y2.toFixed(1)}`).join("");
+
+  const wind = grid("wspd"), temp = grid("t");
+  let jet = null;
+  cols.forEach((c, i) => c.cells.forEach((x, j) => {
+    if (x.wspd != null && levelFl[j] <= XSEC_FL_TOP && (!jet || x.wspd > jet.wspd)) jet = { i, j, wspd: x.wspd };
+  }));
+  const ground = cols.map(c => `${X(c.dist).toFixed(1)},${Y(c.psfc != null ? Math.max(0, pressureAltitudeFt(c.psfc) / 100) : 0).toFixed(1)}`);
+  const trop = cols.map(c => ({ x: X(c.dist), fl: tropopauseFl(c.cells) })).filter(q => q.fl != null && q.fl <= XSEC_FL_TOP);
+  const profile = cruiseFl ? [0, Math.min(distNm / 2, cruiseFl * 0.3), Math.max(distNm / 2, distNm - cruiseFl * 0.3), distNm]
+    .map(d => `${X(d).toFixed(1)},${Y(Math.min(cruiseFl, Math.min(d, distNm - d) * 10 / 3)).toFixed(1)}`).join(" ") : null;
+
+  const onMove = (e) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const vx = (e.clientX - rect.left) * XSEC_W / rect.width, vy = (e.clientY - rect.top) * XSEC_H / rect.height;
+    if (vx < XSEC_M.l || vx > XSEC_M.l + pw || vy < XSEC_M.t || vy > XSEC_M.t + ph) { setHover(null); return; }
+    const near = (arr, v) => arr.reduce((best, a, k) => (Math.abs(a - v) < Math.abs(arr[best] - v) ? k : best), 0);
+    setHover({ i: near(xs, vx), j: near(ys, vy) });
+  };
+  const hc = hover && cols[hover.i], hx = hover && hc.cells[hover.j];
+  const comp = hx?.wdir != null && hx.wspd != null ? Math.round(hx.wspd * Math.cos(toRad(hx.wdir - hc.track))) : null; // + = 向かい風
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${XSEC_W} ${XSEC_H}`} onMouseMove={onMove} onMouseLeave={() => setHover(null)}
+      style={{ width: "100%", display: "block", background: "rgba(2,6,23,0.8)", borderRadius: "4px", cursor: "crosshair" }}>
+      <defs>
+        <clipPath id="xsec-clip"><rect x={XSEC_M.l} y={XSEC_M.t} width={pw} height={ph} /></clipPath>
+      </defs>
+      <g clipPath="url(#xsec-clip)">
+        {/* RH 陰影（雲域の目安） */}
+        {cols.map((c, i) => c.cells.map((x, j) => {
+          const op = x.rh != null ? rhFill(x.rh) : 0;
+          if (!op) return null;
+          const [x0, x1] = mid(xs, i), [y0, y1] = mid(ys, j);
+          return <rect key={`rh${i}-${j}`} x={x0} y={y1} width={x1 - x0} height={y0 - y1} fill={`rgba(226,232,240,${op})`} />;
+        }))}
+        {/* FL グリッド */}
+        {[50, 100, 150, 200, 250, 300, 350, 400].map(fl => (
+          <line key={`g${fl}`} x1={XSEC_M.l} x2={XSEC_M.l + pw} y1={Y(fl)} y2={Y(fl)} stroke="rgba(148,163,184,0.12)" strokeWidth="0.8" />
+        ))}
+        {/* 等温線（0°C は太線） */}
+        {XSEC_ISOTHERMS.map(t => (
+          <path key={`it${t}`} d={segPath(contourSegments(temp, xs, ys, t))} fill="none"
+            stroke={t === 0 ? "#38bdf8" : t < 0 ? "rgba(96,165,250,0.55)" : "rgba(248,113,113,0.55)"}
+            strokeWidth={t === 0 ? 2 : 0.9} strokeDasharray={t === 0 ? undefined : "4 3"} />
+        ))}
+        {/* 等風速線 */}
+        {XSEC_ISOTACHS.map(v => (
+          <path key={`iv${v}`} d={segPath(contourSegments(wind, xs, ys, v))} fill="none"
+            stroke={v >= 120 ? "#f87171" : v >= 80 ? "#fb923c" : "#fbbf24"} strokeWidth={v >= 80 ? 1.6 : 1.1} />
+        ))}
+        {/* 圏界面 */}
+        {trop.length > 1 && <polyline points={trop.map(q => `${q.x.toFixed(1)},${Y(q.fl).toFixed(1)}`).join(" ")} fill="none" stroke="#c084fc" strokeWidth="1.8" strokeDasharray="8 4" />}
+        {/* 地形（地上気圧より下） */}
+        <polygon points={`${XSEC_M.l},${XSEC_M.t + ph} ${ground.join(" ")} ${XSEC_M.l + pw},${XSEC_M.t + ph}`} fill="#3f2a1d" stroke="#78533a" strokeWidth="1" />
+        {/* 巡航プロファイル 3:1 */}
+        {profile && <polyline points={profile} fill="none" stroke="rgba(226,232,240,0.8)" strokeWidth="1.2" strokeDasharray="2 3" />}
+        {hover && <line x1={xs[hover.i]} x2={xs[hover.i]} y1={XSEC_M.t} y2={XSEC_M.t + ph} stroke="rgba(226,232,240,0.4)" strokeDasharray="2 2" />}
+      </g>
+
+      {/* ラベル: 等値線は最初の線分、ジェットコア */}
+      <g fontFamily={mono} fontSize="8">
+        {XSEC_ISOTACHS.map(v => {
+          const sg = contourSegments(wind, xs, ys, v).find(([x1, y1]) => y1 > XSEC_M.t + 8 && x1 < XSEC_M.l + pw - 20);
+          return sg && <text key={`lv${v}`} x={sg[0]} y={sg[1] - 2} fill="#fbbf24">{convSpeed(v)}</text>;
+        })}
+        {[-40, -20, 0].map(t => {
+          const sg = contourSegments(temp, xs, ys, t).find(([x1, y1]) => x1 > XSEC_M.l + pw * 0.8 && y1 > XSEC_M.t + 8 && y1 < XSEC_M.t + ph);
+          return sg && <text key={`lt${t}`} x={sg[0] - 4} y={sg[1] - 3} fill={t === 0 ? "#38bdf8" : "#60a5fa"} textAnchor="end">{t === 0 ? "0°C" : `${convTemp(t)}°`}</text>;
+        })}
+        {jet && jet.wspd >= 60 && (
+          <text x={xs[jet.i]} y={ys[jet.j] + 3} fill="#f87171" fontSize="10" fontWeight="700" textAnchor="middle">J {fmtSpeed(jet.wspd)}</text>
+        )}
+      </g>
+
+      {/* 軸 */}
+      {[0, 100, 200, 300, 400].map(fl => (
+        <text key={`yl${fl}`} x={XSEC_M.l - 4} y={Y(fl) + 3} fill="#64748b" fontSize="9" textAnchor="end" fontFamily={mono}>{fl === 0 ? "SFC" : `FL${fl}`}</text>
+      ))}
+      {cols.filter((_, i) => i % 4 === 0 || i === cols.length - 1).map(c => (
+        <text key={`xl${c.dist}`} x={X(c.dist)} y={XSEC_H - 20} fill="#475569" fontSize="8" textAnchor="middle" fontFamily={mono}>{Math.round(c.dist)}</text>
+      ))}
+      <text x={XSEC_M.l + pw} y={XSEC_H - 8} fill="#334155" fontSize="8" textAnchor="end" fontFamily={mono}>NM</text>
+      {title && <text x={XSEC_M.l + 6} y={XSEC_M.t + 12} fill="#6ee7b7" fontSize="10" fontWeight="700" fontFamily={mono}>{title}</text>}
+
+      {/* ホバー読み取り */}
+      {hover && (
+        <g fontFamily={mono} fontSize="9">
+          <rect x={XSEC_M.l + pw - 156} y={XSEC_M.t + 4} width="150" height="64" fill="rgba(5,10,20,0.92)" stroke="rgba(110,231,183,0.3)" rx="3" />
+          <text x={XSEC_M.l + pw - 150} y={XSEC_M.t + 17} fill="#e2e8f0">{Math.round(hc.dist)}NM · {hx.p}hPa FL{String(Math.round(levelFl[hover.j])).padStart(3, "0")}</text>
+          <text x={XSEC_M.l + pw - 150} y={XSEC_M.t + 30} fill="#f87171">T {fmtTemp(hx.t)} <tspan fill="#cbd5e1">RH {hx.rh != null ? `${Math.round(hx.rh)}%` : "---"}</tspan></text>
+          <text x={XSEC_M.l + pw - 150} y={XSEC_M.t + 43} fill="#fbbf24">
+            WIND {hx.wdir != null ? String(Math.round(hx.wdir)).padStart(3, "0") : "---"}/{fmtSpeed(hx.wspd)}
+          </text>
+          <text x={XSEC_M.l + pw - 150} y={XSEC_M.t + 56} fill={comp == null ? "#475569" : comp > 0 ? "#f87171" : "#6ee7b7"}>
+            {comp == null ? "HW/TW ---" : `${comp > 0 ? "HW" : "TW"} ${fmtSpeed(Math.abs(comp))} (TRK ${String(Math.round(hc.track)).padStart(3, "0")})`}
+          </text>
+        </g>
+      )}
+    </svg>
+  );
+}
+
+/** レグ選択（本日の乗務 / 任意の 2 空港）→ 航路断面 */
+function RouteCrossSection() {
+  useSettings();
+  const mono = "'JetBrains Mono', monospace";
+  const [todayEvents, setTodayEvents] = useState(getTodayDutyEvents);
+  const legs = useMemo(() => dutyLegs(todayEvents).filter(l => l.points), [todayEvents]);
+  const [legN, setLegN] = useState(() => legs[0]?.n ?? null);
+  const [fromInput, setFromInput] = useState("RJCC");
+  const [toInput, setToInput] = useState("RJFF");
+  const [manual, setManual] = useState({ from: "RJCC", to: "RJFF" });
+  const [fh, setFh] = useState(0);
+  const [cruiseInput, setCruiseInput] = useState("");
+  const [section, setSection] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // DUTY（ICS）の読み込み・消去は SIGMET パネルと同じ 30 秒 tick で拾う
+  useEffect(() => {
+    const tick = setInterval(() => {
+      const next = getTodayDutyEvents();
+      setTodayEvents(prev => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+    }, 30000);
+    return () => clearInterval(tick);
+  }, []);
+  // 選択中のレグが消えたら先頭レグ（なければ任意区間）へ
+  useEffect(() => {
+    if (legN != null && !legs.some(l => l.n === legN)) setLegN(legs[0]?.n ?? null);
+  }, [legs, legN]);
+
+  const leg = legN != null ? legs.find(l => l.n === legN) : null;
+  const apFrom = AIRPORTS.find(a => a.icao === (leg ? leg.fromIcao : manual.from));
+  const apTo = AIRPORTS.find(a => a.icao === (leg ? leg.toIcao : manual.to));
+  // 乗務レグはレグ中間時刻、任意区間は現在 + fh（毎時）
+  const validMs = leg
+    ? Math.round((leg.start.getTime() + leg.end.getTime()) / 2 / 3600000) * 3600000
+    : Math.floor(Date.now() / 3600000) * 3600000 + fh * 3600000;
+  const distNm = apFrom?.lat != null && apTo?.lat != null ? haversineNm([apFrom.lat, apFrom.lon], [apTo.lat, apTo.lon]) : null;
+  const cruiseFl = parseInt(cruiseInput, 10) || (distNm ? defaultCruiseFl(distNm) : null);
+
+  useEffect(() => {
+    if (apFrom?.lat == null || apTo?.lat == null || apFrom.icao === apTo.icao) return undefined;
+    const ctrl = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchRouteSection([apFrom.lat, apFrom.lon], [apTo.lat, apTo.lon], new Date(validMs), ctrl.signal)
+      .then(d => setSection(d))
+      .catch(e => { if (e.name !== "AbortError") { setError(e.message); setSection(null); } })
+      .finally(() => setLoading(false));
+    return () => ctrl.abort();
+  }, [apFrom, apTo, validMs]);
+
+  const btn = (active) => ({
+    padding: "4px 10px",
+    background: active ? "rgba(110, 231, 183, 0.15)" : "rgba(15, 23, 42, 0.6)",
+    border: `1px solid ${active ? "rgba(110, 231, 183, 0.5)" : "rgba(148, 163, 184, 0.15)"}`,
+    borderRadius: "6px", color: active ? "#6ee7b7" : "#94a3b8",
+    fontSize: "11px", cursor: "pointer", fontFamily: mono,
+  });
+  const icaoInput = (value, set) => (
+    <input type="text" value={value} placeholder="ICAO"
+      onChange={(e) => set(e.target.value.toUpperCase().replace(/[^A-Z]/g, "").slice(0, 4))}
+      onKeyDown={(e) => { if (e.key === "Enter") go(); }}
+      style={{
+        width: "56px", padding: "4px 8px", background: "rgba(15, 23, 42, 0.8)", border: "1px solid rgba(148, 163, 184, 0.2)",
+        borderRadius: "6px", color: "#e2e8f0", fontSize: "11px", fontFamily: mono, letterSpacing: "1px", outline: "none",
+      }} />
+  );
+  const go = () => {
+    if (fromInput.length === 4 && toInput.length === 4) { setManual({ from: fromInput, to: toInput }); setLegN(null); }
+  };
+  const fromIcao = leg ? leg.fromIcao : manual.from, toIcao = leg ? leg.toIcao : manual.to;
+  const issue = apFrom?.lat == null || apTo?.lat == null
+    ? `${[apFrom?.lat == null && fromIcao, apTo?.lat == null && toIcao].filter(Boolean).join(", ")}: 座標が登録されていません`
+    : fromIcao === toIcao ? "出発地と目的地が同じです" : null;
+
+  return (
+    <div>
+      {/* 乗務レグ */}
+      {legs.length > 0 && (
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "8px", alignItems: "center" }}>
+          <span style={{ color: "#64748b", fontSize: "10px", fontFamily: mono, marginRight: "4px" }}>DUTY:</span>
+          {legs.map(l => (
+            <button key={l.n} onClick={() => setLegN(l.n)} style={btn(legN === l.n)}>
+              LEG {l.n} {l.from}→{l.to} {l.start.toISOString().slice(11, 16)}Z
+            </button>
           ))}
         </div>
+      )}
+      {/* 任意区間 + 予報時間 + 巡航FL */}
+      <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", marginBottom: "10px", alignItems: "center", fontFamily: mono }}>
+        {icaoInput(fromInput, setFromInput)}
+        <span style={{ color: "#64748b" }}>→</span>
+        {icaoInput(toInput, setToInput)}
+        <button onClick={go} style={btn(legN == null)}>GO</button>
+        {legN == null && [0, 3, 6, 9, 12, 18, 24].map(h => (
+          <button key={h} onClick={() => setFh(h)} style={btn(fh === h)}>+{h}h</button>
+        ))}
+        <label style={{ display: "flex", alignItems: "center", gap: "4px", color: "#64748b", fontSize: "10px", marginLeft: "8px" }}>
+          CRZ FL
+          <input type="number" min={50} max={450} step={10} value={cruiseInput} placeholder={distNm ? String(defaultCruiseFl(distNm)) : ""}
+            onChange={(e) => setCruiseInput(e.target.value)}
+            style={{
+              width: "56px", padding: "3px 6px", background: "rgba(15,23,42,0.6)", border: "1px solid rgba(148,163,184,0.2)",
+              borderRadius: "3px", color: "#e2e8f0", fontSize: "11px", fontFamily: mono, outline: "none",
+            }} />
+        </label>
       </div>
+
+      {issue ? (
+        <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: mono }}>{issue}</div>
+      ) : error ? (
+        <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: mono }}>Cross-section not available — {error}</div>
+      ) : !section ? (
+        <div style={{ padding: "40px", textAlign: "center", color: "#64748b", fontSize: "12px", fontFamily: mono }}>LOADING CROSS-SECTION...</div>
+      ) : (
+        <div style={{ opacity: loading ? 0.6 : 1, transition: "opacity 0.15s ease" }}>
+          <CrossSectionChart section={section} cruiseFl={cruiseFl}
+            title={`${apFrom.icao}→${apTo.icao}  ${Math.round(section.distNm)}NM  VALID ${section.validTime.toISOString().slice(8, 13).replace("T", "/")}Z`} />
+          <div style={{ display: "flex", gap: "14px", flexWrap: "wrap", marginTop: "6px", fontSize: "9px", fontFamily: mono, color: "#64748b" }}>
+            <span><span style={{ color: "#e2e8f0" }}>▮</span> RH ≥70/85/95%（雲域目安）</span>
+            <span style={{ color: "#fbbf24" }}>— ISOTACH {convSpeed(XSEC_ISOTACHS[0])}–{fmtSpeed(XSEC_ISOTACHS[XSEC_ISOTACHS.length - 1])}</span>
+            <span style={{ color: "#60a5fa" }}>- - ISOTHERM 10°</span>
+            <span style={{ color: "#38bdf8" }}>— 0°C</span>
+            <span style={{ color: "#c084fc" }}>- - TROPOPAUSE</span>
+            <span style={{ color: "#cbd5e1" }}>··· 3:1 PROFILE FL{cruiseFl}</span>
+            <span style={{ color: "#334155", marginLeft: "auto" }}>SOURCE: open-meteo.com · {section.cols.length} PTS × {SKEWT_LEVELS.length} LEVELS</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-
 /* ========== ANALYSIS ========== */
 function AnalysisPanel() {
+  useSettings();
   const [timestamp, setTimestamp] = useState(null);
   const [tsLabel, setTsLabel] = useState("");
   const [tsIndex, setTsIndex] = useState(0);
   const [tsList, setTsList] = useState([]);
-  const [viewMode, setViewMode] = useState("cross"); // "cross" | "plane" | "sounding"
+  const [viewMode, setViewMode] = useState("cross"); // "cross" | "plane" | "sounding" | "route"
   const [planeLevel, setPlaneLevel] = useState("35"); // FL350
   const [imgError, setImgError] = useState({});
   const [zoomImg, setZoomImg] = useState(null); // { src, label }
@@ -2726,14 +5452,19 @@ function AnalysisPanel() {
   const [soundingIcaoInput, setSoundingIcaoInput] = useState("RJCC");
   const [soundingFh, setSoundingFh] = useState("12");
   const [soundingImgError, setSoundingImgError] = useState(false);
+  const [soundingSource, setSoundingSource] = useState("native"); // "native" | "image" | "observed"
+  const [soundingModel, setSoundingModel] = useState("gfs");
+  const [soundingLoop, setSoundingLoop] = useState(false);
+  const soundingModelLabel = SOUNDING_MODELS.find((m) => m.key === soundingModel)?.label ?? soundingModel.toUpperCase();
+  const soundingLoc = AIRPORTS.find((a) => a.icao === soundingIcao) ?? SOUNDING_PRESETS.find((p) => p.icao === soundingIcao);
 
   // CF Worker が Tropical Tidbits ページから画像を取得して返す
-  const soundingUrl = (icao, fh) => {
+  const soundingUrl = (icao, fh, model = soundingModel) => {
     const preset = SOUNDING_PRESETS.find((p) => p.icao === icao);
     if (preset) {
-      return `${CF_WORKER}/sounding/?lat=${preset.lat}&lon=${preset.lon}&fh=${fh}`;
+      return `${CF_WORKER}/sounding/?lat=${preset.lat}&lon=${preset.lon}&fh=${fh}&model=${model}`;
     }
-    return `${CF_WORKER}/sounding/?icao=${icao}&fh=${fh}`;
+    return `${CF_WORKER}/sounding/?icao=${icao}&fh=${fh}&model=${model}`;
   };
 
   // JMAの断面図コード: 経度→内部コード (functions_maiji.jsより)
@@ -2841,7 +5572,7 @@ function AnalysisPanel() {
           </div>
           {/* ビューモード切り替え */}
           <div style={{ display: "flex", gap: "6px" }}>
-            {[{ key: "cross", label: "断面図 (経度別)" }, { key: "plane", label: "平面図 (FL別)" }, { key: "sounding", label: "エマグラム (Skew-T)" }].map((m) => (
+            {[{ key: "cross", label: "断面図 (経度別)" }, { key: "plane", label: "平面図 (FL別)" }, { key: "sounding", label: "エマグラム (Skew-T)" }, { key: "route", label: "ルート断面 (Route)" }].map((m) => (
               <button key={m.key} onClick={() => setViewMode(m.key)} style={{
                 padding: "5px 14px",
                 background: viewMode === m.key ? "rgba(110, 231, 183, 0.15)" : "rgba(15, 23, 42, 0.6)",
@@ -2901,6 +5632,19 @@ function AnalysisPanel() {
           )}
         </div>
 
+        {/* ルート断面: JMA 固定経度ではなく航路沿いのモデル断面 */}
+        {viewMode === "route" && (
+          <div>
+            <div style={{ marginBottom: "12px" }}>
+              <div style={headerLabel}>◈ ROUTE CROSS-SECTION / 航路鉛直断面</div>
+              <div style={{ color: "#64748b", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace", marginTop: "3px" }}>
+                SOURCE: open-meteo.com — PRESSURE-LEVEL FORECAST ALONG GREAT-CIRCLE TRACK
+              </div>
+            </div>
+            <RouteCrossSection />
+          </div>
+        )}
+
         {/* 断面図: 東経4地点グリッド */}
         {viewMode === "cross" && timestamp && (
           <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: "10px" }}>
@@ -2976,11 +5720,29 @@ function AnalysisPanel() {
             {/* ヘッダー */}
             <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: "10px", marginBottom: "12px" }}>
               <div>
-                <div style={headerLabel}>◈ GFS FORECAST SOUNDING / エマグラム (Skew-T)</div>
+                <div style={headerLabel}>
+                  ◈ {soundingSource === "observed" ? "OBSERVED RAOB vs MODEL" : `${soundingSource === "native" ? "MODEL" : soundingModelLabel} FORECAST SOUNDING`} / エマグラム (Skew-T)
+                </div>
                 <div style={{ color: "#64748b", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace", marginTop: "3px" }}>
-                  SOURCE: tropicaltidbits.com — GFS MODEL SOUNDING
+                  {{
+                    native: "SOURCE: open-meteo.com — PRESSURE-LEVEL FORECAST (NATIVE SVG)",
+                    image: `SOURCE: tropicaltidbits.com — ${soundingModelLabel} MODEL SOUNDING`,
+                    observed: "SOURCE: weather.uwyo.edu (00Z/12Z) / TEMP PASTE — MODEL: open-meteo.com",
+                  }[soundingSource]}
                 </div>
               </div>
+              {/* 描画方式: ネイティブSVG / Tropical Tidbits 画像 / 実況ゾンデ */}
+              <div style={{ display: "flex", gap: "4px" }}>
+                {[{ key: "native", label: "NATIVE SVG" }, { key: "image", label: "TT IMAGE" }, { key: "observed", label: "OBS RAOB" }].map((s) => (
+                  <button key={s.key} onClick={() => setSoundingSource(s.key)} style={{
+                    padding: "4px 10px",
+                    background: soundingSource === s.key ? "rgba(110, 231, 183, 0.15)" : "rgba(15, 23, 42, 0.6)",
+                    border: `1px solid ${soundingSource === s.key ? "rgba(110, 231, 183, 0.5)" : "rgba(148, 163, 184, 0.15)"}`,
+                    borderRadius: "6px", color: soundingSource === s.key ? "#6ee7b7" : "#64748b",
+                    fontSize: "10px", cursor: "pointer", fontFamily: "'JetBrains Mono', monospace",
+                  }}>{s.label}</button>
+                ))}
+              </div>
             </div>
 
             {/* ICAO プリセット + 入力 */}
@@ -3016,10 +5778,48 @@ function AnalysisPanel() {
                   fontFamily: "'JetBrains Mono', monospace",
                 }}>GO</button>
               </div>
+              {/* 全空港（AIRPORT_GROUPS）から選択 — ネイティブ描画は座標があればどこでも可 */}
+              <select
+                value={AIRPORTS.some((a) => a.icao === soundingIcao) ? soundingIcao : ""}
+                onChange={(e) => { if (e.target.value) { setSoundingIcao(e.target.value); setSoundingIcaoInput(e.target.value); setSoundingImgError(false); } }}
+                style={{
+                  padding: "4px 6px", background: "rgba(15, 23, 42, 0.8)", border: "1px solid rgba(148, 163, 184, 0.2)",
+                  borderRadius: "6px", color: "#94a3b8", fontSize: "11px", fontFamily: "'JetBrains Mono', monospace",
+                }}
+              >
+                <option value="">ALL AIRPORTS…</option>
+                {AIRPORT_GROUPS.map((g) => (
+                  <optgroup key={g.region} label={g.region}>
+                    {g.airports.map((a) => <option key={a.icao} value={a.icao}>{a.icao} {a.name}</option>)}
+                  </optgroup>
+                ))}
+              </select>
             </div>
 
             {/* 予報時間セレクター */}
-            <div style={{ display: "flex", gap: "4px", flexWrap: "wrap", marginBottom: "14px" }}>
+            {/* モデル選択 + 予報時間アニメーション（TT 画像） */}
+            {soundingSource === "image" && (
+              <div style={{ display: "flex", gap: "4px", flexWrap: "wrap", marginBottom: "8px", alignItems: "center" }}>
+                <span style={{ color: "#64748b", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace", marginRight: "4px" }}>MODEL:</span>
+                {SOUNDING_MODELS.map((m) => (
+                  <button key={m.key} onClick={() => { setSoundingModel(m.key); setSoundingImgError(false); }} style={{
+                    padding: "4px 10px",
+                    background: soundingModel === m.key ? "rgba(110, 231, 183, 0.15)" : "rgba(15, 23, 42, 0.6)",
+                    border: `1px solid ${soundingModel === m.key ? "rgba(110, 231, 183, 0.5)" : "rgba(148, 163, 184, 0.15)"}`,
+                    borderRadius: "6px", color: soundingModel === m.key ? "#6ee7b7" : "#94a3b8",
+                    fontSize: "11px", cursor: "pointer", fontFamily: "'JetBrains Mono', monospace",
+                  }}>{m.label}</button>
+                ))}
+                <button onClick={() => setSoundingLoop((v) => !v)} style={{
+                  padding: "4px 10px", marginLeft: "8px",
+                  background: soundingLoop ? "rgba(251, 191, 36, 0.15)" : "rgba(15, 23, 42, 0.6)",
+                  border: `1px solid ${soundingLoop ? "rgba(251, 191, 36, 0.5)" : "rgba(148, 163, 184, 0.15)"}`,
+                  borderRadius: "6px", color: soundingLoop ? "#fbbf24" : "#94a3b8",
+                  fontSize: "11px", cursor: "pointer", fontFamily: "'JetBrains Mono', monospace",
+                }}>🎞️ LOOP +0–48h</button>
+              </div>
+            )}
+            {soundingSource !== "observed" && !(soundingSource === "image" && soundingLoop) && <div style={{ display: "flex", gap: "4px", flexWrap: "wrap", marginBottom: "14px" }}>
               <span style={{ color: "#64748b", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace", alignSelf: "center", marginRight: "4px" }}>FCST:</span>
               {["0", "6", "12", "18", "24", "30", "36"].map((h) => (
                 <button key={h} onClick={() => { setSoundingFh(h); setSoundingImgError(false);}} style={{
@@ -3031,27 +5831,42 @@ function AnalysisPanel() {
                   transition: "all 0.15s ease",
                 }}>+{h}h</button>
               ))}
-            </div>
+            </div>}
+
+            {soundingSource === "observed" && <ObservedSounding nearLat={soundingLoc?.lat} nearLon={soundingLoc?.lon} />}
+            {soundingSource === "native" && (
+              <NativeSkewT icao={soundingIcao} lat={soundingLoc?.lat} lon={soundingLoc?.lon} fh={Number(soundingFh)} />
+            )}
+
+            {soundingSource === "image" && soundingLoop && (
+              <SoundingLoop urlFor={(fh) => soundingUrl(soundingIcao, fh)}
+                label={`${soundingModelLabel} Skew-T  ${soundingIcao}`} onZoom={setZoomImg} />
+            )}
 
             {/* Skew-T 画像 */}
-            <div style={{ background: "#ffffff", borderRadius: "8px", padding: "4px", position: "relative", minHeight: "200px" }}>
-              {soundingImgError ? (
-                <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: "'JetBrains Mono', monospace" }}>
-                  Sounding data not available for {soundingIcao}
-                  <br /><span style={{ color: "#64748b", fontSize: "10px" }}>ICAOコードを確認するか、別の空港/予報時間を選択してください</span>
-                </div>
-              ) : (
-                <img
-                  key={`${soundingIcao}-${soundingFh}`}
-                  src={soundingUrl(soundingIcao, soundingFh)}
-                  alt={`GFS Skew-T ${soundingIcao} +${soundingFh}h`}
-                  onError={() => setSoundingImgError(true)}
-                  onLoad={() => setSoundingImgError(false)}
-                  onClick={() => setZoomImg({ src: soundingUrl(soundingIcao, soundingFh), label: `GFS Skew-T  ${soundingIcao}  +${soundingFh}h` })}
-                  style={{ width: "100%", display: "block", cursor: "pointer", borderRadius: "4px" }}
-                />
-              )}
-            </div>
+            {soundingSource === "image" && !soundingLoop && (
+              <div style={{ background: "#ffffff", borderRadius: "8px", padding: "4px", position: "relative", minHeight: "200px" }}>
+                {soundingImgError ? (
+                  <div style={{ padding: "40px", textAlign: "center", color: "#ef4444", fontSize: "12px", fontFamily: "'JetBrains Mono', monospace" }}>
+                    Sounding data not available for {soundingIcao}
+                    <br /><span style={{ color: "#64748b", fontSize: "10px" }}>ICAOコードを確認するか、別の空港/予報時間を選択してください</span>
+                  </div>
+                ) : (
+                  <img
+                    key={`${soundingIcao}-${soundingFh}-${soundingModel}`}
+                    src={soundingUrl(soundingIcao, soundingFh)}
+                    alt={`${soundingModelLabel} Skew-T ${soundingIcao} +${soundingFh}h`}
+                    onError={() => setSoundingImgError(true)}
+                    onLoad={() => setSoundingImgError(false)}
+                    onClick={() => setZoomImg({ src: soundingUrl(soundingIcao, soundingFh), label: `${soundingModelLabel} Skew-T  ${soundingIcao}  +${soundingFh}h` })}
+                    style={{ width: "100%", display: "block", cursor: "pointer", borderRadius: "4px" }}
+                  />
+                )}
+              </div>
+            )}
+            {soundingSource === "image" && !soundingLoop && (
+              <SoundingIndices icao={soundingIcao} lat={soundingLoc?.lat} lon={soundingLoc?.lon} fh={Number(soundingFh)} />
+            )}
             {/* hPa → FL 対応表 (ICAO標準大気) */}
             {!soundingImgError && (() => {
               const mono = "'JetBrains Mono', monospace";
@@ -3085,13 +5900,22 @@ function AnalysisPanel() {
                       borderLeft: "1px solid rgba(148, 163, 184, 0.08)", borderTop: "1px solid rgba(110, 231, 183, 0.1)",
                     }}>{fl}</div>
                   ))}
+                  {/* 標準大気高度（設定単位） */}
+                  <div style={{ background: "rgba(15, 23, 42, 0.7)", padding: "6px 10px", color: "#64748b", fontWeight: 700, fontSize: "11px", display: "flex", alignItems: "center" }}>{unitLabel("unitAlt")}</div>
+                  {items.map(({ hpa, fl }) => (
+                    <div key={`a-${hpa}`} style={{
+                      background: "rgba(15, 23, 42, 0.5)", padding: "6px 0", textAlign: "center",
+                      color: "#94a3b8", fontSize: "11px",
+                      borderLeft: "1px solid rgba(148, 163, 184, 0.08)", borderTop: "1px solid rgba(110, 231, 183, 0.1)",
+                    }}>{fl === "SFC" ? "—" : convAlt(+fl * 100)}</div>
+                  ))}
                 </div>
               );
             })()}
 
             {/* リンク */}
             <div style={{ display: "flex", gap: "8px", marginTop: "10px", flexWrap: "wrap" }}>
-              <ExtLink href={`https://www.tropicaltidbits.com/analysis/models/sounding/?stationID=${soundingIcao}&fh=${soundingFh}&model=gfs`} accent>🌡️ Tropical Tidbits で開く</ExtLink>
+              <ExtLink href={`https://www.tropicaltidbits.com/analysis/models/sounding/?stationID=${soundingIcao}&fh=${soundingFh}&model=${soundingModel}`} accent>🌡️ Tropical Tidbits で開く</ExtLink>
               <ExtLink href="https://weather.uwyo.edu/upperair/seasia.html" accent>📊 Wyoming 実況ゾンデ</ExtLink>
               <ExtLink href="https://www.tono2.net/skew/" accent>✈️ フライトお天気 Skew-T</ExtLink>
             </div>
@@ -3704,6 +6528,7 @@ const PILOT_GUIDE = [
 ];
 
 function OpsWxPanel() {
+  useSettings();
   const [overlayKey, setOverlayKey] = useState("jet300");
   const [airportData, setAirportData] = useState({});
   const [dataLoading, setDataLoading] = useState(true);
@@ -3734,7 +6559,7 @@ function OpsWxPanel() {
         if (!res.ok) throw new Error(`${ap.icao}: HTTP ${res.status}`);
         const json = await res.json();
         const idx = Math.min(new Date().getUTCHours(), (json.hourly?.time?.length ?? 1) - 1);
-        const toKt = (v) => v != null ? Math.round(v * 0.539957) : null;
+        const toKt = (v) => v != null ? Math.round(v * KMH_TO_KT) : null;
         results[ap.icao] = {
           wind300spd: toKt(json.hourly?.windspeed_300hPa?.[idx]),
           wind300dir: json.hourly?.winddirection_300hPa?.[idx] != null ? Math.round(json.hourly.winddirection_300hPa[idx]) : null,
@@ -3762,10 +6587,6 @@ function OpsWxPanel() {
   }, []);
 
   // ヘルパー
-  const fmtWind = (dir, spd) => {
-    if (dir == null || spd == null) return "---/---KT";
-    return `${String(dir).padStart(3, "0")}/${String(spd).padStart(3, "0")}KT`;
-  };
   const jetColor = (spd) => {
     if (spd == null) return "#475569";
     if (spd >= 120) return "#f87171";
@@ -3888,7 +6709,7 @@ function OpsWxPanel() {
             <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace" }}>
               <thead>
                 <tr style={{ background: "rgba(0,0,0,0.5)", borderBottom: "1px solid rgba(110,231,183,0.15)" }}>
-                  {["ICAO", "300hPa WIND", "250hPa WIND", "850T (℃)", "CAPE (J/kg)"].map((h, i) => (
+                  {["ICAO", "300hPa WIND", "250hPa WIND", `850T (${unitLabel("unitTemp")})`, "CAPE (J/kg)"].map((h, i) => (
                     <th key={h} style={{
                       padding: "8px 10px", textAlign: i === 0 ? "left" : "right",
                       color: (isWinter && h.includes("850T")) ? "#60a5fa" : (isSummer && h.includes("CAPE")) ? "#fbbf24" : "#334155",
@@ -3909,15 +6730,15 @@ function OpsWxPanel() {
                       <td style={{ padding: "8px 10px", fontSize: "11px", fontWeight: 700, color: "#6ee7b7", textShadow: "0 0 6px rgba(110,231,183,0.3)" }}>
                         {ap.icao}<span style={{ marginLeft: "6px", fontSize: "9px", color: "#334155", fontWeight: 400 }}>{ap.name}</span>
                       </td>
-                      <td style={{ padding: "8px 10px", textAlign: "right", fontSize: "11px", color: jetColor(d.wind300spd) }}>{fmtWind(d.wind300dir, d.wind300spd)}</td>
-                      <td style={{ padding: "8px 10px", textAlign: "right", fontSize: "11px", color: jetColor(d.wind250spd) }}>{fmtWind(d.wind250dir, d.wind250spd)}</td>
+                      <td style={{ padding: "8px 10px", textAlign: "right", fontSize: "11px", color: jetColor(d.wind300spd) }}>{fmtUpperWind(d.wind300dir, d.wind300spd)}</td>
+                      <td style={{ padding: "8px 10px", textAlign: "right", fontSize: "11px", color: jetColor(d.wind250spd) }}>{fmtUpperWind(d.wind250dir, d.wind250spd)}</td>
                       <td style={{
                         padding: "8px 10px", textAlign: "right", fontSize: "11px",
                         fontWeight: isWinter ? 700 : 400, color: temp850Color(d.temp850),
                         background: isWinter ? "rgba(96,165,250,0.04)" : "transparent",
                         textShadow: (isWinter && d.temp850 != null && d.temp850 <= -6) ? "0 0 8px rgba(96,165,250,0.5)" : "none",
                       }}>
-                        {d.temp850 != null ? `${d.temp850 > 0 ? "+" : ""}${d.temp850}` : "---"}
+                        {fmtUpperTemp(d.temp850)}
                       </td>
                       <td style={{
                         padding: "8px 10px", textAlign: "right", fontSize: "11px",
@@ -3953,95 +6774,711 @@ function OpsWxPanel() {
                 <div style={{ width: "4px", height: "4px", borderRadius: "50%", background: x.c }} />
                 <span style={{ fontSize: "7px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>{x.l}</span>
               </div>
-            ))}
-          </div>
-        </PanelFrame>
-
-        {/* 右: JMAリンク + 季節サマリ */}
-        <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
-          {/* 季節バッジ */}
-          <div style={{
-            padding: "10px 14px",
-            background: isWinter ? "rgba(96,165,250,0.08)" : isSummer ? "rgba(251,191,36,0.08)" : "rgba(110,231,183,0.05)",
-            border: `1px solid ${isWinter ? "rgba(96,165,250,0.3)" : isSummer ? "rgba(251,191,36,0.3)" : "rgba(110,231,183,0.12)"}`,
-            borderRadius: "4px",
-          }}>
-            <div style={{
-              fontSize: "9px",
-              color: isWinter ? "#60a5fa" : isSummer ? "#fbbf24" : "#6ee7b7",
-              fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", fontWeight: 700, marginBottom: "4px",
-            }}>
-              {isWinter ? "❄️ WINTER OPS FOCUS" : isSummer ? "⚡ SUMMER OPS FOCUS" : "🌤️ SEASONAL FOCUS"}
-            </div>
-            <div style={{ fontSize: "10px", color: "#94a3b8", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.6" }}>
-              {isWinter ? "寒気(850T)を重点監視。-6℃以下で平地降雪、-12℃以下で大雪域拡大。JPCZに注意。"
-                : isSummer ? "CAPE値を重点監視。300J/kg以上で孤立Cb、1000J/kg以上で組織化した雷雲。午後の急発達に注意。"
-                : "春秋はジェット気流と前線の動向を優先監視。"}
+            ))}
+          </div>
+        </PanelFrame>
+
+        {/* 右: JMAリンク + 季節サマリ */}
+        <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+          {/* 季節バッジ */}
+          <div style={{
+            padding: "10px 14px",
+            background: isWinter ? "rgba(96,165,250,0.08)" : isSummer ? "rgba(251,191,36,0.08)" : "rgba(110,231,183,0.05)",
+            border: `1px solid ${isWinter ? "rgba(96,165,250,0.3)" : isSummer ? "rgba(251,191,36,0.3)" : "rgba(110,231,183,0.12)"}`,
+            borderRadius: "4px",
+          }}>
+            <div style={{
+              fontSize: "9px",
+              color: isWinter ? "#60a5fa" : isSummer ? "#fbbf24" : "#6ee7b7",
+              fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", fontWeight: 700, marginBottom: "4px",
+            }}>
+              {isWinter ? "❄️ WINTER OPS FOCUS" : isSummer ? "⚡ SUMMER OPS FOCUS" : "🌤️ SEASONAL FOCUS"}
+            </div>
+            <div style={{ fontSize: "10px", color: "#94a3b8", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.6" }}>
+              {isWinter ? "寒気(850T)を重点監視。-6℃以下で平地降雪、-12℃以下で大雪域拡大。JPCZに注意。"
+                : isSummer ? "CAPE値を重点監視。300J/kg以上で孤立Cb、1000J/kg以上で組織化した雷雲。午後の急発達に注意。"
+                : "春秋はジェット気流と前線の動向を優先監視。"}
+            </div>
+          </div>
+
+          {/* JMA高層天気図リンク */}
+          <PanelFrame title="JMA UPPER-AIR CHARTS" code="LINKS" style={{ padding: "0" }}>
+            <div style={{ padding: "10px" }}>
+              {JMA_UPPER_CHARTS.map((chart, i) => (
+                <a key={i} href={chart.url} target="_blank" rel="noopener noreferrer" style={{
+                  display: "block", padding: "8px 10px",
+                  marginBottom: i < JMA_UPPER_CHARTS.length - 1 ? "2px" : 0,
+                  background: "rgba(0,0,0,0.3)",
+                  borderLeft: "2px solid rgba(110,231,183,0.2)",
+                  borderRadius: "0 2px 2px 0",
+                  textDecoration: "none", transition: "all 0.15s ease",
+                }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <span style={{ color: "#6ee7b7", fontSize: "10px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{chart.title}</span>
+                    <span style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>↗</span>
+                  </div>
+                  <div style={{ color: "#475569", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "2px" }}>{chart.desc}</div>
+                </a>
+              ))}
+            </div>
+          </PanelFrame>
+
+          {/* 外部リンク */}
+          <div style={{ display: "flex", gap: "4px", flexWrap: "wrap" }}>
+            <ExtLink href="https://aviationweather.gov" accent>AWC</ExtLink>
+            <ExtLink href="https://www.windy.com/-Wind-250hPa-wind250h?wind250h">Windy 250hPa</ExtLink>
+            <ExtLink href="https://www.jma.go.jp/bosai/windprofiler/">WINDAS</ExtLink>
+          </div>
+        </div>
+      </div>
+
+      {/* パイロット判読ガイド */}
+      <div>
+        <div style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", marginBottom: "8px" }}>PILOT INTERPRETATION GUIDE</div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: "8px" }}>
+          {PILOT_GUIDE.map((section, si) => (
+            <div key={si} onClick={() => setGuideOpen(guideOpen === si ? null : si)} style={{
+              padding: "12px",
+              background: guideOpen === si ? "rgba(110,231,183,0.06)" : "rgba(5,10,20,0.8)",
+              border: `1px solid ${guideOpen === si ? "rgba(110,231,183,0.25)" : "rgba(110,231,183,0.08)"}`,
+              borderRadius: "4px", cursor: "pointer", transition: "all 0.15s ease",
+            }}>
+              <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: guideOpen === si ? "8px" : "0" }}>
+                <span style={{ fontSize: "16px" }}>{section.icon}</span>
+                <span style={{ color: "#e2e8f0", fontSize: "11px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{section.title}</span>
+                <span style={{ marginLeft: "auto", color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", transition: "transform 0.15s ease", transform: guideOpen === si ? "rotate(90deg)" : "none" }}>▶</span>
+              </div>
+              {guideOpen === si && (
+                <div style={{ paddingLeft: "28px" }}>
+                  {section.items.map((item, ii) => (
+                    <div key={ii} style={{ display: "flex", gap: "6px", alignItems: "flex-start", marginBottom: "4px" }}>
+                      <span style={{ color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "1px", flexShrink: 0 }}>{">"}</span>
+                      <span style={{ color: "#64748b", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.6" }}>{item}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ========== SIGMET PANEL — 福岡FIR + 隣接FIR ========== */
+
+// FL帯表示: "SFC–FL120" / "FL250–FL380" / "TOP FL380" / "ABV FL300"
+function sigmetLevelBand(s) {
+  const fl = (v) => (v === 0 ? "SFC" : `FL${String(v).padStart(3, "0")}`);
+  if (s.base != null && s.top != null) return `${fl(s.base)}–${fl(s.top)}`;
+  if (s.top != null) return `TOP ${s.topAbove ? "ABV " : ""}${fl(s.top)}`;
+  if (s.base != null) return `ABV ${fl(s.base)}`;
+  return "FL ---";
+}
+
+function fmtCountdown(ms) {
+  const min = Math.max(0, Math.round(ms / 60000));
+  return min >= 60 ? `${Math.floor(min / 60)}h${String(min % 60).padStart(2, "0")}m` : `${min}m`;
+}
+
+/* ---------- SIGMET × 乗務レグ 交差判定 ---------- */
+
+// 簡略海岸線（[lat, lon]、概略表示用）
+const JAPAN_COASTLINE = [
+  // 北海道
+  [[45.52, 141.94], [45.0, 142.55], [44.4, 143.2], [44.1, 144.3], [44.0, 145.0], [44.35, 145.33], [43.6, 145.2], [43.38, 145.82],
+    [43.25, 145.5], [43.0, 144.8], [42.95, 144.3], [42.6, 143.6], [41.93, 143.25], [42.3, 142.6], [42.6, 141.8], [42.32, 140.97],
+    [42.55, 140.4], [42.1, 140.55], [41.8, 141.18], [41.77, 140.72], [41.4, 140.2], [41.8, 140.0], [42.2, 139.85], [42.6, 139.85],
+    [43.0, 140.3], [43.37, 140.47], [43.2, 141.0], [43.4, 141.4], [43.9, 141.6], [44.4, 141.8], [45.0, 141.6], [45.3, 141.65]],
+  // 本州
+  [[41.53, 140.91], [41.43, 141.46], [40.9, 141.4], [40.5, 141.6], [39.55, 142.07], [39.0, 141.75], [38.27, 141.5], [38.27, 141.0],
+    [37.8, 140.95], [37.0, 140.95], [36.5, 140.6], [35.73, 140.87], [35.3, 140.4], [34.9, 139.85], [35.6, 140.0], [35.5, 139.75],
+    [35.15, 139.6], [35.3, 139.2], [34.6, 138.85], [35.1, 138.85], [34.6, 138.2], [34.65, 137.6], [34.57, 137.0], [34.85, 136.85],
+    [34.3, 136.9], [33.9, 136.2], [33.43, 135.76], [33.7, 135.35], [34.2, 135.1], [34.6, 135.45], [34.7, 135.2], [34.78, 134.65],
+    [34.5, 133.8], [34.4, 133.3], [34.25, 132.5], [33.95, 131.9], [33.95, 131.0], [34.3, 130.9], [34.7, 131.6], [35.2, 132.4],
+    [35.55, 133.3], [35.55, 134.2], [35.7, 135.2], [35.5, 135.8], [35.7, 136.0], [36.3, 136.2], [37.1, 136.7], [37.53, 137.35],
+    [36.8, 137.0], [37.05, 137.85], [37.37, 138.55], [37.95, 139.1], [38.4, 139.5], [38.9, 139.8], [39.7, 140.05], [39.95, 139.7],
+    [40.55, 139.9], [41.25, 140.35], [40.82, 140.75], [41.1, 140.85]],
+  // 四国
+  [[33.34, 132.02], [33.85, 132.7], [34.07, 133.0], [33.96, 133.28], [34.25, 133.8], [34.35, 134.05], [34.2, 134.6], [33.85, 134.75],
+    [33.25, 134.18], [33.5, 133.55], [33.2, 133.2], [32.72, 133.02], [33.0, 132.5]],
+  // 九州
+  [[33.95, 130.95], [33.55, 131.7], [33.25, 131.9], [32.9, 132.0], [32.6, 131.7], [31.9, 131.45], [31.4, 131.35], [31.0, 130.65],
+    [31.5, 130.55], [31.25, 130.3], [31.8, 130.15], [32.2, 130.35], [32.5, 130.6], [32.8, 130.55], [32.75, 130.35], [32.75, 129.85],
+    [33.15, 129.7], [33.35, 129.5], [33.45, 129.95], [33.6, 130.4], [33.9, 130.5]],
+  // 沖縄本島
+  [[26.87, 128.26], [26.2, 127.65], [26.08, 127.7], [26.2, 127.85], [26.45, 127.95], [26.7, 128.3]],
+];
+
+const EARTH_NM = 3440.065;
+const toRad = (d) => d * Math.PI / 180;
+
+function haversineNm([lat1, lon1], [lat2, lon2]) {
+  const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/** 大圏航路上の n+1 点（球面線形補間） */
+function greatCirclePoints(a, b, n = 48) {
+  const [p1, l1, p2, l2] = [toRad(a[0]), toRad(a[1]), toRad(b[0]), toRad(b[1])];
+  const d = haversineNm(a, b) / EARTH_NM;
+  if (d === 0) return [a, b];
+  return Array.from({ length: n + 1 }, (_, i) => {
+    const f = i / n;
+    const A = Math.sin((1 - f) * d) / Math.sin(d), B = Math.sin(f * d) / Math.sin(d);
+    const x = A * Math.cos(p1) * Math.cos(l1) + B * Math.cos(p2) * Math.cos(l2);
+    const y = A * Math.cos(p1) * Math.sin(l1) + B * Math.cos(p2) * Math.sin(l2);
+    const z = A * Math.sin(p1) + B * Math.sin(p2);
+    return [Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI, Math.atan2(y, x) * 180 / Math.PI];
+  });
+}
+
+function pointInPolygon([lat, lon], poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [yi, xi] = poly[i], [yj, xj] = poly[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInSigmet(pt, area) {
+  if (area?.type === "polygon") return pointInPolygon(pt, area.points);
+  if (area?.type === "circle") return haversineNm(pt, area.center) <= area.radiusNm;
+  return false;
+}
+
+// 巡航FL未入力時の目安（区間距離から）
+function defaultCruiseFl(distNm) {
+  return distNm < 150 ? 200 : distNm < 300 ? 280 : distNm < 500 ? 350 : 390;
+}
+
+/**
+ * 本日の FLY イベント → レグ一覧 [{ n, from, to, fromIcao, toIcao, start, end, distNm, points }]
+ * ICS は乗務単位の時刻のみのため、各レグの時間帯は区間距離で按分した概算
+ */
+function dutyLegs(events) {
+  const legs = [];
+  for (const ev of events.filter(e => e.type === "FLY" && e.route?.length >= 2)) {
+    const segs = [];
+    for (let i = 0; i < ev.route.length - 1; i++) {
+      const fromIcao = iataToIcao(ev.route[i]), toIcao = iataToIcao(ev.route[i + 1]);
+      const a = AIRPORTS.find(x => x.icao === fromIcao), b = AIRPORTS.find(x => x.icao === toIcao);
+      const pa = a?.lat != null ? [a.lat, a.lon] : null, pb = b?.lat != null ? [b.lat, b.lon] : null;
+      segs.push({ from: ev.route[i], to: ev.route[i + 1], fromIcao, toIcao, pa, pb, distNm: pa && pb ? haversineNm(pa, pb) : null });
+    }
+    const known = segs.filter(s => s.distNm != null);
+    const total = known.reduce((sum, s) => sum + s.distNm, 0);
+    const span = ev.end - ev.start;
+    let t = ev.start.getTime();
+    for (const s of segs) {
+      const dur = total > 0 && s.distNm != null ? span * s.distNm / total : span / segs.length;
+      legs.push({
+        n: legs.length + 1, from: s.from, to: s.to, fromIcao: s.fromIcao, toIcao: s.toIcao,
+        start: new Date(t), end: new Date(t + dur), distNm: s.distNm,
+        points: s.pa && s.pb ? greatCirclePoints(s.pa, s.pb) : null,
+      });
+      t += dur;
+    }
+  }
+  return legs;
+}
+
+/**
+ * レグ × SIGMET の交差（時刻・高度・位置すべて重なるもの）
+ * 高度は巡航FLまで 3:1（1000ft/3NM）で上昇・降下する断面で評価
+ * → [{ leg, sigmet, enter, exit, flMin, flMax }]
+ */
+function legSigmetConflicts(legs, sigmets, cruiseFl) {
+  const out = [];
+  for (const leg of legs) {
+    if (!leg.points) continue;
+    const cruise = cruiseFl[leg.n] ?? defaultCruiseFl(leg.distNm);
+    const n = leg.points.length - 1;
+    for (const s of sigmets) {
+      if (!s.area || s.area.type === "point") continue;
+      const base = s.base ?? 0;
+      const top = s.topAbove || s.top == null ? 999 : s.top;
+      let hit = null;
+      leg.points.forEach((pt, i) => {
+        const f = i / n;
+        const t = new Date(leg.start.getTime() + f * (leg.end - leg.start));
+        if ((s.validFrom && t < s.validFrom) || (s.validTo && t > s.validTo)) return;
+        const fl = Math.min(cruise, Math.round(Math.min(f, 1 - f) * leg.distNm * 10 / 3));
+        if (fl < base || fl > top || !pointInSigmet(pt, s.area)) return;
+        if (!hit) hit = { leg, sigmet: s, enter: t, exit: t, flMin: fl, flMax: fl, from: i, to: i };
+        hit.exit = t; hit.to = i;
+        hit.flMin = Math.min(hit.flMin, fl); hit.flMax = Math.max(hit.flMax, fl);
+      });
+      if (hit) out.push(hit);
+    }
+  }
+  return out;
+}
+
+// 正距円筒（中心緯度で経度を cos 補正）
+const SIGMET_MAP_BOUNDS = { latMin: 24, latMax: 46, lonMin: 122, lonMax: 149 };
+const SIGMET_MAP_W = 540;
+const SIGMET_MAP_K = SIGMET_MAP_W / ((SIGMET_MAP_BOUNDS.lonMax - SIGMET_MAP_BOUNDS.lonMin) * Math.cos(toRad(35)));
+const SIGMET_MAP_H = Math.round((SIGMET_MAP_BOUNDS.latMax - SIGMET_MAP_BOUNDS.latMin) * SIGMET_MAP_K);
+function mapXY([lat, lon]) {
+  return [
+    ((lon - SIGMET_MAP_BOUNDS.lonMin) * Math.cos(toRad(35)) * SIGMET_MAP_K).toFixed(1),
+    ((SIGMET_MAP_BOUNDS.latMax - lat) * SIGMET_MAP_K).toFixed(1),
+  ];
+}
+const mapPath = (pts) => pts.map(p => mapXY(p).join(",")).join(" ");
+
+function SigmetMap({ sigmets, legs, conflicts }) {
+  const conflictLegs = new Set(conflicts.map(c => c.leg.n));
+  return (
+    <svg viewBox={`0 0 ${SIGMET_MAP_W} ${SIGMET_MAP_H}`} style={{ width: "100%", maxHeight: "480px", display: "block", background: "rgba(2,6,23,0.6)" }}>
+      {/* 経緯線 5° */}
+      {[25, 30, 35, 40, 45].map(lat => {
+        const [, y] = mapXY([lat, 0]);
+        return <g key={`lat${lat}`}><line x1="0" x2={SIGMET_MAP_W} y1={y} y2={y} stroke="rgba(148,163,184,0.08)" /><text x="3" y={y - 2} fill="#334155" fontSize="8" fontFamily="'JetBrains Mono', monospace">{lat}N</text></g>;
+      })}
+      {[125, 130, 135, 140, 145].map(lon => {
+        const [x] = mapXY([0, lon]);
+        return <g key={`lon${lon}`}><line y1="0" y2={SIGMET_MAP_H} x1={x} x2={x} stroke="rgba(148,163,184,0.08)" /><text x={+x + 2} y={SIGMET_MAP_H - 3} fill="#334155" fontSize="8" fontFamily="'JetBrains Mono', monospace">{lon}E</text></g>;
+      })}
+      {JAPAN_COASTLINE.map((poly, i) => (
+        <polygon key={i} points={mapPath(poly)} fill="rgba(110,231,183,0.06)" stroke="rgba(110,231,183,0.35)" strokeWidth="0.8" />
+      ))}
+      {/* SIGMET 領域 */}
+      {sigmets.map((s, i) => {
+        const color = SIGMET_HAZARDS[s.hazard]?.color ?? "#94a3b8";
+        const label = `${s.fir ?? ""} ${s.series ?? ""} ${s.hazard ?? ""}`;
+        if (s.area?.type === "polygon") {
+          const [lx, ly] = mapXY(s.area.points[0]);
+          return <g key={i}>
+            <polygon points={mapPath(s.area.points)} fill={`${color}22`} stroke={color} strokeWidth="1" strokeDasharray="4 2" />
+            <text x={lx} y={ly - 3} fill={color} fontSize="8" fontFamily="'JetBrains Mono', monospace">{label}</text>
+          </g>;
+        }
+        if (s.area?.center) {
+          const [cx, cy] = mapXY(s.area.center);
+          const r = s.area.radiusNm ? s.area.radiusNm / 60 * SIGMET_MAP_K : 4;
+          return <g key={i}>
+            <circle cx={cx} cy={cy} r={r} fill={`${color}22`} stroke={color} strokeWidth="1" strokeDasharray="4 2" />
+            <text x={cx} y={cy - r - 3} fill={color} fontSize="8" textAnchor="middle" fontFamily="'JetBrains Mono', monospace">{label}</text>
+          </g>;
+        }
+        return null;
+      })}
+      {/* 本日のレグ（大圏） — 交差区間は赤で重ね描き */}
+      {legs.filter(l => l.points).map(l => {
+        const [mx, my] = mapXY(l.points[Math.floor(l.points.length / 2)]);
+        return <g key={`leg${l.n}`}>
+          <polyline points={mapPath(l.points)} fill="none" stroke={conflictLegs.has(l.n) ? "#fbbf24" : "#6ee7b7"} strokeWidth="1.5" />
+          <text x={mx} y={my - 4} fill="#e2e8f0" fontSize="9" textAnchor="middle" fontFamily="'JetBrains Mono', monospace">L{l.n}</text>
+        </g>;
+      })}
+      {conflicts.map((c, i) => (
+        <polyline key={`cf${i}`} points={mapPath(c.leg.points.slice(c.from, c.to + 1))} fill="none" stroke="#f87171" strokeWidth="3" strokeLinecap="round" />
+      ))}
+      {[...new Set(legs.flatMap(l => [l.fromIcao, l.toIcao]))].map(icao => {
+        const ap = AIRPORTS.find(a => a.icao === icao);
+        if (ap?.lat == null) return null;
+        const [x, y] = mapXY([ap.lat, ap.lon]);
+        return <g key={icao}><circle cx={x} cy={y} r="2.5" fill="#e2e8f0" /><text x={+x + 4} y={+y + 3} fill="#94a3b8" fontSize="8" fontFamily="'JetBrains Mono', monospace">{icao}</text></g>;
+      })}
+    </svg>
+  );
+}
+
+function SigmetPanel() {
+  useSettings();
+  const [sigmets, setSigmets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [scope, setScope] = useState("NEAR"); // RJJJ | NEAR
+  const [hazardFilter, setHazardFilter] = useState(() => new Set(Object.keys(SIGMET_HAZARDS)));
+  const [openRaw, setOpenRaw] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [cruiseFl, setCruiseFl] = useState({}); // { legN: FL }
+  const [todayEvents, setTodayEvents] = useState(getTodayDutyEvents);
+  const seenRef = useRef(new Set());
+
+  const fetchAll = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await fetchSigmets();
+      // 新規の福岡FIR SIGMET はイベントログへ（初回取得分も記録）
+      list.filter(s => s.fir === "RJJJ").forEach(s => {
+        const key = `${s.fir}-${s.series}-${s.validFrom?.getTime()}`;
+        if (seenRef.current.has(key)) return;
+        seenRef.current.add(key);
+        logEvent("WARN", `SIGMET ${s.fir} ${s.series ?? ""} ${SIGMET_HAZARDS[s.hazard]?.label ?? "UNKNOWN"} ${sigmetLevelBand(s)}`);
+      });
+      setSigmets(list);
+      setError(null);
+      setLastUpdate(new Date());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+    const iv = setInterval(fetchAll, 300000);
+    // DUTY（ICS）の読み込み・消去も tick で拾う。内容が同じなら参照を保ってレグを再計算しない
+    const tick = setInterval(() => {
+      setNow(new Date());
+      const next = getTodayDutyEvents();
+      setTodayEvents(prev => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+    }, 30000);
+    return () => { clearInterval(iv); clearInterval(tick); };
+  }, [fetchAll]);
+
+  const toggleHazard = (key) => setHazardFilter(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+
+  const visible = useMemo(() => sigmets
+    .filter(s => scope === "NEAR" || s.fir === "RJJJ")
+    .filter(s => !s.hazard || hazardFilter.has(s.hazard))
+    .filter(s => !s.validTo || s.validTo > now), [sigmets, scope, hazardFilter, now]);
+  const counts = Object.fromEntries(Object.keys(SIGMET_HAZARDS).map(k => [k, sigmets.filter(s => s.hazard === k).length]));
+  const legs = useMemo(() => dutyLegs(todayEvents), [todayEvents]);
+  // 交差判定は地図・一覧と同じく表示中（フィルタ後）の SIGMET のみ
+  const conflicts = useMemo(() => legSigmetConflicts(legs, visible, cruiseFl), [legs, visible, cruiseFl]);
+
+  const btn = (active, color = "#6ee7b7") => ({
+    padding: "4px 10px", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace",
+    background: active ? `${color}22` : "transparent",
+    border: `1px solid ${active ? `${color}66` : "rgba(148,163,184,0.1)"}`,
+    borderRadius: "3px", color: active ? color : "#64748b", cursor: "pointer",
+  });
+
+  return (
+    <PanelFrame title="SIGMET / FUKUOKA FIR + ADJACENT" code="SECT-SG">
+      {/* スコープ・ハザードフィルタ */}
+      <div style={{ display: "flex", gap: "4px", padding: "12px 16px", borderBottom: "1px solid rgba(110,231,183,0.08)", flexWrap: "wrap", alignItems: "center" }}>
+        <button onClick={() => setScope("RJJJ")} style={btn(scope === "RJJJ")}>RJJJ ONLY</button>
+        <button onClick={() => setScope("NEAR")} style={btn(scope === "NEAR")}>+ ADJACENT FIR</button>
+        <span style={{ width: "8px" }} />
+        {Object.entries(SIGMET_HAZARDS).map(([key, h]) => (
+          <button key={key} onClick={() => toggleHazard(key)} style={btn(hazardFilter.has(key), h.color)}>
+            {key}{counts[key] ? ` ${counts[key]}` : ""}
+          </button>
+        ))}
+        <span style={{ flex: 1 }} />
+        <button onClick={fetchAll} disabled={loading} style={btn(false)}>{loading ? "LOADING..." : "REFRESH"}</button>
+        {lastUpdate && (
+          <span style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>
+            LAST: {lastUpdate.toISOString().slice(11, 19)}z
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ padding: "8px 16px", color: "#f87171", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace" }}>
+          {error} — <a href="https://aviationweather.gov/gfa/#area=other" target="_blank" rel="noopener noreferrer" style={{ color: "#f87171" }}>AWC GFA ↗</a>
+        </div>
+      )}
+      {!error && lastUpdate && visible.length === 0 && (
+        <div style={{ padding: "16px", color: "#6ee7b7", fontSize: "11px", fontFamily: "'JetBrains Mono', monospace", textAlign: "center" }}>
+          NO ACTIVE SIGMET {scope === "RJJJ" ? "IN RJJJ" : "IN RJJJ / ADJACENT FIR"}
+        </div>
+      )}
+
+      {/* 地図 + 本日のレグ交差判定 */}
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 3fr) minmax(220px, 2fr)", borderBottom: "1px solid rgba(110,231,183,0.08)" }}>
+        <SigmetMap sigmets={visible} legs={legs} conflicts={conflicts} />
+        <div style={{ padding: "10px 12px", display: "flex", flexDirection: "column", gap: "6px", fontFamily: "'JetBrains Mono', monospace" }}>
+          <div style={{ color: "#64748b", fontSize: "9px", letterSpacing: "1px" }}>TODAY'S LEGS / 巡航FL</div>
+          {legs.length === 0 && (
+            <div style={{ color: "#475569", fontSize: "10px" }}>DUTY に本日の FLY がありません（ICS を読み込むとレグを表示）</div>
+          )}
+          {legs.map(l => {
+            const hit = conflicts.some(c => c.leg.n === l.n);
+            return (
+              <div key={l.n} style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "10px" }}>
+                <span style={{ color: hit ? "#f87171" : "#6ee7b7", fontWeight: 700, width: "22px" }}>L{l.n}</span>
+                <span style={{ color: "#cbd5e1", width: "74px" }}>{l.from}→{l.to}</span>
+                <span style={{ color: "#475569", width: "86px" }}>
+                  {l.start.toISOString().slice(11, 16).replace(":", "")}–{l.end.toISOString().slice(11, 16).replace(":", "")}Z
+                </span>
+                {l.points ? (
+                  <>
+                    <span style={{ color: "#64748b" }}>FL</span>
+                    <input
+                      type="number" step="10" min="0" max="450"
+                      value={cruiseFl[l.n] ?? defaultCruiseFl(l.distNm)}
+                      onChange={(e) => { const v = parseInt(e.target.value, 10); setCruiseFl(prev => ({ ...prev, [l.n]: Number.isFinite(v) ? v : undefined })); }}
+                      style={{
+                        width: "48px", padding: "2px 4px", background: "rgba(0,0,0,0.4)",
+                        border: "1px solid rgba(148,163,184,0.15)", borderRadius: "3px",
+                        color: "#e2e8f0", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace",
+                      }}
+                    />
+                  </>
+                ) : (
+                  <span style={{ color: "#475569" }}>座標なし</span>
+                )}
+              </div>
+            );
+          })}
+          {conflicts.map((c, i) => {
+            const hz = SIGMET_HAZARDS[c.sigmet.hazard];
+            const fl = c.flMin === c.flMax ? `FL${c.flMin}` : `FL${c.flMin}–${c.flMax}`;
+            return (
+              <div key={i} style={{
+                padding: "6px 8px", background: "rgba(248,113,113,0.08)", border: "1px solid rgba(248,113,113,0.3)",
+                borderRadius: "3px", color: "#fca5a5", fontSize: "10px", lineHeight: 1.5,
+              }}>
+                ⚠ LEG {c.leg.n} {c.leg.from}→{c.leg.to} crosses {c.sigmet.qualifier === "SEV" ? "" : c.sigmet.qualifier ? `${c.sigmet.qualifier} ` : ""}{hz?.label ?? c.sigmet.hazard ?? "SIGMET"} {sigmetLevelBand(c.sigmet)}
+                <div style={{ color: "#94a3b8", fontSize: "9px" }}>
+                  {c.sigmet.fir} {c.sigmet.series} · {c.enter.toISOString().slice(11, 16).replace(":", "")}–{c.exit.toISOString().slice(11, 16).replace(":", "")}Z · at {fl}
+                </div>
+              </div>
+            );
+          })}
+          {legs.length > 0 && (
+            <div style={{ color: "#334155", fontSize: "8px", lineHeight: 1.5, marginTop: "auto" }}>
+              レグ時刻は乗務時間を区間距離で按分した概算。高度は 3:1 の上昇/降下断面で評価
             </div>
-          </div>
+          )}
+        </div>
+      </div>
 
-          {/* JMA高層天気図リンク */}
-          <PanelFrame title="JMA UPPER-AIR CHARTS" code="LINKS" style={{ padding: "0" }}>
-            <div style={{ padding: "10px" }}>
-              {JMA_UPPER_CHARTS.map((chart, i) => (
-                <a key={i} href={chart.url} target="_blank" rel="noopener noreferrer" style={{
-                  display: "block", padding: "8px 10px",
-                  marginBottom: i < JMA_UPPER_CHARTS.length - 1 ? "2px" : 0,
-                  background: "rgba(0,0,0,0.3)",
-                  borderLeft: "2px solid rgba(110,231,183,0.2)",
-                  borderRadius: "0 2px 2px 0",
-                  textDecoration: "none", transition: "all 0.15s ease",
+      {/* SIGMET 一覧 — 失効の早い順 */}
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        {visible.map((s, i) => {
+          const hz = SIGMET_HAZARDS[s.hazard] ?? { label: "UNKNOWN", color: "#94a3b8" };
+          const key = `${s.fir}-${s.series}-${i}`;
+          const pending = s.validFrom && s.validFrom > now;
+          const remain = s.validTo ? s.validTo - now : null;
+          const move = s.movement?.stationary ? "STNR" : s.movement ? `MOV ${s.movement.dir} ${fmtSpeed(s.movement.spdKt)}` : "";
+          return (
+            <div key={key} style={{ borderBottom: "1px solid rgba(148,163,184,0.06)" }}>
+              <div onClick={() => setOpenRaw(openRaw === key ? null : key)} style={{
+                display: "grid", gridTemplateColumns: "120px 90px 1fr 120px", gap: "8px",
+                padding: "8px 16px", alignItems: "center", cursor: "pointer",
+                fontFamily: "'JetBrains Mono', monospace", fontSize: "11px",
+                background: s.fir === "RJJJ" ? `${hz.color}0d` : "transparent",
+              }}>
+                <span style={{
+                  padding: "2px 6px", border: `1px solid ${hz.color}55`, borderRadius: "3px",
+                  color: hz.color, fontSize: "9px", fontWeight: 700, textAlign: "center", letterSpacing: "1px",
                 }}>
-                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-                    <span style={{ color: "#6ee7b7", fontSize: "10px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{chart.title}</span>
-                    <span style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>↗</span>
+                  {s.qualifier ? `${s.qualifier} ` : ""}{s.hazard ?? "?"}{s.name ? ` ${s.name}` : ""}
+                </span>
+                <span style={{ color: s.fir === "RJJJ" ? "#e2e8f0" : "#94a3b8" }}>
+                  {s.fir ?? "----"} {s.series ?? ""}
+                </span>
+                <span style={{ color: "#cbd5e1" }}>
+                  {sigmetLevelBand(s)}
+                  {move && <span style={{ color: "#64748b" }}> · {move}</span>}
+                  {s.change && <span style={{ color: s.change === "INTSF" ? "#f87171" : s.change === "WKN" ? "#6ee7b7" : "#64748b" }}> · {s.change}</span>}
+                  {s.obs && <span style={{ color: "#475569" }}> · {s.obs}</span>}
+                </span>
+                <span style={{ textAlign: "right" }}>
+                  <div style={{ color: "#64748b", fontSize: "9px" }}>
+                    {s.validFrom?.toISOString().slice(11, 16).replace(":", "")}–{s.validTo?.toISOString().slice(11, 16).replace(":", "")}Z
                   </div>
-                  <div style={{ color: "#475569", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "2px" }}>{chart.desc}</div>
-                </a>
-              ))}
+                  <div style={{ color: pending ? "#38bdf8" : remain != null && remain < 30 * 60000 ? "#f87171" : "#fbbf24", fontSize: "10px", fontWeight: 700 }}>
+                    {pending ? `STARTS ${fmtCountdown(s.validFrom - now)}` : remain != null ? `EXP ${fmtCountdown(remain)}` : "---"}
+                  </div>
+                </span>
+              </div>
+              {openRaw === key && (
+                <pre style={{
+                  margin: 0, padding: "8px 16px 12px", whiteSpace: "pre-wrap", wordBreak: "break-word",
+                  color: "#94a3b8", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace",
+                  background: "rgba(0,0,0,0.3)",
+                }}>{s.raw || "(raw text unavailable)"}</pre>
+              )}
             </div>
-          </PanelFrame>
+          );
+        })}
+      </div>
 
-          {/* 外部リンク */}
-          <div style={{ display: "flex", gap: "4px", flexWrap: "wrap" }}>
-            <ExtLink href="https://aviationweather.gov" accent>AWC</ExtLink>
-            <ExtLink href="https://www.windy.com/-Wind-250hPa-wind250h?wind250h">Windy 250hPa</ExtLink>
-            <ExtLink href="https://www.jma.go.jp/bosai/windprofiler/">WINDAS</ExtLink>
-          </div>
-        </div>
+      <div style={{ display: "flex", gap: "6px", padding: "10px 16px", flexWrap: "wrap", borderTop: "1px solid rgba(110,231,183,0.08)" }}>
+        <ExtLink href="https://aviationweather.gov/gfa/#area=other" accent>AWC GFA</ExtLink>
       </div>
+    </PanelFrame>
+  );
+}
 
-      {/* パイロット判読ガイド */}
-      <div>
-        <div style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", marginBottom: "8px" }}>PILOT INTERPRETATION GUIDE</div>
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: "8px" }}>
-          {PILOT_GUIDE.map((section, si) => (
-            <div key={si} onClick={() => setGuideOpen(guideOpen === si ? null : si)} style={{
-              padding: "12px",
-              background: guideOpen === si ? "rgba(110,231,183,0.06)" : "rgba(5,10,20,0.8)",
-              border: `1px solid ${guideOpen === si ? "rgba(110,231,183,0.25)" : "rgba(110,231,183,0.08)"}`,
-              borderRadius: "4px", cursor: "pointer", transition: "all 0.15s ease",
-            }}>
-              <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: guideOpen === si ? "8px" : "0" }}>
-                <span style={{ fontSize: "16px" }}>{section.icon}</span>
-                <span style={{ color: "#e2e8f0", fontSize: "11px", fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>{section.title}</span>
-                <span style={{ marginLeft: "auto", color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", transition: "transform 0.15s ease", transform: guideOpen === si ? "rotate(90deg)" : "none" }}>▶</span>
-              </div>
-              {guideOpen === si && (
-                <div style={{ paddingLeft: "28px" }}>
-                  {section.items.map((item, ii) => (
-                    <div key={ii} style={{ display: "flex", gap: "6px", alignItems: "flex-start", marginBottom: "4px" }}>
-                      <span style={{ color: "#334155", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", marginTop: "1px", flexShrink: 0 }}>{">"}</span>
-                      <span style={{ color: "#64748b", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", lineHeight: "1.6" }}>{item}</span>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          ))}
+/* ========== PIREP PANEL — 乱気流・着氷の機上報告 ========== */
+
+const PIREP_INTENSITY_COLORS = { NEG: "#475569", LGT: "#6ee7b7", MOD: "#fbbf24", SEV: "#f87171", EXTM: "#e879f9" };
+const PIREP_FL_PRESETS = [
+  { key: "ALL", label: "ALL", min: 0, max: 600 },
+  { key: "LOW", label: "SFC–FL180", min: 0, max: 180 },
+  { key: "MID", label: "FL180–290", min: 180, max: 290 },
+  { key: "HIGH", label: "FL290+", min: 290, max: 600 },
+];
+const PIREP_AGE_OPTIONS = [1, 3, 6, 12];
+
+// フィルタ対象の強度（hazard: ALL/TURB/ICE）
+function pirepRank(p, hazard) {
+  const t = hazard !== "ICE" ? p.turb?.rank ?? -1 : -1;
+  const i = hazard !== "TURB" ? p.ice?.rank ?? -1 : -1;
+  return Math.max(t, i);
+}
+
+function PirepPlot({ reports, ageH, flMin, flMax, now }) {
+  const W = 600, H = 220, PAD_L = 36, PAD_B = 18, PAD_T = 8, PAD_R = 8;
+  const top = Math.min(flMax, 450), bottom = Math.max(0, flMin);
+  const t0 = now.getTime() - ageH * 3600000;
+  const x = (t) => PAD_L + (t - t0) / (ageH * 3600000) * (W - PAD_L - PAD_R);
+  const y = (fl) => PAD_T + (1 - (fl - bottom) / Math.max(10, top - bottom)) * (H - PAD_T - PAD_B);
+  const flStep = top - bottom > 200 ? 50 : 20;
+  const flTicks = [];
+  for (let fl = Math.ceil(bottom / flStep) * flStep; fl <= top; fl += flStep) flTicks.push(fl);
+  const hourTicks = Array.from({ length: ageH + 1 }, (_, i) => t0 + i * 3600000);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", display: "block", background: "rgba(0,0,0,0.2)" }}>
+      {flTicks.map(fl => (
+        <g key={fl}>
+          <line x1={PAD_L} x2={W - PAD_R} y1={y(fl)} y2={y(fl)} stroke="rgba(148,163,184,0.08)" />
+          <text x={PAD_L - 4} y={y(fl) + 3} fill="#475569" fontSize="8" textAnchor="end" fontFamily="'JetBrains Mono', monospace">FL{fl}</text>
+        </g>
+      ))}
+      {hourTicks.map((t, i) => (
+        <text key={i} x={x(t)} y={H - 5} fill="#475569" fontSize="8" textAnchor="middle" fontFamily="'JetBrains Mono', monospace">
+          {new Date(t).toISOString().slice(11, 13)}Z
+        </text>
+      ))}
+      {reports.filter(p => p.fl != null && p.time.getTime() >= t0).map((p, i) => {
+        const g = (p.turb?.rank ?? -1) >= (p.ice?.rank ?? -1) ? p.turb : p.ice;
+        const color = PIREP_INTENSITY_COLORS[g?.intensity] ?? "#334155";
+        const cx = x(p.time.getTime()), cy = y(Math.min(Math.max(p.fl, bottom), top));
+        const band = g?.base != null && g?.top != null;
+        return (
+          <g key={i}>
+            <title>{p.raw}</title>
+            {band && <line x1={cx} x2={cx} y1={y(Math.min(g.top, top))} y2={y(Math.max(g.base, bottom))} stroke={color} strokeOpacity="0.4" strokeWidth="3" />}
+            {g === p.ice
+              ? <polygon points={`${cx},${cy - 4} ${cx - 4},${cy + 3} ${cx + 4},${cy + 3}`} fill={color} />
+              : <circle cx={cx} cy={cy} r={p.urgent ? 4.5 : 3.5} fill={color} stroke={p.urgent ? "#fff" : "none"} strokeWidth="1" />}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function PirepPanel() {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [flPreset, setFlPreset] = useState("ALL");
+  const [ageH, setAgeH] = useState(3);
+  const [minRank, setMinRank] = useState(1); // LGT 以上
+  const [hazard, setHazard] = useState("ALL"); // ALL | TURB | ICE
+  const [now, setNow] = useState(() => new Date());
+
+  const fetchAll = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReports(await fetchPireps());
+      setError(null);
+      setLastUpdate(new Date());
+      setNow(new Date());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+    const iv = setInterval(fetchAll, 600000);
+    const tick = setInterval(() => setNow(new Date()), 60000);
+    return () => { clearInterval(iv); clearInterval(tick); };
+  }, [fetchAll]);
+
+  const preset = PIREP_FL_PRESETS.find(p => p.key === flPreset);
+  const since = now.getTime() - ageH * 3600000;
+  const visible = reports.filter(p =>
+    p.time.getTime() >= since &&
+    (p.fl == null ? flPreset === "ALL" : p.fl >= preset.min && p.fl <= preset.max) &&
+    (minRank < 0 || pirepRank(p, hazard) >= minRank));
+
+  const btn = (active, color = "#6ee7b7") => ({
+    padding: "4px 10px", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace",
+    background: active ? `${color}22` : "transparent",
+    border: `1px solid ${active ? `${color}66` : "rgba(148,163,184,0.1)"}`,
+    borderRadius: "3px", color: active ? color : "#64748b", cursor: "pointer",
+  });
+  const label = { color: "#475569", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", alignSelf: "center", marginLeft: "6px" };
+  const fmtGroup = (g) => g ? `${g.intensity ?? g.raw}${g.kind ? ` ${g.kind}` : ""}${g.base != null || g.top != null ? ` ${g.base ?? "---"}-${g.top ?? "---"}` : ""}` : "";
+
+  return (
+    <PanelFrame title="PIREP / AIREP — JAPAN AREA" code="SECT-PR">
+      <div style={{ display: "flex", gap: "4px", padding: "12px 16px", borderBottom: "1px solid rgba(110,231,183,0.08)", flexWrap: "wrap", alignItems: "center" }}>
+        <span style={label}>FL</span>
+        {PIREP_FL_PRESETS.map(p => <button key={p.key} onClick={() => setFlPreset(p.key)} style={btn(flPreset === p.key)}>{p.label}</button>)}
+        <span style={label}>AGE</span>
+        {PIREP_AGE_OPTIONS.map(h => <button key={h} onClick={() => setAgeH(h)} style={btn(ageH === h)}>{h}H</button>)}
+        <span style={label}>MIN</span>
+        <button onClick={() => setMinRank(-1)} style={btn(minRank === -1)}>ANY</button>
+        {PIREP_INTENSITY_ORDER.slice(1, 4).map((k, i) => (
+          <button key={k} onClick={() => setMinRank(i + 1)} style={btn(minRank === i + 1, PIREP_INTENSITY_COLORS[k])}>{k}+</button>
+        ))}
+        <span style={label}>HAZ</span>
+        {["ALL", "TURB", "ICE"].map(h => <button key={h} onClick={() => setHazard(h)} style={btn(hazard === h)}>{h}</button>)}
+        <span style={{ flex: 1 }} />
+        <button onClick={fetchAll} disabled={loading} style={btn(false)}>{loading ? "LOADING..." : "REFRESH"}</button>
+        {lastUpdate && (
+          <span style={{ fontSize: "9px", color: "#334155", fontFamily: "'JetBrains Mono', monospace" }}>
+            LAST: {lastUpdate.toISOString().slice(11, 19)}z
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ padding: "8px 16px", color: "#f87171", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace" }}>{error}</div>
+      )}
+
+      {/* FL × 時刻 — ● 乱気流 / ▲ 着氷、縦帯は報告された層 */}
+      <div style={{ padding: "10px 16px", borderBottom: "1px solid rgba(110,231,183,0.08)" }}>
+        <PirepPlot reports={visible} ageH={ageH} flMin={preset.min} flMax={preset.max} now={now} />
+        <div style={{ display: "flex", gap: "10px", marginTop: "6px", fontSize: "9px", fontFamily: "'JetBrains Mono', monospace", color: "#475569" }}>
+          <span>● TURB ▲ ICE ○ UUA</span>
+          {Object.entries(PIREP_INTENSITY_COLORS).map(([k, c]) => <span key={k} style={{ color: c }}>{k}</span>)}
+          <span style={{ marginLeft: "auto" }}>{visible.length} / {reports.length} REPORTS</span>
         </div>
       </div>
-    </div>
+
+      <div style={{ maxHeight: "320px", overflowY: "auto" }}>
+        {visible.map((p, i) => (
+          <div key={i} title={p.raw} style={{
+            display: "grid", gridTemplateColumns: "52px 48px 52px 60px 1fr 1fr 110px", gap: "8px",
+            padding: "5px 16px", fontSize: "10px", fontFamily: "'JetBrains Mono', monospace",
+            borderBottom: "1px solid rgba(148,163,184,0.05)",
+            background: p.urgent ? "rgba(248,113,113,0.06)" : "transparent",
+          }}>
+            <span style={{ color: "#64748b" }}>{p.time.toISOString().slice(11, 16).replace(":", "")}Z</span>
+            <span style={{ color: p.urgent ? "#f87171" : "#475569" }}>{p.urgent ? "UUA" : p.kind === "AIREP" ? "AIREP" : "UA"}</span>
+            <span style={{ color: "#e2e8f0" }}>{p.fl != null ? `FL${String(p.fl).padStart(3, "0")}` : "---"}</span>
+            <span style={{ color: "#94a3b8" }}>{p.acType ?? "----"}</span>
+            <span style={{ color: PIREP_INTENSITY_COLORS[p.turb?.intensity] ?? "#334155" }}>{p.turb ? `TB ${fmtGroup(p.turb)}` : ""}</span>
+            <span style={{ color: PIREP_INTENSITY_COLORS[p.ice?.intensity] ?? "#334155" }}>{p.ice ? `IC ${fmtGroup(p.ice)}` : ""}</span>
+            <span style={{ color: "#475569", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+              {p.lat != null ? `${p.lat.toFixed(1)}N ${p.lon.toFixed(1)}E` : p.location ?? ""}
+            </span>
+          </div>
+        ))}
+        {!error && lastUpdate && visible.length === 0 && (
+          <div style={{ padding: "16px", color: "#475569", fontSize: "11px", fontFamily: "'JetBrains Mono', monospace", textAlign: "center" }}>
+            NO REPORTS MATCH FILTER
+          </div>
+        )}
+      </div>
+    </PanelFrame>
   );
 }
 
@@ -4835,60 +8272,94 @@ function fetchTimeout(ms) {
   return ctrl.signal;
 }
 
+const STATUS_COLORS = { ONLINE: "#6ee7b7", DEGRADED: "#fbbf24", "NO DATA": "#fbbf24", CHECKING: "#fbbf24", OFFLINE: "#f87171" };
+const STATUS_HISTORY = 30; // レイテンシ履歴（2分毎 × 30 = 1時間）
+const WORKER_UPSTREAMS = ["AWC", "NOAA", "TENKI", "TT", "UWYO"];
+const UPSTREAM_LABELS = { AWC: "AWC", NOAA: "NOAA TGFTP", TENKI: "TENKI.JP", TT: "TROPICAL TIDBITS", UWYO: "U-WYOMING RAOB" };
+
+function statusEntry(prev, state, latencyMs, extra = {}) {
+  return {
+    ...extra, state, color: STATUS_COLORS[state], lastCheck: new Date(), latency: latencyMs ?? null,
+    history: [...(prev?.history ?? []), latencyMs ?? null].slice(-STATUS_HISTORY),
+  };
+}
+
 function useSystemStatus() {
   const [status, setStatus] = useState({
-    jma: { state: "CHECKING", color: "#fbbf24", lastCheck: null },
-    metar: { state: "CHECKING", color: "#fbbf24", lastCheck: null },
-    himawari: { state: "CHECKING", color: "#fbbf24", lastCheck: null },
+    jma: { state: "CHECKING", color: "#fbbf24", lastCheck: null, history: [] },
+    metar: { state: "CHECKING", color: "#fbbf24", lastCheck: null, history: [] },
+    himawari: { state: "CHECKING", color: "#fbbf24", lastCheck: null, history: [] },
+    worker: { state: "CHECKING", color: "#fbbf24", lastCheck: null, history: [] },
   });
+  // CF Worker /health の上流別結果 { AWC: { state, latency, history, httpStatus, error } ... }
+  const [upstreams, setUpstreams] = useState({});
+  const [proxyServed, setProxyServed] = useState(null);
 
   const check = useCallback(async () => {
+    const mark = (key, state, latencyMs) => setStatus(p => ({ ...p, [key]: statusEntry(p[key], state, latencyMs) }));
+
     // JMA API チェック
+    let t0 = Date.now();
     try {
       const r = await fetch(
         "https://www.jma.go.jp/bosai/forecast/data/overview_forecast/130000.json",
         { signal: fetchTimeout(8000) }
       );
-      if (r.ok) {
-        setStatus(p => ({ ...p, jma: { state: "ONLINE", color: "#6ee7b7", lastCheck: new Date() } }));
-      } else {
-        setStatus(p => ({ ...p, jma: { state: "DEGRADED", color: "#fbbf24", lastCheck: new Date() } }));
-      }
+      mark("jma", r.ok ? "ONLINE" : "DEGRADED", Date.now() - t0);
     } catch {
-      setStatus(p => ({ ...p, jma: { state: "OFFLINE", color: "#f87171", lastCheck: new Date() } }));
+      mark("jma", "OFFLINE", null);
     }
 
     // METAR (VATSIM → AWC fallback) チェック
+    t0 = Date.now();
     try {
       const text = await fetchMetarRaw("RJTT", fetchTimeout(8000));
-      if (text && text.length > 10) {
-        setStatus(p => ({ ...p, metar: { state: "ONLINE", color: "#6ee7b7", lastCheck: new Date() } }));
-      } else {
-        setStatus(p => ({ ...p, metar: { state: "NO DATA", color: "#fbbf24", lastCheck: new Date() } }));
-      }
+      mark("metar", text && text.length > 10 ? "ONLINE" : "NO DATA", Date.now() - t0);
     } catch {
-      setStatus(p => ({ ...p, metar: { state: "OFFLINE", color: "#f87171", lastCheck: new Date() } }));
+      mark("metar", "OFFLINE", null);
     }
 
     // Himawari 画像チェック
+    t0 = Date.now();
     try {
       const now = new Date(Date.now() - 5 * 60000);
       const h = now.getUTCHours().toString().padStart(2, "0");
       const m = (Math.floor(now.getUTCMinutes() / 10) * 10).toString().padStart(2, "0");
       const r = await fetch(
         `https://www.data.jma.go.jp/mscweb/data/himawari/img/jpn/jpn_b13_${h}${m}.jpg`,
-        { method: "HEAD", signal: AbortSignal.timeout(8000) }
+        { method: "HEAD", signal: fetchTimeout(8000) }
       );
-      setStatus(p => ({ ...p, himawari: { state: r.ok ? "ONLINE" : "DEGRADED", color: r.ok ? "#6ee7b7" : "#fbbf24", lastCheck: new Date() } }));
+      mark("himawari", r.ok ? "ONLINE" : "DEGRADED", Date.now() - t0);
+    } catch {
+      mark("himawari", "OFFLINE", null);
+    }
+
+    // CF Worker /health — Worker 自体の疎通と上流（AWC/NOAA/tenki/TT）ごとの状態
+    t0 = Date.now();
+    try {
+      const r = await fetch(`${CF_WORKER}/health`, { signal: fetchTimeout(10000) });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const health = await r.json();
+      const latency = Date.now() - t0;
+      setUpstreams(prev => Object.fromEntries(WORKER_UPSTREAMS.map(name => {
+        const u = health.upstreams?.[name];
+        const state = !u ? "NO DATA" : u.ok ? "ONLINE" : u.status ? "DEGRADED" : "OFFLINE";
+        return [name, statusEntry(prev[name], state, u?.ok ? u.latencyMs : null, { httpStatus: u?.status ?? null, error: u?.error ?? null })];
+      })));
+      const allOk = WORKER_UPSTREAMS.every(name => health.upstreams?.[name]?.ok);
+      mark("worker", allOk ? "ONLINE" : "DEGRADED", latency);
     } catch {
-      setStatus(p => ({ ...p, himawari: { state: "OFFLINE", color: "#f87171", lastCheck: new Date() } }));
+      mark("worker", "OFFLINE", null);
     }
+    setProxyServed(lastProxyServed);
   }, []);
 
   useEffect(() => {
     check();
     const iv = setInterval(check, 120000); // 2分毎にヘルスチェック
-    return () => clearInterval(iv);
+    // 直近のプロキシ利用状況はヘルスチェック間隔より細かく反映
+    const pv = setInterval(() => setProxyServed(lastProxyServed), 10000);
+    return () => { clearInterval(iv); clearInterval(pv); };
   }, [check]);
 
   // 総合ステータス
@@ -4899,21 +8370,41 @@ function useSystemStatus() {
     : anyOffline ? { state: "SYSTEM ALERT", color: "#f87171" }
     : { state: "PARTIAL", color: "#fbbf24" };
 
-  return { status, overall, recheck: check };
+  return { status, upstreams, proxyServed, overall, recheck: check };
+}
+
+// レイテンシ履歴のミニスパークライン（欠測は赤点）
+function LatencySparkline({ history, color, width = 60, height = 14 }) {
+  const vals = history.filter(v => v != null);
+  const max = Math.max(200, ...vals);
+  const step = width / Math.max(1, STATUS_HISTORY - 1);
+  const offset = (STATUS_HISTORY - history.length) * step;
+  const pts = history.map((v, i) => v == null ? null : [offset + i * step, height - 1 - (v / max) * (height - 2)]);
+  return (
+    <svg width={width} height={height} style={{ display: "block" }}>
+      <polyline points={pts.filter(Boolean).map(p => p.map(n => n.toFixed(1)).join(",")).join(" ")} fill="none" stroke={color} strokeWidth="1" />
+      {history.map((v, i) => v == null ? <circle key={i} cx={offset + i * step} cy={height - 2} r="1.2" fill="#f87171" /> : null)}
+    </svg>
+  );
 }
 
 function SystemStatusIndicator({ sysStatus }) {
-  const { status, overall, recheck } = sysStatus;
+  const { status, upstreams, proxyServed, overall, recheck } = sysStatus;
+  const [open, setOpen] = useState(false);
   const items = [
     { label: "JMA API", ...status.jma },
     { label: "METAR/AWC", ...status.metar },
     { label: "HIMAWARI", ...status.himawari },
+    { label: "CF WORKER", ...status.worker },
   ];
+  const proxyColor = !proxyServed ? "#334155"
+    : proxyServed.proxy === "NONE" ? "#f87171"
+    : proxyServed.proxy === "CF WORKER" || proxyServed.proxy === "VITE DEV" ? "#6ee7b7" : "#fbbf24";
 
   return (
-    <div style={{ display: "flex", gap: "14px", alignItems: "center" }}>
+    <div style={{ display: "flex", gap: "14px", alignItems: "center", position: "relative" }}>
       {items.map((s) => (
-        <div key={s.label} style={{ textAlign: "center", position: "relative" }}>
+        <div key={s.label} onClick={() => setOpen(o => !o)} style={{ textAlign: "center", position: "relative", cursor: "pointer" }}>
           <div style={{ fontSize: "8px", color: "#334155", letterSpacing: "1.5px" }}>{s.label}</div>
           <div style={{ display: "flex", alignItems: "center", gap: "4px", justifyContent: "center" }}>
             <div style={{
@@ -4930,6 +8421,13 @@ function SystemStatusIndicator({ sysStatus }) {
           </div>
         </div>
       ))}
+      {/* 直近の AWC 取得に使われたプロキシ */}
+      <div onClick={() => setOpen(o => !o)} style={{ textAlign: "center", cursor: "pointer" }}>
+        <div style={{ fontSize: "8px", color: "#334155", letterSpacing: "1.5px" }}>AWC VIA</div>
+        <div style={{ fontSize: "10px", fontWeight: 700, color: proxyColor, letterSpacing: "1px", fontFamily: "'JetBrains Mono', monospace" }}>
+          {proxyServed?.proxy ?? "---"}
+        </div>
+      </div>
       {/* 総合ステータス区切り線 + overall */}
       <div style={{ width: "1px", height: "24px", background: "rgba(110,231,183,0.15)", margin: "0 2px" }} />
       <div style={{ textAlign: "center" }}>
@@ -4940,6 +8438,45 @@ function SystemStatusIndicator({ sysStatus }) {
           fontFamily: "'JetBrains Mono', monospace",
         }}>{overall.state}</div>
       </div>
+
+      {/* 詳細 — 上流別の状態・レイテンシ履歴 */}
+      {open && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 8px)", right: 0, zIndex: 50, minWidth: "340px",
+          background: "rgba(5,10,20,0.97)", border: "1px solid rgba(110,231,183,0.2)", borderRadius: "4px",
+          padding: "10px 12px", fontFamily: "'JetBrains Mono', monospace", boxShadow: "0 8px 24px rgba(0,0,0,0.5)",
+        }}>
+          {[
+            ["BROWSER → SOURCE", items.filter(s => s.label !== "CF WORKER").map(s => [s.label, s])],
+            ["CF WORKER → UPSTREAM", [["CF WORKER", status.worker], ...WORKER_UPSTREAMS.map(name => [UPSTREAM_LABELS[name], upstreams[name]])]],
+          ].map(([heading, rows]) => (
+            <div key={heading} style={{ marginBottom: "8px" }}>
+              <div style={{ fontSize: "8px", color: "#475569", letterSpacing: "1.5px", marginBottom: "4px" }}>{heading}</div>
+              {rows.map(([label, s]) => (
+                <div key={label} style={{ display: "grid", gridTemplateColumns: "130px 70px 54px 60px", gap: "6px", alignItems: "center", fontSize: "9px", padding: "2px 0" }}>
+                  <span style={{ color: "#94a3b8" }}>{label}</span>
+                  <span style={{ color: s?.color ?? "#334155", fontWeight: 700 }} title={s?.error ?? (s?.httpStatus ? `HTTP ${s.httpStatus}` : "")}>
+                    {s?.state ?? "---"}{s?.httpStatus && s.state !== "ONLINE" ? ` ${s.httpStatus}` : ""}
+                  </span>
+                  <span style={{ color: "#64748b", textAlign: "right" }}>{s?.latency != null ? `${s.latency}ms` : "---"}</span>
+                  <LatencySparkline history={s?.history ?? []} color={s?.color ?? "#334155"} />
+                </div>
+              ))}
+            </div>
+          ))}
+          <div style={{ fontSize: "9px", color: "#64748b", borderTop: "1px solid rgba(148,163,184,0.08)", paddingTop: "6px" }}>
+            LAST AWC REQUEST: <span style={{ color: proxyColor }}>{proxyServed?.proxy ?? "---"}</span>
+            {proxyServed && (
+              <span> · {proxyServed.path}{proxyServed.latencyMs != null ? ` · ${proxyServed.latencyMs}ms` : ""} · {proxyServed.at.toISOString().slice(11, 19)}z</span>
+            )}
+          </div>
+          <button onClick={recheck} style={{
+            marginTop: "8px", padding: "3px 10px", background: "transparent",
+            border: "1px solid rgba(110,231,183,0.3)", borderRadius: "3px",
+            color: "#6ee7b7", fontSize: "9px", cursor: "pointer", fontFamily: "'JetBrains Mono', monospace",
+          }}>RECHECK</button>
+        </div>
+      )}
       <style>{`@keyframes statusBlink { 0%,100%{opacity:1;} 50%{opacity:0.3;} }`}</style>
     </div>
   );
@@ -5146,6 +8683,13 @@ function WeatherAlertBanner() {
 }
 
 /* ========== EVENT LOG — イベントコンソール ========== */
+// 他パネルからのログ投入口（EventLog マウント中のみ有効）
+const eventLogListeners = new Set();
+function logEvent(type, message) {
+  eventLogListeners.forEach(fn => fn(type, message));
+}
+let eventLogSeq = 0;
+
 function EventLog() {
   const [logs, setLogs] = useState([]);
   const [expanded, setExpanded] = useState(false);
@@ -5155,9 +8699,14 @@ function EventLog() {
   const addLog = useCallback((type, message) => {
     const now = new Date();
     const ts = now.toISOString().slice(11, 19);
-    setLogs(prev => [{ ts, type, message, id: Date.now() }, ...prev].slice(0, 100));
+    setLogs(prev => [{ ts, type, message, id: ++eventLogSeq }, ...prev].slice(0, 100));
   }, []);
 
+  useEffect(() => {
+    eventLogListeners.add(addLog);
+    return () => { eventLogListeners.delete(addLog); };
+  }, [addLog]);
+
   // 起動時ログ
   useEffect(() => {
     addLog("SYS", "WEATHER INTELLIGENCE DASHBOARD INITIALIZED");
@@ -5178,10 +8727,9 @@ function EventLog() {
     const checkMetar = async () => {
       try {
         const text = await fetchMetarRaw("RJTT");
-        const line = text.split("\n")[0] ?? "";
-        if (line.length > 10) {
-          const obsTime = line.match(/\d{6}Z/)?.[0] ?? "";
-          addLog("METAR", `RJTT ${obsTime} DATA RECEIVED`);
+        const m = decodeMetar(text);
+        if (m) {
+          addLog("METAR", `RJTT ${m.obsTimeRaw ?? ""} DATA RECEIVED`);
         }
       } catch { addLog("ERR", "AWC METAR FETCH FAILED"); }
     };
@@ -5223,6 +8771,7 @@ function EventLog() {
     SYS:   { color: "#6ee7b7", icon: "◈" },
     METAR: { color: "#60a5fa", icon: "📡" },
     JMA:   { color: "#c084fc", icon: "🌐" },
+    TAF:   { color: "#c084fc", icon: "◇" },
     WARN:  { color: "#fbbf24", icon: "⚠" },
     ERR:   { color: "#f87171", icon: "✕" },
     INFO:  { color: "#94a3b8", icon: "ℹ" },
@@ -5315,7 +8864,7 @@ function BootSequence({ onComplete }) {
     { text: "[OK] Event Logger ── RECORDING", delay: 3500, color: "#6ee7b7" },
     { text: "────────────────────────────────────────", delay: 3700, color: "#1e293b" },
     { text: "ALL SYSTEMS NOMINAL ── DASHBOARD READY", delay: 3900, color: "#6ee7b7", bold: true },
-    { text: "KEYBOARD: [1-9] TAB  [M] MULTI  [F] FULLSCREEN  [R] REFRESH", delay: 4100, color: "#334155" },
+    { text: "KEYBOARD: [1-9] TAB  [M] MULTI  [F] FULLSCREEN  [R] REFRESH  [S] SETTINGS", delay: 4100, color: "#334155" },
   ];
 
   useEffect(() => {
@@ -5417,6 +8966,201 @@ function BootSequence({ onComplete }) {
   );
 }
 
+/* ========== SETTINGS PANEL — 設定モーダル ========== */
+function SettingsSection({ title, children }) {
+  return (
+    <div style={{ marginBottom: "18px" }}>
+      <div style={{
+        fontSize: "9px", fontWeight: 700, color: "#fbbf24",
+        fontFamily: "'JetBrains Mono', monospace", letterSpacing: "2px", marginBottom: "8px",
+      }}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+function SettingsOption({ active, onClick, children }) {
+  return (
+    <button onClick={onClick} style={{
+      padding: "4px 12px",
+      background: active ? "rgba(110,231,183,0.12)" : "transparent",
+      border: `1px solid ${active ? "rgba(110,231,183,0.4)" : "rgba(148,163,184,0.15)"}`,
+      borderRadius: "3px", cursor: "pointer",
+      color: active ? "#6ee7b7" : "#64748b",
+      fontSize: "10px", fontWeight: active ? 700 : 400,
+      fontFamily: "'JetBrains Mono', monospace", letterSpacing: "1px",
+    }}>{children}</button>
+  );
+}
+
+function SettingsPanel({ onClose }) {
+  const settings = useSettings();
+  const mono = "'JetBrains Mono', monospace";
+  const ruleset = FLIGHT_CATEGORY_RULESETS[settings.categoryRuleset] ?? activeCategoryRuleset();
+
+  return (
+    <div style={{
+      position: "fixed", inset: 0, zIndex: 99990,
+      background: "rgba(3,8,16,0.92)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      backdropFilter: "blur(8px)",
+    }} onClick={onClose}>
+      <div style={{
+        background: "rgba(5,10,20,0.95)",
+        border: "1px solid rgba(110,231,183,0.3)",
+        borderRadius: "6px",
+        padding: "28px 36px",
+        width: "min(520px, 92vw)", maxHeight: "85vh", overflowY: "auto",
+        boxShadow: "0 0 40px rgba(110,231,183,0.1)",
+      }} onClick={e => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "20px" }}>
+          <div style={{
+            fontSize: "12px", fontWeight: 700, color: "#6ee7b7", fontFamily: mono,
+            letterSpacing: "3px", textShadow: "0 0 10px rgba(110,231,183,0.5)",
+          }}>◈ SETTINGS</div>
+          <button onClick={onClose} style={{
+            background: "none", border: "1px solid rgba(148,163,184,0.2)", color: "#94a3b8",
+            cursor: "pointer", fontSize: "12px", padding: "2px 8px", borderRadius: "3px", fontFamily: mono,
+          }}>ESC</button>
+        </div>
+
+        <SettingsSection title="FLIGHT CATEGORY RULESET">
+          <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+            {Object.entries(FLIGHT_CATEGORY_RULESETS).map(([key, r]) => (
+              <SettingsOption key={key} active={settings.categoryRuleset === key}
+                onClick={() => updateSettings({ categoryRuleset: key })}>{r.label}</SettingsOption>
+            ))}
+          </div>
+          <div style={{ fontSize: "10px", color: "#64748b", fontFamily: mono, lineHeight: "1.6", marginBottom: "6px" }}>{ruleset.note}</div>
+          <table style={{ borderCollapse: "collapse", fontFamily: mono, fontSize: "10px" }}>
+            <tbody>
+              {ruleset.categories.map(c => (
+                <tr key={c.cat}>
+                  <td style={{ color: FLIGHT_CATEGORY_COLORS[c.cat], fontWeight: 700, padding: "1px 12px 1px 0" }}>{c.cat}</td>
+                  <td style={{ color: "#94a3b8", padding: "1px 12px 1px 0" }}>CIG &lt; {fmtAlt(c.ceiling)}</td>
+                  <td style={{ color: "#94a3b8", padding: "1px 0" }}>VIS &lt; {fmtVis(c.vis)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </SettingsSection>
+
+        <SettingsSection title="AIRCRAFT WIND LIMITS">
+          <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+            {Object.entries(AIRCRAFT_WIND_PROFILES).map(([key, a]) => (
+              <SettingsOption key={key} active={settings.aircraftProfile === key}
+                onClick={() => updateSettings({ aircraftProfile: key })}>{a.label}</SettingsOption>
+            ))}
+          </div>
+          {(() => {
+            const prof = AIRCRAFT_WIND_PROFILES[settings.aircraftProfile] ?? activeAircraftProfile();
+            return (
+              <div style={{ fontSize: "10px", color: "#94a3b8", fontFamily: mono, lineHeight: "1.6" }}>
+                XW {RUNWAY_CONDITIONS.map(c => `${c} ${fmtSpeed(prof.xw[c])}`).join(" / ")} · TW {fmtSpeed(prof.tailwind)}
+                <br />
+                RWYCC {prof.xwRwycc.map((kt, code) => `${code}:${code === 0 ? "NO OPS" : fmtSpeed(kt)}`).reverse().join(" / ")}
+              </div>
+            );
+          })()}
+        </SettingsSection>
+
+        <SettingsSection title="ALTERNATE PLANNING MINIMA">
+          <div style={{ display: "flex", gap: "6px", marginBottom: "8px", flexWrap: "wrap" }}>
+            {Object.entries(APPROACH_MINIMA_TYPES).map(([key, a]) => (
+              <SettingsOption key={key} active={settings.altApproach === key}
+                onClick={() => updateSettings({ altApproach: key })}>{a.label}</SettingsOption>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: "14px", marginBottom: "8px", fontFamily: mono, fontSize: "10px", color: "#94a3b8", alignItems: "center" }}>
+            {[
+              { key: "altCeilingAdd", label: "CIG +", unit: "ft", step: 100 },
+              { key: "altVisAdd", label: "VIS +", unit: "m", step: 100 },
+            ].map(f => (
+              <label key={f.key} style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+                {f.label}
+                <input type="number" min={0} step={f.step} value={settings[f.key]}
+                  onChange={(e) => updateSettings({ [f.key]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  style={{
+                    width: "64px", padding: "2px 6px", background: "rgba(15,23,42,0.6)",
+                    border: "1px solid rgba(148,163,184,0.2)", borderRadius: "3px",
+                    color: "#e2e8f0", fontSize: "11px", fontFamily: mono, outline: "none",
+                  }} />
+                {f.unit}
+              </label>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: "6px", marginBottom: "6px", flexWrap: "wrap" }}>
+            {Object.entries(ALTERNATE_TEMPO_RULES).map(([key, r]) => (
+              <SettingsOption key={key} active={settings.altTempoRule === key}
+                onClick={() => updateSettings({ altTempoRule: key })}>{r.label}</SettingsOption>
+            ))}
+          </div>
+          <div style={{ fontSize: "10px", color: "#64748b", fontFamily: mono, lineHeight: "1.6" }}>
+            {ALTERNATE_TEMPO_RULES[settings.altTempoRule]?.note} · 計画ミニマ = 進入ミニマ + 加算値
+          </div>
+        </SettingsSection>
+
+        <SettingsSection title="STABILITY INDEX THRESHOLDS">
+          <table style={{ borderCollapse: "collapse", fontFamily: mono, fontSize: "10px", marginBottom: "6px" }}>
+            <tbody>
+              {STABILITY_INDICES.filter(d => d.key !== "muCape").map(d => {
+                const bands = stabilityBands(d.key);
+                return (
+                  <tr key={d.key}>
+                    <td style={{ color: "#94a3b8", padding: "2px 10px 2px 0", whiteSpace: "nowrap" }}>{d.key === "sbCape" ? "CAPE" : d.label}</td>
+                    <td style={{ color: "#475569", padding: "2px 6px 2px 0" }}>{d.worse === "low" ? "≤" : "≥"}</td>
+                    {bands.map((b, i) => (
+                      <td key={i} style={{ padding: "2px 4px 2px 0" }}>
+                        <input type="number" step={d.step} value={b}
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (Number.isNaN(v)) return;
+                            const next = bands.map((x, j) => (j === i ? v : x));
+                            const keys = d.key === "sbCape" ? ["sbCape", "muCape"] : [d.key];
+                            updateSettings({ stabilityThresholds: { ...settings.stabilityThresholds, ...Object.fromEntries(keys.map(k => [k, next])) } });
+                          }}
+                          style={{
+                            width: "52px", padding: "2px 6px", background: "rgba(15,23,42,0.6)",
+                            border: `1px solid ${STABILITY_BAND_COLORS[i + 1]}55`, borderRadius: "3px",
+                            color: STABILITY_BAND_COLORS[i + 1], fontSize: "11px", fontFamily: mono, outline: "none",
+                          }} />
+                      </td>
+                    ))}
+                    <td style={{ color: "#475569", padding: "2px 0" }}>
+                      {d.key === "shear06" && settings.unitWind !== "KT" ? `${d.unit} (= ${fmtStabilityBands(d.key)})` : d.unit}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            <SettingsOption active={false} onClick={() => updateSettings({ stabilityThresholds: {} })}>RESET</SettingsOption>
+            <span style={{ fontSize: "10px", color: "#64748b", fontFamily: mono, lineHeight: "1.6" }}>
+              注意 / 警戒 / 危険 の境界 · エマグラムの指数表示に適用
+            </span>
+          </div>
+        </SettingsSection>
+
+        <SettingsSection title="UNITS">
+          {Object.entries(UNIT_OPTIONS).map(([key, u]) => (
+            <div key={key} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "6px" }}>
+              <span style={{ width: "96px", fontSize: "10px", color: "#64748b", fontFamily: mono, letterSpacing: "1px" }}>{u.label}</span>
+              {Object.entries(u.options).map(([opt, label]) => (
+                <SettingsOption key={opt} active={settings[key] === opt}
+                  onClick={() => updateSettings({ [key]: opt })}>{label}</SettingsOption>
+              ))}
+            </div>
+          ))}
+          <div style={{ fontSize: "10px", color: "#64748b", fontFamily: mono, lineHeight: "1.6" }}>
+            デコード表示・風成分・上層風・高度計算に適用（生電文は原文のまま）
+          </div>
+        </SettingsSection>
+      </div>
+    </div>
+  );
+}
+
 /* ========== MAIN APP ========== */
 export default function WeatherBriefing() {
   const [booted, setBooted] = useState(false);
@@ -5536,6 +9280,8 @@ export default function WeatherBriefing() {
     { key: "livecam", label: "LIVE CAM", icon: "📹" },
     { key: "duty", label: "DUTY", icon: "📋" },
     { key: "severe", label: "SEVERE WX", icon: "⛈️" },
+    { key: "sigmet", label: "SIGMET", icon: "⚠️" },
+    { key: "pirep", label: "PIREP", icon: "✈️" },
   ];
 
   const panelMap = {
@@ -5548,6 +9294,8 @@ export default function WeatherBriefing() {
     livecam: <LiveCameraPanel />,
     duty: <DutySchedulePanel />,
     severe: <SevereWxPanel />,
+    sigmet: <SigmetPanel />,
+    pirep: <PirepPanel />,
   };
 
   // マルチディスプレイのスロット切り替え
@@ -5563,6 +9311,7 @@ export default function WeatherBriefing() {
 
   // ===== キーボードショートカット =====
   const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
   useEffect(() => {
     const handler = (e) => {
       // 入力中はスキップ
@@ -5603,9 +9352,15 @@ export default function WeatherBriefing() {
         e.preventDefault();
         setShowShortcuts(s => !s);
       }
-      // Escape: ヘルプ閉じる
+      // S: 設定
+      if (key === "s" || key === "S") {
+        e.preventDefault();
+        setShowSettings(s => !s);
+      }
+      // Escape: ヘルプ・設定を閉じる
       if (key === "Escape") {
         setShowShortcuts(false);
+        setShowSettings(false);
       }
     };
     window.addEventListener("keydown", handler);
@@ -5650,8 +9405,9 @@ export default function WeatherBriefing() {
               { keys: "M", desc: "マルチディスプレイモード ON/OFF" },
               { keys: "F", desc: "フルスクリーン ON/OFF" },
               { keys: "R", desc: "ページリフレッシュ" },
+              { keys: "S", desc: "設定（カテゴリ基準など）" },
               { keys: "?", desc: "このヘルプを表示/非表示" },
-              { keys: "ESC", desc: "ヘルプを閉じる" },
+              { keys: "ESC", desc: "ヘルプ・設定を閉じる" },
             ].map(s => (
               <div key={s.keys} style={{
                 display: "flex", alignItems: "center", gap: "12px",
@@ -5684,6 +9440,7 @@ export default function WeatherBriefing() {
           </div>
         </div>
       )}
+      {showSettings && <SettingsPanel onClose={() => setShowSettings(false)} />}
       {/* Scanline overlay */}
       <div style={{
         position: "fixed", inset: 0, pointerEvents: "none", zIndex: 9999,
@@ -5794,6 +9551,24 @@ export default function WeatherBriefing() {
               🗑️
             </button>
           )}
+
+          {/* Settings */}
+          <button
+            onClick={() => setShowSettings(true)}
+            title="SETTINGS [S]"
+            style={{
+              padding: "5px 8px",
+              background: "rgba(110,231,183,0.06)",
+              border: "1px solid rgba(110,231,183,0.2)",
+              borderRadius: "3px",
+              color: "#64748b",
+              fontSize: "9px", fontWeight: 700,
+              fontFamily: "'JetBrains Mono', monospace",
+              cursor: "pointer",
+            }}
+          >
+            ⚙
+          </button>
         </div>
 
         {/* Bottom border glow */}
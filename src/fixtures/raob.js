@@ -0,0 +1,35 @@
+/* ============================================================
+   RAOB フィクスチャ — 同一プロファイルの WMO TEMP（TTAA/TTBB）と Wyoming TEXT:LIST
+   条件付き不安定（地上 28/22℃、500hPa -10℃）。TEMP は負の気温を 1/10 位奇数で通報するため、氷点下の層は 0.1〜0.2℃ 異なる
+   ============================================================ */
+
+export const TEMP_TATENO = `TTAA 69001 47646 99008 28056 18005 00075 27256 18508 92760 22040 20015 85500 17040 22020
+70130 06058 24025 50584 10165 25035 40754 20765 26045 30965 35163 26060 25095 44162 26570
+20245 54160 27065 15425 63160 27050 10660 72159 27530 88999 77999=
+TTBB 69008 47646 00008 28056 11850 17040 22700 06058 33500 10165
+21212 00008 18005 11975 19010=`;
+
+const UWYO_SEP = "-----------------------------------------------------------------------------";
+export const UWYO_TATENO = `<h2>47646  Tateno Observations at 00Z 19 Oct 2026</h2>
+<pre>
+${UWYO_SEP}
+   PRES   HGHT   TEMP   DWPT   RELH   MIXR   DRCT   SKNT   THTA   THTE   THTV
+    hPa     m      C      C      %    g/kg    deg   knot     K      K      K 
+${UWYO_SEP}
+ 1008.0      6   28.0   22.0     70  17.00    180      5
+ 1000.0     75   27.2   21.2     70  16.20    185      8
+  975.0    300                                190     10
+  925.0    760   22.0   18.0     78  14.20    200     15
+  850.0   1500   17.0   13.0     77  11.20    220     20
+  700.0   3130    6.0   -2.0     56   4.60    240     25
+  500.0   5840  -10.0  -25.0     29   1.00    250     35
+  400.0   7540  -20.5  -35.5     25   0.40    260     45
+  300.0   9650  -35.0  -48.0     24   0.10    260     60
+  250.0  10950  -44.0  -56.0     25   0.05    265     70
+  200.0  12450  -54.0  -64.0     27   0.02    270     65
+  150.0  14250  -63.0  -73.0     24   0.01    270     50
+  100.0  16600  -72.0  -81.0     23   0.01    275     30
+</pre><h3>Station information and sounding indices</h3><pre>
+                         Station number: 47646
+                       Observation time: 261019/0000
+</pre>`;
@@ -0,0 +1,992 @@
+/* ============================================================
+   WX DECODE — METAR/TAF 構造化デコーダ（共有モジュール）
+   ダッシュボード（WeatherBriefing.jsx）と Cloudflare Worker（/v2 ルート）で共用
+   React・ブラウザ API・設定に依存しないこと
+   ============================================================ */
+
+/* ========== METAR DECODER — METAR/SPECI 構造化デコーダ ========== */
+
+export const MPS_TO_KT = 1.943844;
+export const KMH_TO_KT = 0.539957;
+export const SM_TO_M = 1609.344;
+
+export const WX_DESCRIPTORS = ["MI", "BC", "PR", "DR", "BL", "SH", "TS", "FZ"];
+export const WX_PHENOMENA = [
+  "DZ", "RA", "SN", "SG", "IC", "PL", "GR", "GS", "UP",
+  "BR", "FG", "FU", "VA", "DU", "SA", "HZ", "PY",
+  "PO", "SQ", "FC", "SS", "DS",
+];
+export const TREND_KEYWORDS = ["NOSIG", "BECMG", "TEMPO"];
+
+/** DD/HH/MM (UTC) → Date。参照時刻から月をまたぐ場合は前後の月に補正 */
+export function resolveDayTime(day, hour, minute, ref = new Date()) {
+  const y = ref.getUTCFullYear(), mo = ref.getUTCMonth();
+  const candidates = [mo - 1, mo, mo + 1].map(m => new Date(Date.UTC(y, m, day, hour, minute)));
+  // 日付が存在しない月（例: 2/30）は繰り上がるので除外
+  const valid = candidates.filter(d => d.getUTCDate() === day || hour === 24);
+  return valid.reduce((best, d) => Math.abs(d - ref) < Math.abs(best - ref) ? d : best, valid[0] ?? candidates[1]);
+}
+
+/** 風速を kt に換算 */
+export function toKnots(value, unit) {
+  if (value == null) return null;
+  if (unit === "MPS") return Math.round(value * MPS_TO_KT);
+  if (unit === "KMH") return Math.round(value * KMH_TO_KT);
+  return value;
+}
+
+/** 現在天気トークン → { raw, intensity, vicinity, descriptor, phenomena } */
+export function decodeWeatherToken(token) {
+  const m = token.match(/^(\+|-|VC)?([A-Z]{2})?([A-Z]*)$/);
+  if (!m) return null;
+  let descriptor = m[2] ?? null;
+  let rest = m[3] ?? "";
+  if (descriptor && !WX_DESCRIPTORS.includes(descriptor)) { rest = descriptor + rest; descriptor = null; }
+  if (rest.length % 2 !== 0) return null;
+  const phenomena = rest.match(/.{2}/g) ?? [];
+  if (!phenomena.every(p => WX_PHENOMENA.includes(p))) return null;
+  if (!descriptor && phenomena.length === 0) return null;
+  return {
+    raw: token,
+    intensity: m[1] === "+" || m[1] === "-" ? m[1] : "",
+    vicinity: m[1] === "VC",
+    descriptor,
+    phenomena,
+  };
+}
+
+// 1トークン分のグループ判定（METAR本文・TREND・TAF変化群で共用）
+// tokens[i] を起点に解析し、{ kind, consumed, ...値 } を返す
+export function decodeWxGroup(tokens, i) {
+  const t = tokens[i];
+  let m;
+
+  if ((m = t.match(/^(\d{3}|VRB|\/{3})(P?\d{2,3}|\/\/)(?:G(P?\d{2,3}))?(KT|MPS|KMH)$/))) {
+    const unit = m[4];
+    const speed = m[2] === "//" ? null : parseInt(m[2].replace("P", ""), 10);
+    const gust = m[3] ? parseInt(m[3].replace("P", ""), 10) : null;
+    const isVrb = m[1] === "VRB";
+    const dir = isVrb || m[1] === "///" ? null : parseInt(m[1], 10);
+    return {
+      kind: "wind", consumed: 1,
+      wind: {
+        raw: t, dir, speed, gust, unit,
+        speedKt: toKnots(speed, unit), gustKt: toKnots(gust, unit),
+        isVrb, isCalm: dir === 0 && speed === 0,
+        varFrom: null, varTo: null,
+      },
+    };
+  }
+  if ((m = t.match(/^(\d{3})V(\d{3})$/))) {
+    return { kind: "windVar", consumed: 1, from: parseInt(m[1], 10), to: parseInt(m[2], 10) };
+  }
+  if (t === "CAVOK") return { kind: "cavok", consumed: 1 };
+  if ((m = t.match(/^(\d{4})(NDV)?$/))) {
+    const v = parseInt(m[1], 10);
+    return { kind: "vis", consumed: 1, m: v >= 9999 ? 10000 : v, ndv: !!m[2] };
+  }
+  if ((m = t.match(/^(\d{4})(N|NE|E|SE|S|SW|W|NW)$/))) {
+    return { kind: "visDir", consumed: 1, m: parseInt(m[1], 10), dir: m[2] };
+  }
+  // 米国式 SM 視程（"1 1/2SM" は2トークンにまたがる）
+  if (/^\d+$/.test(t) && /^\d\/\dSM$/.test(tokens[i + 1] ?? "")) {
+    const [n, d] = tokens[i + 1].replace("SM", "").split("/").map(Number);
+    const sm = parseInt(t, 10) + n / d;
+    return { kind: "vis", consumed: 2, m: Math.round(sm * SM_TO_M), sm };
+  }
+  if ((m = t.match(/^([MP])?(\d+)?(?:(\d)\/(\d+))?SM$/)) && (m[2] || m[3])) {
+    const sm = (m[2] ? parseInt(m[2], 10) : 0) + (m[3] ? parseInt(m[3], 10) / parseInt(m[4], 10) : 0);
+    return { kind: "vis", consumed: 1, m: Math.round(sm * SM_TO_M), sm, modifier: m[1] ?? null };
+  }
+  if ((m = t.match(/^R(\d{2}[LCR]?)\/([PM])?(\d{4})(?:V([PM])?(\d{4}))?(FT)?\/?([UDN])?$/))) {
+    const unit = m[6] ? "FT" : "M";
+    return {
+      kind: "rvr", consumed: 1,
+      rvr: {
+        raw: t, rwy: m[1], unit,
+        value: parseInt(m[3], 10), modifier: m[2] ?? null,
+        max: m[5] ? parseInt(m[5], 10) : null, maxModifier: m[4] ?? null,
+        trend: m[7] ?? null,
+      },
+    };
+  }
+  if ((m = t.match(/^(FEW|SCT|BKN|OVC)(\d{3}|\/{3})(CB|TCU|\/{3})?$/))) {
+    return {
+      kind: "cloud", consumed: 1,
+      cloud: {
+        raw: t, cover: m[1],
+        base: m[2] === "///" ? null : parseInt(m[2], 10) * 100,
+        type: m[3] === "CB" || m[3] === "TCU" ? m[3] : null,
+      },
+    };
+  }
+  if ((m = t.match(/^VV(\d{3}|\/{3})$/))) {
+    return { kind: "vv", consumed: 1, ft: m[1] === "///" ? null : parseInt(m[1], 10) * 100 };
+  }
+  if (["NSC", "SKC", "CLR", "NCD"].includes(t)) return { kind: "skyClear", consumed: 1 };
+  if (t === "NSW") return { kind: "nsw", consumed: 1 };
+  const wx = decodeWeatherToken(t);
+  if (wx) return { kind: "wx", consumed: 1, wx };
+  return null;
+}
+
+// 解析結果の集約先（METAR本文・TREND・TAF変化群で共用）
+export function emptyWxConditions() {
+  return { wind: null, cavok: false, visibility: null, rvr: [], weather: [], nsw: false, clouds: [], vv: null, obscured: false, skyClear: null };
+}
+
+/** decodeWxGroup の結果を conditions に反映 */
+export function applyWxGroup(cond, g, token) {
+  switch (g.kind) {
+    case "wind": cond.wind = g.wind; break;
+    case "windVar":
+      if (cond.wind) { cond.wind.varFrom = g.from; cond.wind.varTo = g.to; }
+      break;
+    case "cavok":
+      cond.cavok = true;
+      cond.visibility = { m: 10000, ndv: false, min: null, sm: null };
+      break;
+    case "vis":
+      cond.visibility = { m: g.m, ndv: !!g.ndv, min: null, sm: g.sm ?? null };
+      break;
+    case "visDir":
+      if (cond.visibility) cond.visibility.min = { m: g.m, dir: g.dir };
+      break;
+    case "rvr": cond.rvr.push(g.rvr); break;
+    case "cloud": cond.clouds.push(g.cloud); break;
+    case "vv": cond.vv = g.ft; cond.obscured = g.ft == null; break;
+    case "skyClear": cond.skyClear = token; break;
+    case "nsw": cond.nsw = true; break;
+    case "wx": cond.weather.push(g.wx); break;
+  }
+}
+
+/** シーリング (ft): BKN/OVC/VV の最低値。なければ null。VV/// (天空不明) は 0ft 扱い */
+export function ceilingFt(cond) {
+  const bases = cond.clouds.filter(c => (c.cover === "BKN" || c.cover === "OVC") && c.base != null).map(c => c.base);
+  if (cond.vv != null) bases.push(cond.vv);
+  if (cond.obscured) bases.push(0);
+  return bases.length > 0 ? Math.min(...bases) : null;
+}
+
+/**
+ * 生 METAR/SPECI → 構造化オブジェクト
+ * 複数行の場合は先頭（最新）レポートのみ解析。解析不能なら null
+ */
+export function decodeMetar(raw, ref = new Date()) {
+  if (!raw) return null;
+  const line = raw.split("\n").map(s => s.trim()).find(Boolean);
+  if (!line) return null;
+  const tokens = line.replace(/=$/, "").split(/\s+/);
+  const out = {
+    raw: line, type: "METAR", station: null, obsTime: null, obsTimeRaw: null,
+    auto: false, cor: false, nil: false,
+    ...emptyWxConditions(),
+    temp: null, dewpoint: null, qnh: null,
+    recentWeather: [], windshear: [],
+    trend: [], rmk: null,
+    ceiling: null,
+    tokens: [], // { text, kind, value } — ハイライト表示用
+  };
+  const push = (text, kind, value = null) => out.tokens.push({ text, kind, value });
+
+  let i = 0;
+  if (tokens[i] === "METAR" || tokens[i] === "SPECI") { out.type = tokens[i]; push(tokens[i], "type"); i++; }
+  if (tokens[i] === "COR") { out.cor = true; push(tokens[i], "flag"); i++; }
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(tokens[i] ?? "")) return null;
+  out.station = tokens[i]; push(tokens[i], "station"); i++;
+
+  let m;
+  if ((m = (tokens[i] ?? "").match(/^(\d{2})(\d{2})(\d{2})Z$/))) {
+    out.obsTimeRaw = tokens[i];
+    out.obsTime = resolveDayTime(+m[1], +m[2], +m[3], ref);
+    push(tokens[i], "time"); i++;
+  }
+
+  let section = "main";
+  let trend = null;
+  for (; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === "RMK") {
+      out.rmk = tokens.slice(i + 1).join(" ");
+      tokens.slice(i).forEach(x => push(x, "rmk"));
+      break;
+    }
+    if (TREND_KEYWORDS.includes(t)) {
+      section = "trend";
+      trend = { type: t, raw: t, from: null, until: null, at: null, ...emptyWxConditions() };
+      out.trend.push(trend);
+      push(t, "trend");
+      continue;
+    }
+    if (section === "trend") {
+      trend.raw += " " + t;
+      if ((m = t.match(/^(FM|TL|AT)(\d{4})$/))) {
+        trend[{ FM: "from", TL: "until", AT: "at" }[m[1]]] = m[2];
+        push(t, "trend");
+        continue;
+      }
+      const g = decodeWxGroup(tokens, i);
+      if (g) {
+        applyWxGroup(trend, g, t);
+        for (let k = 0; k < g.consumed; k++) push(tokens[i + k], g.kind, g.m ?? g.cloud?.base ?? g.ft ?? null);
+        i += g.consumed - 1;
+      } else push(t, "unknown");
+      continue;
+    }
+
+    if (t === "AUTO") { out.auto = true; push(t, "flag"); continue; }
+    if (t === "NIL") { out.nil = true; push(t, "flag"); continue; }
+    if ((m = t.match(/^(M?\d{2}|\/\/)\/(M?\d{2}|\/\/)?$/))) {
+      const parseT = (s) => (!s || s === "//") ? null : (s.startsWith("M") ? -parseInt(s.slice(1), 10) : parseInt(s, 10));
+      out.temp = parseT(m[1]);
+      out.dewpoint = parseT(m[2]);
+      push(t, "temp");
+      continue;
+    }
+    if ((m = t.match(/^([QA])(\d{4})$/))) {
+      const v = parseInt(m[2], 10);
+      out.qnh = m[1] === "Q"
+        ? { hpa: v, inHg: Math.round(v / 33.8639 * 100) / 100, unit: "HPA" }
+        : { hpa: Math.round(v / 100 * 33.8639), inHg: v / 100, unit: "INHG" };
+      push(t, "qnh", v);
+      continue;
+    }
+    if (/^RE[A-Z]{2,}$/.test(t)) {
+      const wx = decodeWeatherToken(t.slice(2));
+      if (wx) { out.recentWeather.push(wx); push(t, "recent"); continue; }
+    }
+    if (t === "WS") {
+      // WS R34L / WS ALL RWY
+      const rest = tokens[i + 1] === "ALL" ? ["ALL", tokens[i + 2]] : [tokens[i + 1]];
+      out.windshear.push(rest.join(" ") === "ALL RWY" ? "ALL" : (rest[0] ?? "").replace(/^R/, ""));
+      [t, ...rest].forEach(x => x && push(x, "windshear"));
+      i += rest.length;
+      continue;
+    }
+    const g = decodeWxGroup(tokens, i);
+    if (g) {
+      applyWxGroup(out, g, t);
+      for (let k = 0; k < g.consumed; k++) push(tokens[i + k], g.kind, g.m ?? g.cloud?.base ?? g.ft ?? null);
+      i += g.consumed - 1;
+      continue;
+    }
+    push(t, "unknown");
+  }
+
+  out.ceiling = ceilingFt(out);
+  return out;
+}
+
+/* ========== FLIGHT CATEGORY — 判定ルール ========== */
+// フライトカテゴリ判定ルール（データとして定義、設定で選択）
+// categories は悪い順。ceiling(ft) / vis(m) のどちらかが下回れば該当
+export const FLIGHT_CATEGORY_RULESETS = {
+  FAA: {
+    label: "FAA",
+    note: "LIFR <500ft/<1SM, IFR <1000ft/<3SM, MVFR <3000ft/<5SM",
+    categories: [
+      { cat: "LIFR", ceiling: 500, vis: 1600 },
+      { cat: "IFR", ceiling: 1000, vis: 4800 },
+      { cat: "MVFR", ceiling: 3000, vis: 8000 },
+    ],
+  },
+  ICAO: {
+    label: "ICAO",
+    note: "IMC <1500ft/<5000m (管制圏VMC), LIFR <200ft/<550m (CAT I)",
+    categories: [
+      { cat: "LIFR", ceiling: 200, vis: 550 },
+      { cat: "IFR", ceiling: 1500, vis: 5000 },
+    ],
+  },
+  JCAB: {
+    label: "JCAB",
+    note: "LIFR <200ft/<550m (CAT I), IFR <1000ft/<5000m (管制圏VMC), MVFR <3000ft/<8000m (社内注意域)",
+    categories: [
+      { cat: "LIFR", ceiling: 200, vis: 550 },
+      { cat: "IFR", ceiling: 1000, vis: 5000 },
+      { cat: "MVFR", ceiling: 3000, vis: 8000 },
+    ],
+  },
+};
+
+/** 視程(m)・シーリング(ft) → カテゴリ（null は制限なし扱い） */
+export function classifyCategory(visM, ceilFt, ruleset) {
+  const hit = ruleset.categories.find(c => (visM != null && visM < c.vis) || (ceilFt != null && ceilFt < c.ceiling));
+  return hit ? hit.cat : "VFR";
+}
+
+/** METAR・TAF予報値のカテゴリ（visibility / ceiling を参照。CAVOK は 10km・雲なしとして評価） */
+export function conditionsCategory(c, ruleset) {
+  if (!c) return null;
+  return classifyCategory(c.cavok ? 10000 : c.visibility?.m, c.ceiling, ruleset);
+}
+
+/* ========== TAF DECODER — 基本予報 + 変化群 (FM/BECMG/TEMPO/PROB) ========== */
+
+export const FLIGHT_CATEGORY_ORDER = ["VFR", "MVFR", "IFR", "LIFR"];
+
+/** 2つのカテゴリのうち悪い方 */
+export function worseCategory(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return FLIGHT_CATEGORY_ORDER.indexOf(a) >= FLIGHT_CATEGORY_ORDER.indexOf(b) ? a : b;
+}
+
+/** "DDHH/DDHH" → { from, to } (Date)。ref は発表時刻 */
+export function parseTafPeriod(token, ref) {
+  const m = token.match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const from = resolveDayTime(+m[1], +m[2], 0, ref);
+  const to = resolveDayTime(+m[3], +m[4], 0, ref);
+  return to > from ? { from, to } : null;
+}
+
+/**
+ * 変化群の要素を上書き合成（BECMG/TEMPO は指定要素のみ置換、FM は全置換）
+ * CAVOK は視程・雲・天気をまとめて置換、NSW は天気のみ消去
+ */
+export function mergeWxConditions(base, change) {
+  const out = { ...base, rvr: [...base.rvr], weather: [...base.weather], clouds: [...base.clouds] };
+  if (change.wind) out.wind = change.wind;
+  if (change.cavok) {
+    out.cavok = true;
+    out.visibility = change.visibility;
+    out.weather = [];
+    out.clouds = [];
+    out.vv = null;
+    out.obscured = false;
+    out.skyClear = null;
+  } else if (change.visibility) {
+    out.cavok = false;
+    out.visibility = change.visibility;
+  }
+  if (change.weather.length > 0) { out.weather = change.weather; out.nsw = false; }
+  else if (change.nsw) { out.weather = []; out.nsw = true; }
+  if (change.clouds.length > 0 || change.vv != null || change.obscured || change.skyClear) {
+    out.clouds = change.clouds;
+    out.vv = change.vv;
+    out.obscured = change.obscured;
+    out.skyClear = change.skyClear;
+    if (!change.cavok) out.cavok = false;
+  }
+  out.ceiling = ceilingFt(out);
+  return out;
+}
+
+/**
+ * 生 TAF → 構造化オブジェクト
+ * { station, issueTime, validFrom, validTo, base, changes: [{ type, prob, from, to, raw, ...conditions }], temps }
+ * 複数TAFが連結されている場合は先頭のみ。解析不能なら null
+ */
+export function decodeTaf(raw, ref = new Date()) {
+  if (!raw) return null;
+  const text = raw.replace(/\s+/g, " ").trim();
+  const first = text.split(/ (?=TAF\b)/)[0];
+  const tokens = first.replace(/=$/, "").split(" ").filter(Boolean);
+  let i = 0;
+  const out = {
+    raw: first, station: null, issueTime: null, issueTimeRaw: null,
+    amd: false, cor: false, cnl: false, nil: false,
+    validFrom: null, validTo: null,
+    base: null, changes: [], temps: [],
+  };
+  if (tokens[i] === "TAF") i++;
+  while (tokens[i] === "AMD" || tokens[i] === "COR") { out[tokens[i].toLowerCase()] = true; i++; }
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(tokens[i] ?? "")) return null;
+  out.station = tokens[i++];
+
+  let m;
+  if ((m = (tokens[i] ?? "").match(/^(\d{2})(\d{2})(\d{2})Z$/))) {
+    out.issueTimeRaw = tokens[i++];
+    out.issueTime = resolveDayTime(+m[1], +m[2], +m[3], ref);
+  }
+  const issueRef = out.issueTime ?? ref;
+  const validity = parseTafPeriod(tokens[i] ?? "", issueRef);
+  if (validity) { out.validFrom = validity.from; out.validTo = validity.to; i++; }
+  if (tokens[i] === "NIL") { out.nil = true; return out; }
+  if (tokens[i] === "CNL") { out.cnl = true; return out; }
+  if (!validity) return null;
+
+  out.base = { type: "BASE", prob: null, from: out.validFrom, to: out.validTo, label: `BASE ${tokens[i - 1]}`, raw: "", ...emptyWxConditions() };
+  let group = out.base;
+  for (; i < tokens.length; i++) {
+    const t = tokens[i];
+    // FMDDHHmm
+    if ((m = t.match(/^FM(\d{2})(\d{2})(\d{2})$/))) {
+      group = { type: "FM", prob: null, from: resolveDayTime(+m[1], +m[2], +m[3], issueRef), to: out.validTo, label: t, raw: t, ...emptyWxConditions() };
+      out.changes.push(group);
+      continue;
+    }
+    // PROB30/40 [TEMPO] DDHH/DDHH
+    if ((m = t.match(/^PROB(\d{2})$/))) {
+      const isTempo = tokens[i + 1] === "TEMPO";
+      const period = parseTafPeriod(tokens[i + (isTempo ? 2 : 1)] ?? "", issueRef);
+      if (period) {
+        const label = tokens.slice(i, i + (isTempo ? 3 : 2)).join(" ");
+        group = { type: isTempo ? "TEMPO" : "PROB", prob: parseInt(m[1], 10), ...period, label, raw: label, ...emptyWxConditions() };
+        out.changes.push(group);
+        i += isTempo ? 2 : 1;
+        continue;
+      }
+    }
+    if ((t === "BECMG" || t === "TEMPO") && parseTafPeriod(tokens[i + 1] ?? "", issueRef)) {
+      const label = `${t} ${tokens[i + 1]}`;
+      group = { type: t, prob: null, ...parseTafPeriod(tokens[i + 1], issueRef), label, raw: label, ...emptyWxConditions() };
+      out.changes.push(group);
+      i++;
+      continue;
+    }
+    // TX25/1905Z TNM02/1921Z
+    if ((m = t.match(/^(TX|TN)(M?\d{2})\/(\d{2})(\d{2})Z$/))) {
+      const v = m[2].startsWith("M") ? -parseInt(m[2].slice(1), 10) : parseInt(m[2], 10);
+      out.temps.push({ kind: m[1], value: v, time: resolveDayTime(+m[3], +m[4], 0, issueRef) });
+      continue;
+    }
+    group.raw = group.raw ? `${group.raw} ${t}` : t;
+    const g = decodeWxGroup(tokens, i);
+    if (g) {
+      applyWxGroup(group, g, t);
+      if (g.consumed > 1) group.raw += " " + tokens.slice(i + 1, i + g.consumed).join(" ");
+      i += g.consumed - 1;
+    }
+  }
+  out.base.ceiling = ceilingFt(out.base);
+  out.changes.forEach(c => { c.ceiling = ceilingFt(c); });
+  return out;
+}
+
+/* ========== TAF TIMELINE — 時刻別の予報値 ========== */
+
+/**
+ * 指定時刻の予報値
+ * prevailing: 基本予報に FM/BECMG を時系列で適用（BECMG は変化期間終了時点で確定）
+ * prevailingLabel: prevailing を最後に決めた群（基本予報は有効期間）
+ * becoming: BECMG 変化期間中なら変化後の値、それ以外は null
+ * temporary: その時刻に有効な TEMPO/PROB を prevailing に重ねた値
+ * category / worstCategory は ruleset（FLIGHT_CATEGORY_RULESETS の1つ）で判定
+ */
+export function tafConditionsAt(taf, time, ruleset = FLIGHT_CATEGORY_RULESETS.FAA) {
+  if (!taf?.base || time < taf.validFrom || time >= taf.validTo) return null;
+  let prevailing = mergeWxConditions(emptyWxConditions(), taf.base);
+  let prevailingLabel = taf.base.label;
+  const pending = [];
+  for (const c of taf.changes) {
+    if (c.type === "FM" && c.from <= time) { prevailing = mergeWxConditions(emptyWxConditions(), c); prevailingLabel = c.label; pending.length = 0; }
+    else if (c.type === "BECMG" && c.to <= time) { prevailing = mergeWxConditions(prevailing, c); prevailingLabel = c.label; }
+    else if (c.type === "BECMG" && c.from <= time) pending.push(c);
+  }
+  const becoming = pending.length > 0 ? pending.reduce((acc, c) => mergeWxConditions(acc, c), prevailing) : null;
+  const becomingLabel = pending.map(c => c.label).join(" + ") || null;
+  const temporary = taf.changes
+    .filter(c => (c.type === "TEMPO" || c.type === "PROB") && c.from <= time && time < c.to)
+    .map(c => ({ type: c.type, prob: c.prob, label: c.label, raw: c.raw, cond: mergeWxConditions(prevailing, c) }));
+  const category = conditionsCategory(prevailing, ruleset);
+  const worstCategory = [becoming, ...temporary.map(t => t.cond)]
+    .filter(Boolean)
+    .reduce((w, c) => worseCategory(w, conditionsCategory(c, ruleset)), category);
+  return { time, prevailing, prevailingLabel, becoming, becomingLabel, temporary, category, worstCategory };
+}
+
+/** 有効期間を1時間刻みに展開（タイムライン表示用） */
+export function tafHourlyTimeline(taf, ruleset = FLIGHT_CATEGORY_RULESETS.FAA) {
+  if (!taf?.validFrom || !taf.base) return [];
+  const hours = [];
+  for (let t = taf.validFrom.getTime(); t < taf.validTo.getTime(); t += 3600000) {
+    hours.push(tafConditionsAt(taf, new Date(t), ruleset));
+  }
+  return hours;
+}
+
+/* ========== SPECI — 定時外観測の判定 ========== */
+// VATSIM は "METAR"/"SPECI" を付けずに返すため、種別が無い通報は観測分で判定する
+
+const DEFAULT_ROUTINE_MINUTES = [0, 30];
+
+/**
+ * 履歴から定時観測の「分」を推定（例: 日本 [0, 30]、米国 [53]）
+ * 明示 SPECI を除き、4回以上かつ全体の15%以上現れる分を定時とみなす。履歴不足なら :00/:30
+ */
+export function routineObsMinutes(history = []) {
+  const routine = history.filter(m => m?.obsTime && m.type !== "SPECI");
+  if (routine.length < 8) return DEFAULT_ROUTINE_MINUTES;
+  const counts = new Map();
+  for (const m of routine) counts.set(m.obsTime.getUTCMinutes(), (counts.get(m.obsTime.getUTCMinutes()) ?? 0) + 1);
+  const mins = [...counts].filter(([, n]) => n >= 4 && n >= routine.length * 0.15).map(([min]) => min).sort((a, b) => a - b);
+  return mins.length ? mins : DEFAULT_ROUTINE_MINUTES;
+}
+
+/** SPECI か — 明示の種別を優先し、無ければ定時の分以外の観測を SPECI とみなす */
+export function isSpeci(m, history = []) {
+  if (!m?.obsTime) return false;
+  if (m.tokens?.[0]?.kind === "type") return m.type === "SPECI";
+  return !routineObsMinutes(history).includes(m.obsTime.getUTCMinutes());
+}
+
+/* ========== BULLETIN SPLIT — 複数局の応答を局ごとに分割 ========== */
+
+// METAR電文群 → { ICAO: 最新の1通 }
+export function splitMetarsByStation(text) {
+  const out = {};
+  for (const line of text.split("\n")) {
+    const m = decodeMetar(line.trim());
+    if (!m?.station) continue;
+    const cur = out[m.station];
+    if (!cur || (m.obsTime && cur.obsTime && m.obsTime > cur.obsTime)) out[m.station] = m;
+  }
+  return Object.fromEntries(Object.entries(out).map(([icao, m]) => [icao, m.raw]));
+}
+
+// TAF電文群 → { ICAO: TAF全文 }（字下げ行は直前のTAFの続き）
+export function splitTafsByStation(text) {
+  const out = {};
+  let cur = null;
+  for (const line of text.split("\n")) {
+    const head = line.match(/^(?:TAF\s+)?(?:(?:AMD|COR)\s+)?([A-Z]{4})\s+\d{6}Z\b/);
+    if (head) {
+      cur = out[head[1]] == null ? head[1] : null; // 同一局の2通目以降（旧版）は捨てる
+      if (cur) out[cur] = line.trimEnd();
+    } else if (cur && line.trim()) {
+      out[cur] += "\n" + line.trimEnd();
+    }
+  }
+  return out;
+}
+
+/* ========== SIGMET — 国際SIGMET / 米国 AIRMET-SIGMET 電文のデコード ========== */
+
+export const SIGMET_HAZARDS = {
+  TS: { label: "THUNDERSTORM", color: "#f87171" },
+  TURB: { label: "SEV TURB", color: "#fbbf24" },
+  ICE: { label: "SEV ICE", color: "#38bdf8" },
+  VA: { label: "VOLCANIC ASH", color: "#c084fc" },
+  TC: { label: "TROPICAL CYCLONE", color: "#f472b6" },
+  MTW: { label: "MTN WAVE", color: "#fb923c" },
+  DS: { label: "DUST/SANDSTORM", color: "#d6a35c" },
+  RDOACT: { label: "RADIOACTIVE CLD", color: "#a3e635" },
+};
+
+// 判定順が重要: "TC" を含む VA 電文や "TS" を含む TC 電文があるため VA → TC → TS の順
+const SIGMET_HAZARD_PATTERNS = [
+  ["VA", /\bVA\s+(?:ERUPTION|CLD)\b|\bVOLCANIC\s+ASH\b/],
+  ["TC", /\bTC\s+(?!CENTRE)[A-Z0-9-]+|\bTROPICAL\s+(?:CYCLONE|STORM)\b/],
+  ["RDOACT", /\bRDOACT\s+CLD\b/],
+  ["TS", /\b(?:OBSC|EMBD|FRQ|SQL|ISOL|OCNL)\s+TSG?R?\b|\bCONVECTIVE\s+SIGMET\b|\bTS\b/],
+  ["TURB", /\bSEV\s+TURB\b|\bTURB\b/],
+  ["ICE", /\bSEV\s+ICE\b|\bICE\b|\bICG\b/],
+  ["MTW", /\bSEV\s+MTW\b/],
+  ["DS", /\bHVY\s+(?:DS|SS)\b/],
+];
+
+// "N3330 E13015" / "N33 E130" → [lat, lon]
+function sigmetLatLon(ns, latDeg, latMin, ew, lonDeg, lonMin) {
+  const lat = (+latDeg + (+latMin || 0) / 60) * (ns === "S" ? -1 : 1);
+  const lon = (+lonDeg + (+lonMin || 0) / 60) * (ew === "W" ? -1 : 1);
+  return [Math.round(lat * 1000) / 1000, Math.round(lon * 1000) / 1000];
+}
+
+const SIGMET_POINT_RE = /([NS])(\d{2})(\d{2})?\s*([EW])(\d{3})(\d{2})?/g;
+
+/**
+ * SIGMET 電文 → { fir, series, validFrom, validTo, hazard, qualifier, base, top, movement, change, area, cancels }
+ * base/top は FL（SFC=0）。area は polygon [[lat,lon]...] または TC/VA の中心+半径
+ */
+export function decodeSigmet(raw, ref = new Date()) {
+  if (raw == null) return null;
+  const text = raw.replace(/\s+/g, " ").trim();
+  const out = {
+    raw: raw.trim(), fir: null, firName: null, series: null,
+    validFrom: null, validTo: null,
+    hazard: null, qualifier: null, obs: null, name: null,
+    base: null, top: null, topAbove: false,
+    movement: null, change: null, area: null, cancels: null,
+  };
+
+  const head = text.match(/\b([A-Z]{4})\s+SIGMET\s+([A-Z]{0,2}\s?\d{1,2})\s+VALID\s+(\d{2})(\d{2})(\d{2})\/(\d{2})(\d{2})(\d{2})/);
+  if (head) {
+    out.fir = head[1];
+    out.series = head[2].replace(/\s/g, "");
+    out.validFrom = resolveDayTime(+head[3], +head[4], +head[5], ref);
+    out.validTo = resolveDayTime(+head[6], +head[7], +head[8], ref);
+    if (out.validTo < out.validFrom) out.validTo = new Date(out.validTo.getTime() + 30 * 86400000);
+  }
+  const firName = text.match(/\b([A-Z]{4})\s+([A-Z ]+?)\s+(?:FIR|UIR|FIR\/UIR|CTA)\b/);
+  if (firName) { out.fir = out.fir || firName[1]; out.firName = firName[2].trim(); }
+
+  const cnl = text.match(/\bCNL\s+SIGMET\s+([A-Z]{0,2}\s?\d{1,2})/);
+  if (cnl) out.cancels = cnl[1].replace(/\s/g, "");
+
+  for (const [key, re] of SIGMET_HAZARD_PATTERNS) {
+    if (re.test(text)) { out.hazard = key; break; }
+  }
+  const qual = text.match(/\b(OBSC|EMBD|FRQ|SQL|ISOL|OCNL|SEV|HVY)\s+(?:TSG?R?|TURB|ICE|MTW|DS|SS)\b/);
+  if (qual) out.qualifier = qual[1];
+  const name = out.hazard === "TC" ? text.match(/\bTC\s+([A-Z0-9-]+)/) : out.hazard === "VA" ? text.match(/\bMT\s+([A-Z-]+(?:\s[A-Z-]+)?)\s+PSN/) : null;
+  if (name) out.name = name[1];
+  const obs = text.match(/\b(OBS|FCST)(?:\s+AT\s+(\d{4})Z)?/);
+  if (obs) out.obs = obs[2] ? `${obs[1]} ${obs[2]}Z` : obs[1];
+
+  // 高度帯: FL250/380, SFC/FL100, 5000FT/FL140, TOP FL380, TOP ABV FL450, ABV FL300, BLW FL100
+  let m;
+  if ((m = text.match(/\b(SFC|FL\d{3}|\d{4,5}FT)\/(?:FL)?(\d{3})\b/))) {
+    out.base = m[1] === "SFC" ? 0 : m[1].startsWith("FL") ? +m[1].slice(2) : Math.round(+m[1].replace("FT", "") / 100);
+    out.top = +m[2];
+  } else if ((m = text.match(/\bTOP\s+(ABV\s+|BLW\s+)?FL(\d{3})/))) {
+    out.top = +m[2];
+    out.topAbove = !!m[1]?.startsWith("ABV");
+  } else if ((m = text.match(/\bABV\s+FL(\d{3})/))) {
+    out.base = +m[1];
+  } else if ((m = text.match(/\bBLW\s+FL(\d{3})/))) {
+    out.base = 0;
+    out.top = +m[1];
+  }
+
+  if (/\bSTNR\b/.test(text)) out.movement = { dir: null, spdKt: 0, stationary: true };
+  else if ((m = text.match(/\bMOV\s+([NSEW]{1,3})\s+(\d{1,3})(KT|KMH)\b/))) {
+    out.movement = { dir: m[1], spdKt: toKnots(+m[2], m[3]), stationary: false };
+  }
+  if ((m = text.match(/\b(INTSF|WKN|NC)\b/))) out.change = m[1];
+
+  // 領域: WI <polygon> / WI nnNM OF TC CENTRE / VA・TC の PSN
+  const wi = text.match(/\bWI\s+((?:[NS]\d{2,4}\s*[EW]\d{3,5}\s*-?\s*)+)/);
+  const radius = text.match(/\bWI\s+(\d{2,3})\s*(NM|KM)\s+OF\s+(?:TC\s+)?CENTRE/);
+  const psn = text.match(/\bPSN\s+([NS])(\d{2})(\d{2})?\s*([EW])(\d{3})(\d{2})?/);
+  if (wi) {
+    const pts = [...wi[1].matchAll(SIGMET_POINT_RE)].map(p => sigmetLatLon(p[1], p[2], p[3], p[4], p[5], p[6]));
+    if (pts.length >= 3) out.area = { type: "polygon", points: pts };
+  }
+  if (!out.area && radius && psn) {
+    const nm = radius[2] === "KM" ? Math.round(+radius[1] / 1.852) : +radius[1];
+    out.area = { type: "circle", center: sigmetLatLon(psn[1], psn[2], psn[3], psn[4], psn[5], psn[6]), radiusNm: nm };
+  } else if (!out.area && psn) {
+    out.area = { type: "point", center: sigmetLatLon(psn[1], psn[2], psn[3], psn[4], psn[5], psn[6]) };
+  }
+  return out;
+}
+
+/* ========== PIREP / AIREP — 乱気流・着氷の機上報告 ========== */
+
+// 強度の序列（範囲表記 "LGT-MOD" は強い側で評価）
+export const PIREP_INTENSITY_ORDER = ["NEG", "LGT", "MOD", "SEV", "EXTM"];
+const PIREP_INTENSITY_ALIASES = { NIL: "NEG", NEG: "NEG", SMTH: "NEG", SMOOTH: "NEG", LGT: "LGT", LIGHT: "LGT", LT: "LGT", MOD: "MOD", MDT: "MOD", SEV: "SEV", HVY: "SEV", EXTM: "EXTM", EXTRM: "EXTM" };
+
+/** "LGT-MOD" / "OCNL MOD" / "SEV" → { intensity, rank, raw } */
+export function pirepIntensity(text) {
+  if (!text) return null;
+  const words = text.toUpperCase().split(/[\s-]+/).map(w => PIREP_INTENSITY_ALIASES[w]).filter(Boolean);
+  if (!words.length) return null;
+  const intensity = words.reduce((a, b) => (PIREP_INTENSITY_ORDER.indexOf(b) > PIREP_INTENSITY_ORDER.indexOf(a) ? b : a));
+  return { intensity, rank: PIREP_INTENSITY_ORDER.indexOf(intensity), raw: text.trim() };
+}
+
+// "/TB MOD CAT 330-370" / "/IC LGT RIME 080-120" → { intensity, rank, kind, base, top }
+function pirepHazardGroup(value) {
+  if (!value) return null;
+  const t = value.trim().toUpperCase();
+  const inten = pirepIntensity(t.replace(/\b(CAT|CHOP|RIME|CLR|MXD|BLO|ABV|OCNL|INTMT|CONS)\b/g, "").replace(/\d{3}(-\d{3})?/g, ""));
+  const kind = t.match(/\b(CAT|CHOP|RIME|CLR|MXD)\b/)?.[1] ?? null;
+  const band = t.match(/\b(\d{3})-(\d{3})\b/);
+  const single = !band && t.match(/\b(?:BLO|ABV)?\s*(\d{3})\b/);
+  return {
+    ...(inten ?? { intensity: null, rank: -1, raw: t }),
+    kind,
+    base: band ? +band[1] : single && /ABV/.test(t) ? +single[1] : null,
+    top: band ? +band[2] : single && /BLO/.test(t) ? +single[1] : null,
+  };
+}
+
+const PIREP_LATLON_RE = /\b(\d{2})(\d{2})?([NS])\s?(\d{3})(\d{2})?([EW])\b/;
+function pirepLatLon(m) {
+  return [(+m[1] + (+m[2] || 0) / 60) * (m[3] === "S" ? -1 : 1), (+m[4] + (+m[5] || 0) / 60) * (m[6] === "W" ? -1 : 1)];
+}
+
+/**
+ * PIREP（"UA /OV ... /TM 0530 /FL350 /TP B738 /TB MOD"）/ AIREP（"ARP JAL123 3530N13500E 0530 F350 ... TURB MOD"）
+ * → { kind, urgent, time, fl, acType, turb, ice, lat, lon, location, raw }
+ */
+export function decodePirep(raw, ref = new Date()) {
+  if (raw == null) return null;
+  const text = raw.replace(/\s+/g, " ").trim();
+  const out = { kind: null, urgent: false, time: null, fl: null, acType: null, turb: null, ice: null, lat: null, lon: null, location: null, raw: raw.trim() };
+  const hhmm = (s) => {
+    const d = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate(), +s.slice(0, 2), +s.slice(2, 4)));
+    return d - ref > 3600000 ? new Date(d.getTime() - 86400000) : d; // 未来側は前日扱い
+  };
+
+  if (/(^|\s)UU?A\s*\//.test(text) || text.includes("/OV")) {
+    out.kind = "PIREP";
+    out.urgent = /(^|\s)UUA\b/.test(text);
+    const field = (k) => text.match(new RegExp(`/${k}\\s*([^/]*)`))?.[1]?.trim() || null;
+    out.location = field("OV");
+    const ov = out.location?.match(PIREP_LATLON_RE);
+    if (ov) [out.lat, out.lon] = pirepLatLon(ov);
+    const tm = field("TM");
+    if (tm && /^\d{4}/.test(tm)) out.time = hhmm(tm);
+    const fl = field("FL");
+    if (fl && /^\d{3}/.test(fl)) out.fl = +fl.slice(0, 3);
+    out.acType = field("TP");
+    out.turb = pirepHazardGroup(field("TB"));
+    out.ice = pirepHazardGroup(field("IC"));
+  } else if (/^(ARP|ARS|AIREP)\b/.test(text)) {
+    out.kind = "AIREP";
+    out.urgent = /^ARS\b/.test(text);
+    const pos = text.match(PIREP_LATLON_RE);
+    if (pos) {
+      [out.lat, out.lon] = pirepLatLon(pos);
+      out.location = pos[0];
+    }
+    const tm = text.match(/\b(\d{4})\s+F(\d{3})\b/) || text.match(/\b(\d{4})Z?\b(?=.*\bF\d{3}\b)/);
+    if (tm) out.time = hhmm(tm[1]);
+    const fl = text.match(/\b(?:F|FL)(\d{3})\b/);
+    if (fl) out.fl = +fl[1];
+    const tb = text.match(/\bTURB\s+((?:[A-Z]+-)?[A-Z]+)/);
+    if (tb) out.turb = { ...(pirepIntensity(tb[1]) ?? { intensity: null, rank: -1, raw: tb[1] }), kind: /\bCAT\b/.test(text) ? "CAT" : null, base: null, top: null };
+    const ic = text.match(/\bICE\s+((?:[A-Z]+-)?[A-Z]+)/);
+    if (ic) out.ice = { ...(pirepIntensity(ic[1]) ?? { intensity: null, rank: -1, raw: ic[1] }), kind: null, base: null, top: null };
+  }
+  return out;
+}
+
+/* ========== RAOB — 高層観測（WMO TEMP TTAA/TTBB・Wyoming TEXT:LIST） ========== */
+// 出力は { format, station, name, time, levels: [{ p, t, td, wdir, wspd, z, surface? }] }
+// levels は p 降順で地上が先頭（地中の指定気圧面は除外）。z は海抜 m、wspd は kt
+
+// TTAA 指定気圧面: 識別2桁 → { p, z(hhh) }
+const TEMP_STANDARD_LEVELS = {
+  "00": { p: 1000, z: h => (h >= 500 ? 500 - h : h) },
+  "92": { p: 925, z: h => h },
+  "85": { p: 850, z: h => 1000 + h },
+  "70": { p: 700, z: h => (h < 500 ? 3000 + h : 2000 + h) },
+  "50": { p: 500, z: h => h * 10 },
+  "40": { p: 400, z: h => h * 10 },
+  "30": { p: 300, z: h => (h < 500 ? (h + 1000) * 10 : h * 10) },
+  "25": { p: 250, z: h => (h + 1000) * 10 },
+  "20": { p: 200, z: h => (h + 1000) * 10 },
+  "15": { p: 150, z: h => (h + 1000) * 10 },
+  "10": { p: 100, z: h => (h + 1000) * 10 },
+};
+// Id（風を通報する最後の指定気圧面）
+const TEMP_WIND_TOP = { 1: 100, 2: 200, 3: 300, 4: 400, 5: 500, 7: 700, 8: 850, 9: 925, 0: 1000 };
+
+// TTTDD → { t, td }。気温の 1/10 位が奇数なら負、DD は 00-50 が 0.1℃ 単位、56-99 が 50 を引いた℃
+function tempGroup(g) {
+  if (!g || !/^\d{3}/.test(g)) return { t: null, td: null };
+  const ttt = +g.slice(0, 3);
+  const t = (ttt % 2 ? -1 : 1) * ttt / 10;
+  const dd = /^\d{2}$/.test(g.slice(3, 5)) ? +g.slice(3, 5) : null;
+  const dep = dd == null ? null : dd <= 50 ? dd / 10 : dd >= 56 ? dd - 50 : null;
+  return { t, td: dep == null ? null : Math.round((t - dep) * 10) / 10 };
+}
+
+// dddff → { wdir, wspd(kt) }。ddd の 1 の位（5 の剰余）は風速の百の位
+function windGroup(g, knots) {
+  if (!g || !/^\d{5}$/.test(g)) return { wdir: null, wspd: null };
+  let ddd = +g.slice(0, 3), ff = +g.slice(3, 5);
+  ff += (ddd % 5) * 100;
+  ddd -= ddd % 5;
+  return { wdir: ddd, wspd: knots ? ff : Math.round(ff * MPS_TO_KT) };
+}
+
+// "nnPPP" の PPP（3桁、100 未満は 1000 台）
+const tempPressure = (ppp) => (+ppp < 100 ? 1000 + +ppp : +ppp);
+
+// 層厚（測高公式）で欠けた高度を補完 — 既知高度の層から上下へ順に積み上げ
+function fillHeights(levels) {
+  const k = levels.findIndex(l => l.z != null);
+  if (k < 0) return levels;
+  const thick = (a, b) => {
+    const ts = [a.t, b.t].filter(t => t != null);
+    const tK = (ts.length ? ts.reduce((x, y) => x + y, 0) / ts.length : 0) + 273.15;
+    return 29.27 * tK * Math.log(a.p / b.p);
+  };
+  for (let i = k + 1; i < levels.length; i++) if (levels[i].z == null) levels[i].z = Math.round(levels[i - 1].z + thick(levels[i - 1], levels[i]));
+  for (let i = k - 1; i >= 0; i--) if (levels[i].z == null) levels[i].z = Math.round(levels[i + 1].z - thick(levels[i], levels[i + 1]));
+  return levels;
+}
+
+// 同一気圧の層を統合して p 降順に並べ、地上より下を除外
+function mergeRaobLevels(list) {
+  const byP = new Map();
+  for (const l of list) {
+    const key = Math.round(l.p * 10);
+    const prev = byP.get(key);
+    byP.set(key, prev ? Object.fromEntries(Object.entries({ ...prev, ...l }).map(([k, v]) => [k, v ?? prev[k]])) : l);
+  }
+  const levels = [...byP.values()]
+    .map(l => ({ p: l.p, t: l.t ?? null, td: l.td ?? null, wdir: l.wdir ?? null, wspd: l.wspd ?? null, z: l.z ?? null, ...(l.surface ? { surface: true } : {}) }))
+    .sort((a, b) => b.p - a.p);
+  const sfc = levels.find(l => l.surface);
+  return fillHeights(sfc ? levels.filter(l => l.p <= sfc.p) : levels);
+}
+
+/**
+ * WMO TEMP 電文（TTAA・TTBB、片方のみも可。"=" 区切りで複数部を連結して渡す）
+ * TTAA: 指定気圧面の高度・気温・露点・風、TTBB: 気温の特異点 + 21212 以下の風の特異点
+ */
+export function decodeTemp(raw, ref = new Date()) {
+  if (raw == null) return null;
+  const out = { format: "TEMP", station: null, name: null, time: null, levels: [] };
+  const found = [];
+  for (const part of raw.toUpperCase().split(/(?=\bTT[AB][AB]\b)/)) {
+    const tok = part.replace(/=/g, " ").trim().split(/\s+/);
+    const kind = tok[0];
+    if (kind !== "TTAA" && kind !== "TTBB") continue;
+    const yygg = tok[1] ?? "";
+    if (!/^\d{4}/.test(yygg)) continue;
+    let day = +yygg.slice(0, 2);
+    const knots = day > 50;
+    if (knots) day -= 50;
+    if (!out.time) out.time = resolveDayTime(day, +yygg.slice(2, 4), 0, ref);
+    if (/^\d{5}$/.test(tok[2] ?? "")) out.station = tok[2];
+
+    if (kind === "TTAA") {
+      const top = yygg[4] === "/" ? null : TEMP_WIND_TOP[yygg[4]] ?? null;
+      for (let i = 3; i < tok.length;) {
+        const g = tok[i], id = g.slice(0, 2);
+        if (id === "99" && /^\d{3}$/.test(g.slice(2))) {
+          found.push({ p: tempPressure(g.slice(2)), ...tempGroup(tok[i + 1]), ...(top ? windGroup(tok[i + 2], knots) : {}), surface: true });
+          i += top ? 3 : 2;
+        } else if (TEMP_STANDARD_LEVELS[id]) {
+          const std = TEMP_STANDARD_LEVELS[id], hhh = g.slice(2);
+          const withWind = top != null && std.p >= top;
+          found.push({ p: std.p, z: /^\d{3}$/.test(hhh) ? std.z(+hhh) : null, ...tempGroup(tok[i + 1]), ...(withWind ? windGroup(tok[i + 2], knots) : {}) });
+          i += withWind ? 3 : 2;
+        } else if (id === "88") {
+          if (g !== "88999") found.push({ p: +g.slice(2), ...tempGroup(tok[i + 1]), ...windGroup(tok[i + 2], knots) });
+          i += g === "88999" ? 1 : 3;
+        } else break; // 77/66（最大風）・31313 以降は対象外
+      }
+    } else {
+      let windSection = false;
+      for (let i = 3; i < tok.length; i += 2) {
+        const g = tok[i];
+        if (g === "21212") { windSection = true; i -= 1; continue; } // 区切り群は 1 語
+        if (!/^(\d)\1\d{3}$/.test(g)) break; // 31313/41414 以降は対象外
+        const p = tempPressure(g.slice(2));
+        if (windSection) found.push({ p, ...windGroup(tok[i + 1], knots) });
+        else found.push({ p, ...tempGroup(tok[i + 1]), ...(g.startsWith("00") ? { surface: true } : {}) });
+      }
+    }
+  }
+  out.levels = mergeRaobLevels(found);
+  return out;
+}
+
+const UWYO_MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+/**
+ * Wyoming 大学 TEXT:LIST（HTML ページ全体、または表部分の貼り付け）
+ * 7 文字固定幅: PRES HGHT TEMP DWPT RELH MIXR DRCT SKNT THTA THTE THTV。先頭の気温付きの行を地上とする
+ */
+export function parseWyomingList(text) {
+  if (text == null || !/PRES\s+HGHT\s+TEMP/.test(text)) return null;
+  const plain = text.replace(/<[^>]+>/g, "\n");
+  const out = { format: "UWYO", station: null, name: null, time: null, levels: [] };
+  const head = plain.match(/(\d{5})\s+(?:[A-Z]{4}\s+)?(.+?)\s+Observations at (\d{2})Z (\d{2}) (\w{3}) (\d{4})/i);
+  if (head) {
+    out.station = head[1];
+    out.name = head[2].trim();
+    out.time = new Date(Date.UTC(+head[6], UWYO_MONTHS[head[5].toUpperCase()] ?? 0, +head[4], +head[3]));
+  }
+  const obs = plain.match(/Observation time:\s*(\d{2})(\d{2})(\d{2})\/(\d{2})(\d{2})/);
+  if (!out.time && obs) out.time = new Date(Date.UTC(2000 + +obs[1], +obs[2] - 1, +obs[3], +obs[4], +obs[5]));
+  if (!out.station) out.station = plain.match(/Station number:\s*(\d{5})/)?.[1] ?? null;
+
+  const lines = plain.split("\n");
+  const start = lines.findIndex(l => /PRES\s+HGHT\s+TEMP/.test(l));
+  const found = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*-+\s*$/.test(line) || /hPa/.test(line)) continue;
+    if (!/^\s*\d+(\.\d+)?\s/.test(line) && !/^\s*\d+\.\d+\s*$/.test(line)) {
+      if (found.length) break; // 表の終わり（Station information 以降）
+      continue;
+    }
+    const col = (i) => { const v = line.slice(i * 7, i * 7 + 7).trim(); return v !== "" && Number.isFinite(+v) ? +v : null; };
+    const p = col(0);
+    if (p == null) continue;
+    found.push({ p, z: col(1), t: col(2), td: col(3), wdir: col(6), wspd: col(7) });
+  }
+  const sfc = found.find(l => l.t != null);
+  if (sfc) sfc.surface = true;
+  out.levels = mergeRaobLevels(found);
+  return out;
+}
+
+/** 貼り付けテキストの形式を判別してデコード（TEMP / Wyoming）。判別不能なら null */
+export function decodeRaob(text, ref = new Date()) {
+  if (text == null) return null;
+  if (/PRES\s+HGHT\s+TEMP/.test(text)) return parseWyomingList(text);
+  if (/\bTT(AA|BB)\b/i.test(text)) return decodeTemp(text, ref);
+  return null;
+}
+
+/* ========== NORMALIZED JSON — 外部向け出力形式 ========== */
+// Date は ISO 文字列、ハイライト用 tokens は除外。カテゴリは全ルールセット分を併記
+
+const isoOrNull = (d) => (d ? d.toISOString() : null);
+
+function normalizeConditions(c) {
+  const vis = c.cavok ? 10000 : c.visibility?.m ?? null;
+  return {
+    wind: c.wind, cavok: c.cavok, visibility: c.visibility, rvr: c.rvr,
+    weather: c.weather, nsw: c.nsw, clouds: c.clouds, vv: c.vv, obscured: c.obscured, skyClear: c.skyClear,
+    ceiling: c.ceiling ?? null,
+    category: Object.fromEntries(Object.keys(FLIGHT_CATEGORY_RULESETS).map(k => [k, classifyCategory(vis, c.ceiling, FLIGHT_CATEGORY_RULESETS[k])])),
+  };
+}
+
+/** decodeMetar の結果 → JSON 化可能なオブジェクト */
+export function normalizeMetar(m) {
+  if (!m) return null;
+  return {
+    type: m.type, station: m.station,
+    obsTime: isoOrNull(m.obsTime), obsTimeRaw: m.obsTimeRaw,
+    auto: m.auto, cor: m.cor, nil: m.nil,
+    ...normalizeConditions(m),
+    temp: m.temp, dewpoint: m.dewpoint, qnh: m.qnh,
+    recentWeather: m.recentWeather, windshear: m.windshear,
+    // トレンドの FM/TL/AT は "HHMM" のまま
+    trend: m.trend.map(t => ({ ...normalizeConditions({ ...t, ceiling: ceilingFt(t) }), type: t.type, raw: t.raw, from: t.from, until: t.until, at: t.at })),
+    rmk: m.rmk, raw: m.raw,
+  };
+}
+
+/** decodeRaob の結果 → JSON 化可能なオブジェクト */
+export function normalizeRaob(r) {
+  return { ...r, time: isoOrNull(r.time) };
+}
+
+/** decodeTaf の結果 → JSON 化可能なオブジェクト */
+export function normalizeTaf(t) {
+  if (!t) return null;
+  const group = (g) => ({ type: g.type, prob: g.prob, label: g.label, raw: g.raw, from: isoOrNull(g.from), to: isoOrNull(g.to), ...normalizeConditions(g) });
+  return {
+    station: t.station, issueTime: isoOrNull(t.issueTime), issueTimeRaw: t.issueTimeRaw,
+    amd: t.amd, cor: t.cor, cnl: t.cnl, nil: t.nil,
+    validFrom: isoOrNull(t.validFrom), validTo: isoOrNull(t.validTo),
+    base: t.base ? group(t.base) : null,
+    changes: t.changes.map(group),
+    temps: t.temps.map(x => ({ ...x, time: isoOrNull(x.time) })),
+    raw: t.raw,
+  };
+}
+
+/**
+ * AWC 一括応答を局ごとに正規化。応答に無い局は fetchFallback(station) で個別取得（NOAA）
+ * → [{ station, source: "AWC"|"NOAA", raw, decoded }]（どちらにも無い局は含めない）
+ */
+export async function decodeReportsByStation(kind, ids, awcText, fetchFallback, ref = new Date()) {
+  const found = kind === "metar" ? splitMetarsByStation(awcText) : splitTafsByStation(awcText);
+  const results = await Promise.all(ids.map(async (station) => {
+    let raw = found[station];
+    let source = "AWC";
+    if (!raw) {
+      raw = await fetchFallback(station);
+      source = "NOAA";
+    }
+    if (!raw) return null;
+    const decoded = kind === "metar" ? normalizeMetar(decodeMetar(raw, ref)) : normalizeTaf(decodeTaf(raw, ref));
+    return { station, source, raw, decoded };
+  }));
+  return results.filter(Boolean);
+}
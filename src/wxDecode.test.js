@@ -0,0 +1,403 @@
+/* ============================================================
+   wxDecode.js — 既知解チェック（node --test）
+   電文は ICAO Annex 3 / FAA AIM / WMO FM 35 / Wyoming TEXT:LIST の書式どおりの例
+   ============================================================ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeMetar, decodeTaf, conditionsCategory, tafConditionsAt, tafHourlyTimeline, FLIGHT_CATEGORY_RULESETS,
+  splitMetarsByStation, splitTafsByStation, normalizeMetar, normalizeTaf, decodeReportsByStation,
+  decodeSigmet, decodePirep, decodeTemp, parseWyomingList, decodeRaob, routineObsMinutes, isSpeci,
+} from "./wxDecode.js";
+import { TEMP_TATENO, UWYO_TATENO } from "./fixtures/raob.js";
+
+const REF = new Date("2026-10-19T08:00:00Z");
+
+/* ---------- METAR ---------- */
+
+test("decodeMetar: MPS wind converted to kt, dddVddd variation, NOSIG", () => {
+  const m = decodeMetar("METAR UUEE 190730Z 24008G13MPS 200V280 9999 SCT020 08/03 Q1012 NOSIG", REF);
+  assert.equal(m.station, "UUEE");
+  assert.equal(m.obsTime.toISOString(), "2026-10-19T07:30:00.000Z");
+  assert.deepEqual(
+    [m.wind.dir, m.wind.speed, m.wind.gust, m.wind.unit, m.wind.speedKt, m.wind.gustKt, m.wind.varFrom, m.wind.varTo],
+    [240, 8, 13, "MPS", 16, 25, 200, 280]);
+  assert.equal(m.visibility.m, 10000);
+  assert.deepEqual(m.qnh, { hpa: 1012, inHg: 29.88, unit: "HPA" });
+  assert.deepEqual(m.trend.map(t => t.type), ["NOSIG"]);
+});
+
+test("decodeMetar: RVR with V, U/D/N tendency and P/M, VV/// as obscured sky", () => {
+  const m = decodeMetar("METAR EGLL 190720Z 27005KT 0400 R27L/0550V0800U R09R/P1500N R27R/M0050D FG VV/// 10/10 Q1020", REF);
+  assert.equal(m.visibility.m, 400);
+  assert.deepEqual(m.rvr.map(r => [r.rwy, r.modifier, r.value, r.max, r.trend, r.unit]), [
+    ["27L", null, 550, 800, "U", "M"],
+    ["09R", "P", 1500, null, "N", "M"],
+    ["27R", "M", 50, null, "D", "M"],
+  ]);
+  assert.deepEqual(m.weather.map(w => w.raw), ["FG"]);
+  assert.equal(m.vv, null);
+  assert.equal(m.obscured, true);
+  assert.equal(m.ceiling, 0);
+  assert.equal(conditionsCategory(m, FLIGHT_CATEGORY_RULESETS.FAA), "LIFR");
+});
+
+test("decodeMetar: CAVOK counts as 10 km without ceiling; TEMPO trend with FM/TL", () => {
+  const m = decodeMetar("RJTT 190700Z 34008KT CAVOK 18/10 Q1018 TEMPO FM0800 TL0900 3000 SHRA", REF);
+  assert.equal(m.cavok, true);
+  assert.equal(m.visibility.m, 10000);
+  assert.equal(m.ceiling, null);
+  assert.equal(conditionsCategory(m, FLIGHT_CATEGORY_RULESETS.FAA), "VFR");
+  assert.equal(m.trend.length, 1);
+  const t = m.trend[0];
+  assert.deepEqual([t.type, t.from, t.until, t.visibility.m], ["TEMPO", "0800", "0900", 3000]);
+  assert.deepEqual(t.weather.map(w => w.raw), ["SHRA"]);
+  assert.equal(m.temp, 18);
+  assert.equal(m.dewpoint, 10);
+});
+
+test("decodeMetar: SM fractions and A-group QNH (US format)", () => {
+  const m = decodeMetar("KJFK 190751Z 04012KT 1 1/2SM BR OVC008 12/11 A2992 RMK AO2 SLP132", REF);
+  assert.equal(m.visibility.sm, 1.5);
+  assert.equal(m.visibility.m, 2414);
+  assert.equal(m.ceiling, 800);
+  assert.deepEqual(m.qnh, { hpa: 1013, inHg: 29.92, unit: "INHG" });
+  assert.equal(m.rmk, "AO2 SLP132");
+  assert.equal(conditionsCategory(m, FLIGHT_CATEGORY_RULESETS.FAA), "IFR");
+
+  assert.equal(decodeMetar("KORD 190751Z 36010KT 1/4SM FG VV002 M01/M01 A3001", REF).visibility.m, 402);
+  assert.equal(decodeMetar("KDEN 190753Z 00000KT 10SM CLR M05/M12 A3020", REF).visibility.m, 16093);
+});
+
+/* ---------- TAF ---------- */
+
+// 19/12Z〜20/18Z（日付またぎ）: TEMPO 22〜03Z、PROB30 TEMPO 00〜04Z、BECMG 05〜07Z、FM 09Z
+const TAF_RJTT = `TAF RJTT 191100Z 1912/2018 34010KT 9999 FEW030
+  TEMPO 1922/2003 SHRA BKN012
+  PROB30 TEMPO 2000/2004 2000 TSRA BKN008CB
+  BECMG 2005/2007 18015KT 4000 BR OVC020
+  FM200900 20020G35KT 9999 SCT025=`;
+const utc = (d, h) => new Date(Date.UTC(2026, 9, d, h));
+
+test("decodeTaf: validity and change-group windows across the day boundary", () => {
+  const t = decodeTaf(TAF_RJTT, REF);
+  assert.equal(t.station, "RJTT");
+  assert.equal(t.issueTime.toISOString(), "2026-10-19T11:00:00.000Z");
+  assert.equal(t.validFrom.toISOString(), "2026-10-19T12:00:00.000Z");
+  assert.equal(t.validTo.toISOString(), "2026-10-20T18:00:00.000Z");
+  assert.deepEqual(t.changes.map(c => [c.type, c.prob, c.from.toISOString(), c.to.toISOString()]), [
+    ["TEMPO", null, "2026-10-19T22:00:00.000Z", "2026-10-20T03:00:00.000Z"],
+    ["TEMPO", 30, "2026-10-20T00:00:00.000Z", "2026-10-20T04:00:00.000Z"],
+    ["BECMG", null, "2026-10-20T05:00:00.000Z", "2026-10-20T07:00:00.000Z"],
+    ["FM", null, "2026-10-20T09:00:00.000Z", "2026-10-20T18:00:00.000Z"],
+  ]);
+  assert.equal(t.changes[1].label, "PROB30 TEMPO 2000/2004");
+  assert.equal(t.changes[1].ceiling, 800);
+});
+
+test("decodeTaf: AMD header", () => {
+  const t = decodeTaf("TAF AMD RJAA 190830Z 1909/2012 36012KT 9999 FEW020", REF);
+  assert.equal(t.amd, true);
+  assert.equal(t.station, "RJAA");
+});
+
+test("tafConditionsAt: TEMPO / PROB30 TEMPO / BECMG / FM by hour", () => {
+  const t = decodeTaf(TAF_RJTT, REF);
+  const at = (d, h) => tafConditionsAt(t, utc(d, h), FLIGHT_CATEGORY_RULESETS.FAA);
+
+  const base = at(19, 12);
+  assert.deepEqual([base.category, base.worstCategory, base.temporary.length, base.becoming], ["VFR", "VFR", 0, null]);
+  assert.equal(base.prevailingLabel, "BASE 1912/2018");
+
+  const tempo = at(19, 23);
+  assert.deepEqual([tempo.category, tempo.worstCategory, tempo.temporary.length], ["VFR", "MVFR", 1]);
+  assert.equal(tempo.temporary[0].cond.ceiling, 1200);
+
+  const both = at(20, 1);
+  assert.deepEqual(both.temporary.map(x => x.label), ["TEMPO 1922/2003", "PROB30 TEMPO 2000/2004"]);
+  assert.equal(both.worstCategory, "IFR");
+  // TEMPO の終了時刻ちょうどは含まない
+  assert.deepEqual(at(20, 3).temporary.map(x => x.label), ["PROB30 TEMPO 2000/2004"]);
+
+  const becoming = at(20, 6);
+  assert.deepEqual([becoming.category, becoming.worstCategory, becoming.becomingLabel], ["VFR", "IFR", "BECMG 2005/2007"]);
+
+  const became = at(20, 7);
+  assert.deepEqual([became.category, became.becoming, became.prevailingLabel], ["IFR", null, "BECMG 2005/2007"]);
+  assert.equal(became.prevailing.wind.dir, 180);
+  assert.deepEqual(became.prevailing.weather.map(w => w.raw), ["BR"]);
+
+  // FM は全要素を置き換える（BECMG の BR・OVC020 は残らない）
+  const fm = at(20, 9);
+  assert.deepEqual([fm.category, fm.prevailingLabel], ["VFR", "FM200900"]);
+  assert.deepEqual([fm.prevailing.wind.dir, fm.prevailing.wind.gustKt], [200, 35]);
+  assert.deepEqual(fm.prevailing.weather, []);
+  assert.equal(fm.prevailing.ceiling, null);
+
+  assert.equal(tafConditionsAt(t, t.validTo), null);
+  assert.equal(tafConditionsAt(t, utc(19, 11)), null);
+});
+
+test("tafHourlyTimeline: one entry per hour with worst category", () => {
+  const hours = tafHourlyTimeline(decodeTaf(TAF_RJTT, REF), FLIGHT_CATEGORY_RULESETS.FAA);
+  assert.equal(hours.length, 30);
+  assert.equal(hours[0].time.toISOString(), "2026-10-19T12:00:00.000Z");
+  assert.equal(hours.at(-1).time.toISOString(), "2026-10-20T17:00:00.000Z");
+  const worst = (d, h) => hours.find(x => +x.time === +utc(d, h)).worstCategory;
+  assert.deepEqual([worst(19, 21), worst(19, 22), worst(20, 0), worst(20, 4), worst(20, 8), worst(20, 9)],
+    ["VFR", "MVFR", "IFR", "VFR", "IFR", "VFR"]);
+});
+
+/* ---------- 一括応答の分割・正規化（/v2/metar, /v2/taf） ---------- */
+
+test("splitMetarsByStation: keeps the newest report per station regardless of order", () => {
+  const text = [
+    "METAR RJTT 190630Z 34008KT 9999 FEW030 18/10 Q1018 NOSIG",
+    "METAR RJAA 190700Z 01010KT 9999 SCT025 16/09 Q1019 NOSIG",
+    "SPECI RJTT 190712Z 34018G30KT 3000 +TSRA BKN015CB 16/14 Q1016",
+    "METAR RJTT 190700Z 34010KT 9999 FEW030 17/12 Q1017 NOSIG",
+    "",
+  ].join("\n");
+  assert.deepEqual(splitMetarsByStation(text), {
+    RJTT: "SPECI RJTT 190712Z 34018G30KT 3000 +TSRA BKN015CB 16/14 Q1016",
+    RJAA: "METAR RJAA 190700Z 01010KT 9999 SCT025 16/09 Q1019 NOSIG",
+  });
+});
+
+test("splitTafsByStation: TAF AMD header, indented continuation lines, older duplicate dropped", () => {
+  const text = [
+    "TAF AMD RJTT 190830Z 1909/2012 34010KT 9999 FEW030",
+    "      TEMPO 1912/1915 SHRA BKN015",
+    "      BECMG 2003/2005 18012KT",
+    "TAF RJAA 190500Z 1906/2012 01010KT 9999 FEW020",
+    "TAF RJTT 190500Z 1906/2012 34008KT 9999 FEW030",
+    "      TEMPO 1906/1909 4000 BR",
+  ].join("\n");
+  const out = splitTafsByStation(text);
+  assert.deepEqual(Object.keys(out), ["RJTT", "RJAA"]);
+  assert.equal(out.RJTT, "TAF AMD RJTT 190830Z 1909/2012 34010KT 9999 FEW030\n      TEMPO 1912/1915 SHRA BKN015\n      BECMG 2003/2005 18012KT");
+  const t = decodeTaf(out.RJTT, REF);
+  assert.equal(t.amd, true);
+  assert.deepEqual(t.changes.map(c => c.label), ["TEMPO 1912/1915", "BECMG 2003/2005"]);
+});
+
+test("normalizeMetar: ISO times, no tokens, category for every ruleset", () => {
+  const n = normalizeMetar(decodeMetar("METAR RJTT 190700Z 34010KT 2000 BR BKN004 17/16 Q1017 BECMG TL0800 5000", REF));
+  assert.equal(n.obsTime, "2026-10-19T07:00:00.000Z");
+  assert.equal(n.tokens, undefined);
+  assert.equal(n.ceiling, 400);
+  assert.deepEqual(Object.keys(n.category), Object.keys(FLIGHT_CATEGORY_RULESETS));
+  assert.equal(n.category.FAA, "LIFR");
+  assert.deepEqual([n.trend[0].type, n.trend[0].until, n.trend[0].visibility.m], ["BECMG", "0800", 5000]);
+  assert.doesNotThrow(() => JSON.stringify(n));
+});
+
+test("normalizeTaf: ISO times for validity, groups and TX/TN", () => {
+  const n = normalizeTaf(decodeTaf("TAF RJTT 191100Z 1912/2018 34010KT 9999 FEW030 TX22/2005Z TN14/1921Z TEMPO 1922/2003 SHRA BKN012", REF));
+  assert.deepEqual([n.issueTime, n.validFrom, n.validTo], ["2026-10-19T11:00:00.000Z", "2026-10-19T12:00:00.000Z", "2026-10-20T18:00:00.000Z"]);
+  assert.equal(n.base.from, "2026-10-19T12:00:00.000Z");
+  assert.deepEqual([n.changes[0].from, n.changes[0].to, n.changes[0].category.FAA], ["2026-10-19T22:00:00.000Z", "2026-10-20T03:00:00.000Z", "MVFR"]);
+  assert.deepEqual(n.temps, [
+    { kind: "TX", value: 22, time: "2026-10-20T05:00:00.000Z" },
+    { kind: "TN", value: 14, time: "2026-10-19T21:00:00.000Z" },
+  ]);
+});
+
+test("decodeReportsByStation: stations missing from the AWC batch fall back per station (source NOAA)", async () => {
+  const awc = "METAR RJTT 190700Z 34010KT 9999 FEW030 17/12 Q1017 NOSIG\nMETAR RJTT 190630Z 34008KT 9999 FEW030 18/10 Q1018 NOSIG";
+  const asked = [];
+  const fallback = async (station) => {
+    asked.push(station);
+    return station === "RJAA" ? "RJAA 190700Z 01010KT 9999 SCT025 16/09 Q1019 NOSIG" : null;
+  };
+  const reports = await decodeReportsByStation("metar", ["RJTT", "RJAA", "RJCC"], awc, fallback, REF);
+  assert.deepEqual(asked, ["RJAA", "RJCC"]);
+  assert.deepEqual(reports.map(r => [r.station, r.source, r.decoded.obsTime]), [
+    ["RJTT", "AWC", "2026-10-19T07:00:00.000Z"],
+    ["RJAA", "NOAA", "2026-10-19T07:00:00.000Z"],
+  ]);
+});
+
+test("decodeReportsByStation: TAF with an empty AWC response uses NOAA for every station", async () => {
+  const reports = await decodeReportsByStation("taf", ["RJTT"], "",
+    async () => "TAF RJTT 191100Z 1912/2018 34010KT 9999 FEW030", REF);
+  assert.equal(reports[0].source, "NOAA");
+  assert.equal(reports[0].decoded.validTo, "2026-10-20T18:00:00.000Z");
+});
+
+/* ---------- SIGMET ---------- */
+
+test("decodeSigmet: EMBD TS with polygon, TOP FL and movement", () => {
+  const s = decodeSigmet("RJJJ SIGMET C05 VALID 190300/190700 RJTD- RJJJ FUKUOKA FIR EMBD TS OBS AT 0245Z WI N3130 E12930 - N3300 E13200 - N3130 E13330 - N3000 E13100 - N3130 E12930 TOP FL450 MOV ENE 20KT NC=", REF);
+  assert.equal(s.fir, "RJJJ");
+  assert.equal(s.firName, "FUKUOKA");
+  assert.equal(s.series, "C05");
+  assert.equal(s.validFrom.toISOString(), "2026-10-19T03:00:00.000Z");
+  assert.equal(s.validTo.toISOString(), "2026-10-19T07:00:00.000Z");
+  assert.equal(s.hazard, "TS");
+  assert.equal(s.qualifier, "EMBD");
+  assert.equal(s.obs, "OBS 0245Z");
+  assert.equal(s.base, null);
+  assert.equal(s.top, 450);
+  assert.deepEqual(s.movement, { dir: "ENE", spdKt: 20, stationary: false });
+  assert.equal(s.change, "NC");
+  assert.deepEqual(s.area, { type: "polygon", points: [[31.5, 129.5], [33, 132], [31.5, 133.5], [30, 131], [31.5, 129.5]] });
+});
+
+test("decodeSigmet: SEV TURB with FL band and STNR", () => {
+  const s = decodeSigmet("RJJJ SIGMET T02 VALID 190600/191000 RJTD- RJJJ FUKUOKA FIR SEV TURB FCST WI N3400 E13500 - N3600 E13800 - N3500 E14000 - N3300 E13700 - N3400 E13500 FL250/370 STNR NC=", REF);
+  assert.equal(s.hazard, "TURB");
+  assert.equal(s.qualifier, "SEV");
+  assert.equal(s.obs, "FCST");
+  assert.equal(s.base, 250);
+  assert.equal(s.top, 370);
+  assert.deepEqual(s.movement, { dir: null, spdKt: 0, stationary: true });
+});
+
+test("decodeSigmet: VA with volcano name and SFC base", () => {
+  const s = decodeSigmet("RJJJ SIGMET V03 VALID 190000/190600 RJTD- RJJJ FUKUOKA FIR VA ERUPTION MT SAKURAJIMA PSN N3135 E13040 VA CLD OBS AT 2350Z WI N3135 E13040 - N3140 E13100 - N3120 E13110 - N3135 E13040 SFC/FL100 MOV E 15KT NC=", REF);
+  assert.equal(s.hazard, "VA");
+  assert.equal(s.name, "SAKURAJIMA");
+  assert.equal(s.base, 0);
+  assert.equal(s.top, 100);
+  assert.deepEqual(s.area.points[0], [31.583, 130.667]);
+});
+
+test("decodeSigmet: TC radius around the centre", () => {
+  const s = decodeSigmet("RJJJ SIGMET W04 VALID 190600/191200 RJTD- RJJJ FUKUOKA FIR TC HAGIBIS PSN N2830 E13500 CB OBS AT 0600Z WI 180NM OF TC CENTRE TOP FL500 NC FCST AT 1200Z TC CENTRE PSN N2930 E13430=", REF);
+  assert.equal(s.hazard, "TC");
+  assert.equal(s.name, "HAGIBIS");
+  assert.equal(s.top, 500);
+  assert.deepEqual(s.area, { type: "circle", center: [28.5, 135], radiusNm: 180 });
+});
+
+test("decodeSigmet: cancellation", () => {
+  const s = decodeSigmet("RJJJ SIGMET C06 VALID 190500/190700 RJTD- RJJJ FUKUOKA FIR CNL SIGMET C05 190300/190700=", REF);
+  assert.equal(s.series, "C06");
+  assert.equal(s.cancels, "C05");
+  assert.equal(s.hazard, null);
+  assert.equal(s.area, null);
+});
+
+/* ---------- PIREP / AIREP ---------- */
+
+test("decodePirep: routine PIREP with turbulence and icing band", () => {
+  const p = decodePirep("UA /OV OKC063015/TM 1522/FL080/TP C172/SK 090 OVC/TA M04/TB LGT/IC LGT RIME 060-080", REF);
+  assert.equal(p.kind, "PIREP");
+  assert.equal(p.urgent, false);
+  assert.equal(p.time.toISOString(), "2026-10-18T15:22:00.000Z"); // 参照時刻より未来 → 前日
+  assert.equal(p.fl, 80);
+  assert.equal(p.acType, "C172");
+  assert.equal(p.location, "OKC063015");
+  assert.equal(p.turb.intensity, "LGT");
+  assert.equal(p.ice.intensity, "LGT");
+  assert.equal(p.ice.kind, "RIME");
+  assert.equal(p.ice.base, 60);
+  assert.equal(p.ice.top, 80);
+});
+
+test("decodePirep: urgent PIREP with lat/lon and CAT band", () => {
+  const p = decodePirep("UUA /OV 3530N13600E/TM 0530/FL350/TP B738/TB SEV CAT 330-370", REF);
+  assert.equal(p.urgent, true);
+  assert.equal(p.lat, 35.5);
+  assert.equal(p.lon, 136);
+  assert.equal(p.turb.intensity, "SEV");
+  assert.equal(p.turb.kind, "CAT");
+  assert.equal(p.turb.base, 330);
+  assert.equal(p.turb.top, 370);
+});
+
+test("decodePirep: missing FL stays null", () => {
+  const p = decodePirep("UA /OV RJTT/TM 0300/TP B763/TB MOD", REF);
+  assert.equal(p.fl, null);
+  assert.equal(p.turb.intensity, "MOD");
+});
+
+test("decodePirep: AIREP and special AIREP", () => {
+  const a = decodePirep("ARP JAL123 3530N13500E 0530 F350 MS52 270/080KT TURB MOD", REF);
+  assert.equal(a.kind, "AIREP");
+  assert.equal(a.time.toISOString(), "2026-10-19T05:30:00.000Z");
+  assert.equal(a.fl, 350);
+  assert.deepEqual([a.lat, a.lon], [35.5, 135]);
+  assert.equal(a.turb.intensity, "MOD");
+
+  const s = decodePirep("ARS ANA45 3400N13900E 0612 F310 TURB SEV CAT", REF);
+  assert.equal(s.urgent, true);
+  assert.equal(s.fl, 310);
+  assert.equal(s.turb.intensity, "SEV");
+  assert.equal(s.turb.kind, "CAT");
+});
+
+/* ---------- RAOB ---------- */
+
+test("decodeTemp: TTAA standard levels, TTBB significant levels and winds", () => {
+  const r = decodeTemp(TEMP_TATENO, REF);
+  assert.equal(r.station, "47646");
+  assert.equal(r.time.toISOString(), "2026-10-19T00:00:00.000Z");
+  const at = (p) => r.levels.find(l => l.p === p);
+  const { z: zSfc, ...sfc } = r.levels[0];
+  assert.deepEqual(sfc, { p: 1008, t: 28, td: 22, wdir: 180, wspd: 5, surface: true });
+  assert.ok(Math.abs(zSfc - 6) < 10); // 地上高度は TEMP に無く、1000hPa から層厚で補完
+  assert.deepEqual(at(925), { p: 925, t: 22, td: 18, wdir: 200, wspd: 15, z: 760 });
+  assert.deepEqual(at(700), { p: 700, t: 6, td: -2, wdir: 240, wspd: 25, z: 3130 });
+  // 1/10 位が奇数 → 負
+  assert.deepEqual(at(500), { p: 500, t: -10.1, td: -25.1, wdir: 250, wspd: 35, z: 5840 });
+  assert.equal(at(300).z, 9650);
+  assert.equal(at(100).z, 16600);
+  assert.equal(at(100).td, -81.1); // DD 56-99 は 50 を引いた ℃
+  // TTBB 21212 の風の特異点、高度は層厚から補完
+  assert.equal(at(975).wdir, 190);
+  assert.equal(at(975).wspd, 10);
+  assert.ok(Math.abs(at(975).z - 300) < 10);
+});
+
+test("parseWyomingList: header, fixed-width columns and wind-only rows", () => {
+  const r = parseWyomingList(UWYO_TATENO);
+  assert.equal(r.station, "47646");
+  assert.equal(r.name, "Tateno");
+  assert.equal(r.time.toISOString(), "2026-10-19T00:00:00.000Z");
+  assert.equal(r.levels.length, 13);
+  assert.deepEqual(r.levels[0], { p: 1008, t: 28, td: 22, wdir: 180, wspd: 5, z: 6, surface: true });
+  assert.deepEqual(r.levels[2], { p: 975, t: null, td: null, wdir: 190, wspd: 10, z: 300 });
+  assert.deepEqual(r.levels.at(-1), { p: 100, t: -72, td: -81, wdir: 275, wspd: 30, z: 16600 });
+});
+
+test("decodeRaob: detects the format, rejects other text", () => {
+  assert.equal(decodeRaob(UWYO_TATENO).format, "UWYO");
+  assert.equal(decodeRaob(TEMP_TATENO, REF).format, "TEMP");
+  assert.equal(decodeRaob("METAR RJTT 190000Z 18005KT 9999 FEW030 28/22 Q1008"), null);
+  assert.equal(parseWyomingList("<html>Can't get 47646 TATENO Observations</html>"), null);
+});
+
+/* ---------- SPECI（種別なし通報の定時外判定） ---------- */
+
+// RJTT 18/30Z〜19/07Z の定時通報（VATSIM 形式 = METAR/SPECI なし）
+const rjttHistory = Array.from({ length: 28 }, (_, k) => {
+  const t = new Date(Date.UTC(2026, 9, 18, 19, 30) + k * 30 * 60000);
+  const ddhhmm = [t.getUTCDate(), t.getUTCHours(), t.getUTCMinutes()].map(n => String(n).padStart(2, "0")).join("");
+  return decodeMetar(`RJTT ${ddhhmm}Z 34008KT 9999 FEW030 18/12 Q1018 NOSIG`, REF);
+});
+
+test("routineObsMinutes: :00/:30 from a half-hourly history, default when too short", () => {
+  assert.deepEqual(routineObsMinutes(rjttHistory), [0, 30]);
+  assert.deepEqual(routineObsMinutes(rjttHistory.slice(0, 3)), [0, 30]);
+});
+
+test("routineObsMinutes: hourly :53 cadence (US station)", () => {
+  const kjfk = Array.from({ length: 12 }, (_, k) =>
+    decodeMetar(`KJFK 19${String(k).padStart(2, "0")}53Z 31012KT 10SM FEW250 14/02 A3012`, REF));
+  assert.deepEqual(routineObsMinutes(kjfk), [53]);
+});
+
+test("isSpeci: unprefixed off-schedule report is SPECI, on-schedule is not", () => {
+  const speci = decodeMetar("RJTT 190712Z 34018G30KT 3000 +TSRA BKN015CB 16/14 Q1016", REF);
+  const routine = decodeMetar("RJTT 190730Z 34010KT 9999 FEW030 17/12 Q1017", REF);
+  assert.equal(speci.type, "METAR");
+  assert.equal(isSpeci(speci, rjttHistory), true);
+  assert.equal(isSpeci(routine, rjttHistory), false);
+});
+
+test("isSpeci: explicit type prefix wins over the observation minute", () => {
+  assert.equal(isSpeci(decodeMetar("SPECI RJTT 190730Z 34018G30KT 3000 +TSRA BKN015CB 16/14 Q1016", REF), rjttHistory), true);
+  assert.equal(isSpeci(decodeMetar("METAR RJTT 190712Z 34010KT 9999 FEW030 17/12 Q1017", REF), rjttHistory), false);
+});
@@ -0,0 +1,213 @@
+/* ============================================================
+   WX THERMO — 熱力学・安定度計算（共有モジュール）
+   Skew-T・実況ゾンデ比較・航路断面で共用。気圧 hPa、気温 °C、高度 m
+   React・ブラウザ API・設定に依存しないこと
+   ============================================================ */
+
+export const RD = 287.04, CP_D = 1005.7, LV = 2.501e6, EPS_RATIO = 0.622;
+export const KAPPA = RD / CP_D;
+const FT_TO_M = 0.3048;
+
+/** 飽和水蒸気圧 hPa（Bolton） */
+export function satVapor(tC) { return 6.112 * Math.exp(17.67 * tC / (tC + 243.5)); }
+/** 水蒸気圧 → 露点 °C */
+export function dewpointFromVapor(e) { const l = Math.log(e / 6.112); return 243.5 * l / (17.67 - l); }
+/** 飽和混合比 kg/kg */
+export function satMixingRatio(p, tC) { const e = satVapor(tC); return EPS_RATIO * e / (p - e); }
+/** ISA 気圧高度 ft */
+export function pressureAltitudeFt(p) { return 145366.45 * (1 - (p / 1013.25) ** 0.190284); }
+
+// 湿潤断熱減率 dT/dp（K/hPa）
+function moistLapse(p, tK) {
+  const rs = satMixingRatio(p, tK - 273.15);
+  return (RD * tK + LV * rs) / (p * (CP_D + LV * LV * rs * EPS_RATIO / (RD * tK * tK)));
+}
+
+/** 湿潤断熱線 — (p0, t0°C) から pEnd まで RK2 で積分 → [{ p, t }] */
+export function moistAdiabat(p0, t0, pEnd, step = 5) {
+  const out = [{ p: p0, t: t0 }];
+  let p = p0, tK = t0 + 273.15;
+  while (p - step >= pEnd) {
+    const k1 = moistLapse(p, tK);
+    const k2 = moistLapse(p - step / 2, tK - k1 * step / 2);
+    tK -= k2 * step;
+    p -= step;
+    out.push({ p, t: tK - 273.15 });
+  }
+  return out;
+}
+
+/** 持ち上げ凝結高度（Bolton 1980） → { p, t } */
+export function liftedCondensationLevel(p0, t0, td0) {
+  const tK = t0 + 273.15, tdK = td0 + 273.15;
+  const tL = 1 / (1 / (tdK - 56) + Math.log(tK / tdK) / 800) + 56;
+  return { p: p0 * (tL / tK) ** (1 / KAPPA), t: tL - 273.15 };
+}
+
+/** 気塊の軌跡 — 乾燥断熱で LCL まで、以後湿潤断熱 → { lcl, path: [{ p, t }] } */
+export function parcelTrace(p0, t0, td0, pTop = 100) {
+  const lcl = liftedCondensationLevel(p0, t0, td0);
+  const path = [];
+  for (let p = p0; p > lcl.p; p -= 10) path.push({ p, t: (t0 + 273.15) * (p / p0) ** KAPPA - 273.15 });
+  return { lcl, path: [...path, ...moistAdiabat(lcl.p, lcl.t, pTop)] };
+}
+
+/** 環境場の ln p 線形補間（levels は p 降順、key が欠けた層は飛ばす） */
+export function interpAtPressure(levels, p, key) {
+  const pts = levels.filter(l => l[key] != null);
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i], b = pts[i + 1];
+    if (p <= a.p && p >= b.p) {
+      const f = Math.log(a.p / p) / Math.log(a.p / b.p);
+      return a[key] + (b[key] - a[key]) * f;
+    }
+  }
+  return null;
+}
+
+/**
+ * LFC / EL — LCL より上で気塊が環境より暖かくなる点・再び冷たくなる点
+ * → { lfc: p | null, el: p | null }
+ */
+export function freeConvectionLevels(levels, parcel) {
+  let lfc = null, el = null, prev = null;
+  for (const pt of parcel.path) {
+    if (pt.p > parcel.lcl.p + 0.01) continue;
+    const te = interpAtPressure(levels, pt.p, "t");
+    if (te == null) continue;
+    const diff = pt.t - te;
+    if (prev && lfc == null && prev.diff <= 0 && diff > 0) lfc = prev.p + (pt.p - prev.p) * (-prev.diff) / (diff - prev.diff);
+    else if (!prev && diff > 0) lfc = pt.p;
+    if (prev && lfc != null && prev.diff > 0 && diff <= 0) el = prev.p + (pt.p - prev.p) * prev.diff / (prev.diff - diff);
+    prev = { p: pt.p, diff };
+  }
+  return { lfc, el: lfc != null ? el : null };
+}
+
+/**
+ * 0°C 高度（逆転層で複数あり得る） → [{ p, ft, fl }]、地上で氷点下なら p = 地上
+ * ft は海抜高度（ジオポテンシャル高度が無ければ ISA 気圧高度）、fl は ISA 気圧高度 /100
+ */
+export function freezingLevels(levels) {
+  const out = [];
+  const entry = (p, z) => ({ p, ft: z != null ? z / FT_TO_M : pressureAltitudeFt(p), fl: Math.round(pressureAltitudeFt(p) / 100) });
+  if (levels[0]?.t <= 0) out.push(entry(levels[0].p, levels[0].z));
+  for (let i = 0; i < levels.length - 1; i++) {
+    const a = levels[i], b = levels[i + 1];
+    if (a.t == null || b.t == null || !(a.t > 0 && b.t <= 0)) continue;
+    const f = a.t / (a.t - b.t);
+    const p = Math.exp(Math.log(a.p) + (Math.log(b.p) - Math.log(a.p)) * f);
+    out.push(entry(p, a.z != null && b.z != null ? a.z + (b.z - a.z) * f : null));
+  }
+  return out;
+}
+
+/** 実況/予報プロファイルから解析値一式 → { parcel, lfc, el, freezing } */
+export function analyzeSounding(levels) {
+  const sfc = levels[0];
+  const parcel = sfc?.td != null ? parcelTrace(sfc.p, sfc.t, sfc.td) : null;
+  const { lfc, el } = parcel ? freeConvectionLevels(levels, parcel) : { lfc: null, el: null };
+  return { parcel, lfc, el, freezing: freezingLevels(levels) };
+}
+
+/** 仮温度 K（r: 混合比 kg/kg） */
+export function virtualTemp(tC, r) { return (tC + 273.15) * (1 + r / EPS_RATIO) / (1 + r); }
+
+/** 相当温位 K（Bolton 1980） */
+export function thetaE(p, tC, tdC) {
+  const r = satMixingRatio(p, tdC), g = r * 1000;
+  const tL = liftedCondensationLevel(p, tC, tdC).t + 273.15;
+  return (tC + 273.15) * (1000 / p) ** (0.2854 * (1 - 0.28 * r)) * Math.exp((3.376 / tL - 0.00254) * g * (1 + 0.81e-3 * g));
+}
+
+/**
+ * 気塊の CAPE / CIN（仮温度補正、J/kg）
+ * CAPE = LFC〜EL の浮力積分、CIN = 出発高度〜LFC の負の浮力。LFC が無ければ { cape: 0, cin: null }
+ */
+export function parcelEnergy(levels, parcel) {
+  const r0 = satMixingRatio(parcel.lcl.p, parcel.lcl.t); // LCL までは混合比保存
+  const pts = [];
+  for (const pt of parcel.path) {
+    const te = interpAtPressure(levels, pt.p, "t"), tde = interpAtPressure(levels, pt.p, "td");
+    if (te == null) continue;
+    const rp = pt.p > parcel.lcl.p ? r0 : satMixingRatio(pt.p, pt.t);
+    const re = tde != null ? satMixingRatio(pt.p, tde) : 0;
+    pts.push({ p: pt.p, b: virtualTemp(pt.t, rp) - virtualTemp(te, re), moist: pt.p <= parcel.lcl.p });
+  }
+  const lfcIdx = pts.findIndex(q => q.moist && q.b > 0);
+  if (lfcIdx < 0) return { cape: 0, cin: null };
+  let elIdx = lfcIdx;
+  for (let i = lfcIdx; i < pts.length; i++) if (pts[i].b > 0) elIdx = i;
+  let cape = 0, cin = 0;
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i], b = pts[i + 1];
+    const area = RD * (a.b + b.b) / 2 * Math.log(a.p / b.p);
+    if (i < lfcIdx) cin += Math.min(0, area);
+    else if (i < elIdx) cape += area;
+  }
+  return { cape: Math.max(0, cape), cin };
+}
+
+/** 風向風速 → u, v（kt） */
+export function windComponents(dir, spd) {
+  const a = dir * Math.PI / 180;
+  return { u: -spd * Math.sin(a), v: -spd * Math.cos(a) };
+}
+
+/**
+ * 安定度指数一式（levels は p 降順、先頭が地上）
+ * → { sbCape, sbCin, muCape, muCin, muP, li, ssi, ki, tt, pw(mm), shear06(kt) }、算出不能な項目は null
+ */
+export function stabilityIndices(levels) {
+  const sfc = levels[0];
+  const at = (p, key) => interpAtPressure(levels, p, key);
+  const out = { sbCape: null, sbCin: null, muCape: null, muCin: null, muP: null, li: null, ssi: null, ki: null, tt: null, pw: null, shear06: null };
+
+  if (sfc?.td != null) {
+    const parcel = parcelTrace(sfc.p, sfc.t, sfc.td);
+    const e = parcelEnergy(levels, parcel);
+    out.sbCape = e.cape; out.sbCin = e.cin;
+    const t500 = at(500, "t"), tp500 = interpAtPressure(parcel.path, 500, "t");
+    if (t500 != null && tp500 != null) out.li = t500 - tp500;
+  }
+
+  // 最不安定気塊: 地上〜300hPa 上の相当温位最大の層
+  const mu = levels
+    .filter(l => l.td != null && l.p >= sfc.p - 300)
+    .reduce((best, l) => { const th = thetaE(l.p, l.t, l.td); return !best || th > best.th ? { l, th } : best; }, null);
+  if (mu) {
+    const e = parcelEnergy(levels, parcelTrace(mu.l.p, mu.l.t, mu.l.td));
+    out.muCape = e.cape; out.muCin = e.cin; out.muP = mu.l.p;
+  }
+
+  const t850 = at(850, "t"), td850 = at(850, "td"), t700 = at(700, "t"), td700 = at(700, "td"), t500 = at(500, "t");
+  if (t850 != null && td850 != null && t500 != null) {
+    const tp500 = interpAtPressure(parcelTrace(850, t850, td850).path, 500, "t");
+    if (tp500 != null) out.ssi = t500 - tp500;
+    out.tt = t850 + td850 - 2 * t500;
+    if (t700 != null && td700 != null) out.ki = (t850 - t500) + td850 - (t700 - td700);
+  }
+
+  // 可降水量: ∫ r dp / g
+  let pw = 0, pwOk = false;
+  for (let i = 0; i < levels.length - 1; i++) {
+    const a = levels[i], b = levels[i + 1];
+    if (a.td == null || b.td == null) continue;
+    pw += (satMixingRatio(a.p, a.td) + satMixingRatio(b.p, b.td)) / 2 * (a.p - b.p) * 100 / 9.80665;
+    pwOk = true;
+  }
+  if (pwOk) out.pw = pw;
+
+  // 0–6km AGL 鉛直シア（地上風と 6km 風のベクトル差）
+  const winds = levels.filter(l => l.z != null && l.wdir != null && l.wspd != null);
+  if (winds[0]?.surface) {
+    const z6 = winds[0].z + 6000;
+    const i = winds.findIndex(l => l.z >= z6);
+    if (i > 0) {
+      const a = winds[i - 1], b = winds[i], f = (z6 - a.z) / (b.z - a.z);
+      const ua = windComponents(a.wdir, a.wspd), ub = windComponents(b.wdir, b.wspd), u0 = windComponents(winds[0].wdir, winds[0].wspd);
+      out.shear06 = Math.hypot(ua.u + (ub.u - ua.u) * f - u0.u, ua.v + (ub.v - ua.v) * f - u0.v);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,97 @@
+/* ============================================================
+   wxThermo.js — 既知解チェック（node --test）
+   基準値は教科書値・解析解、またはフィクスチャに対する独立計算
+   （相当温位保存の二分探索 + 1hPa 刻みの仮温度積分）による
+   ============================================================ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  KAPPA, EPS_RATIO, satVapor, dewpointFromVapor, satMixingRatio, pressureAltitudeFt, moistAdiabat,
+  liftedCondensationLevel, thetaE, analyzeSounding, parcelEnergy, parcelTrace, stabilityIndices,
+} from "./wxThermo.js";
+import { decodeTemp, parseWyomingList } from "./wxDecode.js";
+import { TEMP_TATENO, UWYO_TATENO } from "./fixtures/raob.js";
+
+const near = (actual, expected, tol, what) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} (expected ${expected} ± ${tol})`);
+
+test("satVapor / dewpointFromVapor: Bolton values and round trip", () => {
+  near(satVapor(0), 6.112, 1e-9, "es(0℃)");
+  near(satVapor(20), 23.37, 0.05, "es(20℃)");
+  near(dewpointFromVapor(satVapor(-15)), -15, 1e-9, "Td(es(-15℃))");
+});
+
+test("pressureAltitudeFt: ISA", () => {
+  near(pressureAltitudeFt(1013.25), 0, 1e-6, "1013.25hPa");
+  near(pressureAltitudeFt(500), 18289, 15, "500hPa"); // 5574m
+  near(pressureAltitudeFt(300), 30065, 20, "300hPa"); // 9164m
+});
+
+test("liftedCondensationLevel: 1000hPa 30/20℃", () => {
+  const lcl = liftedCondensationLevel(1000, 30, 20);
+  near(lcl.p, 864.6, 1, "LCL p");
+  near(lcl.t, 17.7, 0.2, "LCL t");
+  // 乾燥断熱（温位保存）で到達し、混合比が地上露点の値と一致すること
+  near(lcl.t + 273.15, 303.15 * (lcl.p / 1000) ** KAPPA, 1e-9, "theta conserved");
+  near(satMixingRatio(lcl.p, lcl.t) / satMixingRatio(1000, 20), 1, 0.005, "mixing ratio conserved");
+});
+
+test("moistAdiabat: conserves theta-e", () => {
+  const path = moistAdiabat(900, 20, 300);
+  const top = path.at(-1);
+  assert.equal(top.p, 300);
+  assert.ok(top.t < 20);
+  near(thetaE(top.p, top.t, top.t), thetaE(900, 20, 20), 0.5, "theta-e 900→300hPa");
+});
+
+test("parcelEnergy: no LFC when the environment is warmer than the parcel", () => {
+  const parcel = parcelTrace(1000, 20, 15);
+  const levels = [1000, 925, 850, 700, 500, 400, 300, 200].map(p => {
+    const t = parcel.path.reduce((best, q) => (Math.abs(q.p - p) < Math.abs(best.p - p) ? q : best)).t + 5;
+    return { p, t, td: t - 10 };
+  });
+  assert.deepEqual(parcelEnergy(levels, parcel), { cape: 0, cin: null });
+});
+
+test("stabilityIndices: precipitable water of a constant mixing ratio column", () => {
+  const r = 0.010;
+  const levels = [1000, 925, 850, 700, 600, 500].map(p => {
+    const td = dewpointFromVapor(r * p / (EPS_RATIO + r));
+    return { p, t: td + 2, td };
+  });
+  near(stabilityIndices(levels).pw, r * 50000 / 9.80665, 1e-6, "PW mm"); // 50.99mm
+});
+
+test("stabilityIndices: Wyoming TEXT:LIST fixture", () => {
+  const { levels } = parseWyomingList(UWYO_TATENO);
+  const ix = stabilityIndices(levels);
+  // 公式どおりの指数
+  near(ix.tt, 17 + 13 - 2 * -10, 1e-9, "TT");
+  near(ix.ki, (17 - -10) + 13 - (6 - -2), 1e-9, "KI");
+  // 独立計算: LI -6.9、SBCAPE 2500 J/kg、0-6km シア 34.6kt
+  near(ix.li, -6.9, 0.5, "LI");
+  near(ix.sbCape, 2500, 250, "SBCAPE");
+  assert.ok(ix.sbCin < 0 && ix.sbCin > -50, `SBCIN ${ix.sbCin}`);
+  assert.equal(ix.muP, 1008);
+  assert.ok(ix.ssi < 0 && ix.ssi > ix.li, `SSI ${ix.ssi}`);
+  near(ix.shear06, 34.6, 0.1, "0-6km shear");
+  near(ix.pw, 30.2, 0.5, "PW");
+
+  const a = analyzeSounding(levels);
+  // Espy: (T - Td) × 125m → 約 750m AGL（925hPa 付近）
+  near(a.parcel.lcl.p, 925, 10, "LCL p");
+  assert.ok(a.lfc < a.parcel.lcl.p && a.lfc > 850, `LFC ${a.lfc}`);
+  assert.ok(a.el < 250 && a.el > 150, `EL ${a.el}`);
+  // 0℃: 700hPa(6℃, 3130m)〜500hPa(-10℃, 5840m) を 6/16 で内分 → 4146m
+  assert.equal(a.freezing.length, 1);
+  near(a.freezing[0].ft * 0.3048, 4146, 1, "freezing level m");
+});
+
+test("stabilityIndices: TEMP and TEXT:LIST of the same profile agree", () => {
+  const a = stabilityIndices(parseWyomingList(UWYO_TATENO).levels);
+  const b = stabilityIndices(decodeTemp(TEMP_TATENO, new Date("2026-10-19T08:00:00Z")).levels);
+  near(b.tt, 50.2, 1e-9, "TEMP TT");
+  near(b.li, a.li, 0.2, "LI");
+  near(b.sbCape, a.sbCape, 100, "SBCAPE");
+  near(b.pw, a.pw, 0.5, "PW");
+});
@@ -1,39 +1,439 @@
 // WX Dashboard CORS Proxy — Cloudflare Worker
 // Proxies requests to aviationweather.gov & tenki.jp with CORS headers
+// /v2/metar, /v2/taf — decoded JSON (decoder shared with the dashboard)
+// /v2/raob — observed radiosonde (University of Wyoming TEXT:LIST) as decoded JSON
+// /sounding/ — Tropical Tidbits model sounding image (model=gfs|ecmwf|icon|gem)
+// /health — per-upstream reachability & latency
 
-const AWC_BASE = "https://aviationweather.gov";
-const TENKI_BASE = "https://static.tenki.jp";
-const NOAA_TAF_BASE = "https://tgftp.nws.noaa.gov/data/forecasts/taf/stations";
-const TT_SOUNDING_BASE = "https://www.tropicaltidbits.com/analysis/models/sounding/images";
+import { decodeReportsByStation, parseWyomingList, normalizeRaob } from "../../src/wxDecode.js";
 
-// Allowed API paths (whitelist)
-const ALLOWED_PATHS = ["/api/data/taf", "/api/data/metar", "/api/data/isigmet", "/api/data/airsigmet", "/api/data/pirep"];
 const TENKI_PREFIX = "/tenki/";
 const SOUNDING_PREFIX = "/sounding/";
+const SOUNDING_MODELS = ["gfs", "ecmwf", "icon", "gem"]; // 日本域を含む全球モデルのみ（NAM/HRRR 等は北米域）
+const SOUNDING_LOOKUP_SEC = 1800;  // ページ→画像URL の解決結果。新しい初期時刻はこの間隔で反映
+const SOUNDING_IMAGE_SEC = 21600;  // 画像URL は初期時刻入りで内容不変
+const BROWSER_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+const V2_ROUTES = { "/v2/metar": "metar", "/v2/taf": "taf" };
+const V2_MAX_IDS = 40;
+const RAOB_PATH = "/v2/raob";
+const HEALTH_PATH = "/health";
+const HEALTH_TIMEOUT_MS = 6000;
+const HEALTH_CACHE_SEC = 30;    // ダッシュボード全端末のポーリングを上流へ素通しさせない
+const UPSTREAM_HEADERS = { "User-Agent": "Mozilla/5.0 wx-dashboard-proxy/1.0" };
 
-// Allowed origins (restrict to our dashboard)
-const ALLOWED_ORIGINS = [
-  "https://ispahanproject.github.io",
-  "http://localhost:5173",  // Vite dev
-  "http://localhost:4173",  // Vite preview
-  "http://localhost:5175",  // Vite dev alt
-];
+// Edge cache (Cache API) — fresh → stale-while-revalidate → stale-if-error
+const CACHE_FRESH_SEC = 180;    // matches AWC cache-control
+const CACHE_SWR_SEC = 900;      // この年齢までは即座に stale を返し、裏で再取得
+const CACHE_KEEP_SEC = 86400;   // 上流障害時のフォールバック用に保持
 
+// ── CONFIG — wrangler.toml [vars] / dashboard env vars ──
+// ALLOWED_ORIGINS は必須（フォーク・staging ごとに設定）。上流URLと ALLOWED_PATHS は未設定なら既定値
+// 値は配列（wrangler の JSON vars）またはカンマ区切り文字列
+const CONFIG_DEFAULTS = {
+  ALLOWED_PATHS: ["/api/data/taf", "/api/data/metar", "/api/data/isigmet", "/api/data/airsigmet", "/api/data/pirep"],
+  AWC_BASE: "https://aviationweather.gov",
+  TENKI_BASE: "https://static.tenki.jp",
+  NOAA_TAF_BASE: "https://tgftp.nws.noaa.gov/data/forecasts/taf/stations",
+  NOAA_METAR_BASE: "https://tgftp.nws.noaa.gov/data/observations/metar/stations",
+  TT_SOUNDING_BASE: "https://www.tropicaltidbits.com/analysis/models/sounding",
+  UWYO_BASE: "https://weather.uwyo.edu",
+};
+const UPSTREAM_KEYS = ["AWC_BASE", "TENKI_BASE", "NOAA_TAF_BASE", "NOAA_METAR_BASE", "TT_SOUNDING_BASE", "UWYO_BASE"];
+
+function listVar(value) {
+  if (Array.isArray(value)) return value.map(s => String(s).trim()).filter(Boolean);
+  return String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// "https://*.wx-dashboard.pages.dev" → ワイルドカードは 1 ラベル分（プレビューデプロイ用）
+function originMatcher(pattern) {
+  if (!pattern.includes("*")) return origin => origin === pattern;
+  const re = new RegExp("^" + pattern.split("*").map(s => s.replace(/[.+?^${}()|[\]\\/]/g, "\\$&")).join("[a-z0-9-]+") + "$", "i");
+  return origin => re.test(origin);
+}
+
+function isLocalhost(u) {
+  return u.hostname === "localhost" || u.hostname === "127.0.0.1";
+}
+
+/** env → { config, errors }。errors が空でなければ全リクエストを 500 にする */
+function parseConfig(env) {
+  const errors = [];
+  const origins = listVar(env.ALLOWED_ORIGINS);
+  if (origins.length === 0) errors.push("ALLOWED_ORIGINS is empty");
+  for (const o of origins) {
+    if (!/^https?:\/\/[a-z0-9.*-]+(:\d+)?$/i.test(o)) errors.push(`ALLOWED_ORIGINS: invalid origin "${o}"`);
+    else if (o.startsWith("http:") && !isLocalhost(new URL(o.replace("*", "x")))) errors.push(`ALLOWED_ORIGINS: "${o}" must use https`);
+    else if (/^https?:\/\/\*(\.[^.]+)?$/i.test(o)) errors.push(`ALLOWED_ORIGINS: wildcard "${o}" is too broad`);
+  }
+
+  const paths = env.ALLOWED_PATHS != null ? listVar(env.ALLOWED_PATHS) : CONFIG_DEFAULTS.ALLOWED_PATHS;
+  for (const p of paths) {
+    if (!/^\/api\/data\/[a-z]+$/.test(p)) errors.push(`ALLOWED_PATHS: "${p}" must look like /api/data/<product>`);
+  }
+
+  const config = { originMatchers: origins.map(originMatcher), allowedPaths: paths };
+  for (const key of UPSTREAM_KEYS) {
+    const value = String(env[key] || CONFIG_DEFAULTS[key]).replace(/\/+$/, "");
+    let u = null;
+    try { u = new URL(value); } catch { /* reported below */ }
+    if (!u || (u.protocol !== "https:" && !(u.protocol === "http:" && isLocalhost(u)))) {
+      errors.push(`${key}: invalid upstream URL "${value}"`);
+    }
+    config[key] = value;
+  }
+  return { config, errors };
+}
+
+// env はデプロイ単位で不変 — 最初のリクエストで一度だけ検証
+const configCache = new WeakMap();
+function loadConfig(env) {
+  let parsed = configCache.get(env);
+  if (!parsed) {
+    parsed = parseConfig(env || {});
+    if (parsed.errors.length) console.error("wx-awc-proxy config errors:", parsed.errors);
+    configCache.set(env, parsed);
+  }
+  return parsed;
+}
+
+function isAllowedOrigin(config, origin) {
+  return config.originMatchers.some(match => match(origin));
+}
+
+// Origin なしのリクエスト（<img> の sounding、curl 等）は ACAO を付けずに通す
 function corsHeaders(origin) {
-  const allowedOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
+  const headers = {
     "Access-Control-Allow-Methods": "GET, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type",
     "Access-Control-Max-Age": "86400",
+    "Access-Control-Expose-Headers": "X-Data-Age, X-Upstream, X-Cache, X-Model-Run",
+    "Vary": "Origin",
+  };
+  if (origin) headers["Access-Control-Allow-Origin"] = origin;
+  return headers;
+}
+
+// NOAA TGFtp fallback — 1行目=timestamp, 2行目以降=本文
+async function fetchNoaaTaf(config, icao) {
+  try {
+    const resp = await fetch(`${config.NOAA_TAF_BASE}/${icao}.TXT`, { headers: UPSTREAM_HEADERS, redirect: "follow" });
+    if (!resp.ok) return "";
+    const tafMatch = (await resp.text()).match(/^(TAF\s.+)/ms);
+    return tafMatch ? tafMatch[1].trim() : "";
+  } catch {
+    return "";
+  }
+}
+
+async function fetchNoaaMetar(config, icao) {
+  try {
+    const resp = await fetch(`${config.NOAA_METAR_BASE}/${icao}.TXT`, { headers: UPSTREAM_HEADERS, redirect: "follow" });
+    if (!resp.ok) return "";
+    const lines = (await resp.text()).split("\n").map(s => s.trim()).filter(Boolean);
+    return lines.find(l => l.startsWith(icao + " ")) || "";
+  } catch {
+    return "";
+  }
+}
+
+function jsonResponse(data, status, origin) {
+  const headers = new Headers(corsHeaders(origin));
+  headers.set("Content-Type", "application/json; charset=utf-8");
+  return new Response(JSON.stringify(data), { status, headers });
+}
+
+// "ids" を大文字・重複除去・ソートした配列に正規化（キャッシュキーを局順に依存させない）
+function normalizeIds(value) {
+  return [...new Set((value || "").toUpperCase().split(",").map(s => s.trim()).filter(Boolean))].sort();
+}
+
+/** キャッシュキー: パス + ソート済みクエリ（ids は正規化） */
+function cacheKeyUrl(url) {
+  const params = [...url.searchParams.entries()]
+    .map(([k, v]) => [k, k === "ids" ? normalizeIds(v).join(",") : v])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return `${url.origin}${url.pathname}?${new URLSearchParams(params)}`;
+}
+
+/**
+ * Cache API による SWR 配信
+ * loader() → { body, contentType, upstream, partial? }。上流障害時は throw すること（stale にフォールバック）
+ * partial（AWC障害でNOAA代替が一部局のみ）はキャッシュが無い場合に限り採用
+ * 応答ヘッダ: X-Data-Age（秒）, X-Upstream（AWC/NOAA/TENKI/UWYO）, X-Cache（HIT/STALE/MISS/STALE-IF-ERROR）
+ */
+async function serveCached(url, ctx, origin, loader) {
+  const cache = caches.default;
+  const key = new Request(cacheKeyUrl(url));
+  const cached = await cache.match(key);
+  const age = cached ? Math.max(0, Math.floor((Date.now() - Number(cached.headers.get("X-Fetched-At"))) / 1000)) : null;
+
+  const refresh = async () => {
+    const entry = await loader();
+    if (entry.partial && cached) throw new Error("partial upstream data");
+    const stored = new Response(entry.body, {
+      headers: {
+        "Content-Type": entry.contentType,
+        "X-Upstream": entry.upstream,
+        "X-Fetched-At": String(Date.now()),
+        "Cache-Control": `public, max-age=${CACHE_KEEP_SEC}`,
+      },
+    });
+    const put = cache.put(key, stored.clone());
+    if (ctx) ctx.waitUntil(put); else await put;
+    return stored;
+  };
+
+  if (cached && age < CACHE_FRESH_SEC) return withDataHeaders(cached, origin, "HIT");
+  if (cached && age < CACHE_SWR_SEC) {
+    const bg = refresh().catch(() => { /* 次回リクエストで再試行 */ });
+    if (ctx) ctx.waitUntil(bg);
+    return withDataHeaders(cached, origin, "STALE");
+  }
+  try {
+    return await withDataHeaders(await refresh(), origin, "MISS");
+  } catch (err) {
+    if (cached) return withDataHeaders(cached, origin, "STALE-IF-ERROR");
+    return new Response(`Upstream error: ${err.message}`, { status: 502, headers: corsHeaders(origin) });
+  }
+}
+
+async function withDataHeaders(resp, origin, cacheStatus) {
+  const body = await resp.text();
+  const age = Math.max(0, Math.floor((Date.now() - Number(resp.headers.get("X-Fetched-At"))) / 1000));
+  const headers = new Headers(corsHeaders(origin));
+  headers.set("Content-Type", resp.headers.get("Content-Type") || "text/plain; charset=utf-8");
+  headers.set("X-Upstream", resp.headers.get("X-Upstream") || "");
+  headers.set("X-Data-Age", String(age));
+  headers.set("X-Cache", cacheStatus);
+  // ブラウザ側は残りの鮮度分だけキャッシュ
+  headers.set("Cache-Control", `public, max-age=${Math.max(0, CACHE_FRESH_SEC - age)}`);
+  return new Response(body, { status: body.trim() ? 200 : 204, headers });
+}
+
+/** AWC 生電文。TAF が空なら NOAA、AWC 障害時は metar/taf を局ごとに NOAA から組み立てる */
+async function loadAwcRaw(config, url) {
+  const path = url.pathname;
+  const kind = { "/api/data/metar": "metar", "/api/data/taf": "taf" }[path];
+  const ids = normalizeIds(url.searchParams.get("ids")).filter(id => /^[A-Z][A-Z0-9]{3}$/.test(id));
+  const text = { contentType: "text/plain; charset=utf-8" };
+
+  let awcError = null;
+  try {
+    const resp = await fetch(config.AWC_BASE + path + url.search, { headers: UPSTREAM_HEADERS });
+    if (!resp.ok) throw new Error(`AWC HTTP ${resp.status}`);
+    const body = await resp.text();
+    // TAF fallback: AWCが空の場合、NOAA TGFtpを試す
+    if (kind === "taf" && !body.trim() && ids.length === 1) {
+      const noaa = await fetchNoaaTaf(config, ids[0]);
+      if (noaa) return { ...text, body: noaa, upstream: "NOAA" };
+    }
+    return { ...text, body, upstream: "AWC" };
+  } catch (err) {
+    awcError = err;
+  }
+  if (kind && ids.length > 0) {
+    const bodies = await Promise.all(ids.map(id => kind === "metar" ? fetchNoaaMetar(config, id) : fetchNoaaTaf(config, id)));
+    const body = bodies.filter(Boolean).join("\n");
+    if (body) return { ...text, body, upstream: "NOAA", partial: bodies.some(b => !b) };
+  }
+  throw awcError;
+}
+
+async function loadTenki(config, tenkiPath) {
+  const resp = await fetch(config.TENKI_BASE + tenkiPath, { headers: UPSTREAM_HEADERS });
+  if (!resp.ok) throw new Error(`tenki.jp HTTP ${resp.status}`);
+  return { body: await resp.text(), contentType: "text/plain; charset=utf-8", upstream: "TENKI" };
+}
+
+// /v2/metar?ids=RJTT,RJCC — AWC 一括取得、欠けた局は NOAA へ個別フォールバック
+// → { kind, generatedAt, reports: [{ station, source, raw, decoded }], missing: [ICAO] }
+function validateDecodedIds(url) {
+  const ids = normalizeIds(url.searchParams.get("ids"));
+  return ids.length > 0 && ids.length <= V2_MAX_IDS && ids.every(id => /^[A-Z][A-Z0-9]{3}$/.test(id)) ? ids : null;
+}
+
+async function loadDecoded(config, kind, ids) {
+  let awcText = "";
+  let awcOk = false;
+  try {
+    const hours = kind === "metar" ? "&hours=3" : "";
+    const resp = await fetch(`${config.AWC_BASE}/api/data/${kind}?ids=${ids.join(",")}&format=raw${hours}`, { headers: UPSTREAM_HEADERS });
+    if (resp.ok) { awcText = await resp.text(); awcOk = true; }
+  } catch { /* NOAA fallback below */ }
+
+  const reports = await decodeReportsByStation(kind, ids, awcText,
+    (station) => kind === "metar" ? fetchNoaaMetar(config, station) : fetchNoaaTaf(config, station));
+  // AWC も NOAA も全滅なら障害として扱い、キャッシュ済みの stale を優先させる
+  if (!awcOk && reports.length === 0) throw new Error("AWC and NOAA unavailable");
+  const sources = [...new Set(reports.map(r => r.source))];
+  return {
+    body: JSON.stringify({
+      kind,
+      generatedAt: new Date().toISOString(),
+      reports,
+      missing: ids.filter(id => !reports.some(r => r.station === id)),
+    }),
+    contentType: "application/json; charset=utf-8",
+    upstream: sources.length ? sources.join("+") : "AWC",
+    partial: !awcOk && reports.length < ids.length,
   };
 }
 
+// /v2/raob?stnm=47412&time=2026101500 — WMO 地点番号 + 00Z/12Z の観測時刻
+// → { format, station, name, time, levels: [{ p, t, td, wdir, wspd, z, surface? }] }
+function validateRaobParams(url) {
+  const stnm = url.searchParams.get("stnm") || "";
+  const time = url.searchParams.get("time") || "";
+  return /^\d{5}$/.test(stnm) && /^\d{8}(00|12)$/.test(time) ? { stnm, time } : null;
+}
+
+async function loadRaob(config, stnm, time) {
+  const dh = time.slice(6, 10);
+  const q = new URLSearchParams({ region: "seasia", TYPE: "TEXT:LIST", YEAR: time.slice(0, 4), MONTH: time.slice(4, 6), FROM: dh, TO: dh, STNM: stnm });
+  const resp = await fetch(`${config.UWYO_BASE}/cgi-bin/sounding?${q}`, { headers: UPSTREAM_HEADERS });
+  if (!resp.ok) throw new Error(`UWYO HTTP ${resp.status}`);
+  const sounding = parseWyomingList(await resp.text());
+  // 未着・欠測は "Can't get ..." の HTML が 200 で返る — キャッシュさせない
+  if (!sounding || sounding.levels.length < 3) throw new Error(`no sounding for ${stnm} ${time}`);
+  return { body: JSON.stringify(normalizeRaob(sounding)), contentType: "application/json; charset=utf-8", upstream: "UWYO" };
+}
+
+// /sounding/?lat=33.58&lon=130.45&fh=12&model=ecmwf（または icao=RJFF）→ { model, fh, loc } | { error }
+function validateSoundingParams(url) {
+  const model = (url.searchParams.get("model") || "gfs").toLowerCase();
+  const fh = url.searchParams.get("fh") || "12";
+  const lat = url.searchParams.get("lat"), lon = url.searchParams.get("lon");
+  const icao = (url.searchParams.get("icao") || "").toUpperCase();
+  if (!SOUNDING_MODELS.includes(model)) return { error: `model must be one of ${SOUNDING_MODELS.join(", ")}` };
+  if (!/^\d{1,3}$/.test(fh)) return { error: "fh must be 0-384" };
+  if (icao) return /^[A-Z][A-Z0-9]{3}$/.test(icao) ? { model, fh, loc: { stationID: icao } } : { error: "Invalid icao param" };
+  if (!Number.isFinite(parseFloat(lat)) || !Number.isFinite(parseFloat(lon))) return { error: "Missing lat/lon or icao param" };
+  return { model, fh, loc: { lat, lon } };
+}
+
+// TT のサウンディングページ取得（/sounding/ とヘルスチェックで共通のヘッダ・画像リンク抽出）
+const TT_PAGE_HEADERS = { "User-Agent": BROWSER_UA, "Accept": "text/html" };
+const soundingImageRe = (model) => new RegExp(`(images\\/${model}_[^"'\\s]+\\.png)`);
+
+/**
+ * Tropical Tidbits のページから画像URLを解決 → { pageUrl, imgUrl, run, cache }
+ * 解決結果は SOUNDING_LOOKUP_SEC キャッシュ（fh を送り直すたびにページを読まない）
+ */
+async function lookupSoundingImage(config, ctx, selfOrigin, { model, fh, loc }) {
+  const cache = caches.default;
+  const ttParams = new URLSearchParams({ fh, model, ...loc });
+  const key = new Request(`${selfOrigin}/sounding-lookup?${ttParams}`);
+  const cached = await cache.match(key);
+  if (cached) return { ...(await cached.json()), cache: "HIT" };
+
+  const pageUrl = `${config.TT_SOUNDING_BASE}/?${ttParams}`;
+  const pageResp = await fetch(pageUrl, { headers: TT_PAGE_HEADERS });
+  const html = await pageResp.text();
+  const imgMatch = html.match(soundingImageRe(model));
+  if (!imgMatch) return { error: `Sounding not available (page status: ${pageResp.status}, len: ${html.length})` };
+  // 画像名 "gfs_2026101906_fh12_sounding_..." の初期時刻
+  const entry = { pageUrl, imgUrl: `${config.TT_SOUNDING_BASE}/${imgMatch[1]}`, run: imgMatch[1].match(/_(\d{10})_/)?.[1] ?? null };
+  const put = cache.put(key, new Response(JSON.stringify(entry), { headers: { "Cache-Control": `public, max-age=${SOUNDING_LOOKUP_SEC}` } }));
+  if (ctx) ctx.waitUntil(put); else await put;
+  return { ...entry, cache: "MISS" };
+}
+
+// Tropical Tidbits sounding proxy — ページから画像URLを解決し、画像を取得して返す
+async function serveSounding(url, ctx, origin, config) {
+  const params = validateSoundingParams(url);
+  if (params.error) return new Response(params.error, { status: 400, headers: corsHeaders(origin) });
+  try {
+    const found = await lookupSoundingImage(config, ctx, url.origin, params);
+    if (found.error) return new Response(found.error, { status: 404, headers: corsHeaders(origin) });
+
+    const cache = caches.default;
+    const imgKey = new Request(`${url.origin}/sounding-image/${encodeURIComponent(found.imgUrl)}`);
+    let img = await cache.match(imgKey);
+    if (!img) {
+      const imgResp = await fetch(found.imgUrl, { headers: { "User-Agent": BROWSER_UA, "Referer": found.pageUrl } });
+      if (!imgResp.ok) {
+        return new Response("Sounding image fetch failed", { status: imgResp.status, headers: corsHeaders(origin) });
+      }
+      img = new Response(await imgResp.arrayBuffer(), { headers: { "Content-Type": "image/png", "Cache-Control": `public, max-age=${SOUNDING_IMAGE_SEC}` } });
+      const put = cache.put(imgKey, img.clone());
+      if (ctx) ctx.waitUntil(put); else await put;
+    }
+    const imgHeaders = new Headers(corsHeaders(origin));
+    imgHeaders.set("Content-Type", "image/png");
+    imgHeaders.set("Cache-Control", "public, max-age=900");
+    imgHeaders.set("X-Model-Run", found.run || "");
+    imgHeaders.set("X-Cache", found.cache);
+    return new Response(img.body, { status: 200, headers: imgHeaders });
+  } catch (err) {
+    return new Response(`Sounding error: ${err.message}`, { status: 502, headers: corsHeaders(origin) });
+  }
+}
+
+/**
+ * 上流ごとの疎通確認 — 軽量な代表リクエストを並行実行
+ * → { checkedAt, upstreams: { AWC: { ok, status, latencyMs, error? }, NOAA, TENKI, TT, UWYO } }
+ */
+async function checkUpstreams(config) {
+  // TT は /sounding/ と同じページ・ヘッダで取得し、画像リンクが解決できるかまで確認する
+  const probes = {
+    AWC: { url: `${config.AWC_BASE}/api/data/metar?ids=RJTT&format=raw` },
+    NOAA: { url: `${config.NOAA_METAR_BASE}/RJTT.TXT` },
+    TENKI: { url: `${config.TENKI_BASE}/static-api/history/pollen/13101.js` },
+    TT: {
+      url: `${config.TT_SOUNDING_BASE}/?${new URLSearchParams({ fh: "12", model: "gfs", stationID: "RJTT" })}`,
+      headers: TT_PAGE_HEADERS,
+      check: (body) => soundingImageRe("gfs").test(body),
+    },
+    UWYO: { url: `${config.UWYO_BASE}/upperair/seasia.html` },
+  };
+  const entries = await Promise.all(Object.entries(probes).map(async ([name, probe]) => {
+    const t0 = Date.now();
+    try {
+      const resp = await fetch(probe.url, { headers: probe.headers ?? UPSTREAM_HEADERS, signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+      const body = await resp.text();
+      if (resp.ok && probe.check && !probe.check(body)) {
+        return [name, { ok: false, status: resp.status, latencyMs: Date.now() - t0, error: "unexpected response" }];
+      }
+      return [name, { ok: resp.ok, status: resp.status, latencyMs: Date.now() - t0 }];
+    } catch (err) {
+      return [name, { ok: false, status: null, latencyMs: Date.now() - t0, error: err.name === "TimeoutError" ? "timeout" : err.message }];
+    }
+  }));
+  return { checkedAt: new Date().toISOString(), upstreams: Object.fromEntries(entries) };
+}
+
+async function serveHealth(url, ctx, origin, config) {
+  const cache = caches.default;
+  const key = new Request(`${url.origin}${HEALTH_PATH}`);
+  let body = null;
+  const cached = await cache.match(key);
+  if (cached) body = await cached.text();
+  else {
+    body = JSON.stringify(await checkUpstreams(config));
+    const put = cache.put(key, new Response(body, { headers: { "Cache-Control": `public, max-age=${HEALTH_CACHE_SEC}` } }));
+    if (ctx) ctx.waitUntil(put); else await put;
+  }
+  const headers = new Headers(corsHeaders(origin));
+  headers.set("Content-Type", "application/json; charset=utf-8");
+  headers.set("Cache-Control", "no-store");
+  headers.set("X-Cache", cached ? "HIT" : "MISS");
+  return new Response(body, { status: 200, headers });
+}
+
 export default {
-  async fetch(request) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const origin = request.headers.get("Origin") || "";
 
+    const { config, errors } = loadConfig(env);
+    if (errors.length) {
+      return new Response(`Worker misconfigured:\n${errors.join("\n")}`, { status: 500 });
+    }
+    if (origin && !isAllowedOrigin(config, origin)) {
+      return new Response("Origin not allowed", { status: 403, headers: { "Vary": "Origin" } });
+    }
+
     // Handle CORS preflight
     if (request.method === "OPTIONS") {
       return new Response(null, { status: 204, headers: corsHeaders(origin) });
@@ -46,111 +446,29 @@ export default {
 
     // Validate path & route
     const path = url.pathname;
-    let upstreamUrl;
-
-    if (path.startsWith(SOUNDING_PREFIX)) {
-      // Tropical Tidbits sounding proxy: /sounding/?lat=33.58&lon=130.45&fh=12
-      // Fetches the page, extracts the image URL, then fetches and returns the image
-      const lat = url.searchParams.get("lat");
-      const lon = url.searchParams.get("lon");
-      const fh = url.searchParams.get("fh") || "12";
-      const icao = url.searchParams.get("icao");
-      if (!lat && !icao) {
-        return new Response("Missing lat/lon or icao param", { status: 400, headers: corsHeaders(origin) });
-      }
-      // Build Tropical Tidbits page URL
-      const ttParams = new URLSearchParams({ fh, model: "gfs" });
-      if (icao) ttParams.set("stationID", icao);
-      else { ttParams.set("lat", lat); ttParams.set("lon", lon); }
-      const pageUrl = `https://www.tropicaltidbits.com/analysis/models/sounding/?${ttParams}`;
-      try {
-        const pageResp = await fetch(pageUrl, {
-          headers: {
-            "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-            "Accept": "text/html",
-          },
-        });
-        const html = await pageResp.text();
-        const imgMatch = html.match(/src="(images\/gfs_[^"]+\.png)"/) || html.match(/(images\/gfs_[^"'\s]+\.png)/);
-        if (!imgMatch) {
-          return new Response(`Sounding not available (page status: ${pageResp.status}, len: ${html.length})`, { status: 404, headers: corsHeaders(origin) });
-        }
-        const imgUrl = `https://www.tropicaltidbits.com/analysis/models/sounding/${imgMatch[1]}`;
-        const imgResp = await fetch(imgUrl, {
-          headers: {
-            "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-            "Referer": pageUrl,
-          },
-        });
-        if (!imgResp.ok) {
-          return new Response("Sounding image fetch failed", { status: imgResp.status, headers: corsHeaders(origin) });
-        }
-        const imgHeaders = new Headers();
-        imgHeaders.set("Content-Type", "image/png");
-        for (const [k, v] of Object.entries(corsHeaders(origin))) imgHeaders.set(k, v);
-        imgHeaders.set("Cache-Control", "public, max-age=900");
-        return new Response(imgResp.body, { status: 200, headers: imgHeaders });
-      } catch (err) {
-        return new Response(`Sounding error: ${err.message}`, { status: 502, headers: corsHeaders(origin) });
-      }
+
+    if (path === HEALTH_PATH) {
+      return serveHealth(url, ctx, origin, config);
+    } else if (V2_ROUTES[path]) {
+      const ids = validateDecodedIds(url);
+      if (!ids) return jsonResponse({ error: `ids must be 1-${V2_MAX_IDS} comma-separated ICAO codes` }, 400, origin);
+      return serveCached(url, ctx, origin, () => loadDecoded(config, V2_ROUTES[path], ids));
+    } else if (path === RAOB_PATH) {
+      const params = validateRaobParams(url);
+      if (!params) return jsonResponse({ error: "stnm must be a 5-digit WMO index and time YYYYMMDDHH (00/12Z)" }, 400, origin);
+      return serveCached(url, ctx, origin, () => loadRaob(config, params.stnm, params.time));
+    } else if (path.startsWith(SOUNDING_PREFIX)) {
+      return serveSounding(url, ctx, origin, config);
     } else if (path.startsWith(TENKI_PREFIX)) {
       // tenki.jp pollen API: /tenki/static-api/history/pollen/13101.js
       const tenkiPath = "/" + path.slice(TENKI_PREFIX.length);
       if (!tenkiPath.startsWith("/static-api/history/pollen/")) {
         return new Response("Not found", { status: 404, headers: corsHeaders(origin) });
       }
-      upstreamUrl = TENKI_BASE + tenkiPath;
-    } else if (ALLOWED_PATHS.some(p => path === p || path.startsWith(p + "/"))) {
-      upstreamUrl = AWC_BASE + path + url.search;
-    } else {
-      return new Response("Not found", { status: 404, headers: corsHeaders(origin) });
-    }
-
-    try {
-      const resp = await fetch(upstreamUrl, {
-        headers: { "User-Agent": "Mozilla/5.0 wx-dashboard-proxy/1.0" },
-      });
-
-      // TAF fallback: AWCが空の場合、NOAA TGFtpを試す
-      const isTafReq = path === "/api/data/taf";
-      let body = await resp.text();
-
-      if (isTafReq && !body.trim()) {
-        const icao = url.searchParams.get("ids");
-        if (icao && /^[A-Z]{4}$/.test(icao)) {
-          try {
-            const noaaResp = await fetch(`${NOAA_TAF_BASE}/${icao}.TXT`, {
-              headers: { "User-Agent": "Mozilla/5.0 wx-dashboard-proxy/1.0" },
-              redirect: "follow",
-            });
-            if (noaaResp.ok) {
-              const noaaText = await noaaResp.text();
-              // NOAA形式: 1行目=timestamp, 2行目以降=TAF本文
-              const tafMatch = noaaText.match(/^(TAF\s.+)/ms);
-              if (tafMatch) body = tafMatch[1].trim();
-            }
-          } catch { /* NOAA unavailable, return empty */ }
-        }
-      }
-
-      // Clone response with CORS headers
-      const headers = new Headers();
-      headers.set("Content-Type", "text/plain; charset=utf-8");
-      for (const [k, v] of Object.entries(corsHeaders(origin))) {
-        headers.set(k, v);
-      }
-      // Cache for 3 minutes (matches AWC cache-control)
-      headers.set("Cache-Control", "public, max-age=180");
-
-      return new Response(body, {
-        status: body.trim() ? 200 : 204,
-        headers,
-      });
-    } catch (err) {
-      return new Response(`Upstream error: ${err.message}`, {
-        status: 502,
-        headers: corsHeaders(origin),
-      });
+      return serveCached(url, ctx, origin, () => loadTenki(config, tenkiPath));
+    } else if (config.allowedPaths.some(p => path === p || path.startsWith(p + "/"))) {
+      return serveCached(url, ctx, origin, () => loadAwcRaw(config, url));
     }
+    return new Response("Not found", { status: 404, headers: corsHeaders(origin) });
   },
 };